@@ -0,0 +1,176 @@
+/**
+ * Headless balance-testing CLI.
+ * Plays batches of games with simulated players and prints per-run metrics
+ * and per-difficulty averages.
+ *
+ * Usage: npm run simulate -- [options] (see USAGE, or run with --help)
+ */
+
+import { parseArgs } from 'node:util';
+import { Difficulty, GameMode } from '../src/game/GameState.js';
+import { SIMULATION_POLICIES } from '../src/sim/Policies.js';
+import {
+  SIMULATION_TIMESTEP,
+  runBatch,
+  summarizeRuns,
+} from '../src/sim/Simulation.js';
+
+const USAGE = `Usage: npm run simulate -- [options]
+  --seeds <list>        Seeds to run: "5", "1-10" or "1,4,9" (default 1-10)
+  --difficulty <list>   Comma-separated difficulties, or "all" (default all)
+  --mode <1P|2P>        Game mode (default 1P)
+  --endless             Play endless mode instead of the 5-level campaign
+  --policy <name>       Player policy: idle, random or greedy (default greedy)
+  --minutes <n>         Simulated time limit per run (default 30)
+  --dt <ms>             Simulation step (default one 60 Hz frame)
+  --json                Print raw run metrics as JSON
+  --verbose             Print every run, not just the summary
+  -h, --help            Print this help and exit`;
+
+function parseSeeds(value) {
+  const seeds = [];
+  for (const part of value.split(',')) {
+    const range = part.match(/^(\d+)-(\d+)$/);
+    if (range) {
+      for (let seed = Number(range[1]); seed <= Number(range[2]); seed++) {
+        seeds.push(seed);
+      }
+    } else if (/^\d+$/.test(part)) {
+      seeds.push(Number(part));
+    } else {
+      throw new Error(`Invalid seed: ${part}`);
+    }
+  }
+  return seeds;
+}
+
+function parseDifficulties(value) {
+  const known = Object.values(Difficulty);
+  if (value === 'all') return known;
+  const difficulties = value.split(',');
+  for (const difficulty of difficulties) {
+    if (!known.includes(difficulty)) {
+      throw new Error(`Unknown difficulty: ${difficulty} (expected ${known.join(', ')} or all)`);
+    }
+  }
+  return difficulties;
+}
+
+function formatTime(ms) {
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function formatDeathsPerLevel(deathsPerLevel) {
+  const entries = Object.entries(deathsPerLevel);
+  if (entries.length === 0) return '-';
+  return entries
+    .map(([level, deaths]) => `L${level}:${Number.isInteger(deaths) ? deaths : deaths.toFixed(1)}`)
+    .join(' ');
+}
+
+function printTable(rows) {
+  const widths = rows[0].map((_, column) => Math.max(...rows.map((row) => String(row[column]).length)));
+  for (const row of rows) {
+    console.log(row.map((cell, column) => String(cell).padEnd(widths[column])).join('  ').trimEnd());
+  }
+}
+
+function printRuns(runs) {
+  printTable([
+    ['difficulty', 'seed', 'outcome', 'survived', 'level', 'score', 'deaths', 'ghosts', 'dots/min', 'deaths per level'],
+    ...runs.map((run) => [
+      run.difficulty,
+      run.seed,
+      run.outcome,
+      formatTime(run.survivalTime),
+      run.levelReached,
+      run.score + run.player2Score,
+      run.deaths,
+      run.ghostsEaten,
+      run.dotsPerMinute.toFixed(1),
+      formatDeathsPerLevel(run.deathsPerLevel),
+    ]),
+  ]);
+}
+
+function printSummary(summaries) {
+  printTable([
+    ['difficulty', 'runs', 'cleared', 'avg survived', 'avg level', 'avg score', 'avg deaths', 'avg ghosts', 'dots/min', 'avg deaths per level'],
+    ...summaries.map((summary) => [
+      summary.difficulty,
+      summary.runs,
+      `${Math.round(summary.completionRate * 100)}%`,
+      formatTime(summary.survivalTime),
+      summary.levelReached.toFixed(1),
+      Math.round(summary.score),
+      summary.deaths.toFixed(1),
+      summary.ghostsEaten.toFixed(1),
+      summary.dotsPerMinute.toFixed(1),
+      formatDeathsPerLevel(summary.deathsPerLevel),
+    ]),
+  ]);
+}
+
+function main() {
+  const { values } = parseArgs({
+    options: {
+      seeds: { type: 'string', default: '1-10' },
+      difficulty: { type: 'string', default: 'all' },
+      mode: { type: 'string', default: GameMode.SINGLE_PLAYER },
+      endless: { type: 'boolean', default: false },
+      policy: { type: 'string', default: 'greedy' },
+      minutes: { type: 'string', default: '30' },
+      dt: { type: 'string', default: String(SIMULATION_TIMESTEP) },
+      json: { type: 'boolean', default: false },
+      verbose: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const seeds = parseSeeds(values.seeds);
+  const difficulties = parseDifficulties(values.difficulty);
+  if (!Object.values(GameMode).includes(values.mode)) {
+    throw new Error(`Unknown mode: ${values.mode} (expected 1P or 2P)`);
+  }
+  if (!SIMULATION_POLICIES[values.policy]) {
+    throw new Error(`Unknown policy: ${values.policy} (expected ${Object.keys(SIMULATION_POLICIES).join(', ')})`);
+  }
+  const maxTime = Number(values.minutes) * 60000;
+  const dt = Number(values.dt);
+  if (!(maxTime > 0) || !(dt > 0)) {
+    throw new Error('--minutes and --dt must be positive numbers');
+  }
+
+  const runs = runBatch({
+    seeds,
+    difficulties,
+    gameMode: values.mode,
+    endless: values.endless,
+    policy: values.policy,
+    dt,
+    maxTime,
+  });
+
+  if (values.json) {
+    console.log(JSON.stringify({ runs, summary: summarizeRuns(runs) }, null, 2));
+    return;
+  }
+  if (values.verbose) {
+    printRuns(runs);
+    console.log();
+  }
+  printSummary(summarizeRuns(runs));
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
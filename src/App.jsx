@@ -1,19 +1,28 @@
 import { useState, useCallback, useEffect, useRef } from 'react';
-import { useGameLoop } from './hooks/useGameLoop';
+import { useGameLoop, FIXED_TIMESTEP } from './hooks/useGameLoop';
 import { usePlayerMovement } from './hooks/usePlayerMovement';
 import { useSoundManager } from './hooks/useSoundManager';
 import { useTouchControls, isTouchDevice } from './hooks/useTouchControls';
-import { useGameStore, GameStatus, GameMode } from './store';
+import { useGameStore, subscribeToGameEvents, GameStatus, GameMode, GameEventType } from './store';
 import {
   TILE_SIZE,
   Direction,
   GhostMode,
   DEATH_ANIMATION_DURATION,
   isPlayerInvincible,
+  isFrightenedFlashWhite,
 } from './game/GameState';
 import { getUncollectedDots, DotType } from './game/Dots';
+import { getGhostPersonality } from './game/GhostAI';
 import { getFruitData, FRUIT_SPAWN_TILE } from './game/Fruit';
 import { getRandomFruitVisualData } from './game/RandomFruit';
+import { createReplayRecorder, createReplayPlayer } from './game/Replay';
+import { getCutscene, getCutsceneFrame } from './game/Cutscene';
+import { capturePositions, interpolateState } from './game/Interpolation';
+import { getDebugOverlay } from './game/DebugOverlay';
+import { PLAYER_SPEED, MovementModel, getMovementOptions, getDotStallFrames } from './game/PlayerMovement';
+import { saveLastReplay, loadLastReplay } from './utils/replayStorage';
+import { saveGame, loadSavedGame, clearSavedGame } from './utils/savedGame';
 import ScoreDisplay from './components/ScoreDisplay';
 import ModeSelectScreen from './components/ModeSelectScreen';
 import StartScreen from './components/StartScreen';
@@ -26,7 +35,16 @@ import './App.css';
 import './components/Menu.css';
 import './components/VirtualDpad.css';
 
-const PLAYER_SPEED = 4; // tiles per second for grid-based movement
+// Movement hook direction names for the shared Direction objects
+function getDirectionName(direction, fallback) {
+  switch (direction) {
+    case Direction.UP: return 'up';
+    case Direction.DOWN: return 'down';
+    case Direction.LEFT: return 'left';
+    case Direction.RIGHT: return 'right';
+    default: return fallback;
+  }
+}
 
 function getMazePixelSize(maze) {
   const rows = maze?.length ?? 0;
@@ -44,21 +62,19 @@ const WALL_GLOW_COLOR = '#4a4aff';
 const DOT_COLOR = '#ffb8ae';
 const POWER_PELLET_COLOR = '#ffb8ae';
 const FRIGHTENED_COLOR = '#2121de'; // Blue color for frightened ghosts
+const READY_COLOR = '#ffff00';
+const GHOST_POINTS_COLOR = '#00ffff'; // Points for an eaten ghost, as in the arcade
+const PLAYER_COLORS = { 1: '#ffff00', 2: '#00ffff' };
+const READY_BANNER_ROW = 10; // Maze row the "READY!" banner is drawn on
+const DEBUG_OVERLAY_KEY = '`'; // Dev builds only: toggles the ghost AI debug overlay
 
-// Ghost colors
-const GHOST_COLORS = {
-  blinky: '#ff0000',
-  pinky: '#ffb8ff',
-  inky: '#00ffff',
-  clyde: '#ffb852',
-};
-
-// localStorage key for high score
+// localStorage keys for high score; endless runs are kept separate
 const HIGH_SCORE_KEY = 'pacman-high-score';
+const ENDLESS_HIGH_SCORE_KEY = 'pacman-endless-high-score';
 
-function saveHighScore(score) {
+function saveHighScore(score, endless) {
   try {
-    localStorage.setItem(HIGH_SCORE_KEY, score.toString());
+    localStorage.setItem(endless ? ENDLESS_HIGH_SCORE_KEY : HIGH_SCORE_KEY, score.toString());
   } catch {
     // Ignore localStorage errors
   }
@@ -74,6 +90,9 @@ function App() {
     resetGame,
     nextLevel,
     setGameMode,
+    startReplay,
+    stopReplay,
+    continueGame,
     updatePlayerPosition,
     updatePlayer2Position,
     tick,
@@ -82,11 +101,18 @@ function App() {
   const [playerDirection, setPlayerDirection] = useState('right');
   const [player2Direction, setPlayer2Direction] = useState('left');
   const [showTouchControls] = useState(() => isTouchDevice());
+  const [showDebugOverlay, setShowDebugOverlay] = useState(false);
   const canvasRef = useRef(null);
   const gameAreaRef = useRef(null);
   const keysRef = useRef({});
   const playerMovement = usePlayerMovement({ speed: PLAYER_SPEED });
   const player2Movement = usePlayerMovement({ speed: PLAYER_SPEED });
+  // Records the current game's inputs; replaced whenever a new game starts
+  const recorderRef = useRef(null);
+  // Feeds recorded inputs back while a replay is playing
+  const replayPlayerRef = useRef(null);
+  // Entity positions before the latest simulation step, for render interpolation
+  const previousPositionsRef = useRef(null);
 
   // Sound manager for game audio
   const sounds = useSoundManager();
@@ -97,16 +123,10 @@ function App() {
     enabled: showTouchControls && gameState.status === GameStatus.RUNNING,
   });
 
-  // Track previous state for sound triggering
+  // Track previous state for sound triggering on status transitions
   const prevStateRef = useRef({
     status: null,
-    dotsCollected: 0,
-    score: 0,
-    player2Score: 0,
     ghostsVulnerable: false,
-    lives: 3,
-    player2Lives: 3,
-    fruitActive: false,
   });
 
   // Initialize player positions when game state is created
@@ -117,12 +137,104 @@ function App() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []); // Only run on mount - intentionally ignore dependencies
 
-  // Save high score to localStorage when it changes
+  // Save high score to localStorage when it changes (replays never count)
+  useEffect(() => {
+    if (gameState.highScore > 0 && !gameState.replay) {
+      saveHighScore(gameState.highScore, gameState.endless);
+    }
+  }, [gameState.highScore, gameState.endless, gameState.replay]);
+
+  // Put both movement hooks back on the players' spawn tiles
+  const resetPlayerMovement = useCallback((state) => {
+    playerMovement.reset(state.player.x, state.player.y, 'right');
+    setPlayerDirection('right');
+    player2Movement.reset(state.player2.x, state.player2.y, 'left');
+    setPlayer2Direction('left');
+  }, [playerMovement, player2Movement]);
+
+  // Advance to the next level (or its intermission, or GAME_COMPLETE) and start it
+  const advanceLevel = useCallback(() => {
+    nextLevel();
+    const newState = useGameStore.getState();
+    // Only reset positions and start once the new level is ready
+    if (newState.status === GameStatus.IDLE) {
+      resetPlayerMovement(newState);
+      startGame();
+    }
+  }, [nextLevel, resetPlayerMovement, startGame]);
+
+  // Replay lifecycle: save finished games, auto-advance and end playback
   useEffect(() => {
-    if (gameState.highScore > 0) {
-      saveHighScore(gameState.highScore);
+    const state = useGameStore.getState();
+    const isFinished = state.status === GameStatus.GAME_OVER || state.status === GameStatus.GAME_COMPLETE;
+
+    if (state.replay) {
+      // Nobody is there to press Enter, so cleared levels move on by themselves;
+      // intermissions then play as in a live game
+      if (state.status === GameStatus.LEVEL_COMPLETE) {
+        advanceLevel();
+      } else if (isFinished) {
+        stopReplay();
+      }
+      return;
+    }
+
+    // A quit game's recording can never be completed
+    if (state.status === GameStatus.MODE_SELECT) {
+      recorderRef.current = null;
+    }
+
+    if (isFinished && recorderRef.current) {
+      saveLastReplay(recorderRef.current.finish({
+        score: state.score,
+        player2Score: state.player2Score,
+        level: state.level,
+      }));
+      recorderRef.current = null;
+    }
+  }, [gameState.status, gameState.replay, advanceLevel, stopReplay]);
+
+  // Save the run on pause and when the tab is hidden; a finished run has nothing to continue
+  const previousStatusRef = useRef(gameState.status);
+  useEffect(() => {
+    const state = useGameStore.getState();
+    if (previousStatusRef.current === state.status) {
+      return;
+    }
+
+    // MODE_SELECT -> PAUSED or READY outside a replay only happens when a saved game is continued
+    const isContinued = previousStatusRef.current === GameStatus.MODE_SELECT && !state.replay &&
+      (state.status === GameStatus.PAUSED || state.status === GameStatus.READY);
+    if (isContinued) {
+      const p1Direction = getDirectionName(state.player.direction, 'right');
+      const p2Direction = getDirectionName(state.player2.direction, 'left');
+      playerMovement.reset(state.player.x, state.player.y, p1Direction);
+      setPlayerDirection(p1Direction);
+      player2Movement.reset(state.player2.x, state.player2.y, p2Direction);
+      setPlayer2Direction(p2Direction);
+    }
+
+    if (state.status === GameStatus.PAUSED) {
+      saveGame(state);
+    } else if (!state.replay && (state.status === GameStatus.GAME_OVER || state.status === GameStatus.GAME_COMPLETE)) {
+      clearSavedGame();
     }
-  }, [gameState.highScore]);
+
+    previousStatusRef.current = state.status;
+  }, [gameState.status, playerMovement, player2Movement]);
+
+  useEffect(() => {
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') {
+        saveGame(useGameStore.getState());
+      }
+    };
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, []);
 
   // Sound effects based on game state changes
   useEffect(() => {
@@ -131,6 +243,14 @@ function App() {
     // Game status transitions
     if (prev.status !== gameState.status) {
       switch (gameState.status) {
+        case GameStatus.READY:
+          // A new game gets the full intro tune, later levels a short jingle
+          if (gameState.level === 1 && gameState.frameCount === 0) {
+            sounds.playIntro();
+          } else if (prev.status !== GameStatus.DYING) {
+            sounds.playGameStart();
+          }
+          break;
         case GameStatus.RUNNING:
           if (prev.status === GameStatus.IDLE || prev.status === GameStatus.MODE_SELECT) {
             sounds.playGameStart();
@@ -161,60 +281,47 @@ function App() {
       }
     }
 
-    // Dot collection (waka-waka sound)
-    const currentDotsCollected = gameState.dots?.collectedDots ?? 0;
-    if (currentDotsCollected > prev.dotsCollected && gameState.status === GameStatus.RUNNING) {
-      sounds.playDotEat();
-    }
-
-    // Power pellet (when ghosts become vulnerable)
-    if (gameState.ghostsVulnerable && !prev.ghostsVulnerable) {
-      sounds.playPowerPellet();
-      sounds.playFrightenedStart();
-    }
-    // Stop frightened sound when vulnerability ends
+    // Stop frightened sound when vulnerability ends (including respawn resets)
     if (!gameState.ghostsVulnerable && prev.ghostsVulnerable) {
       sounds.stopFrightenedSound();
     }
 
-    // Ghost eating - detect score jumps of 200, 400, 800, 1600 (ghost points)
-    // Check both players' scores
-    const scoreDiff = gameState.score - prev.score;
-    const player2ScoreDiff = gameState.player2Score - prev.player2Score;
-    const ghostPoints = [200, 400, 800, 1600];
-    if (ghostPoints.includes(scoreDiff) || ghostPoints.includes(player2ScoreDiff)) {
-      sounds.playGhostEat();
-    }
-
-    // Fruit collection - detect fruit going from active to inactive with score increase
-    if (prev.fruitActive && !gameState.fruit?.active && (scoreDiff > 0 || player2ScoreDiff > 0)) {
-      // Check if the score increase matches fruit points (100-5000 range, not ghost points)
-      const fruitPointValues = [100, 300, 500, 700, 1000, 2000, 3000, 5000];
-      if (fruitPointValues.includes(scoreDiff) || fruitPointValues.includes(player2ScoreDiff)) {
-        sounds.playFruitEat();
-      }
-    }
-
-    // Extra life detection (if score crosses 10000 threshold)
-    const prevThreshold = Math.floor(prev.score / 10000);
-    const currentThreshold = Math.floor(gameState.score / 10000);
-    if (currentThreshold > prevThreshold && gameState.status === GameStatus.RUNNING) {
-      sounds.playExtraLife();
-    }
-
     // Update previous state
     prevStateRef.current = {
       status: gameState.status,
-      dotsCollected: currentDotsCollected,
-      score: gameState.score,
-      player2Score: gameState.player2Score,
       ghostsVulnerable: gameState.ghostsVulnerable,
-      lives: gameState.lives,
-      player2Lives: gameState.player2Lives,
-      fruitActive: gameState.fruit?.active ?? false,
     };
   }, [gameState, sounds]);
 
+  // Sound effects driven by typed game events from the store
+  useEffect(() => {
+    return subscribeToGameEvents((event) => {
+      switch (event.type) {
+        case GameEventType.DOT_EATEN:
+          sounds.playDotEat();
+          break;
+        case GameEventType.POWER_PELLET:
+          sounds.playPowerPellet();
+          // Late-level pellets only reverse the ghosts
+          if (useGameStore.getState().ghostsVulnerable) {
+            sounds.playFrightenedStart();
+          }
+          break;
+        case GameEventType.GHOST_EATEN:
+          sounds.playGhostEat();
+          break;
+        case GameEventType.FRUIT_COLLECTED:
+          sounds.playFruitEat();
+          break;
+        case GameEventType.EXTRA_LIFE:
+          sounds.playExtraLife();
+          break;
+        default:
+          break;
+      }
+    });
+  }, [sounds]);
+
   // Handle keyboard input
   useEffect(() => {
     const handleKeyDown = (e) => {
@@ -243,30 +350,13 @@ function App() {
           startGame();
         } else if (state.status === GameStatus.PAUSED) {
           resumeGame();
-        } else if (state.status === GameStatus.LEVEL_COMPLETE) {
-          // Advance to next level (or GAME_COMPLETE if at MAX_LEVEL)
-          nextLevel();
-          const newState = useGameStore.getState();
-          // Only reset positions and start if not game complete
-          if (newState.status !== GameStatus.GAME_COMPLETE) {
-            playerMovement.setPosition(newState.player.x, newState.player.y);
-            playerMovement.setDirection('right');
-            setPlayerDirection('right');
-            player2Movement.setPosition(newState.player2.x, newState.player2.y);
-            player2Movement.setDirection('left');
-            setPlayer2Direction('left');
-            startGame();
-          }
+        } else if ((state.status === GameStatus.LEVEL_COMPLETE || state.status === GameStatus.INTERMISSION) && !state.replay) {
+          // During an intermission this skips the cutscene
+          advanceLevel();
         } else if (state.status === GameStatus.GAME_OVER || state.status === GameStatus.GAME_COMPLETE) {
           // Reset game to start fresh
           resetGame();
-          const newState = useGameStore.getState();
-          playerMovement.setPosition(newState.player.x, newState.player.y);
-          playerMovement.setDirection('right');
-          setPlayerDirection('right');
-          player2Movement.setPosition(newState.player2.x, newState.player2.y);
-          player2Movement.setDirection('left');
-          setPlayer2Direction('left');
+          resetPlayerMovement(useGameStore.getState());
           startGame();
         }
       }
@@ -284,6 +374,29 @@ function App() {
           setGameMode(GameMode.TWO_PLAYER);
         }
       }
+
+      // Continue the saved game
+      if (e.key === 'c' || e.key === 'C') {
+        const state = useGameStore.getState();
+        const savedGame = state.status === GameStatus.MODE_SELECT ? loadSavedGame() : null;
+        if (savedGame) {
+          continueGame(savedGame);
+        }
+      }
+
+      // Ghost AI debug overlay (development builds only)
+      if (e.key === DEBUG_OVERLAY_KEY && import.meta.env.DEV) {
+        setShowDebugOverlay((show) => !show);
+      }
+
+      // Watch the last finished game
+      if (e.key === 'r' || e.key === 'R') {
+        const state = useGameStore.getState();
+        const lastReplay = state.status === GameStatus.MODE_SELECT ? loadLastReplay() : null;
+        if (lastReplay) {
+          startReplay(lastReplay);
+        }
+      }
     };
     const handleKeyUp = (e) => {
       keysRef.current[e.key] = false;
@@ -296,7 +409,7 @@ function App() {
       window.removeEventListener('keydown', handleKeyDown);
       window.removeEventListener('keyup', handleKeyUp);
     };
-  }, [playerMovement, player2Movement, pauseGame, resumeGame, startGame, resetGame, nextLevel, setGameMode, sounds]);
+  }, [resetPlayerMovement, advanceLevel, pauseGame, resumeGame, startGame, resetGame, setGameMode, startReplay, continueGame, sounds]);
 
   // Get current input direction from S/D/F/E keys or touch controls for Player 1
   const getInputDirection = useCallback(() => {
@@ -323,8 +436,69 @@ function App() {
     return null;
   }, []);
 
-  const handleUpdate = useCallback((deltaTime) => {
+  const handleUpdate = useCallback((loopDeltaTime) => {
     const state = useGameStore.getState();
+    // Everything stays frozen while the READY banner counts down
+    if (state.status === GameStatus.READY) {
+      tick(loopDeltaTime);
+      return;
+    }
+    // Cutscenes play on wall-clock time and start the next level when they end
+    if (state.status === GameStatus.INTERMISSION) {
+      tick(loopDeltaTime);
+      const newState = useGameStore.getState();
+      if (newState.status === GameStatus.IDLE) {
+        resetPlayerMovement(newState);
+        startGame();
+      }
+      return;
+    }
+    if (state.status !== GameStatus.RUNNING && state.status !== GameStatus.DYING) {
+      return;
+    }
+    previousPositionsRef.current = capturePositions(state);
+
+    // Inputs and frame time come from the keyboard, or from the replay being played
+    let deltaTime = loopDeltaTime;
+    let inputDirection;
+    let player2Input;
+    if (state.replay) {
+      if (replayPlayerRef.current?.replay !== state.replay) {
+        replayPlayerRef.current = createReplayPlayer(state.replay);
+      }
+      const frame = replayPlayerRef.current.next();
+      if (!frame) {
+        stopReplay();
+        return;
+      }
+      ({ deltaTime, player1Input: inputDirection, player2Input } = frame);
+    } else {
+      inputDirection = getInputDirection();
+      player2Input = state.gameMode === GameMode.TWO_PLAYER ? getPlayer2InputDirection() : null;
+    }
+
+    // Every level starts from identical movement state so replays stay in sync
+    if (state.status === GameStatus.RUNNING && state.frameCount === 0) {
+      resetPlayerMovement(state);
+      if (!state.replay && state.level === 1) {
+        recorderRef.current = createReplayRecorder({
+          seed: state.seed,
+          gameMode: state.gameMode,
+          difficulty: state.difficulty,
+          endless: state.endless,
+        });
+      }
+    }
+    if (!state.replay) {
+      recorderRef.current?.record(deltaTime, inputDirection, player2Input);
+    }
+
+    // Nobody moves during the freeze after a ghost is eaten
+    if (state.ghostEatFreeze) {
+      tick(deltaTime);
+      return;
+    }
+    const movementOptions = getMovementOptions(state);
 
     // Handle death animation
     if (state.status === GameStatus.DYING) {
@@ -332,8 +506,7 @@ function App() {
       if (state.gameMode === GameMode.TWO_PLAYER) {
         if (state.dyingPlayer === 1) {
           // P1 is dying, keep P2 moving
-          const player2Input = getPlayer2InputDirection();
-          const player2State = player2Movement.update(state.maze, deltaTime, player2Input);
+          const player2State = player2Movement.update(state.maze, deltaTime, player2Input, movementOptions);
           setPlayer2Direction(player2State.direction);
           let direction2Obj = state.player2.direction;
           switch (player2State.direction) {
@@ -346,8 +519,7 @@ function App() {
           updatePlayer2Position(player2State.x, player2State.y, direction2Obj);
         } else if (state.dyingPlayer === 2) {
           // P2 is dying, keep P1 moving
-          const inputDirection = getInputDirection();
-          const playerState = playerMovement.update(state.maze, deltaTime, inputDirection);
+          const playerState = playerMovement.update(state.maze, deltaTime, inputDirection, movementOptions);
           setPlayerDirection(playerState.direction);
           let directionObj = state.player.direction;
           switch (playerState.direction) {
@@ -363,9 +535,9 @@ function App() {
 
       tick(deltaTime);
 
-      // Check if respawned (status changed from DYING to RUNNING)
+      // Check if respawned (status changed from DYING to READY)
       const newState = useGameStore.getState();
-      if (newState.status === GameStatus.RUNNING) {
+      if (newState.status === GameStatus.READY) {
         // Reset the respawned player's movement hook to match their new position
         if (state.dyingPlayer === 1 || state.gameMode !== GameMode.TWO_PLAYER) {
           playerMovement.setPosition(newState.player.x, newState.player.y);
@@ -380,15 +552,8 @@ function App() {
       return;
     }
 
-    if (state.status !== GameStatus.RUNNING) {
-      return;
-    }
-
-    // Get input direction
-    const inputDirection = getInputDirection();
-
     // Update player movement using the grid-based movement hook
-    const playerState = playerMovement.update(state.maze, deltaTime, inputDirection);
+    const playerState = playerMovement.update(state.maze, deltaTime, inputDirection, movementOptions);
 
     // Update player direction for rendering
     setPlayerDirection(playerState.direction);
@@ -408,8 +573,7 @@ function App() {
 
     // Player 2 movement using grid-based movement (IJKL keys) - only in 2P mode
     if (state.gameMode === GameMode.TWO_PLAYER) {
-      const player2Input = getPlayer2InputDirection();
-      const player2State = player2Movement.update(state.maze, deltaTime, player2Input);
+      const player2State = player2Movement.update(state.maze, deltaTime, player2Input, movementOptions);
 
       // Update Player 2 direction for rendering
       setPlayer2Direction(player2State.direction);
@@ -429,368 +593,49 @@ function App() {
     }
 
     tick(deltaTime);
-  }, [getInputDirection, getPlayer2InputDirection, playerMovement, player2Movement, tick, updatePlayerPosition, updatePlayer2Position]);
-
-  // Render game with neon glow effects
-  useEffect(() => {
-    const canvas = canvasRef.current;
-    if (!canvas) return;
 
-    const ctx = canvas.getContext('2d');
-    const { width: canvasWidth, height: canvasHeight } = getMazePixelSize(gameState.maze);
-
-    // Clear canvas
-    ctx.fillStyle = '#000';
-    ctx.fillRect(0, 0, canvasWidth, canvasHeight);
-
-    // Draw maze walls with neon glow
-    for (let y = 0; y < gameState.maze.length; y++) {
-      for (let x = 0; x < gameState.maze[y].length; x++) {
-        if (gameState.maze[y][x] === 1) {
-          drawWallTile(ctx, x, y, gameState.maze);
-        }
-      }
+    // Arcade movement loses frames for every dot eaten
+    if (movementOptions.model === MovementModel.ARCADE) {
+      const { events } = useGameStore.getState();
+      playerMovement.stall(getDotStallFrames(events, 1));
+      player2Movement.stall(getDotStallFrames(events, 2));
     }
+  }, [getInputDirection, getPlayer2InputDirection, playerMovement, player2Movement, resetPlayerMovement, startGame, stopReplay, tick, updatePlayerPosition, updatePlayer2Position]);
 
-    // Draw dots with subtle glow
-    const uncollectedDots = getUncollectedDots(gameState.dots);
-    for (const dot of uncollectedDots) {
-      if (dot.type === DotType.POWER) {
-        // Power pellet with glow
-        ctx.shadowColor = POWER_PELLET_COLOR;
-        ctx.shadowBlur = 10;
-        ctx.fillStyle = POWER_PELLET_COLOR;
-        ctx.beginPath();
-        ctx.arc(dot.x, dot.y, 6, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.shadowBlur = 0;
-      } else {
-        // Regular dot
-        ctx.fillStyle = DOT_COLOR;
-        ctx.beginPath();
-        ctx.arc(dot.x, dot.y, 2, 0, Math.PI * 2);
-        ctx.fill();
-      }
-    }
-
-    // Draw bonus fruit if active
-    if (gameState.fruit.active) {
-      const fruitData = getFruitData(gameState.fruit.type);
-      if (fruitData) {
-        const fruitX = gameState.fruit.x;
-        const fruitY = gameState.fruit.y;
-
-        // Draw fruit with glow effect
-        ctx.shadowColor = fruitData.color;
-        ctx.shadowBlur = 12;
-        ctx.fillStyle = fruitData.color;
-        ctx.beginPath();
-        ctx.arc(fruitX, fruitY, 8, 0, Math.PI * 2);
-        ctx.fill();
-
-        // Draw a smaller inner circle for visual interest
-        ctx.fillStyle = '#ffffff';
-        ctx.globalAlpha = 0.4;
-        ctx.beginPath();
-        ctx.arc(fruitX - 2, fruitY - 2, 3, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.globalAlpha = 1.0;
-        ctx.shadowBlur = 0;
-      }
-    }
-
-    // Draw collected fruit points popup
-    if (gameState.fruit.showPointsTimer > 0) {
-      const fruitX = FRUIT_SPAWN_TILE.x * TILE_SIZE + TILE_SIZE / 2;
-      const fruitY = FRUIT_SPAWN_TILE.y * TILE_SIZE + TILE_SIZE / 2;
-
-      ctx.font = 'bold 12px Arial';
-      ctx.fillStyle = '#ffffff';
-      ctx.textAlign = 'center';
-      ctx.shadowColor = '#ffff00';
-      ctx.shadowBlur = 8;
-      ctx.fillText(gameState.fruit.lastCollectedPoints.toString(), fruitX, fruitY - 10);
-      ctx.shadowBlur = 0;
-    }
-
-    // Draw random fruits (bonus items that spawn at random locations)
-    if (gameState.randomFruits && gameState.randomFruits.activeFruits) {
-      for (const fruit of gameState.randomFruits.activeFruits) {
-        const visualData = getRandomFruitVisualData(fruit);
-
-        // Apply opacity for fade-in/fade-out effects
-        ctx.globalAlpha = visualData.opacity;
-
-        // Draw fruit with glow effect
-        ctx.shadowColor = visualData.color;
-        ctx.shadowBlur = 12;
-        ctx.fillStyle = visualData.color;
-        ctx.beginPath();
-        ctx.arc(visualData.x, visualData.y, 8, 0, Math.PI * 2);
-        ctx.fill();
-
-        // Draw a smaller inner circle for visual interest
-        ctx.fillStyle = '#ffffff';
-        ctx.globalAlpha = visualData.opacity * 0.4;
-        ctx.beginPath();
-        ctx.arc(visualData.x - 2, visualData.y - 2, 3, 0, Math.PI * 2);
-        ctx.fill();
-
-        ctx.globalAlpha = 1.0;
-        ctx.shadowBlur = 0;
-      }
-
-      // Draw random fruit points popups
-      for (const popup of gameState.randomFruits.pointsPopups) {
-        ctx.font = 'bold 12px Arial';
-        ctx.fillStyle = '#ffffff';
-        ctx.textAlign = 'center';
-        ctx.shadowColor = '#ffff00';
-        ctx.shadowBlur = 8;
-        ctx.fillText(popup.points.toString(), popup.x, popup.y - 10);
-        ctx.shadowBlur = 0;
-      }
-    }
-
-    // Draw ghosts with neon glow
-    // In 2P mode, show ghosts during DYING so surviving player can see them
-    // Only fully hide ghosts on GAME_OVER (or in 1P mode during death animation)
-    const hideGhosts = gameState.status === GameStatus.GAME_OVER ||
-      (gameState.status === GameStatus.DYING && gameState.gameMode !== GameMode.TWO_PLAYER);
-    if (!hideGhosts) {
-      for (const ghostType of Object.keys(gameState.ghosts)) {
-        const ghost = gameState.ghosts[ghostType];
-        const gx = ghost.x;
-        const gy = ghost.y;
-        const size = TILE_SIZE / 2 - 2;
-
-      // Draw only eyes for eaten ghosts (returning to ghost house)
-      if (ghost.mode === GhostMode.EATEN) {
-        ctx.fillStyle = 'white';
-        ctx.beginPath();
-        ctx.ellipse(gx - size * 0.35, gy - size * 0.3, size * 0.25, size * 0.35, 0, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.beginPath();
-        ctx.ellipse(gx + size * 0.35, gy - size * 0.3, size * 0.25, size * 0.35, 0, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.fillStyle = '#1a1aff';
-        ctx.beginPath();
-        ctx.ellipse(gx - size * 0.3, gy - size * 0.25, size * 0.12, size * 0.18, 0, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.beginPath();
-        ctx.ellipse(gx + size * 0.4, gy - size * 0.25, size * 0.12, size * 0.18, 0, 0, Math.PI * 2);
-        ctx.fill();
-        continue;
-      }
-
-      // Determine color based on mode
-      let color = GHOST_COLORS[ghostType] || GHOST_COLORS.blinky;
-      if (ghost.mode === GhostMode.FRIGHTENED) {
-        // Flash white/blue in last 2 seconds
-        const flashing = gameState.vulnerabilityTimer < 2000;
-        if (flashing && Math.floor(gameState.elapsedTime / 200) % 2 === 0) {
-          color = '#ffffff';
-        } else {
-          color = FRIGHTENED_COLOR;
-        }
-      }
-
-      ctx.shadowColor = color;
-      ctx.shadowBlur = 12;
-      ctx.fillStyle = color;
-
-      // Draw ghost body (rounded top, wavy bottom)
-      ctx.beginPath();
-      ctx.arc(gx, gy - size * 0.2, size, Math.PI, 0, false);
-      ctx.lineTo(gx + size, gy + size * 0.6);
-      const waveCount = 3;
-      const waveWidth = (size * 2) / waveCount;
-      for (let i = 0; i < waveCount; i++) {
-        const x1 = gx + size - (i + 0.5) * waveWidth;
-        const x2 = gx + size - (i + 1) * waveWidth;
-        ctx.quadraticCurveTo(x1, gy + size * 0.3, x2, gy + size * 0.6);
-      }
-      ctx.lineTo(gx - size, gy - size * 0.2);
-      ctx.fill();
-      ctx.shadowBlur = 0;
+  // Draws the current state, blending positions between the last two simulation steps
+  const renderFrame = useCallback((alpha = 1) => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
 
-      // Draw eyes - normal or frightened face
-      if (ghost.mode !== GhostMode.FRIGHTENED) {
-        ctx.fillStyle = 'white';
-        ctx.beginPath();
-        ctx.ellipse(gx - size * 0.35, gy - size * 0.3, size * 0.25, size * 0.35, 0, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.beginPath();
-        ctx.ellipse(gx + size * 0.35, gy - size * 0.3, size * 0.25, size * 0.35, 0, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.fillStyle = '#1a1aff';
-        ctx.beginPath();
-        ctx.ellipse(gx - size * 0.3, gy - size * 0.25, size * 0.12, size * 0.18, 0, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.beginPath();
-        ctx.ellipse(gx + size * 0.4, gy - size * 0.25, size * 0.12, size * 0.18, 0, 0, Math.PI * 2);
-        ctx.fill();
-      } else {
-        // Frightened face - eyes and wavy mouth
-        ctx.fillStyle = '#fff';
-        // Draw larger eyes for better visibility
-        ctx.beginPath();
-        ctx.arc(gx - size * 0.3, gy - size * 0.2, 3, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.beginPath();
-        ctx.arc(gx + size * 0.3, gy - size * 0.2, 3, 0, Math.PI * 2);
-        ctx.fill();
-        // Draw wavy mouth
-        ctx.strokeStyle = '#fff';
-        ctx.lineWidth = 2;
-        ctx.beginPath();
-        const mouthY = gy + size * 0.15;
-        const mouthWidth = size * 0.7;
-        const waveHeight = size * 0.12;
-        ctx.moveTo(gx - mouthWidth / 2, mouthY);
-        // Draw 3 waves
-        for (let i = 0; i < 3; i++) {
-          const segmentWidth = mouthWidth / 3;
-          const x1 = gx - mouthWidth / 2 + segmentWidth * i + segmentWidth / 2;
-          const x2 = gx - mouthWidth / 2 + segmentWidth * (i + 1);
-          const y1 = i % 2 === 0 ? mouthY - waveHeight : mouthY + waveHeight;
-          ctx.quadraticCurveTo(x1, y1, x2, mouthY);
-        }
-        ctx.stroke();
-      }
-      }
+    const state = useGameStore.getState();
+    if (state.status === GameStatus.INTERMISSION) {
+      drawIntermission(canvas.getContext('2d'), state);
+      return;
     }
-
-
-    // Draw Player 1 (Pacman) with yellow glow and animated chomping mouth
-    // During death animation, show shrinking/deflating effect
-    if (gameState.status === GameStatus.DYING) {
-      // Calculate animation progress (0 = just died, 1 = animation complete)
-      const progress = 1 - (gameState.deathAnimationTimer / DEATH_ANIMATION_DURATION);
-
-      // Death animation: Pac-Man opens mouth wide and shrinks
-      const deathMouthAngle = Math.PI * progress; // Mouth opens to 180 degrees
-      const deathRadius = (TILE_SIZE / 2 - 2) * (1 - progress * 0.8); // Shrink to 20% size
-
-      if (deathRadius > 1) {
-        ctx.shadowColor = '#ffff00';
-        ctx.shadowBlur = 15 * (1 - progress);
-        ctx.fillStyle = '#ffff00';
-        ctx.globalAlpha = 1 - progress * 0.5; // Fade slightly
-
-        ctx.beginPath();
-        ctx.moveTo(gameState.player.x, gameState.player.y);
-        // Death animation rotates upward as it shrinks
-        const deathStartAngle = -Math.PI / 2 + deathMouthAngle;
-        const deathEndAngle = -Math.PI / 2 - deathMouthAngle + 2 * Math.PI;
-        ctx.arc(gameState.player.x, gameState.player.y, deathRadius, deathStartAngle, deathEndAngle);
-        ctx.closePath();
-        ctx.fill();
-        ctx.globalAlpha = 1;
-        ctx.shadowBlur = 0;
-      }
-    } else {
-      // Check if Player 1 should be visible (blinks when invincible)
-      const p1Invincible = isPlayerInvincible(gameState, 1);
-      const p1Visible = !p1Invincible || Math.floor(gameState.elapsedTime / 100) % 2 === 0;
-
-      if (p1Visible) {
-        ctx.shadowColor = '#ffff00';
-        ctx.shadowBlur = 15;
-        ctx.fillStyle = '#ffff00';
-
-        // Animated chomping mouth - oscillates between closed (0) and open (45 degrees)
-        // Uses sine wave for smooth interpolation, synced to movement speed
-        const chompFrequency = 8; // Chomps per second (classic Pac-Man feel)
-        const maxMouthAngle = 0.25 * Math.PI; // Maximum mouth opening (45 degrees)
-        const chompPhase = (gameState.elapsedTime / 1000) * chompFrequency * Math.PI;
-        const mouthAngle = maxMouthAngle * Math.abs(Math.sin(chompPhase));
-        let startAngle, endAngle;
-
-        switch (playerDirection) {
-          case 'right':
-            startAngle = mouthAngle;
-            endAngle = 2 * Math.PI - mouthAngle;
-            break;
-          case 'down':
-            startAngle = Math.PI / 2 + mouthAngle;
-            endAngle = Math.PI / 2 - mouthAngle + 2 * Math.PI;
-            break;
-          case 'left':
-            startAngle = Math.PI + mouthAngle;
-            endAngle = Math.PI - mouthAngle + 2 * Math.PI;
-            break;
-          case 'up':
-            startAngle = 3 * Math.PI / 2 + mouthAngle;
-            endAngle = 3 * Math.PI / 2 - mouthAngle + 2 * Math.PI;
-            break;
-          default:
-            startAngle = mouthAngle;
-            endAngle = 2 * Math.PI - mouthAngle;
-        }
-
-        ctx.beginPath();
-        ctx.moveTo(gameState.player.x, gameState.player.y);
-        ctx.arc(gameState.player.x, gameState.player.y, TILE_SIZE / 2 - 2, startAngle, endAngle);
-        ctx.closePath();
-        ctx.fill();
-        ctx.shadowBlur = 0;
-      }
+    const view = interpolateState(state, previousPositionsRef.current, alpha);
+    const ctx = canvas.getContext('2d');
+    drawGame(ctx, view, playerDirection, player2Direction);
+    if (showDebugOverlay) {
+      drawDebugOverlay(ctx, getDebugOverlay(view));
     }
+  }, [playerDirection, player2Direction, showDebugOverlay]);
 
-    // Draw Player 2 (Pac-Man) with cyan glow and animated chomping mouth - only in 2P mode
-    // Player 2 stays visible even during Player 1's death animation
-    if (gameState.gameMode === GameMode.TWO_PLAYER) {
-      // Check if Player 2 should be visible (blinks when invincible)
-      const p2Invincible = isPlayerInvincible(gameState, 2);
-      const p2Visible = !p2Invincible || Math.floor(gameState.elapsedTime / 100) % 2 === 0;
-
-      if (p2Visible) {
-        ctx.shadowColor = '#00ffff';
-        ctx.shadowBlur = 15;
-        ctx.fillStyle = '#00ffff';
-
-        // Animated chomping mouth for Player 2 - same animation as Player 1
-        // Slight phase offset makes the two players visually distinct
-        const chompFrequency2 = 8; // Chomps per second
-        const maxMouthAngle2 = 0.25 * Math.PI; // Maximum mouth opening (45 degrees)
-        const chompPhase2 = (gameState.elapsedTime / 1000) * chompFrequency2 * Math.PI + Math.PI / 4; // Phase offset
-        const mouthAngle2 = maxMouthAngle2 * Math.abs(Math.sin(chompPhase2));
-        let startAngle2, endAngle2;
-        switch (player2Direction) {
-          case 'right':
-            startAngle2 = mouthAngle2;
-            endAngle2 = 2 * Math.PI - mouthAngle2;
-            break;
-          case 'down':
-            startAngle2 = Math.PI / 2 + mouthAngle2;
-            endAngle2 = Math.PI / 2 - mouthAngle2 + 2 * Math.PI;
-            break;
-          case 'left':
-            startAngle2 = Math.PI + mouthAngle2;
-            endAngle2 = Math.PI - mouthAngle2 + 2 * Math.PI;
-            break;
-          case 'up':
-            startAngle2 = 3 * Math.PI / 2 + mouthAngle2;
-            endAngle2 = 3 * Math.PI / 2 - mouthAngle2 + 2 * Math.PI;
-            break;
-          default:
-            startAngle2 = mouthAngle2;
-            endAngle2 = 2 * Math.PI - mouthAngle2;
-        }
+  const isLoopRunning = gameState.status === GameStatus.READY ||
+    gameState.status === GameStatus.RUNNING ||
+    gameState.status === GameStatus.DYING ||
+    gameState.status === GameStatus.INTERMISSION;
 
-        ctx.beginPath();
-        ctx.moveTo(gameState.player2.x, gameState.player2.y);
-        ctx.arc(gameState.player2.x, gameState.player2.y, TILE_SIZE / 2 - 2, startAngle2, endAngle2);
-        ctx.closePath();
-        ctx.fill();
-        ctx.shadowBlur = 0;
-      }
+  // While the loop runs it draws every frame; otherwise redraw on state changes
+  useEffect(() => {
+    if (!isLoopRunning) {
+      renderFrame();
     }
-  }, [gameState, playerDirection, player2Direction]);
+  }, [gameState, isLoopRunning, renderFrame]);
 
-  const isLoopRunning = gameState.status === GameStatus.RUNNING || gameState.status === GameStatus.DYING;
-  useGameLoop(handleUpdate, isLoopRunning);
+  useGameLoop(handleUpdate, isLoopRunning, {
+    fixedTimestep: FIXED_TIMESTEP,
+    onRender: renderFrame,
+  });
 
 
   const { width: canvasWidth, height: canvasHeight } = getMazePixelSize(gameState.maze);
@@ -824,24 +669,30 @@ function App() {
           <PauseOverlay />
         )}
 
-        {gameState.status === GameStatus.GAME_OVER && (
+        {gameState.status === GameStatus.GAME_OVER && !gameState.replay && (
           <GameOverScreen />
         )}
 
-        {gameState.status === GameStatus.LEVEL_COMPLETE && (
+        {gameState.status === GameStatus.LEVEL_COMPLETE && !gameState.replay && (
           <LevelCompleteScreen />
         )}
 
-        {gameState.status === GameStatus.GAME_COMPLETE && (
+        {gameState.status === GameStatus.GAME_COMPLETE && !gameState.replay && (
           <GameCompleteScreen />
         )}
       </div>
 
+      {gameState.status === GameStatus.INTERMISSION && !gameState.replay && (
+        <div className="game-instructions">ENTER: Skip</div>
+      )}
+
       {gameState.status === GameStatus.RUNNING && (
         <div className="game-instructions">
-          {gameState.gameMode === GameMode.TWO_PLAYER
-            ? 'P1: SDFE | P2: IJKL | ESC: Pause'
-            : 'SDFE to move | ESC: Pause'}
+          {gameState.replay
+            ? 'REPLAY | ESC: Pause'
+            : gameState.gameMode === GameMode.TWO_PLAYER
+              ? 'P1: SDFE | P2: IJKL | ESC: Pause'
+              : 'SDFE to move | ESC: Pause'}
         </div>
       )}
 
@@ -867,6 +718,634 @@ function App() {
   );
 }
 
+// Render game with neon glow effects
+function drawGame(ctx, gameState, playerDirection, player2Direction) {
+  const { width: canvasWidth, height: canvasHeight } = getMazePixelSize(gameState.maze);
+
+  // Clear canvas
+  ctx.fillStyle = '#000';
+  ctx.fillRect(0, 0, canvasWidth, canvasHeight);
+
+  // Draw maze walls with neon glow
+  for (let y = 0; y < gameState.maze.length; y++) {
+    for (let x = 0; x < gameState.maze[y].length; x++) {
+      if (gameState.maze[y][x] === 1) {
+        drawWallTile(ctx, x, y, gameState.maze);
+      }
+    }
+  }
+
+  // Kill screen: garbage over the corrupted half of the maze
+  if (gameState.garbageTiles) {
+    drawGarbageTiles(ctx, gameState.garbageTiles);
+  }
+
+  // Draw dots with subtle glow
+  const uncollectedDots = getUncollectedDots(gameState.dots);
+  for (const dot of uncollectedDots) {
+    if (dot.type === DotType.POWER) {
+      // Power pellet with glow
+      ctx.shadowColor = POWER_PELLET_COLOR;
+      ctx.shadowBlur = 10;
+      ctx.fillStyle = POWER_PELLET_COLOR;
+      ctx.beginPath();
+      ctx.arc(dot.x, dot.y, 6, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.shadowBlur = 0;
+    } else {
+      // Regular dot
+      ctx.fillStyle = DOT_COLOR;
+      ctx.beginPath();
+      ctx.arc(dot.x, dot.y, 2, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+
+  // Draw bonus fruit if active
+  if (gameState.fruit.active) {
+    const fruitData = getFruitData(gameState.fruit.type);
+    if (fruitData) {
+      const fruitX = gameState.fruit.x;
+      const fruitY = gameState.fruit.y;
+
+      // Draw fruit with glow effect
+      ctx.shadowColor = fruitData.color;
+      ctx.shadowBlur = 12;
+      ctx.fillStyle = fruitData.color;
+      ctx.beginPath();
+      ctx.arc(fruitX, fruitY, 8, 0, Math.PI * 2);
+      ctx.fill();
+
+      // Draw a smaller inner circle for visual interest
+      ctx.fillStyle = '#ffffff';
+      ctx.globalAlpha = 0.4;
+      ctx.beginPath();
+      ctx.arc(fruitX - 2, fruitY - 2, 3, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.globalAlpha = 1.0;
+      ctx.shadowBlur = 0;
+    }
+  }
+
+  // Draw collected fruit points popup
+  if (gameState.fruit.showPointsTimer > 0) {
+    const fruitX = FRUIT_SPAWN_TILE.x * TILE_SIZE + TILE_SIZE / 2;
+    const fruitY = FRUIT_SPAWN_TILE.y * TILE_SIZE + TILE_SIZE / 2;
+
+    ctx.font = 'bold 12px Arial';
+    ctx.fillStyle = '#ffffff';
+    ctx.textAlign = 'center';
+    ctx.shadowColor = '#ffff00';
+    ctx.shadowBlur = 8;
+    ctx.fillText(gameState.fruit.lastCollectedPoints.toString(), fruitX, fruitY - 10);
+    ctx.shadowBlur = 0;
+  }
+
+  // Draw random fruits (bonus items that spawn at random locations)
+  if (gameState.randomFruits && gameState.randomFruits.activeFruits) {
+    for (const fruit of gameState.randomFruits.activeFruits) {
+      const visualData = getRandomFruitVisualData(fruit);
+
+      // Apply opacity for fade-in/fade-out effects
+      ctx.globalAlpha = visualData.opacity;
+
+      // Draw fruit with glow effect
+      ctx.shadowColor = visualData.color;
+      ctx.shadowBlur = 12;
+      ctx.fillStyle = visualData.color;
+      ctx.beginPath();
+      ctx.arc(visualData.x, visualData.y, 8, 0, Math.PI * 2);
+      ctx.fill();
+
+      // Draw a smaller inner circle for visual interest
+      ctx.fillStyle = '#ffffff';
+      ctx.globalAlpha = visualData.opacity * 0.4;
+      ctx.beginPath();
+      ctx.arc(visualData.x - 2, visualData.y - 2, 3, 0, Math.PI * 2);
+      ctx.fill();
+
+      ctx.globalAlpha = 1.0;
+      ctx.shadowBlur = 0;
+    }
+
+    // Draw random fruit points popups
+    for (const popup of gameState.randomFruits.pointsPopups) {
+      ctx.font = 'bold 12px Arial';
+      ctx.fillStyle = '#ffffff';
+      ctx.textAlign = 'center';
+      ctx.shadowColor = '#ffff00';
+      ctx.shadowBlur = 8;
+      ctx.fillText(popup.points.toString(), popup.x, popup.y - 10);
+      ctx.shadowBlur = 0;
+    }
+  }
+
+  // Draw ghosts with neon glow
+  // In 2P mode, show ghosts during DYING so surviving player can see them
+  // Only fully hide ghosts on GAME_OVER (or in 1P mode during death animation)
+  const hideGhosts = gameState.status === GameStatus.GAME_OVER ||
+    (gameState.status === GameStatus.DYING && gameState.gameMode !== GameMode.TWO_PLAYER);
+  // During the freeze after eating a ghost, its points replace it and the eater is hidden
+  const eatPopups = gameState.ghostEatFreeze?.popups ?? [];
+  if (!hideGhosts) {
+    for (const ghostType of Object.keys(gameState.ghosts)) {
+      if (eatPopups.some((popup) => popup.ghostType === ghostType)) {
+        continue;
+      }
+      const ghost = gameState.ghosts[ghostType];
+      const gx = ghost.x;
+      const gy = ghost.y;
+      const size = TILE_SIZE / 2 - 2;
+
+    // Draw only eyes for eaten ghosts (returning to ghost house)
+    if (ghost.mode === GhostMode.EATEN) {
+      ctx.fillStyle = 'white';
+      ctx.beginPath();
+      ctx.ellipse(gx - size * 0.35, gy - size * 0.3, size * 0.25, size * 0.35, 0, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.beginPath();
+      ctx.ellipse(gx + size * 0.35, gy - size * 0.3, size * 0.25, size * 0.35, 0, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = '#1a1aff';
+      ctx.beginPath();
+      ctx.ellipse(gx - size * 0.3, gy - size * 0.25, size * 0.12, size * 0.18, 0, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.beginPath();
+      ctx.ellipse(gx + size * 0.4, gy - size * 0.25, size * 0.12, size * 0.18, 0, 0, Math.PI * 2);
+      ctx.fill();
+      continue;
+    }
+
+    // Determine color based on mode
+    let color = getGhostPersonality(ghost.type).color;
+    if (ghost.mode === GhostMode.FRIGHTENED) {
+      // Flash white/blue for the level's warning flashes
+      if (isFrightenedFlashWhite(gameState)) {
+        color = '#ffffff';
+      } else {
+        color = FRIGHTENED_COLOR;
+      }
+    }
+
+    ctx.shadowColor = color;
+    ctx.shadowBlur = 12;
+    ctx.fillStyle = color;
+
+    // Draw ghost body (rounded top, wavy bottom)
+    ctx.beginPath();
+    ctx.arc(gx, gy - size * 0.2, size, Math.PI, 0, false);
+    ctx.lineTo(gx + size, gy + size * 0.6);
+    const waveCount = 3;
+    const waveWidth = (size * 2) / waveCount;
+    for (let i = 0; i < waveCount; i++) {
+      const x1 = gx + size - (i + 0.5) * waveWidth;
+      const x2 = gx + size - (i + 1) * waveWidth;
+      ctx.quadraticCurveTo(x1, gy + size * 0.3, x2, gy + size * 0.6);
+    }
+    ctx.lineTo(gx - size, gy - size * 0.2);
+    ctx.fill();
+    ctx.shadowBlur = 0;
+
+    // Draw eyes - normal or frightened face
+    if (ghost.mode !== GhostMode.FRIGHTENED) {
+      ctx.fillStyle = 'white';
+      ctx.beginPath();
+      ctx.ellipse(gx - size * 0.35, gy - size * 0.3, size * 0.25, size * 0.35, 0, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.beginPath();
+      ctx.ellipse(gx + size * 0.35, gy - size * 0.3, size * 0.25, size * 0.35, 0, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = '#1a1aff';
+      ctx.beginPath();
+      ctx.ellipse(gx - size * 0.3, gy - size * 0.25, size * 0.12, size * 0.18, 0, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.beginPath();
+      ctx.ellipse(gx + size * 0.4, gy - size * 0.25, size * 0.12, size * 0.18, 0, 0, Math.PI * 2);
+      ctx.fill();
+    } else {
+      // Frightened face - eyes and wavy mouth
+      ctx.fillStyle = '#fff';
+      // Draw larger eyes for better visibility
+      ctx.beginPath();
+      ctx.arc(gx - size * 0.3, gy - size * 0.2, 3, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.beginPath();
+      ctx.arc(gx + size * 0.3, gy - size * 0.2, 3, 0, Math.PI * 2);
+      ctx.fill();
+      // Draw wavy mouth
+      ctx.strokeStyle = '#fff';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      const mouthY = gy + size * 0.15;
+      const mouthWidth = size * 0.7;
+      const waveHeight = size * 0.12;
+      ctx.moveTo(gx - mouthWidth / 2, mouthY);
+      // Draw 3 waves
+      for (let i = 0; i < 3; i++) {
+        const segmentWidth = mouthWidth / 3;
+        const x1 = gx - mouthWidth / 2 + segmentWidth * i + segmentWidth / 2;
+        const x2 = gx - mouthWidth / 2 + segmentWidth * (i + 1);
+        const y1 = i % 2 === 0 ? mouthY - waveHeight : mouthY + waveHeight;
+        ctx.quadraticCurveTo(x1, y1, x2, mouthY);
+      }
+      ctx.stroke();
+    }
+    }
+  }
+
+
+  // Draw Player 1 (Pacman) with yellow glow and animated chomping mouth
+  // During death animation, show shrinking/deflating effect
+  if (gameState.status === GameStatus.DYING) {
+    // Calculate animation progress (0 = just died, 1 = animation complete)
+    const progress = 1 - (gameState.deathAnimationTimer / DEATH_ANIMATION_DURATION);
+
+    // Death animation: Pac-Man opens mouth wide and shrinks
+    const deathMouthAngle = Math.PI * progress; // Mouth opens to 180 degrees
+    const deathRadius = (TILE_SIZE / 2 - 2) * (1 - progress * 0.8); // Shrink to 20% size
+
+    if (deathRadius > 1) {
+      ctx.shadowColor = '#ffff00';
+      ctx.shadowBlur = 15 * (1 - progress);
+      ctx.fillStyle = '#ffff00';
+      ctx.globalAlpha = 1 - progress * 0.5; // Fade slightly
+
+      ctx.beginPath();
+      ctx.moveTo(gameState.player.x, gameState.player.y);
+      // Death animation rotates upward as it shrinks
+      const deathStartAngle = -Math.PI / 2 + deathMouthAngle;
+      const deathEndAngle = -Math.PI / 2 - deathMouthAngle + 2 * Math.PI;
+      ctx.arc(gameState.player.x, gameState.player.y, deathRadius, deathStartAngle, deathEndAngle);
+      ctx.closePath();
+      ctx.fill();
+      ctx.globalAlpha = 1;
+      ctx.shadowBlur = 0;
+    }
+  } else {
+    // Check if Player 1 should be visible (blinks when invincible)
+    const p1Invincible = isPlayerInvincible(gameState, 1);
+    // The clock is stopped during READY, so skip the blink until play resumes
+    const p1Eating = eatPopups.some((popup) => popup.player === 1);
+    const p1Visible = !p1Eating && (!p1Invincible || gameState.status === GameStatus.READY ||
+      Math.floor(gameState.elapsedTime / 100) % 2 === 0);
+
+    if (p1Visible) {
+      ctx.shadowColor = '#ffff00';
+      ctx.shadowBlur = 15;
+      ctx.fillStyle = '#ffff00';
+
+      // Animated chomping mouth - oscillates between closed (0) and open (45 degrees)
+      // Uses sine wave for smooth interpolation, synced to movement speed
+      const chompFrequency = 8; // Chomps per second (classic Pac-Man feel)
+      const maxMouthAngle = 0.25 * Math.PI; // Maximum mouth opening (45 degrees)
+      const chompPhase = (gameState.elapsedTime / 1000) * chompFrequency * Math.PI;
+      const mouthAngle = maxMouthAngle * Math.abs(Math.sin(chompPhase));
+      let startAngle, endAngle;
+
+      switch (playerDirection) {
+        case 'right':
+          startAngle = mouthAngle;
+          endAngle = 2 * Math.PI - mouthAngle;
+          break;
+        case 'down':
+          startAngle = Math.PI / 2 + mouthAngle;
+          endAngle = Math.PI / 2 - mouthAngle + 2 * Math.PI;
+          break;
+        case 'left':
+          startAngle = Math.PI + mouthAngle;
+          endAngle = Math.PI - mouthAngle + 2 * Math.PI;
+          break;
+        case 'up':
+          startAngle = 3 * Math.PI / 2 + mouthAngle;
+          endAngle = 3 * Math.PI / 2 - mouthAngle + 2 * Math.PI;
+          break;
+        default:
+          startAngle = mouthAngle;
+          endAngle = 2 * Math.PI - mouthAngle;
+      }
+
+      ctx.beginPath();
+      ctx.moveTo(gameState.player.x, gameState.player.y);
+      ctx.arc(gameState.player.x, gameState.player.y, TILE_SIZE / 2 - 2, startAngle, endAngle);
+      ctx.closePath();
+      ctx.fill();
+      ctx.shadowBlur = 0;
+    }
+  }
+
+  // Draw Player 2 (Pac-Man) with cyan glow and animated chomping mouth - only in 2P mode
+  // Player 2 stays visible even during Player 1's death animation
+  if (gameState.gameMode === GameMode.TWO_PLAYER) {
+    // Check if Player 2 should be visible (blinks when invincible)
+    const p2Invincible = isPlayerInvincible(gameState, 2);
+    const p2Eating = eatPopups.some((popup) => popup.player === 2);
+    const p2Visible = !p2Eating && (!p2Invincible || gameState.status === GameStatus.READY ||
+      Math.floor(gameState.elapsedTime / 100) % 2 === 0);
+
+    if (p2Visible) {
+      ctx.shadowColor = '#00ffff';
+      ctx.shadowBlur = 15;
+      ctx.fillStyle = '#00ffff';
+
+      // Animated chomping mouth for Player 2 - same animation as Player 1
+      // Slight phase offset makes the two players visually distinct
+      const chompFrequency2 = 8; // Chomps per second
+      const maxMouthAngle2 = 0.25 * Math.PI; // Maximum mouth opening (45 degrees)
+      const chompPhase2 = (gameState.elapsedTime / 1000) * chompFrequency2 * Math.PI + Math.PI / 4; // Phase offset
+      const mouthAngle2 = maxMouthAngle2 * Math.abs(Math.sin(chompPhase2));
+      let startAngle2, endAngle2;
+      switch (player2Direction) {
+        case 'right':
+          startAngle2 = mouthAngle2;
+          endAngle2 = 2 * Math.PI - mouthAngle2;
+          break;
+        case 'down':
+          startAngle2 = Math.PI / 2 + mouthAngle2;
+          endAngle2 = Math.PI / 2 - mouthAngle2 + 2 * Math.PI;
+          break;
+        case 'left':
+          startAngle2 = Math.PI + mouthAngle2;
+          endAngle2 = Math.PI - mouthAngle2 + 2 * Math.PI;
+          break;
+        case 'up':
+          startAngle2 = 3 * Math.PI / 2 + mouthAngle2;
+          endAngle2 = 3 * Math.PI / 2 - mouthAngle2 + 2 * Math.PI;
+          break;
+        default:
+          startAngle2 = mouthAngle2;
+          endAngle2 = 2 * Math.PI - mouthAngle2;
+      }
+
+      ctx.beginPath();
+      ctx.moveTo(gameState.player2.x, gameState.player2.y);
+      ctx.arc(gameState.player2.x, gameState.player2.y, TILE_SIZE / 2 - 2, startAngle2, endAngle2);
+      ctx.closePath();
+      ctx.fill();
+      ctx.shadowBlur = 0;
+    }
+  }
+
+  if (eatPopups.length > 0) {
+    drawGhostEatPopups(ctx, eatPopups, gameState.gameMode === GameMode.TWO_PLAYER);
+  }
+
+  if (gameState.status === GameStatus.READY) {
+    drawReadyBanner(ctx, canvasWidth);
+  }
+}
+
+// Centre of a tile in pixels
+function tileCenter(tile) {
+  return { x: (tile.tileX + 0.5) * TILE_SIZE, y: (tile.tileY + 0.5) * TILE_SIZE };
+}
+
+// Ghost AI debug overlay: targets, planned moves, Inky's vector, Clyde's radius,
+// the ghost house and no-up tiles, plus the scatter/chase mode (see DebugOverlay.js)
+function drawDebugOverlay(ctx, overlay) {
+  ctx.save();
+  ctx.lineWidth = 1;
+
+  // Ghost house pen
+  const { minX, maxX, minY, maxY } = overlay.houseBounds;
+  ctx.strokeStyle = '#ffffff';
+  ctx.setLineDash([4, 4]);
+  ctx.strokeRect(minX, minY, maxX - minX, maxY - minY);
+
+  // No-up intersections: a bar across the top of the tile
+  ctx.setLineDash([]);
+  ctx.strokeStyle = '#ff4040';
+  ctx.lineWidth = 2;
+  for (const tile of overlay.noUpTiles) {
+    ctx.beginPath();
+    ctx.moveTo(tile.tileX * TILE_SIZE + 2, tile.tileY * TILE_SIZE + 2);
+    ctx.lineTo((tile.tileX + 1) * TILE_SIZE - 2, tile.tileY * TILE_SIZE + 2);
+    ctx.stroke();
+  }
+
+  for (const ghost of overlay.ghosts) {
+    ctx.strokeStyle = ghost.color;
+    ctx.fillStyle = ghost.color;
+    ctx.lineWidth = 1;
+
+    // Shortest path being followed
+    if (ghost.path?.length > 1) {
+      ctx.setLineDash([2, 3]);
+      ctx.beginPath();
+      ghost.path.forEach((tile, index) => {
+        const { x, y } = tileCenter(tile);
+        if (index === 0) {
+          ctx.moveTo(x, y);
+        } else {
+          ctx.lineTo(x, y);
+        }
+      });
+      ctx.stroke();
+    }
+
+    // Target tile, with a line to it
+    if (ghost.targetTile) {
+      const target = tileCenter(ghost.targetTile);
+      ctx.setLineDash([6, 4]);
+      ctx.beginPath();
+      ctx.moveTo(ghost.x, ghost.y);
+      ctx.lineTo(target.x, target.y);
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.strokeRect(target.x - TILE_SIZE / 2 + 1, target.y - TILE_SIZE / 2 + 1, TILE_SIZE - 2, TILE_SIZE - 2);
+    }
+
+    // Inky: Blinky -> pivot ahead of the player -> target
+    if (ghost.flankVector) {
+      const from = tileCenter(ghost.flankVector.from);
+      const pivot = tileCenter(ghost.flankVector.pivot);
+      const to = tileCenter(ghost.flankVector.to);
+      ctx.setLineDash([]);
+      ctx.beginPath();
+      ctx.moveTo(from.x, from.y);
+      ctx.lineTo(pivot.x, pivot.y);
+      ctx.lineTo(to.x, to.y);
+      ctx.stroke();
+      ctx.beginPath();
+      ctx.arc(pivot.x, pivot.y, 3, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    // Clyde: inside this radius he gives up and heads for his corner
+    if (ghost.shyRadius) {
+      ctx.setLineDash([3, 3]);
+      ctx.beginPath();
+      ctx.arc(ghost.x, ghost.y, ghost.shyRadius, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+
+    // Planned direction
+    const { dx, dy } = ghost.direction;
+    if (dx !== 0 || dy !== 0) {
+      const tipX = ghost.x + dx * TILE_SIZE;
+      const tipY = ghost.y + dy * TILE_SIZE;
+      ctx.setLineDash([]);
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(ghost.x, ghost.y);
+      ctx.lineTo(tipX, tipY);
+      ctx.lineTo(tipX - dx * 4 - dy * 4, tipY - dy * 4 - dx * 4);
+      ctx.moveTo(tipX, tipY);
+      ctx.lineTo(tipX - dx * 4 + dy * 4, tipY - dy * 4 + dx * 4);
+      ctx.stroke();
+    }
+  }
+
+  // Scatter/chase mode and time spent in it
+  const { phase } = overlay;
+  const duration = phase.isFinal ? '∞' : `${(phase.duration / 1000).toFixed(1)}s`;
+  ctx.font = `bold ${Math.round(TILE_SIZE * 0.5)}px monospace`;
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  ctx.fillStyle = '#ffffff';
+  ctx.fillText(
+    `${overlay.globalMode.toUpperCase()} ${(overlay.modeTimer / 1000).toFixed(1)}s / ${duration} (phase ${phase.index})`,
+    4,
+    4
+  );
+  ctx.restore();
+}
+
+// Draw the points for each ghost just eaten where the ghost was; in 2P they take the eater's colour
+function drawGhostEatPopups(ctx, popups, isTwoPlayer) {
+  ctx.save();
+  ctx.font = `bold ${Math.round(TILE_SIZE * 0.6)}px Arial`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  for (const popup of popups) {
+    const color = isTwoPlayer ? PLAYER_COLORS[popup.player] : GHOST_POINTS_COLOR;
+    ctx.shadowColor = color;
+    ctx.shadowBlur = 8;
+    ctx.fillStyle = color;
+    ctx.fillText(popup.points.toString(), popup.x, popup.y);
+  }
+  ctx.restore();
+}
+
+// Draw the "READY!" banner in the maze, just below the ghost house as in the arcade
+function drawReadyBanner(ctx, canvasWidth) {
+  ctx.save();
+  ctx.font = `bold ${Math.round(TILE_SIZE * 0.8)}px Arial`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.shadowColor = READY_COLOR;
+  ctx.shadowBlur = 10;
+  ctx.fillStyle = READY_COLOR;
+  ctx.fillText('READY!', canvasWidth / 2, (READY_BANNER_ROW + 0.5) * TILE_SIZE);
+  ctx.restore();
+}
+
+// Render the intermission cutscene's actors on a blank screen
+function drawIntermission(ctx, gameState) {
+  const { width: canvasWidth, height: canvasHeight } = getMazePixelSize(gameState.maze);
+  ctx.fillStyle = '#000';
+  ctx.fillRect(0, 0, canvasWidth, canvasHeight);
+
+  const { cutscene, elapsed } = gameState.intermission;
+  for (const actor of getCutsceneFrame(getCutscene(cutscene), elapsed)) {
+    switch (actor.sprite) {
+      case 'pacman':
+        drawCutscenePacman(ctx, actor, elapsed);
+        break;
+      case 'ghost':
+        drawCutsceneGhost(ctx, actor);
+        break;
+      case 'block':
+        ctx.fillStyle = actor.color || '#ffffff';
+        ctx.fillRect(actor.x - actor.width / 2, actor.y - actor.height / 2, actor.width, actor.height);
+        break;
+      default:
+        break;
+    }
+  }
+}
+
+// Cutscene Pac-Man: chomping, facing the actor's direction
+function drawCutscenePacman(ctx, actor, elapsed) {
+  const radius = (TILE_SIZE / 2 - 2) * actor.scale;
+  const mouthAngle = 0.25 * Math.PI * Math.abs(Math.sin((elapsed / 1000) * 8 * Math.PI));
+  const facing = { right: 0, down: Math.PI / 2, left: Math.PI, up: 3 * Math.PI / 2 }[actor.direction] ?? 0;
+
+  ctx.shadowColor = '#ffff00';
+  ctx.shadowBlur = 15;
+  ctx.fillStyle = '#ffff00';
+  ctx.beginPath();
+  ctx.moveTo(actor.x, actor.y);
+  ctx.arc(actor.x, actor.y, radius, facing + mouthAngle, facing - mouthAngle + 2 * Math.PI);
+  ctx.closePath();
+  ctx.fill();
+  ctx.shadowBlur = 0;
+}
+
+// Cutscene ghost: body in its colour (or frightened blue) with eyes looking its way
+function drawCutsceneGhost(ctx, actor) {
+  const size = (TILE_SIZE / 2 - 2) * actor.scale;
+  const color = actor.frightened ? FRIGHTENED_COLOR : getGhostPersonality(actor.ghostType).color;
+  const { x: gx, y: gy } = actor;
+
+  ctx.shadowColor = color;
+  ctx.shadowBlur = 12;
+  ctx.fillStyle = color;
+  ctx.beginPath();
+  ctx.arc(gx, gy - size * 0.2, size, Math.PI, 0, false);
+  ctx.lineTo(gx + size, gy + size * 0.6);
+  const waveWidth = (size * 2) / 3;
+  for (let i = 0; i < 3; i++) {
+    ctx.quadraticCurveTo(gx + size - (i + 0.5) * waveWidth, gy + size * 0.3, gx + size - (i + 1) * waveWidth, gy + size * 0.6);
+  }
+  ctx.lineTo(gx - size, gy - size * 0.2);
+  ctx.fill();
+  ctx.shadowBlur = 0;
+
+  if (actor.frightened) {
+    ctx.fillStyle = '#fff';
+    for (const offset of [-0.3, 0.3]) {
+      ctx.beginPath();
+      ctx.arc(gx + size * offset, gy - size * 0.2, 3 * actor.scale, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    return;
+  }
+
+  const look = {
+    right: { dx: 0.1, dy: 0 },
+    left: { dx: -0.1, dy: 0 },
+    up: { dx: 0, dy: -0.12 },
+    down: { dx: 0, dy: 0.12 },
+  }[actor.direction] ?? { dx: 0, dy: 0 };
+  for (const offset of [-0.35, 0.35]) {
+    ctx.fillStyle = 'white';
+    ctx.beginPath();
+    ctx.ellipse(gx + size * offset, gy - size * 0.3, size * 0.25, size * 0.35, 0, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = '#1a1aff';
+    ctx.beginPath();
+    ctx.ellipse(gx + size * (offset + look.dx), gy - size * (0.25 - look.dy), size * 0.12, size * 0.18, 0, 0, Math.PI * 2);
+    ctx.fill();
+  }
+}
+
+// Draw kill screen garbage: a coloured glyph on a dark block per tile
+function drawGarbageTiles(ctx, tiles) {
+  ctx.save();
+  ctx.font = `bold ${Math.round(TILE_SIZE * 0.7)}px monospace`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  for (const tile of tiles) {
+    const x = tile.tileX * TILE_SIZE;
+    const y = tile.tileY * TILE_SIZE;
+    ctx.fillStyle = '#000';
+    ctx.fillRect(x, y, TILE_SIZE, TILE_SIZE);
+    ctx.fillStyle = tile.color;
+    ctx.fillText(tile.glyph, x + TILE_SIZE / 2, y + TILE_SIZE / 2);
+  }
+  ctx.restore();
+}
+
 // Draw wall tile with neon glow effect
 function drawWallTile(ctx, col, row, maze) {
   const x = col * TILE_SIZE;
@@ -20,10 +20,11 @@ const GameOverState = {
 export default function GameOverScreen() {
   const score = useGameStore((state) => state.score);
   const level = useGameStore((state) => state.level);
+  const endless = useGameStore((state) => state.endless);
   const resetGame = useGameStore((state) => state.resetGame);
 
   // Compute initial screen state based on whether score qualifies for leaderboard
-  const qualifiesForHighScore = isHighScore(score);
+  const qualifiesForHighScore = isHighScore(score, endless);
   const [screenState, setScreenState] = useState(
     qualifiesForHighScore ? GameOverState.ENTERING_INITIALS : GameOverState.SHOWING_LEADERBOARD
   );
@@ -31,7 +32,7 @@ export default function GameOverScreen() {
 
   // Handle initials submission
   const handleInitialsSubmit = useCallback((initials) => {
-    const rank = saveScore(initials, score, level);
+    const rank = saveScore(initials, score, level, endless);
     setAchievedRank(rank);
     setScreenState(GameOverState.SHOWING_RESULT);
 
@@ -39,7 +40,7 @@ export default function GameOverScreen() {
     setTimeout(() => {
       setScreenState(GameOverState.SHOWING_LEADERBOARD);
     }, 2000);
-  }, [score, level]);
+  }, [score, level, endless]);
 
   // Handle skipping initials entry
   const handleInitialsCancel = useCallback(() => {
@@ -94,7 +95,7 @@ export default function GameOverScreen() {
               </div>
             </div>
 
-            <Leaderboard highlightRank={achievedRank} />
+            <Leaderboard highlightRank={achievedRank} endless={endless} />
 
             <button className="menu-button restart-button" onClick={resetGame}>
               PLAY AGAIN
@@ -1,16 +1,18 @@
 /**
  * Leaderboard display component showing top 10 high scores.
+ * Endless mode has its own leaderboard.
  */
 
 import { getLeaderboard, formatDate } from '../utils/leaderboard';
 
-export default function Leaderboard({ highlightRank = -1 }) {
-  const entries = getLeaderboard();
+export default function Leaderboard({ highlightRank = -1, endless = false }) {
+  const entries = getLeaderboard(endless);
+  const title = endless ? 'ENDLESS HIGH SCORES' : 'HIGH SCORES';
 
   if (entries.length === 0) {
     return (
       <div className="leaderboard">
-        <h3 className="leaderboard-title">HIGH SCORES</h3>
+        <h3 className="leaderboard-title">{title}</h3>
         <p className="leaderboard-empty">No scores yet!</p>
         <p className="leaderboard-empty-hint">Be the first to set a high score!</p>
       </div>
@@ -19,7 +21,7 @@ export default function Leaderboard({ highlightRank = -1 }) {
 
   return (
     <div className="leaderboard">
-      <h3 className="leaderboard-title">HIGH SCORES</h3>
+      <h3 className="leaderboard-title">{title}</h3>
 
       <div className="leaderboard-header">
         <span className="lb-rank">RNK</span>
@@ -3,14 +3,16 @@
  * Displays level completion message and score.
  */
 
-import { useGameStore, MAX_LEVEL } from '../store';
+import { useGameStore } from '../store';
+import { getFinalLevel } from '../game/GameState.js';
 
 export default function LevelCompleteScreen() {
   const score = useGameStore((state) => state.score);
   const level = useGameStore((state) => state.level);
   const nextLevel = useGameStore((state) => state.nextLevel);
+  const finalLevel = useGameStore(getFinalLevel);
 
-  const isLastLevel = level >= MAX_LEVEL;
+  const isLastLevel = level >= finalLevel;
   const buttonText = isLastLevel ? 'FINISH GAME' : 'NEXT LEVEL';
 
   return (
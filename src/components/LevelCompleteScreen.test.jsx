@@ -140,14 +140,25 @@ describe('LevelCompleteScreen', () => {
       expect(state.level).toBe(2);
     });
 
-    it('advances from level 2 to level 3', async () => {
+    it('advances from level 3 to level 4', async () => {
       const user = userEvent.setup();
-      render(<LevelCompleteScreen />, { initialState: { level: 2 } });
+      render(<LevelCompleteScreen />, { initialState: { level: 3 } });
 
       await user.click(screen.getByRole('button', { name: 'NEXT LEVEL' }));
 
       const { useGameStore } = await import('../store/gameStore.js');
-      expect(useGameStore.getState().level).toBe(3);
+      expect(useGameStore.getState().level).toBe(4);
+    });
+
+    it('plays the intermission after level 2', async () => {
+      const user = userEvent.setup();
+      render(<LevelCompleteScreen />, { initialState: { level: 2 } });
+
+      await user.click(screen.getByRole('button', { name: 'NEXT LEVEL' }));
+
+      const { useGameStore, GameStatus } = await import('../store/gameStore.js');
+      expect(useGameStore.getState().status).toBe(GameStatus.INTERMISSION);
+      expect(useGameStore.getState().level).toBe(2);
     });
 
     it('advances from level 4 to level 5', async () => {
@@ -286,14 +297,14 @@ describe('LevelCompleteScreen', () => {
 
     it('button can be activated with Space key', async () => {
       const user = userEvent.setup();
-      render(<LevelCompleteScreen />, { initialState: { level: 2 } });
+      render(<LevelCompleteScreen />, { initialState: { level: 3 } });
 
       const button = screen.getByRole('button');
       button.focus();
       await user.keyboard(' ');
 
       const { useGameStore } = await import('../store/gameStore.js');
-      expect(useGameStore.getState().level).toBe(3);
+      expect(useGameStore.getState().level).toBe(4);
     });
 
     it('has semantic heading for level complete title', () => {
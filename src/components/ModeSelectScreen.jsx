@@ -1,21 +1,53 @@
 /**
  * Mode selection screen for Pac-Man game.
  * Allows player to choose between 1-player and 2-player mode,
- * and select difficulty level.
+ * select difficulty level and campaign or endless play, continue a saved game,
+ * and watch or share replays.
  */
 
+import { useState } from 'react';
 import { useGameStore, Difficulty } from '../store';
 import { DIFFICULTY_PRESETS } from '../game/DifficultyConfig.js';
+import { MAX_LEVEL, KILL_SCREEN_LEVEL } from '../game/GameState.js';
+import { loadLastReplay, downloadReplay, readReplayFile } from '../utils/replayStorage.js';
+import { loadSavedGame } from '../utils/savedGame.js';
 
 export default function ModeSelectScreen() {
   const setGameMode = useGameStore((state) => state.setGameMode);
   const difficulty = useGameStore((state) => state.difficulty);
   const setDifficulty = useGameStore((state) => state.setDifficulty);
+  const endless = useGameStore((state) => state.endless);
+  const setEndless = useGameStore((state) => state.setEndless);
+  const startReplay = useGameStore((state) => state.startReplay);
+  const continueGame = useGameStore((state) => state.continueGame);
+  const [savedGame] = useState(() => loadSavedGame());
+  const [lastReplay] = useState(() => loadLastReplay());
+  const [replayError, setReplayError] = useState(false);
+
+  const handleReplayFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const replay = await readReplayFile(file);
+    if (replay) {
+      startReplay(replay);
+    } else {
+      setReplayError(true);
+    }
+  };
 
   return (
     <div className="menu-overlay mode-select-screen">
       <h1 className="menu-title">PAC-MAN</h1>
 
+      {savedGame && (
+        <button className="continue-button" onClick={() => continueGame(savedGame)}>
+          <span className="continue-label">CONTINUE</span>
+          <span className="continue-desc">
+            Level {savedGame.level} · {savedGame.gameMode === '2P' ? '2 PLAYERS' : '1 PLAYER'} · {savedGame.score}
+          </span>
+        </button>
+      )}
+
       <div className="difficulty-select-container">
         <h3 className="difficulty-header">DIFFICULTY</h3>
         <div className="difficulty-buttons">
@@ -34,6 +66,29 @@ export default function ModeSelectScreen() {
         </div>
       </div>
 
+      <div className="game-length-select-container">
+        <h3 className="game-length-header">GAME</h3>
+        <div className="game-length-buttons">
+          <button
+            className={`game-length-button ${!endless ? 'selected' : ''}`}
+            onClick={() => setEndless(false)}
+          >
+            CAMPAIGN
+          </button>
+          <button
+            className={`game-length-button ${endless ? 'selected' : ''}`}
+            onClick={() => setEndless(true)}
+          >
+            ENDLESS
+          </button>
+        </div>
+        <div className="game-length-description">
+          {endless
+            ? `Play on until level ${KILL_SCREEN_LEVEL}, if you can`
+            : `Clear ${MAX_LEVEL} levels to win`}
+        </div>
+      </div>
+
       <div className="mode-select-container">
         <h2 className="mode-select-header">SELECT MODE</h2>
 
@@ -58,6 +113,31 @@ export default function ModeSelectScreen() {
         </div>
       </div>
 
+      <div className="replay-select-container">
+        {lastReplay && (
+          <div className="replay-buttons">
+            <button className="replay-button" onClick={() => startReplay(lastReplay)}>
+              WATCH LAST GAME
+            </button>
+            <button className="replay-button" onClick={() => downloadReplay(lastReplay)}>
+              SAVE REPLAY
+            </button>
+          </div>
+        )}
+        <label className="replay-load-label">
+          LOAD REPLAY FILE
+          <input
+            type="file"
+            accept="application/json,.json"
+            className="replay-file-input"
+            onChange={handleReplayFile}
+          />
+        </label>
+        {replayError && (
+          <div className="replay-error">Not a valid replay file</div>
+        )}
+      </div>
+
       <div className="mode-select-hint">Press 1 or 2 to select mode</div>
     </div>
   );
@@ -3,10 +3,14 @@
  * @vitest-environment jsdom
  */
 
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { render, screen, userEvent, resetGameStore, getGameStoreState } from '../test/test-utils.jsx';
 import { GameStatus, GameMode, Difficulty } from '../store/gameStore.js';
 import ModeSelectScreen from './ModeSelectScreen.jsx';
+import { createReplayRecorder } from '../game/Replay.js';
+import { saveLastReplay } from '../utils/replayStorage.js';
+import { saveGame } from '../utils/savedGame.js';
+import { createInitialState, setGameMode as setGameModePure, startGame as startGamePure } from '../game/GameState.js';
 
 describe('ModeSelectScreen', () => {
   beforeEach(() => {
@@ -156,6 +160,85 @@ describe('ModeSelectScreen', () => {
     });
   });
 
+  // ============================================
+  // Continue Tests
+  // ============================================
+  describe('Continue', () => {
+    afterEach(() => {
+      localStorage.clear();
+    });
+
+    it('hides CONTINUE when there is no saved game', () => {
+      render(<ModeSelectScreen />);
+
+      expect(screen.queryByRole('button', { name: /CONTINUE/i })).not.toBeInTheDocument();
+    });
+
+    it('restores the saved game when CONTINUE is clicked', async () => {
+      const running = startGamePure(setGameModePure(createInitialState(0, Difficulty.HARD), GameMode.TWO_PLAYER));
+      saveGame({ ...running, level: 4, score: 3100 });
+      const user = userEvent.setup();
+      render(<ModeSelectScreen />);
+
+      const button = screen.getByRole('button', { name: /CONTINUE/i });
+      expect(button).toHaveTextContent('Level 4');
+      await user.click(button);
+
+      const state = getGameStoreState();
+      expect(state.status).toBe(GameStatus.PAUSED);
+      expect(state.level).toBe(4);
+      expect(state.score).toBe(3100);
+      expect(state.gameMode).toBe(GameMode.TWO_PLAYER);
+      expect(state.difficulty).toBe(Difficulty.HARD);
+    });
+  });
+
+  // ============================================
+  // Replay Tests
+  // ============================================
+  describe('Replays', () => {
+    afterEach(() => {
+      localStorage.clear();
+    });
+
+    function saveTestReplay() {
+      const recorder = createReplayRecorder({ seed: 77, gameMode: GameMode.SINGLE_PLAYER, difficulty: Difficulty.EASY });
+      recorder.record(16, 'up');
+      saveLastReplay(recorder.finish());
+    }
+
+    it('hides replay buttons when no game has been recorded', () => {
+      render(<ModeSelectScreen />);
+
+      expect(screen.queryByRole('button', { name: /WATCH LAST GAME/i })).not.toBeInTheDocument();
+      expect(screen.getByText(/LOAD REPLAY FILE/i)).toBeInTheDocument();
+    });
+
+    it('starts the last recorded game when WATCH LAST GAME is clicked', async () => {
+      saveTestReplay();
+      const user = userEvent.setup();
+      render(<ModeSelectScreen />);
+
+      await user.click(screen.getByRole('button', { name: /WATCH LAST GAME/i }));
+
+      const state = getGameStoreState();
+      expect(state.status).toBe(GameStatus.READY);
+      expect(state.replay.seed).toBe(77);
+      expect(state.difficulty).toBe(Difficulty.EASY);
+    });
+
+    it('shows an error for an invalid replay file', async () => {
+      const user = userEvent.setup();
+      const { container } = render(<ModeSelectScreen />);
+
+      const input = container.querySelector('.replay-file-input');
+      await user.upload(input, new File(['nope'], 'replay.json', { type: 'application/json' }));
+
+      expect(await screen.findByText(/Not a valid replay file/i)).toBeInTheDocument();
+      expect(getGameStoreState().status).toBe(GameStatus.MODE_SELECT);
+    });
+  });
+
   // ============================================
   // Accessibility Tests
   // ============================================
@@ -164,8 +247,8 @@ describe('ModeSelectScreen', () => {
       render(<ModeSelectScreen />);
 
       const buttons = screen.getAllByRole('button');
-      // 3 difficulty buttons + 2 mode buttons = 5 total
-      expect(buttons.length).toBe(5);
+      // 3 difficulty buttons + 2 game length buttons + 2 mode buttons = 7 total
+      expect(buttons.length).toBe(7);
       buttons.forEach(button => {
         expect(button).not.toHaveAttribute('tabindex', '-1');
       });
@@ -218,6 +301,29 @@ describe('ModeSelectScreen', () => {
     });
   });
 
+  // ============================================
+  // Game Length Tests
+  // ============================================
+  describe('Game Length Selection', () => {
+    it('defaults to the campaign', () => {
+      const { container } = render(<ModeSelectScreen />);
+
+      expect(container.querySelector('.game-length-button.selected')).toHaveTextContent('CAMPAIGN');
+      expect(screen.getByText(/Clear 5 levels to win/i)).toBeInTheDocument();
+    });
+
+    it('selects endless mode', async () => {
+      const user = userEvent.setup();
+      const { container } = render(<ModeSelectScreen />);
+
+      await user.click(screen.getByRole('button', { name: 'ENDLESS' }));
+
+      expect(getGameStoreState().endless).toBe(true);
+      expect(container.querySelector('.game-length-button.selected')).toHaveTextContent('ENDLESS');
+      expect(screen.getByText(/until level 256/i)).toBeInTheDocument();
+    });
+  });
+
   // ============================================
   // Difficulty Tests
   // ============================================
@@ -2,20 +2,25 @@
  * Split-screen score display for 2-player Pacman.
  * Shows P1 score on left, P2 score on right, with lives and level in center.
  * Features animated score counter that ticks up when points are earned.
+ * Extra lives pop in with a short animation.
  */
 
 import { useState, useEffect, useRef } from 'react';
-import { useGameStore } from '../store';
+import { useGameStore, subscribeToGameEvents, GameEventType } from '../store';
 import './ScoreDisplay.css';
 
+// How long a newly awarded life stays highlighted (ms)
+export const EXTRA_LIFE_ANIMATION_DURATION = 1500;
+
 /**
  * PacManLife - Small Pac-Man icon for lives display.
  * Uses SVG to render a classic Pac-Man shape with mouth.
  */
-function PacManLife({ playerNumber }) {
-  const className = playerNumber === 1
+function PacManLife({ playerNumber, isNew = false }) {
+  const baseClassName = playerNumber === 1
     ? 'score-display__life score-display__life--p1'
     : 'score-display__life score-display__life--p2';
+  const className = isNew ? `${baseClassName} score-display__life--new` : baseClassName;
 
   return (
     <svg
@@ -97,6 +102,38 @@ function useAnimatedScore(targetScore) {
   return { displayedScore, isAnimating };
 }
 
+/**
+ * Custom hook that tracks which player was just awarded an extra life.
+ * Listens for EXTRA_LIFE events and keeps each player flagged for
+ * EXTRA_LIFE_ANIMATION_DURATION so the new life icon can animate.
+ * @returns {{ 1: boolean, 2: boolean }} Whether each player's newest life is animating
+ */
+function useExtraLifeAnimation() {
+  const [newLife, setNewLife] = useState({ 1: false, 2: false });
+
+  useEffect(() => {
+    const timeouts = {};
+    const unsubscribe = subscribeToGameEvents((event) => {
+      if (event.type !== GameEventType.EXTRA_LIFE) {
+        return;
+      }
+      const player = event.player;
+      clearTimeout(timeouts[player]);
+      setNewLife((current) => ({ ...current, [player]: true }));
+      timeouts[player] = setTimeout(() => {
+        setNewLife((current) => ({ ...current, [player]: false }));
+      }, EXTRA_LIFE_ANIMATION_DURATION);
+    });
+
+    return () => {
+      unsubscribe();
+      Object.values(timeouts).forEach(clearTimeout);
+    };
+  }, []);
+
+  return newLife;
+}
+
 function ScoreDisplay() {
   const score = useGameStore((state) => state.score);
   const highScore = useGameStore((state) => state.highScore);
@@ -107,6 +144,7 @@ function ScoreDisplay() {
 
   const { displayedScore: p1DisplayedScore, isAnimating: p1Animating } = useAnimatedScore(score);
   const { displayedScore: p2DisplayedScore, isAnimating: p2Animating } = useAnimatedScore(player2Score);
+  const newLife = useExtraLifeAnimation();
 
   return (
     <div className="score-display">
@@ -117,7 +155,7 @@ function ScoreDisplay() {
         </div>
         <div className="score-display__lives">
           {Array.from({ length: lives }, (_, i) => (
-            <PacManLife key={i} playerNumber={1} />
+            <PacManLife key={i} playerNumber={1} isNew={newLife[1] && i === lives - 1} />
           ))}
         </div>
       </div>
@@ -136,7 +174,7 @@ function ScoreDisplay() {
         </div>
         <div className="score-display__lives">
           {Array.from({ length: player2Lives }, (_, i) => (
-            <PacManLife key={i} playerNumber={2} />
+            <PacManLife key={i} playerNumber={2} isNew={newLife[2] && i === player2Lives - 1} />
           ))}
         </div>
       </div>
@@ -5,8 +5,10 @@
  */
 
 import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest';
-import { render, screen, resetGameStore, setGameStoreState, waitFor, act } from '../test/test-utils.jsx';
-import ScoreDisplay from './ScoreDisplay.jsx';
+import { render, screen, resetGameStore, setGameStoreState, getGameStoreState, waitFor, act } from '../test/test-utils.jsx';
+import ScoreDisplay, { EXTRA_LIFE_ANIMATION_DURATION } from './ScoreDisplay.jsx';
+import { GameMode } from '../store';
+import { FIRST_LEVEL_READY_DURATION } from '../game/GameState.js';
 
 describe('ScoreDisplay', () => {
   beforeEach(() => {
@@ -207,6 +209,68 @@ describe('ScoreDisplay', () => {
     });
   });
 
+  // ============================================
+  // Extra Life Animation Tests
+  // ============================================
+  describe('Extra Life Animation', () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    // Starts a 1P game one dot short of the first bonus life threshold
+    function renderNearExtraLife() {
+      const utils = render(<ScoreDisplay />);
+      const { setGameMode, startGame, tick } = getGameStoreState();
+      act(() => {
+        setGameMode(GameMode.SINGLE_PLAYER);
+        startGame();
+        tick(FIRST_LEVEL_READY_DURATION);
+        setGameStoreState({ score: 9995 });
+      });
+      return utils;
+    }
+
+    it('animates the newly awarded life', () => {
+      const { container } = renderNearExtraLife();
+
+      act(() => {
+        getGameStoreState().tick(16);
+      });
+
+      const lives = container.querySelectorAll('.score-display__life--p1');
+      expect(lives.length).toBe(4);
+      expect(lives[3]).toHaveClass('score-display__life--new');
+      expect(container.querySelectorAll('.score-display__life--new').length).toBe(1);
+    });
+
+    it('stops animating after the animation duration', () => {
+      const { container } = renderNearExtraLife();
+
+      act(() => {
+        getGameStoreState().tick(16);
+      });
+      act(() => {
+        vi.advanceTimersByTime(EXTRA_LIFE_ANIMATION_DURATION);
+      });
+
+      expect(container.querySelector('.score-display__life--new')).not.toBeInTheDocument();
+    });
+
+    it('does not animate lives set directly', () => {
+      const { container } = render(<ScoreDisplay />, { initialState: { lives: 2 } });
+
+      act(() => {
+        setGameStoreState({ lives: 3 });
+      });
+
+      expect(container.querySelector('.score-display__life--new')).not.toBeInTheDocument();
+    });
+  });
+
   // ============================================
   // Score Animation Tests
   // ============================================
@@ -94,7 +94,7 @@ describe('StartScreen', () => {
       const button = screen.getByRole('button', { name: 'START GAME' });
       await user.click(button);
 
-      expect(useGameStore.getState().status).toBe(GameStatus.RUNNING);
+      expect(useGameStore.getState().status).toBe(GameStatus.READY);
     });
   });
 
@@ -144,7 +144,7 @@ describe('StartScreen', () => {
 
       await user.click(screen.getByRole('button', { name: 'START GAME' }));
 
-      expect(useGameStore.getState().status).toBe(GameStatus.RUNNING);
+      expect(useGameStore.getState().status).toBe(GameStatus.READY);
     });
   });
 
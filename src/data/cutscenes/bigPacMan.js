@@ -0,0 +1,31 @@
+// Intermission 1: Blinky chases Pac-Man off screen, then a giant Pac-Man
+// chases a frightened Blinky back the other way.
+// Positions are in tiles, times in ms (see src/game/Cutscene.js).
+
+export default {
+  id: 'bigPacMan',
+  duration: 9000,
+  actors: [
+    {
+      id: 'pacman',
+      sprite: 'pacman',
+      keyframes: [
+        { time: 0, x: 21, y: 7.5, direction: 'left' },
+        { time: 3500, x: -2, y: 7.5 },
+        { time: 4500, x: -4, y: 7, direction: 'right', scale: 2 },
+        { time: 9000, x: 21, y: 7 },
+      ],
+    },
+    {
+      id: 'blinky',
+      sprite: 'ghost',
+      ghostType: 'blinky',
+      keyframes: [
+        { time: 0, x: 23.5, y: 7.5, direction: 'left' },
+        { time: 4000, x: -2, y: 7.5 },
+        { time: 4500, x: -1, y: 7.5, direction: 'right', frightened: true },
+        { time: 8500, x: 24, y: 7.5 },
+      ],
+    },
+  ],
+};
@@ -0,0 +1,22 @@
+// Intermission cutscenes and the levels they play after.
+// To add a cutscene, add a data file next to this one, register it in
+// CUTSCENES and schedule it in INTERMISSIONS.
+
+import bigPacMan from './bigPacMan.js';
+import snag from './snag.js';
+import patched from './patched.js';
+
+export const CUTSCENES = {
+  [bigPacMan.id]: bigPacMan,
+  [snag.id]: snag,
+  [patched.id]: patched,
+};
+
+// Cutscene played after clearing each level, as in the arcade
+export const INTERMISSIONS = [
+  { afterLevel: 2, cutscene: 'bigPacMan' },
+  { afterLevel: 5, cutscene: 'snag' },
+  { afterLevel: 9, cutscene: 'patched' },
+  { afterLevel: 13, cutscene: 'patched' },
+  { afterLevel: 17, cutscene: 'patched' },
+];
@@ -0,0 +1,43 @@
+// Intermission 3: a patched-up Blinky chases Pac-Man off screen and trails
+// back on his own.
+// Positions are in tiles, times in ms (see src/game/Cutscene.js).
+
+const BLINKY_PATH = [
+  { time: 0, x: 24, y: 7.5, direction: 'left' },
+  { time: 4000, x: -2, y: 7.5 },
+  { time: 4500, x: -2, y: 7.5, direction: 'right' },
+  { time: 8000, x: 22, y: 7.5 },
+];
+
+export default {
+  id: 'patched',
+  duration: 8000,
+  actors: [
+    {
+      id: 'pacman',
+      sprite: 'pacman',
+      keyframes: [
+        { time: 0, x: 21, y: 7.5, direction: 'left' },
+        { time: 3500, x: -2, y: 7.5 },
+      ],
+    },
+    {
+      id: 'blinky',
+      sprite: 'ghost',
+      ghostType: 'blinky',
+      keyframes: BLINKY_PATH,
+    },
+    {
+      // Patch stitched onto Blinky's sheet, moving with him
+      id: 'patch',
+      sprite: 'block',
+      color: '#ffb8ae',
+      keyframes: BLINKY_PATH.map((keyframe) => ({
+        ...keyframe,
+        y: keyframe.y + 0.25,
+        width: 0.3,
+        height: 0.2,
+      })),
+    },
+  ],
+};
@@ -0,0 +1,37 @@
+// Intermission 2: Blinky chases Pac-Man, snags his sheet on a nail and is
+// left staring after him.
+// Positions are in tiles, times in ms (see src/game/Cutscene.js).
+
+export default {
+  id: 'snag',
+  duration: 7000,
+  actors: [
+    {
+      id: 'nail',
+      sprite: 'block',
+      color: '#dedeff',
+      keyframes: [
+        { time: 0, x: 10, y: 8, width: 0.15, height: 0.4 },
+      ],
+    },
+    {
+      id: 'pacman',
+      sprite: 'pacman',
+      keyframes: [
+        { time: 0, x: 21, y: 7.5, direction: 'left' },
+        { time: 3500, x: -2, y: 7.5 },
+      ],
+    },
+    {
+      id: 'blinky',
+      sprite: 'ghost',
+      ghostType: 'blinky',
+      keyframes: [
+        { time: 0, x: 24, y: 7.5, direction: 'left' },
+        { time: 3000, x: 10.5, y: 7.5 },
+        { time: 5000, x: 10.5, y: 7.5, direction: 'up' },
+        { time: 7000, x: 10.5, y: 7.5 },
+      ],
+    },
+  ],
+};
@@ -0,0 +1,13 @@
+// Blinky (red): chases Pac-Man directly, and speeds up as "Cruise Elroy"
+// when the dots run low (see getElroyStages in src/game/DifficultyConfig.js).
+
+export default {
+  type: 'blinky',
+  name: 'Blinky',
+  color: '#ff0000',
+  target: 'direct',
+  scatterTarget: { tileX: 18, tileY: 1 }, // Top-right
+  startPosition: { tileX: 10, tileY: 7.5 },
+  bounceDirection: { dx: 1, dy: -1 },
+  release: { dotLimits: [0], globalDots: 0 },
+};
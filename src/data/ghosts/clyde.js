@@ -0,0 +1,13 @@
+// Clyde (orange): shy, chasing Pac-Man from afar but heading for his corner
+// once close.
+
+export default {
+  type: 'clyde',
+  name: 'Clyde',
+  color: '#ffb852',
+  target: 'shy',
+  scatterTarget: { tileX: 1, tileY: 13 }, // Bottom-left
+  startPosition: { tileX: 11, tileY: 7.5 },
+  bounceDirection: { dx: 1, dy: 1 },
+  release: { dotLimits: [40, 30, 0], globalDots: 32 },
+};
@@ -0,0 +1,40 @@
+// Ghost personalities, keyed by ghost type, and the rosters built from them.
+// To add a ghost, add a data file next to this one, register it in GHOSTS and
+// put it in a roster in GHOST_ROSTERS.
+//
+// A personality has:
+// - type, name, color: Id, display name and body colour
+// - target: Chase targeting, the name of a built-in strategy (see
+//   TARGETING_STRATEGIES in src/game/GhostAI.js) or a function of
+//   { ghost, player, playerDirection, ghosts, personality } returning a tile
+// - scatterTarget: Tile the ghost heads for in scatter mode
+// - startPosition: Tile the ghost starts on in the ghost house
+// - bounceDirection: Direction it first bounces in while waiting in the house
+// - release: Dots it waits for in the house on each level (dotLimits, the last
+//   entry repeating), and the dots since a death at which the global counter
+//   releases it (globalDots, see src/game/GhostHouse.js)
+// - speedMultipliers: Optional { normal, frightened, tunnel } multipliers of
+//   the difficulty's ghost speeds, each 1 when left out
+
+import blinky from './blinky.js';
+import pinky from './pinky.js';
+import inky from './inky.js';
+import clyde from './clyde.js';
+
+export const GHOSTS = {
+  [blinky.type]: blinky,
+  [pinky.type]: pinky,
+  [inky.type]: inky,
+  [clyde.type]: clyde,
+};
+
+// Ghosts on the board, in the order they leave the ghost house. A type can
+// appear more than once. Difficulties pick a roster for each level (see
+// ghostRosters in src/game/DifficultyConfig.js).
+export const GHOST_ROSTERS = {
+  classic: ['blinky', 'pinky', 'inky', 'clyde'],
+  // Beginner levels: just the two that chase most directly
+  pair: ['blinky', 'pinky'],
+  // Nightmare levels: a second Blinky and Pinky join the classic four
+  nightmare: ['blinky', 'pinky', 'inky', 'clyde', 'blinky', 'pinky'],
+};
@@ -0,0 +1,12 @@
+// Inky (cyan): flanks, using Blinky's position to aim past Pac-Man.
+
+export default {
+  type: 'inky',
+  name: 'Inky',
+  color: '#00ffff',
+  target: 'flank',
+  scatterTarget: { tileX: 18, tileY: 13 }, // Bottom-right
+  startPosition: { tileX: 9, tileY: 7.5 },
+  bounceDirection: { dx: -1, dy: -1 },
+  release: { dotLimits: [20, 0], globalDots: 17 },
+};
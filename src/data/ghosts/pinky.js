@@ -0,0 +1,12 @@
+// Pinky (pink): ambushes, aiming 4 tiles ahead of Pac-Man.
+
+export default {
+  type: 'pinky',
+  name: 'Pinky',
+  color: '#ffb8ff',
+  target: 'ambush',
+  scatterTarget: { tileX: 1, tileY: 1 }, // Top-left
+  startPosition: { tileX: 10, tileY: 7.5 }, // Same as Blinky, who leaves first
+  bounceDirection: { dx: -1, dy: 1 },
+  release: { dotLimits: [0], globalDots: 7 },
+};
@@ -10,6 +10,10 @@ export const TILE_TYPES = {
   DOT: 2,
   POWER_PELLET: 3,
   GHOST_HOUSE: 4,
+  // Side tunnel cell: ghosts wrap to the opposite edge through these and slow down
+  TUNNEL: 5,
+  // Intersection where ghosts may not turn up while scattering or chasing
+  NO_UP: 6,
 };
 
 // Simplified classic Pac-Man maze layout
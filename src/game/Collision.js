@@ -4,6 +4,7 @@
  */
 
 import { TILE_SIZE } from './Dots.js';
+import { TILE_TYPES } from '../data/maze.js';
 
 /**
  * Tile types that block movement.
@@ -74,6 +75,98 @@ export function isWallTile(maze, tileX, tileY) {
   return maze[tileY][tileX] === 1;
 }
 
+/**
+ * Gets the type of a tile.
+ * @returns {number|null} Tile type, or null out of bounds
+ */
+function getTileType(maze, tileX, tileY) {
+  if (tileY < 0 || tileY >= maze.length) {
+    return null;
+  }
+  if (tileX < 0 || tileX >= maze[0].length) {
+    return null;
+  }
+
+  return maze[tileY][tileX];
+}
+
+/**
+ * Checks if a tile is a tunnel cell.
+ * @param {number[][]} maze - 2D array of tile types
+ * @param {number} tileX - Tile X coordinate
+ * @param {number} tileY - Tile Y coordinate
+ * @returns {boolean} True if the tile is marked as a tunnel
+ */
+export function isTunnelTile(maze, tileX, tileY) {
+  return getTileType(maze, tileX, tileY) === TILE_TYPES.TUNNEL;
+}
+
+/**
+ * Gets the tile one step from a tile in a direction, wrapping through tunnels.
+ * @param {number[][]} maze - 2D array of tile types
+ * @param {number} tileX - Tile X coordinate
+ * @param {number} tileY - Tile Y coordinate
+ * @param {{ dx: number, dy: number }} dir - Direction to step in
+ * @returns {{ tileX: number, tileY: number }} Neighbouring tile (may be out of bounds)
+ */
+export function getNeighbourTile(maze, tileX, tileY, dir) {
+  const nextTileX = tileX + dir.dx;
+  const nextTileY = tileY + dir.dy;
+  return getTunnelExit(maze, nextTileX, nextTileY) || { tileX: nextTileX, tileY: nextTileY };
+}
+
+/**
+ * Checks if a tile is an intersection ghosts may not turn up from.
+ * @param {number[][]} maze - 2D array of tile types
+ * @param {number} tileX - Tile X coordinate
+ * @param {number} tileY - Tile Y coordinate
+ * @returns {boolean} True if the tile is marked as no-up
+ */
+export function isNoUpTile(maze, tileX, tileY) {
+  return getTileType(maze, tileX, tileY) === TILE_TYPES.NO_UP;
+}
+
+/**
+ * Gets every no-up intersection in a maze, e.g. for a debug overlay.
+ * @param {number[][]} maze - 2D array of tile types
+ * @returns {{ tileX: number, tileY: number }[]} No-up tiles in row order
+ */
+export function getNoUpTiles(maze) {
+  const tiles = [];
+  for (let tileY = 0; tileY < maze.length; tileY++) {
+    for (let tileX = 0; tileX < maze[tileY].length; tileX++) {
+      if (maze[tileY][tileX] === TILE_TYPES.NO_UP) {
+        tiles.push({ tileX, tileY });
+      }
+    }
+  }
+  return tiles;
+}
+
+/**
+ * Gets the tile a tunnel leads to for a tile just off the edge of the maze.
+ * @param {number[][]} maze - 2D array of tile types
+ * @param {number} tileX - Tile X coordinate (may be out of bounds)
+ * @param {number} tileY - Tile Y coordinate (may be out of bounds)
+ * @returns {{ tileX: number, tileY: number }|null} Tile on the opposite edge, or null
+ *   if the tile is inside the maze or the opposite edge is not a tunnel
+ */
+export function getTunnelExit(maze, tileX, tileY) {
+  const mazeWidth = maze[0].length;
+  const mazeHeight = maze.length;
+  const wrappedX = ((tileX % mazeWidth) + mazeWidth) % mazeWidth;
+  const wrappedY = ((tileY % mazeHeight) + mazeHeight) % mazeHeight;
+
+  if (wrappedX === tileX && wrappedY === tileY) {
+    return null;
+  }
+  if (!isTunnelTile(maze, wrappedX, wrappedY)) {
+    return null;
+  }
+
+  return { tileX: wrappedX, tileY: wrappedY };
+}
+
 /**
  * Gets the bounding box of an entity.
  * @param {number} x - Entity center X position
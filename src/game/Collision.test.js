@@ -9,6 +9,10 @@ import {
   tileToPixel,
   isWalkableTile,
   isWallTile,
+  isTunnelTile,
+  getTunnelExit,
+  isNoUpTile,
+  getNoUpTiles,
   getEntityBounds,
   checkWallCollision,
   canMoveTo,
@@ -19,6 +23,7 @@ import {
   clampToMazeBounds,
   TILE_SIZE,
 } from './Collision.js';
+import { createDefaultMaze } from './Dots.js';
 
 // Simple 5x5 test maze
 // 0 = empty (walkable), 1 = wall
@@ -153,6 +158,58 @@ describe('Collision', () => {
     });
   });
 
+  describe('tunnels', () => {
+    // Row 1 has a tunnel cell on the left edge only
+    const tunnelMaze = [
+      [1, 1, 1, 1],
+      [5, 0, 0, 0],
+      [1, 1, 1, 1],
+    ];
+
+    it('recognises tunnel tiles', () => {
+      expect(isTunnelTile(tunnelMaze, 0, 1)).toBe(true);
+      expect(isTunnelTile(tunnelMaze, 1, 1)).toBe(false);
+      expect(isTunnelTile(tunnelMaze, -1, 1)).toBe(false);
+      expect(isWalkableTile(tunnelMaze, 0, 1)).toBe(true);
+    });
+
+    it('leads off the right edge into a tunnel on the left', () => {
+      expect(getTunnelExit(tunnelMaze, 4, 1)).toEqual({ tileX: 0, tileY: 1 });
+    });
+
+    it('does not wrap into an edge that is not a tunnel', () => {
+      expect(getTunnelExit(tunnelMaze, -1, 1)).toBeNull();
+      expect(getTunnelExit(tunnelMaze, 0, -1)).toBeNull();
+    });
+
+    it('returns null inside the maze', () => {
+      expect(getTunnelExit(tunnelMaze, 0, 1)).toBeNull();
+    });
+  });
+
+  describe('no-up intersections', () => {
+    it('recognises no-up tiles', () => {
+      const maze = [
+        [1, 1, 1],
+        [0, 6, 0],
+        [1, 0, 1],
+      ];
+      expect(isNoUpTile(maze, 1, 1)).toBe(true);
+      expect(isNoUpTile(maze, 0, 1)).toBe(false);
+      expect(isNoUpTile(maze, 1, -1)).toBe(false);
+      expect(isWalkableTile(maze, 1, 1)).toBe(true);
+    });
+
+    it('lists the no-up tiles of the game maze', () => {
+      expect(getNoUpTiles(createDefaultMaze())).toEqual([
+        { tileX: 8, tileY: 4 },
+        { tileX: 11, tileY: 4 },
+        { tileX: 8, tileY: 13 },
+        { tileX: 11, tileY: 13 },
+      ]);
+    });
+  });
+
   describe('getEntityBounds', () => {
     it('calculates bounds for entity at origin', () => {
       const bounds = getEntityBounds(10, 10, 4);
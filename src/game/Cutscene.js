@@ -0,0 +1,102 @@
+/**
+ * Intermission cutscene timelines for Pacman 2D.
+ * A cutscene is data (see src/data/cutscenes): a duration and a list of
+ * actors, each with keyframes of position and sprite state. Positions are
+ * interpolated linearly between keyframes; every other property holds from
+ * the keyframe that set it until a later keyframe changes it.
+ */
+
+import { TILE_SIZE } from './Dots.js';
+import { CUTSCENES, INTERMISSIONS } from '../data/cutscenes/index.js';
+
+/**
+ * Gets a cutscene by id.
+ * @param {string} id - Cutscene id
+ * @returns {object|null} Cutscene, or null if unknown
+ */
+export function getCutscene(id) {
+  return CUTSCENES[id] || null;
+}
+
+/**
+ * Gets the cutscene that plays after a level is cleared.
+ * @param {number} level - Level just cleared
+ * @param {object[]} schedule - { afterLevel, cutscene } entries
+ * @returns {object|null} Cutscene, or null if none plays after this level
+ */
+export function getIntermissionAfterLevel(level, schedule = INTERMISSIONS) {
+  const entry = schedule.find((item) => item.afterLevel === level);
+  return entry ? getCutscene(entry.cutscene) : null;
+}
+
+/**
+ * Checks whether a cutscene has played to the end.
+ * @param {object} cutscene - Cutscene
+ * @param {number} time - Time since the cutscene started in ms
+ * @returns {boolean} True once time reaches the cutscene's duration
+ */
+export function isCutsceneFinished(cutscene, time) {
+  return !cutscene || time >= cutscene.duration;
+}
+
+/**
+ * Evaluates one actor's keyframes at a time.
+ * @returns {object|null} Actor state, or null before its first keyframe
+ */
+function getActorState(actor, time) {
+  const { keyframes } = actor;
+  if (!keyframes?.length || time < keyframes[0].time) {
+    return null;
+  }
+
+  let current = {};
+  let index = 0;
+  while (index < keyframes.length && keyframes[index].time <= time) {
+    current = { ...current, ...keyframes[index] };
+    index++;
+  }
+
+  const next = keyframes[index];
+  if (next) {
+    const t = (time - current.time) / (next.time - current.time);
+    current.x += (next.x - current.x) * t;
+    current.y += (next.y - current.y) * t;
+  }
+
+  return current;
+}
+
+/**
+ * Gets every visible actor of a cutscene at a time, in draw order.
+ * @param {object} cutscene - Cutscene
+ * @param {number} time - Time since the cutscene started in ms
+ * @returns {object[]} Actors of { id, sprite, ghostType, color, x, y, direction,
+ *   frightened, scale, width, height } with x/y/width/height in pixels
+ */
+export function getCutsceneFrame(cutscene, time) {
+  if (!cutscene) {
+    return [];
+  }
+
+  const frame = [];
+  for (const actor of cutscene.actors) {
+    const state = getActorState(actor, time);
+    if (!state || state.visible === false) {
+      continue;
+    }
+    frame.push({
+      id: actor.id,
+      sprite: actor.sprite,
+      ghostType: actor.ghostType ?? null,
+      color: actor.color ?? null,
+      x: state.x * TILE_SIZE,
+      y: state.y * TILE_SIZE,
+      direction: state.direction ?? 'right',
+      frightened: state.frightened ?? false,
+      scale: state.scale ?? 1,
+      width: (state.width ?? 1) * TILE_SIZE,
+      height: (state.height ?? 1) * TILE_SIZE,
+    });
+  }
+  return frame;
+}
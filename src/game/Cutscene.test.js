@@ -0,0 +1,84 @@
+/**
+ * Tests for intermission cutscene timelines.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getCutscene,
+  getIntermissionAfterLevel,
+  isCutsceneFinished,
+  getCutsceneFrame,
+} from './Cutscene.js';
+import { CUTSCENES, INTERMISSIONS } from '../data/cutscenes/index.js';
+import { TILE_SIZE } from './Dots.js';
+
+const CUTSCENE = {
+  id: 'test',
+  duration: 2000,
+  actors: [
+    {
+      id: 'pacman',
+      sprite: 'pacman',
+      keyframes: [
+        { time: 0, x: 10, y: 5, direction: 'left' },
+        { time: 1000, x: 0, y: 5, scale: 2 },
+        { time: 1500, x: 0, y: 5, visible: false },
+      ],
+    },
+    {
+      id: 'late',
+      sprite: 'ghost',
+      ghostType: 'pinky',
+      keyframes: [{ time: 500, x: 3, y: 3, frightened: true }],
+    },
+  ],
+};
+
+describe('Cutscene', () => {
+  it('looks up cutscenes by id', () => {
+    expect(getCutscene('bigPacMan')).toBe(CUTSCENES.bigPacMan);
+    expect(getCutscene('missing')).toBeNull();
+  });
+
+  it('finds the intermission scheduled after a level', () => {
+    expect(getIntermissionAfterLevel(2)).toBe(CUTSCENES.bigPacMan);
+    expect(getIntermissionAfterLevel(3)).toBeNull();
+    expect(getIntermissionAfterLevel(1, [{ afterLevel: 1, cutscene: 'snag' }])).toBe(CUTSCENES.snag);
+  });
+
+  it('schedules only known cutscenes', () => {
+    for (const entry of INTERMISSIONS) {
+      expect(getCutscene(entry.cutscene)).not.toBeNull();
+    }
+  });
+
+  it('finishes at the end of its duration', () => {
+    expect(isCutsceneFinished(CUTSCENE, 1999)).toBe(false);
+    expect(isCutsceneFinished(CUTSCENE, 2000)).toBe(true);
+    expect(isCutsceneFinished(null, 0)).toBe(true);
+  });
+
+  describe('getCutsceneFrame', () => {
+    it('interpolates positions between keyframes in pixels', () => {
+      const [pacman] = getCutsceneFrame(CUTSCENE, 250);
+      expect(pacman).toMatchObject({ id: 'pacman', sprite: 'pacman', direction: 'left', scale: 1 });
+      expect(pacman.x).toBeCloseTo(7.5 * TILE_SIZE);
+      expect(pacman.y).toBe(5 * TILE_SIZE);
+    });
+
+    it('holds sprite state until a later keyframe changes it', () => {
+      const [pacman] = getCutsceneFrame(CUTSCENE, 1200);
+      expect(pacman).toMatchObject({ direction: 'left', scale: 2, x: 0 });
+    });
+
+    it('hides actors before their first keyframe and while invisible', () => {
+      expect(getCutsceneFrame(CUTSCENE, 100).map((actor) => actor.id)).toEqual(['pacman']);
+      expect(getCutsceneFrame(CUTSCENE, 1600).map((actor) => actor.id)).toEqual(['late']);
+      expect(getCutsceneFrame(CUTSCENE, 1600)[0]).toMatchObject({ ghostType: 'pinky', frightened: true });
+    });
+
+    it('returns nothing for an unknown cutscene', () => {
+      expect(getCutsceneFrame(null, 0)).toEqual([]);
+    });
+  });
+});
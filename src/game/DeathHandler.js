@@ -3,7 +3,7 @@
  * Modular functions for player death, respawn, and invincibility management.
  */
 
-import { GhostMode, GHOST_START_POSITIONS } from './GhostAI.js';
+import { GhostMode, getGhostStartPosition, createGhost } from './GhostAI.js';
 import { TILE_SIZE } from './Dots.js';
 import { Direction } from './GhostAI.js';
 
@@ -58,7 +58,7 @@ export function resetEatenGhosts(ghosts) {
   for (const [ghostType, ghost] of Object.entries(ghosts)) {
     if (ghost.mode === GhostMode.EATEN) {
       // Reset to ghost house position with IN_HOUSE mode
-      const startPos = GHOST_START_POSITIONS[ghostType];
+      const startPos = getGhostStartPosition(ghost.type);
       updatedGhosts[ghostType] = {
         ...ghost,
         x: startPos.x,
@@ -73,16 +73,42 @@ export function resetEatenGhosts(ghosts) {
   return updatedGhosts;
 }
 
+/**
+ * Sends every ghost back to its starting spot in the ghost house, as the
+ * arcade does after a death. Each ghost keeps its dot counter and Cruise
+ * Elroy state, and waits to be released again (by the global dot counter,
+ * see GhostHouse.js).
+ * @param {object} ghosts - Current ghosts state
+ * @returns {object} Updated ghosts, all IN_HOUSE and unreleased
+ */
+export function returnGhostsToHouse(ghosts) {
+  const updatedGhosts = {};
+
+  for (const [id, ghost] of Object.entries(ghosts)) {
+    updatedGhosts[id] = {
+      ...createGhost(ghost.type, ghost.difficulty, ghost.level),
+      dotCounter: ghost.dotCounter,
+      dotLimit: ghost.dotLimit,
+      released: false,
+      elroyStage: ghost.elroyStage,
+      elroySuspended: ghost.elroySuspended,
+      assignedPlayer: ghost.assignedPlayer,
+    };
+  }
+
+  return updatedGhosts;
+}
+
 /**
  * Respawns a player at their safe spawn position with invincibility.
- * Also resets EATEN ghosts to the ghost house to prevent immediate collision.
+ * Also returns every ghost to the ghost house (see returnGhostsToHouse).
  * @param {object} state - Current game state
  * @param {number} playerNum - Player number (1 or 2)
  * @returns {object} Updated game state with respawned player
  */
 export function respawnPlayer(state, playerNum) {
   const spawnPos = PLAYER_SPAWN_POSITIONS[playerNum];
-  const updatedGhosts = resetEatenGhosts(state.ghosts);
+  const updatedGhosts = returnGhostsToHouse(state.ghosts);
 
   if (playerNum === 1) {
     return {
@@ -8,13 +8,14 @@ import {
   canPlayerDie,
   isPlayerInvincible,
   resetEatenGhosts,
+  returnGhostsToHouse,
   respawnPlayer,
   updateInvincibility,
   getPlayerSpawnPosition,
   INVINCIBILITY_DURATION,
   PLAYER_SPAWN_POSITIONS,
 } from './DeathHandler.js';
-import { GhostMode, Direction, GHOST_START_POSITIONS } from './GhostAI.js';
+import { GhostMode, Direction, getGhostStartPosition, createAllGhosts } from './GhostAI.js';
 import { TILE_SIZE } from './Dots.js';
 
 describe('DeathHandler', () => {
@@ -84,8 +85,8 @@ describe('DeathHandler', () => {
       const result = resetEatenGhosts(ghosts);
 
       expect(result.blinky.mode).toBe(GhostMode.IN_HOUSE);
-      expect(result.blinky.x).toBe(GHOST_START_POSITIONS.blinky.x);
-      expect(result.blinky.y).toBe(GHOST_START_POSITIONS.blinky.y);
+      expect(result.blinky.x).toBe(getGhostStartPosition('blinky').x);
+      expect(result.blinky.y).toBe(getGhostStartPosition('blinky').y);
     });
 
     it('does not modify non-EATEN ghosts', () => {
@@ -117,6 +118,24 @@ describe('DeathHandler', () => {
     });
   });
 
+  describe('returnGhostsToHouse', () => {
+    it('sends every ghost home unreleased, keeping its dot counter and Elroy state', () => {
+      const ghosts = createAllGhosts();
+      const out = {
+        ...ghosts,
+        blinky: { ...ghosts.blinky, mode: GhostMode.CHASE, released: true, x: 100, y: 100, elroySuspended: true },
+        inky: { ...ghosts.inky, mode: GhostMode.FRIGHTENED, released: true, dotCounter: 12, x: 50, y: 50 },
+      };
+
+      const result = returnGhostsToHouse(out);
+
+      expect(result.blinky).toMatchObject({ mode: GhostMode.IN_HOUSE, released: false, elroySuspended: true });
+      expect(result.blinky).toMatchObject(getGhostStartPosition('blinky'));
+      expect(result.inky).toMatchObject({ mode: GhostMode.IN_HOUSE, released: false, dotCounter: 12 });
+      expect(result.inky).toMatchObject(getGhostStartPosition('inky'));
+    });
+  });
+
   describe('respawnPlayer', () => {
     let baseState;
 
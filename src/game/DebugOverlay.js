@@ -0,0 +1,84 @@
+/**
+ * Ghost AI debug overlay for Pacman 2D.
+ * Collects what each ghost is currently aiming for from the game state, for
+ * App to draw over the maze while tuning ghosts (toggled with a dev hotkey).
+ * Everything is read from existing state; nothing here feeds back into play.
+ */
+
+import { TILE_SIZE } from './Dots.js';
+import { pixelToTile, getNoUpTiles } from './Collision.js';
+import { GhostMode, GhostType, GHOST_HOUSE_BOUNDS, getGhostPersonality } from './GhostAI.js';
+import { getClydeShyDistance } from './DifficultyConfig.js';
+import { getModePhase } from './GameState.js';
+
+/**
+ * Ghost modes in which targetTile is what the ghost is steering for.
+ * Frightened ghosts wander and ghosts in the house have no target.
+ */
+const TARGETING_MODES = new Set([GhostMode.CHASE, GhostMode.SCATTER, GhostMode.EATEN]);
+
+/**
+ * Gets the flanking vector of a ghost that targets past the player from
+ * Blinky (Inky). The pivot, 2 tiles ahead of the player, is halfway between
+ * Blinky and the target, since the target doubles the vector to the pivot.
+ */
+function getFlankVector(ghost, ghosts) {
+  const blinky = ghosts[GhostType.BLINKY];
+  if (!blinky || ghost.mode !== GhostMode.CHASE) {
+    return null;
+  }
+
+  const from = pixelToTile(blinky.x, blinky.y);
+  const to = ghost.targetTile;
+  return {
+    from,
+    pivot: { tileX: (from.tileX + to.tileX) / 2, tileY: (from.tileY + to.tileY) / 2 },
+    to,
+  };
+}
+
+/**
+ * Gets everything the debug overlay draws.
+ * @param {object} state - Current game state
+ * @returns {object} Overlay data:
+ *   - globalMode, modeTimer: Current scatter/chase mode and time in it (ms)
+ *   - phase: Current scatter/chase phase (see getModePhase)
+ *   - houseBounds: Ghost house pen in pixels { minX, maxX, minY, maxY }
+ *   - noUpTiles: No-up intersections in the maze
+ *   - ghosts: Per ghost { id, type, color, mode, x, y, direction, targetTile,
+ *     path, flankVector, shyRadius }, where targetTile is null when the ghost
+ *     is not steering for it, path is the shortest path being followed (or null),
+ *     flankVector is { from, pivot, to } for flanking ghosts chasing, and
+ *     shyRadius is the shy distance in pixels for shy ghosts chasing
+ */
+export function getDebugOverlay(state) {
+  const ghosts = Object.entries(state.ghosts).map(([id, ghost]) => {
+    const personality = getGhostPersonality(ghost.type);
+    const isChasing = ghost.mode === GhostMode.CHASE;
+
+    return {
+      id,
+      type: ghost.type,
+      color: personality.color,
+      mode: ghost.mode,
+      x: ghost.x,
+      y: ghost.y,
+      direction: ghost.direction,
+      targetTile: TARGETING_MODES.has(ghost.mode) ? ghost.targetTile : null,
+      path: ghost.path?.tiles ?? null,
+      flankVector: personality.target === 'flank' ? getFlankVector(ghost, state.ghosts) : null,
+      shyRadius: personality.target === 'shy' && isChasing
+        ? getClydeShyDistance(ghost.difficulty) * TILE_SIZE
+        : null,
+    };
+  });
+
+  return {
+    globalMode: state.globalMode,
+    modeTimer: state.modeTimer,
+    phase: getModePhase(state),
+    houseBounds: GHOST_HOUSE_BOUNDS,
+    noUpTiles: getNoUpTiles(state.maze),
+    ghosts,
+  };
+}
@@ -0,0 +1,86 @@
+/**
+ * Tests for the ghost AI debug overlay data.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getDebugOverlay } from './DebugOverlay.js';
+import { createInitialState, GameStatus } from './GameState.js';
+import { GhostMode, GHOST_HOUSE_BOUNDS, getGhostPersonality } from './GhostAI.js';
+import { getClydeShyDistance } from './DifficultyConfig.js';
+import { TILE_SIZE } from './Dots.js';
+
+function chasingState() {
+  const state = createInitialState(0, 'medium', 1);
+  const ghosts = {};
+  for (const [id, ghost] of Object.entries(state.ghosts)) {
+    ghosts[id] = { ...ghost, mode: GhostMode.CHASE };
+  }
+  ghosts.blinky = { ...ghosts.blinky, x: TILE_SIZE * 2.5, y: TILE_SIZE * 1.5 };
+  ghosts.inky = { ...ghosts.inky, targetTile: { tileX: 10, tileY: 9 } };
+  return { ...state, ghosts, globalMode: GhostMode.CHASE, modeTimer: 1234 };
+}
+
+describe('DebugOverlay', () => {
+  it('reports the scatter/chase mode, ghost house and no-up tiles', () => {
+    const overlay = getDebugOverlay(chasingState());
+    expect(overlay.globalMode).toBe(GhostMode.CHASE);
+    expect(overlay.modeTimer).toBe(1234);
+    expect(overlay.phase.index).toBe(0);
+    expect(overlay.houseBounds).toEqual(GHOST_HOUSE_BOUNDS);
+    expect(overlay.noUpTiles).toHaveLength(4);
+  });
+
+  it('shows the no-up intersections of the maze the game runs on', () => {
+    expect(getDebugOverlay(createInitialState()).noUpTiles).toEqual([
+      { tileX: 8, tileY: 4 },
+      { tileX: 11, tileY: 4 },
+      { tileX: 8, tileY: 13 },
+      { tileX: 11, tileY: 13 },
+    ]);
+  });
+
+  it('lists every ghost with its colour, target and planned direction', () => {
+    const state = chasingState();
+    const overlay = getDebugOverlay(state);
+    expect(overlay.ghosts.map((ghost) => ghost.id)).toEqual(Object.keys(state.ghosts));
+
+    const blinky = overlay.ghosts.find((ghost) => ghost.id === 'blinky');
+    expect(blinky).toMatchObject({
+      color: getGhostPersonality('blinky').color,
+      targetTile: state.ghosts.blinky.targetTile,
+      direction: state.ghosts.blinky.direction,
+      path: null,
+    });
+  });
+
+  it('hides targets of ghosts that are not steering for one', () => {
+    const state = createInitialState(0, 'medium', 1);
+    const overlay = getDebugOverlay(state);
+    expect(overlay.ghosts.every((ghost) => ghost.targetTile === null)).toBe(true);
+  });
+
+  it('shows the vector Inky doubles from Blinky', () => {
+    const inky = getDebugOverlay(chasingState()).ghosts.find((ghost) => ghost.id === 'inky');
+    expect(inky.flankVector).toEqual({
+      from: { tileX: 2, tileY: 1 },
+      pivot: { tileX: 6, tileY: 5 },
+      to: { tileX: 10, tileY: 9 },
+    });
+  });
+
+  it("shows Clyde's shy radius while he chases", () => {
+    const state = chasingState();
+    const clyde = getDebugOverlay(state).ghosts.find((ghost) => ghost.id === 'clyde');
+    expect(clyde.shyRadius).toBe(getClydeShyDistance('medium') * TILE_SIZE);
+
+    const scattering = { ...state, ghosts: { ...state.ghosts, clyde: { ...state.ghosts.clyde, mode: GhostMode.SCATTER } } };
+    expect(getDebugOverlay(scattering).ghosts.find((ghost) => ghost.id === 'clyde').shyRadius).toBeNull();
+  });
+
+  it('does not change the game state', () => {
+    const state = { ...chasingState(), status: GameStatus.RUNNING };
+    const snapshot = JSON.stringify(state);
+    getDebugOverlay(state);
+    expect(JSON.stringify(state)).toBe(snapshot);
+  });
+});
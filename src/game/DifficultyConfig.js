@@ -1,6 +1,7 @@
 /**
  * Difficulty configuration for Pacman 2D.
- * Defines Easy/Medium/Hard presets affecting ghost speed and AI aggressiveness.
+ * Defines Easy/Medium/Hard presets affecting ghost speed and AI aggressiveness,
+ * and a per-level progression table that makes later levels harder.
  */
 
 export const Difficulty = {
@@ -15,10 +16,25 @@ export const Difficulty = {
  * Parameters controlled:
  * - ghostSpeed: Base ghost movement speed (pixels per ms)
  * - frightenedSpeed: Ghost speed when frightened
- * - releaseDelayMultiplier: Multiplier for ghost release delays (higher = slower release)
- * - scatterDuration: Time ghosts spend in scatter mode (ms)
- * - chaseDuration: Time ghosts spend in chase mode (ms)
+ * - frightenedPolicy: How frightened ghosts pick their turns, 'random' or 'flee'
+ *   (see FrightenedPolicy in GhostAI.js)
+ * - tunnelSpeed: Ghost speed in side tunnels (eaten ghosts are not slowed)
+ * - frightenedTimeScale: Multiplies the per-level frightened durations in FRIGHTENED_TABLE
+ * - releaseDelayMultiplier: Multiplier for the ghost house dot limits and inactivity timer
+ *   (higher = slower release, see GhostHouse.js)
+ * - modeSchedule: Scatter/chase phase lengths (ms), alternating and starting with
+ *   scatter; ghosts chase permanently once the schedule runs out
  * - clydeShyDistance: Distance at which Clyde retreats (tiles, lower = more aggressive)
+ * - elroyDotsLeft: Dots remaining when Blinky turns Cruise Elroy (stage 2 at half as many)
+ * - elroySpeedBonus: Extra Blinky speed in Elroy stage 1 (stage 2 gets double)
+ * - ghostEatFreeze: How long play freezes on the points after a ghost is eaten (ms, 0 = no freeze)
+ * - movementModel: Pac-Man movement, 'classic' or 'arcade' (see MovementModel in PlayerMovement.js)
+ * - ghostNavigator: How ghosts steer towards their targets, 'greedy' or 'shortestPath'
+ *   (see GhostNavigator in GhostAI.js); eaten ghosts always take the shortest path
+ * - ghostAssignment: Which player each ghost chases in 2P, 'nearest', 'split' or
+ *   'leaderFocus' (see GhostAssignment.js)
+ * - ghostRosters: Ghost roster for each level, by name from GHOST_ROSTERS in
+ *   src/data/ghosts (entry 0 is level 1; later levels use the last entry)
  */
 export const DIFFICULTY_PRESETS = {
   [Difficulty.EASY]: {
@@ -26,33 +42,60 @@ export const DIFFICULTY_PRESETS = {
     description: 'Slower ghosts, longer scatter periods',
     ghostSpeed: 0.12,
     frightenedSpeed: 0.05,
+    frightenedPolicy: 'random',
+    tunnelSpeed: 0.06,
     eatenSpeed: 0.24,
+    frightenedTimeScale: 1.25,
     releaseDelayMultiplier: 1.5,
-    scatterDuration: 3000,
-    chaseDuration: 30000,
+    modeSchedule: [3000, 30000, 3000, 30000, 2000, 30000, 2000],
     clydeShyDistance: 8,
+    elroyDotsLeft: 10,
+    elroySpeedBonus: 0.05,
+    ghostEatFreeze: 1000,
+    movementModel: 'classic',
+    ghostNavigator: 'greedy',
+    ghostAssignment: 'split',
+    ghostRosters: ['classic'],
   },
   [Difficulty.MEDIUM]: {
     label: 'Medium',
     description: 'Balanced challenge',
     ghostSpeed: 0.16,
     frightenedSpeed: 0.07,
+    frightenedPolicy: 'random',
+    tunnelSpeed: 0.08,
     eatenSpeed: 0.28,
+    frightenedTimeScale: 1.0,
     releaseDelayMultiplier: 1.0,
-    scatterDuration: 1500,
-    chaseDuration: 45000,
+    modeSchedule: [1500, 45000, 1500, 45000, 1000, 45000, 1000],
     clydeShyDistance: 4,
+    elroyDotsLeft: 15,
+    elroySpeedBonus: 0.08,
+    ghostEatFreeze: 1000,
+    movementModel: 'classic',
+    ghostNavigator: 'greedy',
+    ghostAssignment: 'split',
+    ghostRosters: ['classic'],
   },
   [Difficulty.HARD]: {
     label: 'Hard',
     description: 'Fast ghosts, relentless pursuit',
     ghostSpeed: 0.20,
     frightenedSpeed: 0.09,
+    frightenedPolicy: 'flee',
+    tunnelSpeed: 0.10,
     eatenSpeed: 0.32,
+    frightenedTimeScale: 0.8,
     releaseDelayMultiplier: 0.7,
-    scatterDuration: 1000,
-    chaseDuration: 60000,
+    modeSchedule: [1000, 60000, 1000, 60000, 500],
     clydeShyDistance: 3,
+    elroyDotsLeft: 20,
+    elroySpeedBonus: 0.1,
+    ghostEatFreeze: 1000,
+    movementModel: 'arcade',
+    ghostNavigator: 'shortestPath',
+    ghostAssignment: 'leaderFocus',
+    ghostRosters: ['classic'],
   },
 };
 
@@ -66,25 +109,129 @@ export function getDifficultySettings(difficulty) {
 }
 
 /**
- * Gets ghost speed for the current difficulty.
+ * Per-level multipliers applied on top of the selected difficulty preset,
+ * in the spirit of the arcade's level tables. Entry 0 is level 1; levels past
+ * the end of the table use the last entry.
+ *
+ * - ghostSpeed / frightenedSpeed: Multiply the preset speeds (tunnelSpeed follows ghostSpeed)
+ * - scatterDuration / chaseDuration: Multiply the scatter and chase phases of the mode schedule
+ * - releaseDelay: Multiplies the ghost house dot limits and inactivity timer
+ * - elroyDotsLeft / elroySpeedBonus: Multiply the Cruise Elroy dot threshold and speed bonus
+ */
+export const LEVEL_PROGRESSION = [
+  { ghostSpeed: 1.0, frightenedSpeed: 1.0, scatterDuration: 1.0, chaseDuration: 1.0, releaseDelay: 1.0, elroyDotsLeft: 1.0, elroySpeedBonus: 1.0 },
+  { ghostSpeed: 1.05, frightenedSpeed: 1.05, scatterDuration: 0.9, chaseDuration: 1.1, releaseDelay: 0.85, elroyDotsLeft: 1.25, elroySpeedBonus: 1.0 },
+  { ghostSpeed: 1.1, frightenedSpeed: 1.1, scatterDuration: 0.8, chaseDuration: 1.2, releaseDelay: 0.7, elroyDotsLeft: 1.5, elroySpeedBonus: 1.25 },
+  { ghostSpeed: 1.15, frightenedSpeed: 1.15, scatterDuration: 0.7, chaseDuration: 1.3, releaseDelay: 0.55, elroyDotsLeft: 1.75, elroySpeedBonus: 1.25 },
+  { ghostSpeed: 1.2, frightenedSpeed: 1.2, scatterDuration: 0.6, chaseDuration: 1.4, releaseDelay: 0.4, elroyDotsLeft: 2.0, elroySpeedBonus: 1.5 },
+];
+
+/**
+ * Frightened time and warning flashes per level, after the arcade's table.
+ * Entry 0 is level 1; levels past the end use the last entry. A duration of 0
+ * means power pellets only reverse the ghosts.
+ *
+ * - duration: Frightened time in ms on Medium (scaled by frightenedTimeScale)
+ * - flashes: White/blue flashes shown before the ghosts recover
+ */
+export const FRIGHTENED_TABLE = [
+  { duration: 7000, flashes: 5 },
+  { duration: 6000, flashes: 5 },
+  { duration: 5000, flashes: 5 },
+  { duration: 4000, flashes: 5 },
+  { duration: 3000, flashes: 5 },
+  { duration: 5000, flashes: 5 },
+  { duration: 2000, flashes: 5 },
+  { duration: 2000, flashes: 5 },
+  { duration: 1000, flashes: 3 },
+  { duration: 5000, flashes: 5 },
+  { duration: 2000, flashes: 5 },
+  { duration: 1000, flashes: 3 },
+  { duration: 1000, flashes: 3 },
+  { duration: 3000, flashes: 5 },
+  { duration: 1000, flashes: 3 },
+  { duration: 1000, flashes: 3 },
+  { duration: 0, flashes: 0 },
+  { duration: 1000, flashes: 3 },
+  { duration: 0, flashes: 0 },
+];
+
+/**
+ * Gets the progression multipliers for a level.
+ * @param {number} level - Level number (1-based)
+ * @returns {object} Multipliers from LEVEL_PROGRESSION
+ */
+export function getLevelProgression(level = 1) {
+  const index = Number.isFinite(level) ? Math.floor(level) - 1 : 0;
+  return LEVEL_PROGRESSION[Math.min(Math.max(index, 0), LEVEL_PROGRESSION.length - 1)];
+}
+
+/**
+ * Gets the difficulty settings scaled for a level.
+ * @param {string} difficulty - Difficulty level (easy, medium, hard)
+ * @param {number} level - Level number (1-based)
+ * @returns {object} Difficulty settings with the level's multipliers applied
+ */
+export function getLevelSettings(difficulty, level = 1) {
+  const settings = getDifficultySettings(difficulty);
+  const progression = getLevelProgression(level);
+  return {
+    ...settings,
+    ghostSpeed: settings.ghostSpeed * progression.ghostSpeed,
+    frightenedSpeed: settings.frightenedSpeed * progression.frightenedSpeed,
+    tunnelSpeed: settings.tunnelSpeed * progression.ghostSpeed,
+    modeSchedule: settings.modeSchedule.map((duration, index) => Math.round(
+      duration * (index % 2 === 0 ? progression.scatterDuration : progression.chaseDuration)
+    )),
+    releaseDelayMultiplier: settings.releaseDelayMultiplier * progression.releaseDelay,
+    elroyDotsLeft: Math.round(settings.elroyDotsLeft * progression.elroyDotsLeft),
+    elroySpeedBonus: settings.elroySpeedBonus * progression.elroySpeedBonus,
+  };
+}
+
+/**
+ * Gets ghost speed for the current difficulty and level.
  * @param {string} difficulty - Difficulty level
+ * @param {number} level - Level number (defaults to 1)
  * @returns {number} Ghost speed in pixels per ms
  */
-export function getGhostSpeed(difficulty) {
-  const settings = getDifficultySettings(difficulty);
+export function getGhostSpeed(difficulty, level = 1) {
+  const settings = getLevelSettings(difficulty, level);
   return settings.ghostSpeed;
 }
 
 /**
- * Gets frightened ghost speed for the current difficulty.
+ * Gets frightened ghost speed for the current difficulty and level.
  * @param {string} difficulty - Difficulty level
+ * @param {number} level - Level number (defaults to 1)
  * @returns {number} Frightened ghost speed in pixels per ms
  */
-export function getFrightenedSpeed(difficulty) {
-  const settings = getDifficultySettings(difficulty);
+export function getFrightenedSpeed(difficulty, level = 1) {
+  const settings = getLevelSettings(difficulty, level);
   return settings.frightenedSpeed;
 }
 
+/**
+ * Gets ghost speed in side tunnels for the current difficulty and level.
+ * @param {string} difficulty - Difficulty level
+ * @param {number} level - Level number (defaults to 1)
+ * @returns {number} Tunnel ghost speed in pixels per ms
+ */
+export function getTunnelSpeed(difficulty, level = 1) {
+  const settings = getLevelSettings(difficulty, level);
+  return settings.tunnelSpeed;
+}
+
+/**
+ * Gets how frightened ghosts pick their turns for the current difficulty.
+ * @param {string} difficulty - Difficulty level
+ * @returns {string} 'random' or 'flee'
+ */
+export function getFrightenedPolicy(difficulty) {
+  const settings = getDifficultySettings(difficulty);
+  return settings.frightenedPolicy;
+}
+
 /**
  * Gets eaten ghost speed for the current difficulty.
  * @param {string} difficulty - Difficulty level
@@ -96,25 +243,112 @@ export function getEatenSpeed(difficulty) {
 }
 
 /**
- * Gets mode timing settings for the current difficulty.
+ * Gets how long play freezes after a ghost is eaten for the current difficulty.
  * @param {string} difficulty - Difficulty level
- * @returns {object} Mode timings { scatter, chase }
+ * @returns {number} Freeze length in ms (0 = no freeze)
  */
-export function getModeTimings(difficulty) {
+export function getGhostEatFreeze(difficulty) {
   const settings = getDifficultySettings(difficulty);
-  return {
-    scatter: settings.scatterDuration,
-    chase: settings.chaseDuration,
-  };
+  return settings.ghostEatFreeze;
 }
 
 /**
- * Gets the ghost release delay multiplier for the current difficulty.
+ * Gets the Pac-Man movement model for the current difficulty.
  * @param {string} difficulty - Difficulty level
- * @returns {number} Release delay multiplier
+ * @returns {string} 'classic' or 'arcade'
+ */
+export function getMovementModel(difficulty) {
+  const settings = getDifficultySettings(difficulty);
+  return settings.movementModel;
+}
+
+/**
+ * Gets how ghosts steer towards their targets for the current difficulty.
+ * @param {string} difficulty - Difficulty level
+ * @returns {string} 'greedy' or 'shortestPath'
  */
-export function getReleaseDelayMultiplier(difficulty) {
+export function getGhostNavigator(difficulty) {
   const settings = getDifficultySettings(difficulty);
+  return settings.ghostNavigator;
+}
+
+/**
+ * Gets how ghosts pick which player to chase in 2P for the current difficulty.
+ * @param {string} difficulty - Difficulty level
+ * @returns {string} 'nearest', 'split' or 'leaderFocus'
+ */
+export function getGhostAssignment(difficulty) {
+  const settings = getDifficultySettings(difficulty);
+  return settings.ghostAssignment;
+}
+
+/**
+ * Gets the name of the ghost roster for a difficulty and level.
+ * @param {string} difficulty - Difficulty level
+ * @param {number} level - Level number (defaults to 1)
+ * @returns {string} Roster name (see GHOST_ROSTERS in src/data/ghosts)
+ */
+export function getGhostRosterName(difficulty, level = 1) {
+  const rosters = getDifficultySettings(difficulty).ghostRosters;
+  const index = Number.isFinite(level) ? Math.floor(level) - 1 : 0;
+  return rosters[Math.min(Math.max(index, 0), rosters.length - 1)];
+}
+
+/**
+ * Gets the frightened table entry for a level.
+ * @param {number} level - Level number (1-based)
+ * @returns {object} { duration, flashes } from FRIGHTENED_TABLE (duration unscaled)
+ */
+function getFrightenedEntry(level) {
+  const index = Number.isFinite(level) ? Math.floor(level) - 1 : 0;
+  return FRIGHTENED_TABLE[Math.min(Math.max(index, 0), FRIGHTENED_TABLE.length - 1)];
+}
+
+/**
+ * Gets how long ghosts stay frightened for the current difficulty and level.
+ * @param {string} difficulty - Difficulty level
+ * @param {number} level - Level number (defaults to 1)
+ * @returns {number} Frightened duration in ms (0 = power pellets only reverse ghosts)
+ */
+export function getFrightenedDuration(difficulty, level = 1) {
+  const settings = getDifficultySettings(difficulty);
+  return Math.round(getFrightenedEntry(level).duration * settings.frightenedTimeScale);
+}
+
+/**
+ * Gets how many warning flashes frightened ghosts show before recovering.
+ * @param {string} difficulty - Difficulty level
+ * @param {number} level - Level number (defaults to 1)
+ * @returns {number} Number of flashes
+ */
+export function getFrightenedFlashes(difficulty, level = 1) {
+  if (getFrightenedDuration(difficulty, level) <= 0) {
+    return 0;
+  }
+  return getFrightenedEntry(level).flashes;
+}
+
+/**
+ * Gets the scatter/chase schedule for the current difficulty and level.
+ * Phases alternate starting with scatter; after the last phase ghosts chase
+ * for the rest of the level.
+ * @param {string} difficulty - Difficulty level
+ * @param {number} level - Level number (defaults to 1)
+ * @returns {number[]} Phase durations in ms
+ */
+export function getModeSchedule(difficulty, level = 1) {
+  const settings = getLevelSettings(difficulty, level);
+  return settings.modeSchedule;
+}
+
+/**
+ * Gets the ghost release delay multiplier for the current difficulty and level.
+ * @param {string} difficulty - Difficulty level
+ * @param {number} level - Level number (defaults to 1)
+ * @returns {number} Release delay multiplier
+ */
+export function getReleaseDelayMultiplier(difficulty, level = 1) {
+  const settings = getLevelSettings(difficulty, level);
   return settings.releaseDelayMultiplier;
 }
 
@@ -127,3 +361,19 @@ export function getClydeShyDistance(difficulty) {
   const settings = getDifficultySettings(difficulty);
   return settings.clydeShyDistance;
 }
+
+/**
+ * Gets Blinky's Cruise Elroy stages for the current difficulty and level.
+ * Stage 1 starts at elroyDotsLeft dots remaining; stage 2 at half as many,
+ * with double the speed bonus.
+ * @param {string} difficulty - Difficulty level
+ * @param {number} level - Level number (defaults to 1)
+ * @returns {object[]} Stages in order, each { dotsLeft, speedBonus }
+ */
+export function getElroyStages(difficulty, level = 1) {
+  const settings = getLevelSettings(difficulty, level);
+  return [
+    { dotsLeft: settings.elroyDotsLeft, speedBonus: settings.elroySpeedBonus },
+    { dotsLeft: Math.floor(settings.elroyDotsLeft / 2), speedBonus: settings.elroySpeedBonus * 2 },
+  ];
+}
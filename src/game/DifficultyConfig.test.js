@@ -0,0 +1,207 @@
+/**
+ * Tests for difficulty presets and the level progression curve.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  Difficulty,
+  DIFFICULTY_PRESETS,
+  LEVEL_PROGRESSION,
+  FRIGHTENED_TABLE,
+  getDifficultySettings,
+  getLevelProgression,
+  getLevelSettings,
+  getGhostSpeed,
+  getFrightenedSpeed,
+  getFrightenedDuration,
+  getFrightenedFlashes,
+  getModeSchedule,
+  getReleaseDelayMultiplier,
+  getGhostEatFreeze,
+  getMovementModel,
+  getTunnelSpeed,
+  getGhostNavigator,
+  getGhostRosterName,
+  getGhostAssignment,
+  getFrightenedPolicy,
+  getGhostSpeed,
+} from './DifficultyConfig.js';
+
+describe('DifficultyConfig', () => {
+  it('falls back to medium for unknown difficulties', () => {
+    expect(getDifficultySettings('impossible')).toBe(DIFFICULTY_PRESETS[Difficulty.MEDIUM]);
+  });
+
+  describe('getLevelProgression', () => {
+    it('maps levels to table rows and clamps out-of-range levels', () => {
+      expect(getLevelProgression(1)).toBe(LEVEL_PROGRESSION[0]);
+      expect(getLevelProgression(3)).toBe(LEVEL_PROGRESSION[2]);
+      expect(getLevelProgression(0)).toBe(LEVEL_PROGRESSION[0]);
+      expect(getLevelProgression(99)).toBe(LEVEL_PROGRESSION[LEVEL_PROGRESSION.length - 1]);
+      expect(getLevelProgression(undefined)).toBe(LEVEL_PROGRESSION[0]);
+    });
+  });
+
+  describe('getLevelSettings', () => {
+    it('leaves level 1 identical to the preset', () => {
+      for (const difficulty of Object.values(Difficulty)) {
+        expect(getLevelSettings(difficulty, 1)).toEqual(DIFFICULTY_PRESETS[difficulty]);
+      }
+    });
+
+    it('keeps labels and untouched settings from the preset', () => {
+      const settings = getLevelSettings(Difficulty.HARD, 4);
+      expect(settings.label).toBe('Hard');
+      expect(settings.eatenSpeed).toBe(DIFFICULTY_PRESETS[Difficulty.HARD].eatenSpeed);
+      expect(settings.clydeShyDistance).toBe(DIFFICULTY_PRESETS[Difficulty.HARD].clydeShyDistance);
+    });
+  });
+
+  describe('frightened table', () => {
+    it('reads duration and flashes per level on Medium', () => {
+      expect(getFrightenedDuration(Difficulty.MEDIUM, 1)).toBe(7000);
+      expect(getFrightenedFlashes(Difficulty.MEDIUM, 1)).toBe(5);
+      expect(getFrightenedDuration(Difficulty.MEDIUM, 9)).toBe(1000);
+      expect(getFrightenedFlashes(Difficulty.MEDIUM, 9)).toBe(3);
+    });
+
+    it('scales durations by difficulty but not flash counts', () => {
+      expect(getFrightenedDuration(Difficulty.EASY, 1)).toBeGreaterThan(getFrightenedDuration(Difficulty.MEDIUM, 1));
+      expect(getFrightenedDuration(Difficulty.HARD, 1)).toBeLessThan(getFrightenedDuration(Difficulty.MEDIUM, 1));
+      expect(getFrightenedFlashes(Difficulty.HARD, 1)).toBe(getFrightenedFlashes(Difficulty.EASY, 1));
+    });
+
+    it('stops frightening ghosts on late levels', () => {
+      const lastLevel = FRIGHTENED_TABLE.length;
+      expect(getFrightenedDuration(Difficulty.EASY, lastLevel)).toBe(0);
+      expect(getFrightenedFlashes(Difficulty.EASY, lastLevel)).toBe(0);
+      expect(getFrightenedDuration(Difficulty.MEDIUM, lastLevel + 100)).toBe(0);
+    });
+
+    it('always leaves time for the warning flashes', () => {
+      for (const entry of FRIGHTENED_TABLE) {
+        expect(entry.duration === 0).toBe(entry.flashes === 0);
+      }
+    });
+  });
+
+  describe('getGhostEatFreeze', () => {
+    it('reads the freeze length from the preset', () => {
+      for (const difficulty of Object.values(Difficulty)) {
+        expect(getGhostEatFreeze(difficulty)).toBe(DIFFICULTY_PRESETS[difficulty].ghostEatFreeze);
+      }
+      expect(getGhostEatFreeze('impossible')).toBe(DIFFICULTY_PRESETS[Difficulty.MEDIUM].ghostEatFreeze);
+    });
+  });
+
+  describe('getTunnelSpeed', () => {
+    it('keeps ghosts slower in tunnels and scales with the level', () => {
+      for (const difficulty of Object.values(Difficulty)) {
+        expect(getTunnelSpeed(difficulty)).toBeLessThan(getGhostSpeed(difficulty));
+      }
+      expect(getTunnelSpeed(Difficulty.MEDIUM, 5)).toBeGreaterThan(getTunnelSpeed(Difficulty.MEDIUM, 1));
+    });
+  });
+
+  describe('getGhostRosterName', () => {
+    it('plays the classic roster by default', () => {
+      expect(getGhostRosterName(Difficulty.EASY)).toBe('classic');
+      expect(getGhostRosterName(Difficulty.HARD, 12)).toBe('classic');
+    });
+
+    it('picks the roster for each level, repeating the last', () => {
+      const original = DIFFICULTY_PRESETS[Difficulty.EASY].ghostRosters;
+      DIFFICULTY_PRESETS[Difficulty.EASY].ghostRosters = ['pair', 'classic', 'nightmare'];
+      try {
+        expect(getGhostRosterName(Difficulty.EASY, 1)).toBe('pair');
+        expect(getGhostRosterName(Difficulty.EASY, 2)).toBe('classic');
+        expect(getGhostRosterName(Difficulty.EASY, 7)).toBe('nightmare');
+      } finally {
+        DIFFICULTY_PRESETS[Difficulty.EASY].ghostRosters = original;
+      }
+    });
+  });
+
+  describe('getGhostNavigator', () => {
+    it('navigates by shortest path on Hard only', () => {
+      expect(getGhostNavigator(Difficulty.EASY)).toBe('greedy');
+      expect(getGhostNavigator(Difficulty.MEDIUM)).toBe('greedy');
+      expect(getGhostNavigator(Difficulty.HARD)).toBe('shortestPath');
+    });
+  });
+
+  describe('getGhostAssignment', () => {
+    it('splits ghosts between players, and focuses the leader on Hard', () => {
+      expect(getGhostAssignment(Difficulty.EASY)).toBe('split');
+      expect(getGhostAssignment(Difficulty.MEDIUM)).toBe('split');
+      expect(getGhostAssignment(Difficulty.HARD)).toBe('leaderFocus');
+    });
+  });
+
+  describe('getFrightenedPolicy', () => {
+    it('makes frightened ghosts flee on Hard only', () => {
+      expect(getFrightenedPolicy(Difficulty.EASY)).toBe('random');
+      expect(getFrightenedPolicy(Difficulty.MEDIUM)).toBe('random');
+      expect(getFrightenedPolicy(Difficulty.HARD)).toBe('flee');
+    });
+  });
+
+  describe('getMovementModel', () => {
+    it('uses the arcade movement model on Hard only', () => {
+      expect(getMovementModel(Difficulty.EASY)).toBe('classic');
+      expect(getMovementModel(Difficulty.MEDIUM)).toBe('classic');
+      expect(getMovementModel(Difficulty.HARD)).toBe('arcade');
+    });
+  });
+
+  describe('getModeSchedule', () => {
+    it('starts with scatter and has a finite number of phases', () => {
+      for (const difficulty of Object.values(Difficulty)) {
+        const schedule = getModeSchedule(difficulty, 1);
+        expect(schedule).toEqual(DIFFICULTY_PRESETS[difficulty].modeSchedule);
+        expect(schedule.length).toBeGreaterThan(2);
+        expect(schedule.every((duration) => duration > 0)).toBe(true);
+      }
+    });
+
+    it('scales scatter and chase phases separately on later levels', () => {
+      const level1 = getModeSchedule(Difficulty.MEDIUM, 1);
+      const level5 = getModeSchedule(Difficulty.MEDIUM, 5);
+      const progression = LEVEL_PROGRESSION[4];
+      expect(level5[2]).toBe(Math.round(level1[2] * progression.scatterDuration));
+      expect(level5[3]).toBe(Math.round(level1[3] * progression.chaseDuration));
+    });
+  });
+
+  describe('level progression', () => {
+    const levels = LEVEL_PROGRESSION.map((_, index) => index + 1);
+
+    it('gets harder every level on every difficulty', () => {
+      for (const difficulty of Object.values(Difficulty)) {
+        for (const level of levels.slice(1)) {
+          expect(getGhostSpeed(difficulty, level)).toBeGreaterThan(getGhostSpeed(difficulty, level - 1));
+          expect(getFrightenedSpeed(difficulty, level)).toBeGreaterThan(getFrightenedSpeed(difficulty, level - 1));
+          expect(getFrightenedDuration(difficulty, level)).toBeLessThan(getFrightenedDuration(difficulty, level - 1));
+          expect(getModeSchedule(difficulty, level)[0]).toBeLessThan(getModeSchedule(difficulty, level - 1)[0]);
+          expect(getModeSchedule(difficulty, level)[1]).toBeGreaterThan(getModeSchedule(difficulty, level - 1)[1]);
+          expect(getReleaseDelayMultiplier(difficulty, level)).toBeLessThan(getReleaseDelayMultiplier(difficulty, level - 1));
+        }
+      }
+    });
+
+    it('keeps difficulties ordered on every level', () => {
+      for (const level of levels) {
+        expect(getGhostSpeed(Difficulty.EASY, level)).toBeLessThan(getGhostSpeed(Difficulty.MEDIUM, level));
+        expect(getGhostSpeed(Difficulty.MEDIUM, level)).toBeLessThan(getGhostSpeed(Difficulty.HARD, level));
+      }
+    });
+
+    it('keeps frightened ghosts slower than chasing ghosts', () => {
+      for (const difficulty of Object.values(Difficulty)) {
+        for (const level of levels) {
+          expect(getFrightenedSpeed(difficulty, level)).toBeLessThan(getGhostSpeed(difficulty, level));
+        }
+      }
+    });
+  });
+});
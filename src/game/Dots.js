@@ -3,7 +3,7 @@
  * Handles dot placement, collection tracking, and scoring.
  */
 
-import { TILE_SIZE } from '../data/maze.js';
+import { TILE_SIZE, TILE_TYPES } from '../data/maze.js';
 export { TILE_SIZE };
 export const DOT_POINTS = 10;
 export const POWER_PELLET_POINTS = 50;
@@ -57,7 +57,8 @@ function isPowerPelletPosition(x, y) {
  * Creates the initial dot state for a level.
  * Dots are placed on all empty tiles in the maze.
  * Power pellets are placed at designated corner positions.
- * @param {number[][]} maze - 2D array where 0 = empty (place dot), 1 = wall
+ * @param {number[][]} maze - 2D array where 0 = empty (place dot), 1 = wall;
+ *   no-up intersections (see TILE_TYPES) get a dot like empty tiles
  * @returns {object} Dots state
  */
 export function createDotsFromMaze(maze) {
@@ -66,7 +67,7 @@ export function createDotsFromMaze(maze) {
 
   for (let y = 0; y < maze.length; y++) {
     for (let x = 0; x < maze[y].length; x++) {
-      if (maze[y][x] === 0) {
+      if (maze[y][x] === 0 || maze[y][x] === TILE_TYPES.NO_UP) {
         const dotType = isPowerPelletPosition(x, y) ? DotType.POWER : DotType.REGULAR;
         const dot = createDot(x, y, dotType);
         dots[dot.id] = dot;
@@ -84,26 +85,27 @@ export function createDotsFromMaze(maze) {
 
 /**
  * Creates a default maze layout for testing.
- * 0 = empty (dot placement), 1 = wall
+ * 0 = empty (dot placement), 1 = wall, 5 = side tunnel, 6 = no-up intersection (see TILE_TYPES)
  * @returns {number[][]} Default maze layout
  */
 export function createDefaultMaze() {
-  // 20x15 tile maze (400x300 pixels with 20px tiles)
+  // 20x15 tile maze (400x300 pixels with 20px tiles); row 8 is a side tunnel, and
+  // the junctions above the ghost house and the bottom corridor are no-up, as in the arcade
   return [
     [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1],
     [1, 0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0, 0, 0, 0, 0, 0, 0, 1],
     [1, 0, 1, 1, 0, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 0, 1, 1, 0, 1],
     [1, 0, 1, 1, 0, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 0, 1, 1, 0, 1],
-    [1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1],
+    [1, 0, 0, 0, 0, 0, 0, 0, 6, 0, 0, 6, 0, 0, 0, 0, 0, 0, 0, 1],
     [1, 0, 1, 1, 0, 1, 0, 1, 1, 1, 1, 1, 1, 0, 1, 0, 1, 1, 0, 1],
     [1, 0, 0, 0, 0, 1, 0, 0, 0, 1, 1, 0, 0, 0, 1, 0, 0, 0, 0, 1],
     [1, 1, 1, 1, 0, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 0, 1, 1, 1, 1],
-    [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1],
+    [5, 0, 0, 0, 0, 1, 0, 0, 0, 0, 0, 0, 0, 0, 1, 0, 0, 0, 0, 5],
     [1, 0, 1, 1, 0, 1, 0, 1, 1, 1, 1, 1, 1, 0, 1, 0, 1, 1, 0, 1],
     [1, 0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 0, 0, 0, 0, 0, 0, 0, 0, 1],
     [1, 0, 1, 1, 0, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 0, 1, 1, 0, 1],
     [1, 0, 1, 1, 0, 1, 1, 1, 0, 1, 1, 0, 1, 1, 1, 0, 1, 1, 0, 1],
-    [1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1],
+    [1, 0, 0, 0, 0, 0, 0, 0, 6, 0, 0, 6, 0, 0, 0, 0, 0, 0, 0, 1],
     [1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1],
   ];
 }
@@ -163,12 +165,14 @@ export function collectDot(dotsState, dotId) {
  * @param {object} dotsState - Current dots state
  * @param {number} x - Entity X position (pixels)
  * @param {number} y - Entity Y position (pixels)
- * @returns {object} { newDotsState, totalPoints, powerPelletCollected } - Updated state, total points, and power pellet flag
+ * @returns {object} { newDotsState, totalPoints, powerPelletCollected, collected } - Updated state, total points,
+ *   power pellet flag, and the list of collected dots with their points
  */
 export function collectDotsAtPosition(dotsState, x, y) {
   let totalPoints = 0;
   let currentState = dotsState;
   let powerPelletCollected = false;
+  const collected = [];
 
   for (const dotId in dotsState.dots) {
     const dot = dotsState.dots[dotId];
@@ -176,13 +180,14 @@ export function collectDotsAtPosition(dotsState, x, y) {
       const { newDotsState, points, isPowerPellet } = collectDot(currentState, dotId);
       currentState = newDotsState;
       totalPoints += points;
+      collected.push({ dot, points, isPowerPellet });
       if (isPowerPellet) {
         powerPelletCollected = true;
       }
     }
   }
 
-  return { newDotsState: currentState, totalPoints, powerPelletCollected };
+  return { newDotsState: currentState, totalPoints, powerPelletCollected, collected };
 }
 
 /**
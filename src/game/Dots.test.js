@@ -115,24 +115,25 @@ describe('Dots', () => {
       });
     });
 
-    it('has walls around the perimeter', () => {
+    it('has walls around the perimeter, except for the side tunnel', () => {
       const maze = createDefaultMaze();
       // Top row all walls
       expect(maze[0].every((cell) => cell === 1)).toBe(true);
       // Bottom row all walls
       expect(maze[14].every((cell) => cell === 1)).toBe(true);
-      // Left and right edges
+      // Left and right edges, open on row 8 through the tunnel
       for (let y = 0; y < 15; y++) {
-        expect(maze[y][0]).toBe(1);
-        expect(maze[y][19]).toBe(1);
+        const edge = y === 8 ? 5 : 1;
+        expect(maze[y][0]).toBe(edge);
+        expect(maze[y][19]).toBe(edge);
       }
     });
 
-    it('contains only 0s and 1s', () => {
+    it('contains only paths, walls, tunnel and no-up tiles', () => {
       const maze = createDefaultMaze();
       maze.forEach((row) => {
         row.forEach((cell) => {
-          expect([0, 1]).toContain(cell);
+          expect([0, 1, 5, 6]).toContain(cell);
         });
       });
     });
@@ -157,6 +158,16 @@ describe('Dots', () => {
       expect(state.dots['dot-1-1']).toBeDefined();
     });
 
+    it('places dots on no-up intersections but not on tunnels', () => {
+      const markedMaze = [
+        [1, 1, 1, 1],
+        [5, 6, 0, 5],
+        [1, 1, 1, 1],
+      ];
+      const state = createDotsFromMaze(markedMaze);
+      expect(Object.keys(state.dots).sort()).toEqual(['dot-1-1', 'dot-2-1']);
+    });
+
     it('returns correct totalDots count', () => {
       const simpleMaze = [
         [1, 0, 1],
@@ -0,0 +1,94 @@
+/**
+ * Bonus life rules for Pacman 2D.
+ * Players earn an extra life when their score reaches a threshold. Each
+ * player's awards are tracked separately so P1 and P2 earn lives on their
+ * own scores.
+ */
+
+import { GameEventType, createGameEvent } from './GameEvents.js';
+
+/**
+ * Default bonus life rules.
+ * - firstThreshold: Score that awards the first extra life
+ * - repeatEvery: Points between further extra lives (0 = only one bonus life)
+ * - maxLives: Lives can never exceed this; a bonus earned at the cap is forfeited
+ */
+export const EXTRA_LIFE_RULES = {
+  firstThreshold: 10000,
+  repeatEvery: 0,
+  maxLives: 5,
+};
+
+/**
+ * Gets the score needed for a player's next extra life.
+ * @param {number} awarded - Extra lives already awarded to the player
+ * @param {object} rules - Bonus life rules
+ * @returns {number|null} Score threshold, or null if no more lives can be earned
+ */
+export function getNextExtraLifeThreshold(awarded, rules = EXTRA_LIFE_RULES) {
+  if (awarded === 0) {
+    return rules.firstThreshold;
+  }
+  if (rules.repeatEvery > 0) {
+    return rules.firstThreshold + awarded * rules.repeatEvery;
+  }
+  return null;
+}
+
+/**
+ * Counts how many extra life thresholds a score has reached.
+ * @param {number} score - Player score
+ * @param {object} rules - Bonus life rules
+ * @returns {number} Number of thresholds reached
+ */
+export function countExtraLifeThresholds(score, rules = EXTRA_LIFE_RULES) {
+  if (score < rules.firstThreshold) {
+    return 0;
+  }
+  if (rules.repeatEvery > 0) {
+    return 1 + Math.floor((score - rules.firstThreshold) / rules.repeatEvery);
+  }
+  return 1;
+}
+
+/**
+ * Awards extra lives for thresholds each player's score has newly reached.
+ * Appends an EXTRA_LIFE event to `events` for every life granted.
+ * @param {object} state - Game state after scores have been updated
+ * @param {object} rules - Bonus life rules
+ * @returns {object} Updated game state
+ */
+export function awardExtraLives(state, rules = EXTRA_LIFE_RULES) {
+  const players = [
+    { player: 1, scoreKey: 'score', livesKey: 'lives', awardedKey: 'extraLivesAwarded' },
+    { player: 2, scoreKey: 'player2Score', livesKey: 'player2Lives', awardedKey: 'player2ExtraLivesAwarded' },
+  ];
+
+  let newState = state;
+  for (const { player, scoreKey, livesKey, awardedKey } of players) {
+    const awarded = newState[awardedKey] || 0;
+    const earned = countExtraLifeThresholds(newState[scoreKey], rules);
+    if (earned <= awarded) {
+      continue;
+    }
+
+    const lives = Math.min(rules.maxLives, newState[livesKey] + (earned - awarded));
+    const events = [...(newState.events || [])];
+    for (let life = newState[livesKey] + 1; life <= lives; life++) {
+      events.push(createGameEvent(GameEventType.EXTRA_LIFE, {
+        player,
+        lives: life,
+        score: newState[scoreKey],
+      }));
+    }
+
+    newState = {
+      ...newState,
+      [livesKey]: lives,
+      [awardedKey]: earned,
+      events,
+    };
+  }
+
+  return newState;
+}
@@ -0,0 +1,88 @@
+/**
+ * Tests for bonus life rules.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  EXTRA_LIFE_RULES,
+  getNextExtraLifeThreshold,
+  countExtraLifeThresholds,
+  awardExtraLives,
+} from './ExtraLives.js';
+import { GameEventType } from './GameEvents.js';
+
+const REPEATING = { firstThreshold: 10000, repeatEvery: 20000, maxLives: 5 };
+
+function createPlayers(changes = {}) {
+  return {
+    score: 0,
+    lives: 3,
+    extraLivesAwarded: 0,
+    player2Score: 0,
+    player2Lives: 3,
+    player2ExtraLivesAwarded: 0,
+    events: [],
+    ...changes,
+  };
+}
+
+describe('ExtraLives', () => {
+  it('awards the first life at 10,000 with no repeats by default', () => {
+    expect(EXTRA_LIFE_RULES.firstThreshold).toBe(10000);
+    expect(getNextExtraLifeThreshold(0)).toBe(10000);
+    expect(getNextExtraLifeThreshold(1)).toBeNull();
+    expect(countExtraLifeThresholds(9999)).toBe(0);
+    expect(countExtraLifeThresholds(10000)).toBe(1);
+    expect(countExtraLifeThresholds(500000)).toBe(1);
+  });
+
+  it('repeats thresholds when configured', () => {
+    expect(getNextExtraLifeThreshold(1, REPEATING)).toBe(30000);
+    expect(getNextExtraLifeThreshold(2, REPEATING)).toBe(50000);
+    expect(countExtraLifeThresholds(29999, REPEATING)).toBe(1);
+    expect(countExtraLifeThresholds(50000, REPEATING)).toBe(3);
+  });
+
+  describe('awardExtraLives', () => {
+    it('leaves state untouched below the threshold', () => {
+      const state = createPlayers({ score: 9990 });
+      expect(awardExtraLives(state)).toBe(state);
+    });
+
+    it('awards each threshold only once', () => {
+      const awarded = awardExtraLives(createPlayers({ score: 10000 }));
+      expect(awarded.lives).toBe(4);
+      expect(awardExtraLives({ ...awarded, score: 12000, events: [] }).lives).toBe(4);
+    });
+
+    it('tracks players separately', () => {
+      const state = awardExtraLives(createPlayers({ player2Score: 10500 }));
+      expect(state.lives).toBe(3);
+      expect(state.player2Lives).toBe(4);
+      expect(state.events).toEqual([
+        { type: GameEventType.EXTRA_LIFE, player: 2, lives: 4, score: 10500 },
+      ]);
+    });
+
+    it('awards several lives when a score jumps past several thresholds', () => {
+      const state = awardExtraLives(createPlayers({ lives: 1, score: 55000 }), REPEATING);
+      expect(state.lives).toBe(4);
+      expect(state.extraLivesAwarded).toBe(3);
+      expect(state.events.map((event) => event.lives)).toEqual([2, 3, 4]);
+    });
+
+    it('forfeits lives earned at the cap', () => {
+      const state = awardExtraLives(createPlayers({ lives: 5, score: 10000 }));
+      expect(state.lives).toBe(5);
+      expect(state.extraLivesAwarded).toBe(1);
+      expect(state.events).toEqual([]);
+    });
+
+    it('keeps events already produced by the update', () => {
+      const earlier = { type: GameEventType.DOT_EATEN, player: 1 };
+      const state = awardExtraLives(createPlayers({ score: 10000, events: [earlier] }));
+      expect(state.events[0]).toBe(earlier);
+      expect(state.events).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Typed game events for Pacman 2D.
+ * Pure update functions attach the events produced by a single update to
+ * `state.events` so sound, UI and stats can react to what actually happened
+ * instead of diffing scores between frames.
+ */
+
+/**
+ * Event types emitted by the game state update functions.
+ */
+export const GameEventType = {
+  DOT_EATEN: 'dot_eaten',
+  POWER_PELLET: 'power_pellet',
+  FRIGHTENED_ENDED: 'frightened_ended',
+  GHOST_EATEN: 'ghost_eaten',
+  FRUIT_COLLECTED: 'fruit_collected',
+  EXTRA_LIFE: 'extra_life',
+  PLAYER_DIED: 'player_died',
+  PLAYER_RESPAWNED: 'player_respawned',
+  LEVEL_CLEARED: 'level_cleared',
+  LEVEL_STARTED: 'level_started',
+  INTERMISSION_STARTED: 'intermission_started',
+  GAME_OVER: 'game_over',
+  GAME_COMPLETE: 'game_complete',
+};
+
+/**
+ * Creates a game event.
+ * @param {string} type - One of GameEventType
+ * @param {object} payload - Event-specific data (player, points, ghostType, ...)
+ * @returns {object} Event object { type, ...payload }
+ */
+export function createGameEvent(type, payload = {}) {
+  return { type, ...payload };
+}
+
+/**
+ * Creates a minimal event bus for broadcasting game events to listeners.
+ * Listener errors are isolated so one failing subscriber cannot break the loop:
+ * the remaining listeners still run, and the error is rethrown asynchronously.
+ * @returns {object} { subscribe, emit, clear }
+ */
+export function createEventBus() {
+  const listeners = new Set();
+
+  return {
+    /**
+     * Registers a listener called once per event.
+     * @param {function} listener - Called with (event)
+     * @returns {function} Unsubscribe function
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+
+    /**
+     * Delivers a list of events to every listener, in order.
+     * @param {object[]} events - Events to deliver
+     */
+    emit(events) {
+      if (!events || events.length === 0) {
+        return;
+      }
+      for (const event of events) {
+        for (const listener of listeners) {
+          try {
+            listener(event);
+          } catch (error) {
+            queueMicrotask(() => {
+              throw error;
+            });
+          }
+        }
+      }
+    },
+
+    /**
+     * Removes all listeners.
+     */
+    clear() {
+      listeners.clear();
+    },
+  };
+}
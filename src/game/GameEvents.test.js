@@ -0,0 +1,92 @@
+/**
+ * Tests for the typed game event helpers.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { GameEventType, createGameEvent, createEventBus } from './GameEvents.js';
+
+describe('GameEvents', () => {
+  describe('createGameEvent', () => {
+    it('creates an event with type and payload', () => {
+      const event = createGameEvent(GameEventType.GHOST_EATEN, { player: 2, points: 400 });
+      expect(event).toEqual({ type: GameEventType.GHOST_EATEN, player: 2, points: 400 });
+    });
+
+    it('defaults to an empty payload', () => {
+      expect(createGameEvent(GameEventType.FRIGHTENED_ENDED)).toEqual({
+        type: GameEventType.FRIGHTENED_ENDED,
+      });
+    });
+  });
+
+  describe('createEventBus', () => {
+    it('delivers each event to every listener in order', () => {
+      const bus = createEventBus();
+      const received = [];
+      bus.subscribe((event) => received.push(['a', event.type]));
+      bus.subscribe((event) => received.push(['b', event.type]));
+
+      bus.emit([
+        createGameEvent(GameEventType.DOT_EATEN),
+        createGameEvent(GameEventType.POWER_PELLET),
+      ]);
+
+      expect(received).toEqual([
+        ['a', GameEventType.DOT_EATEN],
+        ['b', GameEventType.DOT_EATEN],
+        ['a', GameEventType.POWER_PELLET],
+        ['b', GameEventType.POWER_PELLET],
+      ]);
+    });
+
+    it('stops delivering after unsubscribe', () => {
+      const bus = createEventBus();
+      const listener = vi.fn();
+      const unsubscribe = bus.subscribe(listener);
+
+      unsubscribe();
+      bus.emit([createGameEvent(GameEventType.DOT_EATEN)]);
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('ignores empty or missing event lists', () => {
+      const bus = createEventBus();
+      const listener = vi.fn();
+      bus.subscribe(listener);
+
+      bus.emit([]);
+      bus.emit(undefined);
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('isolates listener errors from other listeners and rethrows them asynchronously', () => {
+      const bus = createEventBus();
+      const microtaskSpy = vi.spyOn(globalThis, 'queueMicrotask').mockImplementation(() => {});
+      const listener = vi.fn();
+      bus.subscribe(() => {
+        throw new Error('boom');
+      });
+      bus.subscribe(listener);
+
+      expect(() => bus.emit([createGameEvent(GameEventType.DOT_EATEN)])).not.toThrow();
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      const [rethrow] = microtaskSpy.mock.calls[0];
+      expect(rethrow).toThrow('boom');
+      microtaskSpy.mockRestore();
+    });
+
+    it('clear removes all listeners', () => {
+      const bus = createEventBus();
+      const listener = vi.fn();
+      bus.subscribe(listener);
+
+      bus.clear();
+      bus.emit([createGameEvent(GameEventType.DOT_EATEN)]);
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+  });
+});
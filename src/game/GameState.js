@@ -17,9 +17,10 @@ import {
   endFrightenedMode,
   markGhostEaten,
   checkGhostCollision,
+  suspendElroy,
   GhostMode,
   Direction,
-  GHOST_START_POSITIONS,
+  getGhostStartPosition,
   MODE_TIMINGS,
 } from './GhostAI.js';
 import {
@@ -36,7 +37,11 @@ import {
 } from './RandomFruit.js';
 import {
   Difficulty,
-  getModeTimings,
+  getModeSchedule,
+  getFrightenedDuration,
+  getGhostEatFreeze,
+  getFrightenedFlashes,
+  getGhostAssignment,
 } from './DifficultyConfig.js';
 import {
   canPlayerDie,
@@ -46,24 +51,53 @@ import {
   PLAYER_SPAWN_POSITIONS,
   INVINCIBILITY_DURATION,
 } from './DeathHandler.js';
+import {
+  createGhostHouseState,
+  activateGlobalDotCounter,
+  updateGhostHouse,
+} from './GhostHouse.js';
+import { assignGhosts, getScoreLeader } from './GhostAssignment.js';
+import { GameEventType, createGameEvent } from './GameEvents.js';
+import { awardExtraLives } from './ExtraLives.js';
+import { createSeed, createRng, normalizeSeed } from './Random.js';
+import {
+  KILL_SCREEN_LEVEL,
+  isKillScreen,
+  corruptDots,
+  createGarbageTiles,
+} from './KillScreen.js';
+import {
+  getCutscene,
+  getIntermissionAfterLevel,
+  isCutsceneFinished,
+} from './Cutscene.js';
 
 export const GameStatus = {
   MODE_SELECT: 'mode_select',
   IDLE: 'idle',
+  READY: 'ready',
   RUNNING: 'running',
   PAUSED: 'paused',
   DYING: 'dying',
   GAME_OVER: 'game_over',
   LEVEL_COMPLETE: 'level_complete',
+  INTERMISSION: 'intermission',
   GAME_COMPLETE: 'game_complete',
 };
 
 // Maximum level before game completion
 export const MAX_LEVEL = 5;
 
+// Endless mode plays on until the kill screen (see KillScreen.js)
+export { KILL_SCREEN_LEVEL };
+
 // Death animation duration in milliseconds
 export const DEATH_ANIMATION_DURATION = 1500;
 
+// "READY!" countdown before play starts (see getReady); the first level of a game gets the full intro
+export const READY_DURATION = 2000;
+export const FIRST_LEVEL_READY_DURATION = 4200;
+
 export const GameMode = {
   SINGLE_PLAYER: '1P',
   TWO_PLAYER: '2P',
@@ -71,9 +105,10 @@ export const GameMode = {
 
 // Frightened mode constants
 export const FRIGHTENED_DURATION = 7000; // 7 seconds of frightened mode
-export const FRIGHTENED_FLASH_TIME = 2000; // Flash for last 2 seconds
+export const FRIGHTENED_FLASH_TIME = 2000; // Flash for last 2 seconds on level 1 (5 flashes)
+export const FRIGHTENED_FLASH_INTERVAL = 400; // One white/blue flash (see getFrightenedFlashes)
 export const FRIGHTENED_SPEED_MULTIPLIER = 0.5; // Ghosts move at half speed when frightened
-export const VULNERABILITY_DURATION = 7000; // 7 seconds vulnerability
+export const VULNERABILITY_DURATION = 7000; // 7 seconds vulnerability on level 1 (see getFrightenedDuration)
 
 // Ghost configuration
 export const GHOST_NAMES = ['blinky', 'pinky', 'inky', 'clyde'];
@@ -88,27 +123,61 @@ export const GHOST_RESPAWN_DELAY = 5000;
  */
 export const GHOST_EAT_POINTS = [200, 400, 800, 1600];
 
-export function createInitialState(highScore = 0, difficulty = Difficulty.MEDIUM) {
+/**
+ * Gets the points for eating a ghost during frightened mode.
+ * Follows GHOST_EAT_POINTS; rosters of more than four ghosts keep doubling
+ * for each extra ghost (3200, 6400, ...).
+ * @param {number} chainIndex - Ghosts already eaten during this frightened period
+ * @param {number} ghostCount - Ghosts on the board
+ * @returns {number} Points
+ */
+export function getGhostEatPoints(chainIndex, ghostCount = GHOST_EAT_POINTS.length) {
+  const lastIndex = GHOST_EAT_POINTS.length - 1;
+  const index = Math.min(chainIndex, Math.max(ghostCount - 1, lastIndex));
+  if (index <= lastIndex) {
+    return GHOST_EAT_POINTS[index];
+  }
+  return GHOST_EAT_POINTS[lastIndex] * 2 ** (index - lastIndex);
+}
+
+/**
+ * Creates the initial game state.
+ * @param {number} highScore - High score to carry over
+ * @param {string} difficulty - Difficulty level
+ * @param {number} seed - Seed for all gameplay randomness (random when omitted)
+ * @returns {object} Initial game state
+ */
+export function createInitialState(highScore = 0, difficulty = Difficulty.MEDIUM, seed = createSeed()) {
   const maze = createDefaultMaze();
   const dotsState = createDotsFromMaze(maze);
+  const normalizedSeed = normalizeSeed(seed);
+  const random = createRng(normalizedSeed);
+  const randomFruits = createInitialRandomFruitState(random);
 
   return {
     status: GameStatus.MODE_SELECT,
     gameMode: null, // Will be set when player selects 1P or 2P
     difficulty, // Difficulty setting (easy, medium, hard)
+    endless: false, // Endless mode plays past MAX_LEVEL (see getFinalLevel)
+    // Seeded PRNG: the seed this game started from and the generator's current state
+    seed: normalizedSeed,
+    rngState: random.getState(),
     // Player 1 stats
     score: 0,
     highScore,
     lives: 3,
+    extraLivesAwarded: 0, // Bonus life thresholds already reached (see ExtraLives.js)
     // Player 2 stats
     player2Score: 0,
     player2Lives: 3,
+    player2ExtraLivesAwarded: 0,
     // Shared game state
     level: 1,
     elapsedTime: 0,
     frameCount: 0,
     maze,
     dots: dotsState,
+    garbageTiles: null, // Kill screen garbage drawn over the maze (see KillScreen.js)
     // Player 1 starts at tile (2, 4) - avoids power pellet at (1,1)
     player: {
       x: PLAYER_SPAWN_POSITIONS[1].x,
@@ -128,30 +197,65 @@ export function createInitialState(highScore = 0, difficulty = Difficulty.MEDIUM
     player2InvincibilityTimer: 0,
     // Ghosts with AI behaviors
     ghosts: createAllGhosts(difficulty),
-    // Ghost mode management (scatter/chase switching)
+    // Dot counters and inactivity timer that release ghosts from the house (see GhostHouse.js)
+    ghostHouse: createGhostHouseState(),
+    // Ghost mode management (scatter/chase schedule, see getModePhase)
     globalMode: GhostMode.SCATTER,
-    modeTimer: 0,
+    modeTimer: 0, // Time spent in the current phase
+    modePhase: 0, // Index into the difficulty's mode schedule
     // Ghost frightened/vulnerable state
     ghostsVulnerable: false,
     vulnerabilityTimer: 0,
     ghostsEatenDuringFrightened: 0,
-    // Ghost respawn timers (keyed by ghost type)
+    // Freeze frame after a ghost is eaten: { timer, popups } (see getGhostEatFreeze)
+    ghostEatFreeze: null,
+    // Ghost respawn timers (keyed by ghost id)
     ghostRespawnTimers: {},
     // Bonus fruit state (fixed position based on dots collected)
     fruit: createInitialFruitState(),
     // Random fruit state (random spawning bonus items)
-    randomFruits: createInitialRandomFruitState(),
+    randomFruits,
+    // READY countdown before play (re)starts
+    readyTimer: 0,
     // Death animation state
     deathAnimationTimer: 0,
     dyingPlayer: null, // 1 for P1, 2 for P2, null when not dying
+    // Cutscene playing between levels (see Cutscene.js): { cutscene, elapsed }
+    intermission: null,
+    // Typed events produced by the most recent update (see GameEvents.js)
+    events: [],
+    // Replay being played back (see Replay.js), null during normal play
+    replay: null,
   };
 }
 
+/**
+ * Rebalances which player each ghost chases in 2P (see GhostAssignment.js).
+ * @param {object} state - Game state, for the game mode, difficulty and scores
+ * @param {object} ghosts - Ghost states to assign
+ * @param {number|null} dyingPlayer - Player who is dying; the other one gets every ghost
+ * @returns {object} Updated ghost states (unchanged outside 2P)
+ */
+function rebalanceGhosts(state, ghosts, dyingPlayer = null) {
+  if (state.gameMode !== GameMode.TWO_PLAYER) {
+    return ghosts;
+  }
+  return assignGhosts(
+    ghosts,
+    getGhostAssignment(state.difficulty),
+    getScoreLeader(state.score, state.player2Score),
+    [1, 2].filter((player) => player !== dyingPlayer)
+  );
+}
+
 /**
  * Updates death animation state.
  * Called when status is DYING to animate and then respawn or game over.
  * Handles both Player 1 and Player 2 deaths in 2P mode.
  *
+ * Emits GAME_OVER or PLAYER_RESPAWNED in `events` when the animation completes.
+ * A respawn goes through the READY countdown before play resumes.
+ *
  * @param {object} state - Current game state
  * @param {number} deltaTime - Time since last frame in milliseconds
  * @returns {object} - Updated game state
@@ -165,7 +269,9 @@ export function updateDeathAnimation(state, deltaTime) {
 
   // In 2P mode, update ghosts so they keep chasing the surviving player
   let updatedGhosts = state.ghosts;
+  let rngState = state.rngState;
   if (state.gameMode === GameMode.TWO_PLAYER) {
+    const random = createRng(state.rngState);
     const globalMode = state.ghostsVulnerable ? GhostMode.FRIGHTENED : GhostMode.CHASE;
     const player2Pos = state.player2;
     const player2Dir = state.player2.direction;
@@ -177,8 +283,11 @@ export function updateDeathAnimation(state, deltaTime) {
       player2Pos,
       player2Dir,
       deltaTime,
-      globalMode
+      globalMode,
+      random,
+      state.dots.totalDots - state.dots.collectedDots
     );
+    rngState = random.getState();
   }
 
   if (newTimer <= 0) {
@@ -192,18 +301,23 @@ export function updateDeathAnimation(state, deltaTime) {
         return {
           ...state,
           ghosts: updatedGhosts,
+          rngState,
           status: GameStatus.GAME_OVER,
           deathAnimationTimer: 0,
           dyingPlayer: null,
+          events: [createGameEvent(GameEventType.GAME_OVER, { level: state.level })],
         };
       } else {
-        // Respawn Player 2 with invincibility
-        const respawnedState = respawnPlayer({ ...state, ghosts: updatedGhosts }, 2);
+        // Respawn Player 2 with invincibility; ghosts split between both players again
+        const respawnedState = respawnPlayer({ ...state, ghosts: updatedGhosts, rngState }, 2);
         return {
           ...respawnedState,
-          status: GameStatus.RUNNING,
+          ghosts: rebalanceGhosts(respawnedState, respawnedState.ghosts),
+          status: GameStatus.READY,
+          readyTimer: READY_DURATION,
           deathAnimationTimer: 0,
           dyingPlayer: null,
+          events: [createGameEvent(GameEventType.PLAYER_RESPAWNED, { player: 2 })],
         };
       }
     } else {
@@ -217,18 +331,23 @@ export function updateDeathAnimation(state, deltaTime) {
         return {
           ...state,
           ghosts: updatedGhosts,
+          rngState,
           status: GameStatus.GAME_OVER,
           deathAnimationTimer: 0,
           dyingPlayer: null,
+          events: [createGameEvent(GameEventType.GAME_OVER, { level: state.level })],
         };
       } else {
-        // Respawn Player 1 with invincibility
-        const respawnedState = respawnPlayer({ ...state, ghosts: updatedGhosts }, 1);
+        // Respawn Player 1 with invincibility; ghosts split between both players again
+        const respawnedState = respawnPlayer({ ...state, ghosts: updatedGhosts, rngState }, 1);
         return {
           ...respawnedState,
-          status: GameStatus.RUNNING,
+          ghosts: rebalanceGhosts(respawnedState, respawnedState.ghosts),
+          status: GameStatus.READY,
+          readyTimer: READY_DURATION,
           deathAnimationTimer: 0,
           dyingPlayer: null,
+          events: [createGameEvent(GameEventType.PLAYER_RESPAWNED, { player: 1 })],
         };
       }
     }
@@ -237,13 +356,18 @@ export function updateDeathAnimation(state, deltaTime) {
   return {
     ...state,
     ghosts: updatedGhosts,
+    rngState,
     deathAnimationTimer: newTimer,
+    events: [],
   };
 }
 
 /**
  * Updates game state based on delta time.
  * This is the main update function called by the game loop.
+ * The returned state carries the typed events produced by this update in `events`.
+ * While the freeze after eating a ghost lasts (see ghostEatFreeze), only its
+ * timer advances.
  *
  * @param {object} state - Current game state
  * @param {number} deltaTime - Time since last frame in milliseconds
@@ -253,16 +377,28 @@ export function updateGameState(state, deltaTime) {
   if (state.status !== GameStatus.RUNNING) {
     return state;
   }
+  if (state.ghostEatFreeze) {
+    return updateGhostEatFreeze(state, deltaTime);
+  }
 
   // Update invincibility timers first
   let currentState = updateInvincibility(state, deltaTime);
+  const events = [];
+  // All randomness this update is drawn from the seeded generator
+  const random = createRng(state.rngState);
 
   // Check for dot collection at player 1 position
-  const { newDotsState: p1DotsState, totalPoints: p1Points, powerPelletCollected: p1PowerPellet } = collectDotsAtPosition(
+  const {
+    newDotsState: p1DotsState,
+    totalPoints: p1Points,
+    powerPelletCollected: p1PowerPellet,
+    collected: p1Collected,
+  } = collectDotsAtPosition(
     state.dots,
     state.player.x,
     state.player.y
   );
+  pushDotEvents(events, p1Collected, 1);
 
   // Check for dot collection at player 2 position (in 2P mode)
   let newDotsState = p1DotsState;
@@ -277,6 +413,7 @@ export function updateGameState(state, deltaTime) {
     newDotsState = p2Collection.newDotsState;
     p2Points = p2Collection.totalPoints;
     p2PowerPellet = p2Collection.powerPelletCollected;
+    pushDotEvents(events, p2Collection.collected, 2);
   }
 
   let newScore = state.score + p1Points;
@@ -293,12 +430,20 @@ export function updateGameState(state, deltaTime) {
   let updatedGhosts = state.ghosts;
   let ghostRespawnTimers = { ...state.ghostRespawnTimers };
   let globalMode = state.globalMode;
-  let modeTimer = state.modeTimer + deltaTime;
+  let modeTimer = state.modeTimer;
+  let modePhase = state.modePhase || 0;
 
-  if (powerPelletCollected) {
+  const frightenedDuration = powerPelletCollected
+    ? getFrightenedDuration(state.difficulty, state.level)
+    : 0;
+
+  if (powerPelletCollected && frightenedDuration <= 0) {
+    // Late levels: power pellets only reverse the ghosts (skips EATEN ghosts)
+    updatedGhosts = setGhostMode(state.ghosts, globalMode, true);
+  } else if (powerPelletCollected) {
     // Start or reset vulnerability timer
     ghostsVulnerable = true;
-    vulnerabilityTimer = VULNERABILITY_DURATION;
+    vulnerabilityTimer = frightenedDuration;
     ghostsEatenDuringFrightened = 0;
     // Set all ghosts to frightened mode with reverse (skips EATEN ghosts)
     updatedGhosts = setGhostMode(state.ghosts, GhostMode.FRIGHTENED, true);
@@ -310,23 +455,23 @@ export function updateGameState(state, deltaTime) {
       ghostsEatenDuringFrightened = 0;
       // Return ghosts to their previous mode (skips EATEN ghosts)
       updatedGhosts = endFrightenedMode(updatedGhosts);
+      events.push(createGameEvent(GameEventType.FRIGHTENED_ENDED));
     }
   }
 
-  // Handle scatter/chase mode switching (only when not frightened)
+  // Advance the scatter/chase schedule (paused while ghosts are frightened)
   if (!ghostsVulnerable) {
-    // Get mode timings based on difficulty
-    const difficultyModeTimings = getModeTimings(state.difficulty);
-    const currentModeTime = globalMode === GhostMode.SCATTER
-      ? difficultyModeTimings.scatter
-      : difficultyModeTimings.chase;
-
-    if (modeTimer >= currentModeTime) {
-      // Switch modes
-      modeTimer = 0;
-      globalMode = globalMode === GhostMode.SCATTER
-        ? GhostMode.CHASE
-        : GhostMode.SCATTER;
+    const schedule = getModeSchedule(state.difficulty, state.level);
+    let phase = getSchedulePhase(schedule, modePhase);
+    modeTimer += deltaTime;
+    while (modeTimer >= phase.duration) {
+      modeTimer -= phase.duration;
+      modePhase += 1;
+      phase = getSchedulePhase(schedule, modePhase);
+    }
+
+    if (phase.mode !== globalMode) {
+      globalMode = phase.mode;
       // Update all active ghosts to new mode with direction reverse
       updatedGhosts = setGhostMode(updatedGhosts, globalMode, true);
     }
@@ -342,7 +487,7 @@ export function updateGameState(state, deltaTime) {
         const ghost = updatedGhosts[ghostType];
         if (ghost && ghost.mode === GhostMode.EATEN) {
           // Respawn at starting position
-          const startPos = GHOST_START_POSITIONS[ghostType];
+          const startPos = getGhostStartPosition(ghost.type);
           updatedGhosts = {
             ...updatedGhosts,
             [ghostType]: {
@@ -358,6 +503,18 @@ export function updateGameState(state, deltaTime) {
     }
   }
 
+  // Release ghosts from the house for the dots eaten this update
+  const houseUpdate = updateGhostHouse(
+    state.ghostHouse ?? createGhostHouseState(),
+    updatedGhosts,
+    newDotsState.collectedDots - state.dots.collectedDots,
+    deltaTime,
+    state.difficulty,
+    state.level
+  );
+  let ghostHouse = houseUpdate.ghostHouse;
+  updatedGhosts = houseUpdate.ghosts;
+
   // Pass FRIGHTENED as release mode when ghosts are vulnerable,
   // so ghosts released from house enter frightened mode
   const releaseMode = ghostsVulnerable ? GhostMode.FRIGHTENED : globalMode;
@@ -375,7 +532,9 @@ export function updateGameState(state, deltaTime) {
     player2Pos,
     player2Dir,
     deltaTime,
-    releaseMode
+    releaseMode,
+    random,
+    newDotsState.totalDots - newDotsState.collectedDots
   );
 
   // Check player-ghost collision
@@ -387,6 +546,10 @@ export function updateGameState(state, deltaTime) {
   let player = currentState.player;
   let deathAnimationTimer = currentState.deathAnimationTimer;
   let dyingPlayer = currentState.dyingPlayer;
+  // Point values shown in place of ghosts eaten this update
+  const ghostEatPopups = [];
+  // Eat-chain points keep doubling for rosters of more than four ghosts
+  const ghostCount = Object.keys(updatedGhosts).length;
 
   // Check Player 1 collision with ghosts (only if not invincible)
   const collision = checkGhostCollision(updatedGhosts, currentState.player.x, currentState.player.y);
@@ -394,10 +557,25 @@ export function updateGameState(state, deltaTime) {
   if (collision.collision) {
     if (collision.canEat) {
       // Player 1 eats frightened ghost
+      const eatenGhost = updatedGhosts[collision.ghostType];
       updatedGhosts = markGhostEaten(updatedGhosts, collision.ghostType);
-      const pointIndex = Math.min(ghostsEatenDuringFrightened, GHOST_EAT_POINTS.length - 1);
-      finalScore += GHOST_EAT_POINTS[pointIndex];
+      const points = getGhostEatPoints(ghostsEatenDuringFrightened, ghostCount);
+      finalScore += points;
       ghostsEatenDuringFrightened += 1;
+      events.push(createGameEvent(GameEventType.GHOST_EATEN, {
+        player: 1,
+        ghostType: collision.ghostType,
+        points,
+        x: eatenGhost.x,
+        y: eatenGhost.y,
+      }));
+      ghostEatPopups.push({
+        player: 1,
+        ghostType: collision.ghostType,
+        points,
+        x: eatenGhost.x,
+        y: eatenGhost.y,
+      });
       // Start respawn timer for eaten ghost
       ghostRespawnTimers[collision.ghostType] = GHOST_RESPAWN_DELAY;
     } else if (canPlayerDie(currentState, 1)) {
@@ -406,6 +584,13 @@ export function updateGameState(state, deltaTime) {
       finalStatus = GameStatus.DYING;
       deathAnimationTimer = DEATH_ANIMATION_DURATION;
       dyingPlayer = 1;
+      updatedGhosts = suspendElroy(updatedGhosts);
+      ghostHouse = activateGlobalDotCounter(ghostHouse);
+      events.push(createGameEvent(GameEventType.PLAYER_DIED, {
+        player: 1,
+        ghostType: collision.ghostType,
+        livesRemaining: lives,
+      }));
     }
   }
 
@@ -417,15 +602,37 @@ export function updateGameState(state, deltaTime) {
     if (collision2.collision) {
       if (collision2.canEat) {
         // Player 2 eats frightened ghost
+        const eatenGhost = updatedGhosts[collision2.ghostType];
         updatedGhosts = markGhostEaten(updatedGhosts, collision2.ghostType);
-        const pointIndex = Math.min(ghostsEatenDuringFrightened, GHOST_EAT_POINTS.length - 1);
-        finalPlayer2Score += GHOST_EAT_POINTS[pointIndex];
+        const points = getGhostEatPoints(ghostsEatenDuringFrightened, ghostCount);
+        finalPlayer2Score += points;
         ghostsEatenDuringFrightened += 1;
+        events.push(createGameEvent(GameEventType.GHOST_EATEN, {
+          player: 2,
+          ghostType: collision2.ghostType,
+          points,
+          x: eatenGhost.x,
+          y: eatenGhost.y,
+        }));
+        ghostEatPopups.push({
+          player: 2,
+          ghostType: collision2.ghostType,
+          points,
+          x: eatenGhost.x,
+          y: eatenGhost.y,
+        });
         // Start respawn timer for eaten ghost
         ghostRespawnTimers[collision2.ghostType] = GHOST_RESPAWN_DELAY;
       } else if (canPlayerDie(currentState, 2)) {
         // Ghost catches player 2 - decrement lives (only if not invincible)
         player2Lives -= 1;
+        updatedGhosts = suspendElroy(updatedGhosts);
+        ghostHouse = activateGlobalDotCounter(ghostHouse);
+        events.push(createGameEvent(GameEventType.PLAYER_DIED, {
+          player: 2,
+          ghostType: collision2.ghostType,
+          livesRemaining: player2Lives,
+        }));
         // Only start death animation if not already dying (P1 takes priority)
         if (finalStatus !== GameStatus.DYING) {
           finalStatus = GameStatus.DYING;
@@ -436,6 +643,15 @@ export function updateGameState(state, deltaTime) {
     }
   }
 
+  // Ghosts chasing a player who just died turn on the other one
+  if (dyingPlayer && dyingPlayer !== currentState.dyingPlayer) {
+    updatedGhosts = rebalanceGhosts(
+      { ...currentState, score: finalScore, player2Score: finalPlayer2Score },
+      updatedGhosts,
+      dyingPlayer
+    );
+  }
+
   // Handle bonus fruit
   let newFruitState = updateFruitTimer(state.fruit, deltaTime);
   let fruitPoints = 0;
@@ -448,35 +664,76 @@ export function updateGameState(state, deltaTime) {
 
   // Check for fruit collection - Player 1
   if (newFruitState.active && checkFruitCollision(player.x, player.y, newFruitState)) {
+    const fruitType = newFruitState.type;
     const { newFruitState: collectedState, points } = collectFruit(newFruitState);
     newFruitState = collectedState;
     fruitPoints = points;
+    events.push(createGameEvent(GameEventType.FRUIT_COLLECTED, {
+      player: 1,
+      fruitType,
+      points,
+      x: newFruitState.x,
+      y: newFruitState.y,
+    }));
   }
 
   // Check for fruit collection - Player 2 (in 2P mode)
   if (state.gameMode === GameMode.TWO_PLAYER && newFruitState.active && checkFruitCollision(state.player2.x, state.player2.y, newFruitState)) {
+    const fruitType = newFruitState.type;
     const { newFruitState: collectedState, points } = collectFruit(newFruitState);
     newFruitState = collectedState;
     fruitPointsP2 = points;
+    events.push(createGameEvent(GameEventType.FRUIT_COLLECTED, {
+      player: 2,
+      fruitType,
+      points,
+      x: newFruitState.x,
+      y: newFruitState.y,
+    }));
   }
 
   // Handle random fruit spawning and collection
   const player2PosForFruit = state.gameMode === GameMode.TWO_PLAYER ? state.player2 : null;
-  const { newState: newRandomFruitState, collectedPoints: randomFruitPoints } = updateRandomFruits(
+  const {
+    newState: newRandomFruitState,
+    collectedPoints: randomFruitPoints,
+    collected: randomFruitsCollected,
+  } = updateRandomFruits(
     state.randomFruits,
     deltaTime,
     state.maze,
     newDotsState,
     state.player,
     player2PosForFruit,
-    state.level
+    state.level,
+    random
   );
+  for (const { player: collector, fruit, points } of randomFruitsCollected) {
+    events.push(createGameEvent(GameEventType.FRUIT_COLLECTED, {
+      player: collector,
+      fruitType: fruit.type,
+      points,
+      x: fruit.x,
+      y: fruit.y,
+      random: true,
+    }));
+  }
+
+  if (newStatus === GameStatus.LEVEL_COMPLETE) {
+    events.push(createGameEvent(GameEventType.LEVEL_CLEARED, { level: state.level }));
+  }
+
+  // Freeze play on the points, unless the update also ended the level or a life
+  const ghostEatFreezeDuration = getGhostEatFreeze(state.difficulty);
+  const ghostEatFreeze = ghostEatPopups.length > 0 && ghostEatFreezeDuration > 0 && finalStatus === GameStatus.RUNNING
+    ? { timer: ghostEatFreezeDuration, popups: ghostEatPopups }
+    : null;
 
   const finalScoreWithFruit = finalScore + fruitPoints + randomFruitPoints;
   const finalPlayer2ScoreWithFruit = finalPlayer2Score + fruitPointsP2;
   const newHighScore = Math.max(state.highScore, finalScoreWithFruit, finalPlayer2ScoreWithFruit);
 
-  return {
+  return awardExtraLives({
     ...currentState,
     elapsedTime: currentState.elapsedTime + deltaTime,
     frameCount: currentState.frameCount + 1,
@@ -489,19 +746,83 @@ export function updateGameState(state, deltaTime) {
     player2Lives,
     player,
     ghosts: updatedGhosts,
+    ghostHouse,
     globalMode,
     modeTimer,
+    modePhase,
     ghostsVulnerable,
     vulnerabilityTimer,
     ghostsEatenDuringFrightened,
+    ghostEatFreeze,
     ghostRespawnTimers,
     fruit: newFruitState,
     randomFruits: newRandomFruitState,
     deathAnimationTimer,
     dyingPlayer,
+    rngState: random.getState(),
+    events,
+  });
+}
+
+/**
+ * Counts down the freeze after a ghost is eaten.
+ * Nothing else moves, and neither the clock nor the random generator advances.
+ */
+function updateGhostEatFreeze(state, deltaTime) {
+  const timer = state.ghostEatFreeze.timer - deltaTime;
+  return {
+    ...state,
+    ghostEatFreeze: timer > 0 ? { ...state.ghostEatFreeze, timer } : null,
+    events: [],
+  };
+}
+
+/**
+ * Gets the mode and length of a phase in a scatter/chase schedule.
+ * Even phases scatter, odd phases chase, and chase lasts forever after the last phase.
+ */
+function getSchedulePhase(schedule, index) {
+  if (index >= schedule.length) {
+    return { mode: GhostMode.CHASE, duration: Infinity };
+  }
+  return {
+    mode: index % 2 === 0 ? GhostMode.SCATTER : GhostMode.CHASE,
+    duration: schedule[index],
+  };
+}
+
+/**
+ * Gets the current scatter/chase phase, for debugging overlays.
+ * @param {object} state - Current game state
+ * @returns {object} { index, mode, duration, elapsed, isFinal } where isFinal
+ *   marks the permanent chase after the schedule has run out
+ */
+export function getModePhase(state) {
+  const schedule = getModeSchedule(state.difficulty, state.level);
+  const index = state.modePhase || 0;
+  return {
+    index,
+    ...getSchedulePhase(schedule, index),
+    elapsed: state.modeTimer,
+    isFinal: index >= schedule.length,
   };
 }
 
+/**
+ * Appends DOT_EATEN / POWER_PELLET events for dots collected by a player.
+ * @param {object[]} events - Event list to append to
+ * @param {object[]} collected - Collected dots from collectDotsAtPosition
+ * @param {number} player - Player number (1 or 2)
+ */
+function pushDotEvents(events, collected, player) {
+  for (const { dot, points, isPowerPellet } of collected) {
+    events.push(createGameEvent(
+      isPowerPellet ? GameEventType.POWER_PELLET : GameEventType.DOT_EATEN,
+      { player, points, tileX: dot.tileX, tileY: dot.tileY }
+    ));
+  }
+}
+
 /**
  * Updates player 1 position and direction.
  * @param {object} state - Current game state
@@ -544,15 +865,39 @@ export function updatePlayer2Position(state, x, y, direction = null) {
  * Sets the game mode (1P or 2P) and transitions to IDLE (ready to start).
  */
 export function setGameMode(state, mode) {
-  return {
+  const newState = {
     ...state,
     gameMode: mode,
     status: GameStatus.IDLE,
   };
+  return { ...newState, ghosts: rebalanceGhosts(newState, state.ghosts) };
 }
 
 /**
- * Starts or resumes the game.
+ * Switches between the 5-level campaign and endless mode.
+ * @param {object} state - Current game state
+ * @param {boolean} endless - True for endless mode
+ * @returns {object} - Updated game state
+ */
+export function setEndless(state, endless) {
+  return {
+    ...state,
+    endless: Boolean(endless),
+  };
+}
+
+/**
+ * Gets the last level of the current game.
+ * Endless games end on the kill screen, which cannot be cleared.
+ * @param {object} state - Current game state
+ * @returns {number} MAX_LEVEL, or KILL_SCREEN_LEVEL in endless mode
+ */
+export function getFinalLevel(state) {
+  return state.endless ? KILL_SCREEN_LEVEL : MAX_LEVEL;
+}
+
+/**
+ * Starts or resumes the game immediately, skipping the READY countdown.
  */
 export function startGame(state) {
   return {
@@ -561,6 +906,43 @@ export function startGame(state) {
   };
 }
 
+/**
+ * Starts the READY countdown; play begins when it runs out (see updateReady).
+ * The first level of a game gets the longer FIRST_LEVEL_READY_DURATION intro.
+ * @param {object} state - Current game state
+ * @returns {object} - Updated game state
+ */
+export function getReady(state) {
+  const isNewGame = state.level === 1 && state.frameCount === 0;
+  return {
+    ...state,
+    status: GameStatus.READY,
+    readyTimer: isNewGame ? FIRST_LEVEL_READY_DURATION : READY_DURATION,
+  };
+}
+
+/**
+ * Counts down the READY banner and starts play when it runs out.
+ * Players and ghosts stay frozen, and neither the clock nor the random
+ * generator advances, so the countdown never affects a replay.
+ * @param {object} state - Current game state
+ * @param {number} deltaTime - Time since last frame in milliseconds
+ * @returns {object} - Updated game state
+ */
+export function updateReady(state, deltaTime) {
+  if (state.status !== GameStatus.READY) {
+    return state;
+  }
+
+  const readyTimer = Math.max(0, state.readyTimer - deltaTime);
+  return {
+    ...state,
+    status: readyTimer > 0 ? GameStatus.READY : GameStatus.RUNNING,
+    readyTimer,
+    events: [],
+  };
+}
+
 /**
  * Pauses the game.
  */
@@ -591,9 +973,10 @@ export function resumeGame(state) {
  * Resets the game to initial state, preserving high score and difficulty.
  * @param {number} highScore - High score to preserve
  * @param {string} difficulty - Difficulty level to preserve
+ * @param {number} seed - Seed for the new game (random when omitted)
  */
-export function resetGame(highScore = 0, difficulty = Difficulty.MEDIUM) {
-  return createInitialState(highScore, difficulty);
+export function resetGame(highScore = 0, difficulty = Difficulty.MEDIUM, seed = createSeed()) {
+  return createInitialState(highScore, difficulty, seed);
 }
 
 /**
@@ -603,18 +986,23 @@ export function resetGame(highScore = 0, difficulty = Difficulty.MEDIUM) {
  * @returns {object} - Updated game state
  */
 export function setDifficulty(state, difficulty) {
+  const newState = { ...state, difficulty };
   return {
-    ...state,
-    difficulty,
+    ...newState,
     // Recreate ghosts with new difficulty settings
-    ghosts: createAllGhosts(difficulty),
+    ghosts: rebalanceGhosts(newState, createAllGhosts(difficulty, state.level)),
   };
 }
 
 /**
  * Advances to the next level.
  * Resets maze/dots/ghosts/fruit while preserving score/lives/highScore/gameMode/difficulty.
- * If already at MAX_LEVEL, sets status to GAME_COMPLETE instead.
+ * If already at the final level (see getFinalLevel), sets status to GAME_COMPLETE instead.
+ * If a cutscene is scheduled after the cleared level, enters INTERMISSION first;
+ * calling nextLevel again during the intermission skips to the next level.
+ * In endless mode the difficulty curve stays at its last LEVEL_PROGRESSION and
+ * FRIGHTENED_TABLE entries, and KILL_SCREEN_LEVEL has half its maze corrupted.
+ * Emits LEVEL_STARTED, INTERMISSION_STARTED or GAME_COMPLETE in `events`.
  *
  * @param {object} state - Current game state
  * @returns {object} - Updated game state for next level
@@ -623,16 +1011,31 @@ export function nextLevel(state) {
   const newLevel = state.level + 1;
 
   // Check if game is complete
-  if (newLevel > MAX_LEVEL) {
+  if (newLevel > getFinalLevel(state)) {
     return {
       ...state,
       status: GameStatus.GAME_COMPLETE,
+      events: [createGameEvent(GameEventType.GAME_COMPLETE, { level: state.level })],
+    };
+  }
+
+  // Play the intermission scheduled after this level, if any
+  const cutscene = state.status !== GameStatus.INTERMISSION && getIntermissionAfterLevel(state.level);
+  if (cutscene) {
+    return {
+      ...state,
+      status: GameStatus.INTERMISSION,
+      intermission: { cutscene: cutscene.id, elapsed: 0 },
+      events: [createGameEvent(GameEventType.INTERMISSION_STARTED, { level: state.level, cutscene: cutscene.id })],
     };
   }
 
   // Create fresh maze and dots
   const maze = createDefaultMaze();
-  const dotsState = createDotsFromMaze(maze);
+  const killScreen = isKillScreen(newLevel);
+  const dotsState = killScreen
+    ? corruptDots(createDotsFromMaze(maze), maze)
+    : createDotsFromMaze(maze);
 
   return {
     ...state,
@@ -642,6 +1045,7 @@ export function nextLevel(state) {
     frameCount: 0,
     maze,
     dots: dotsState,
+    garbageTiles: killScreen ? createGarbageTiles(maze, state.seed) : null,
     // Reset player positions
     player: {
       x: PLAYER_SPAWN_POSITIONS[1].x,
@@ -658,18 +1062,47 @@ export function nextLevel(state) {
     player1InvincibilityTimer: 0,
     player2Invincible: false,
     player2InvincibilityTimer: 0,
-    // Reset ghosts with current difficulty
-    ghosts: createAllGhosts(state.difficulty),
+    // Reset ghosts with current difficulty, scaled for the new level
+    ghosts: rebalanceGhosts(state, createAllGhosts(state.difficulty, newLevel)),
+    ghostHouse: createGhostHouseState(),
     globalMode: GhostMode.SCATTER,
     modeTimer: 0,
+    modePhase: 0,
     ghostsVulnerable: false,
     vulnerabilityTimer: 0,
     ghostsEatenDuringFrightened: 0,
+    ghostEatFreeze: null,
     ghostRespawnTimers: {},
     // Reset fruit
     fruit: createInitialFruitState(),
     deathAnimationTimer: 0,
-    // Preserved: score, lives, highScore, gameMode, player2Score, player2Lives, difficulty
+    intermission: null,
+    events: [createGameEvent(GameEventType.LEVEL_STARTED, { level: newLevel })],
+    // Preserved: score, lives, highScore, gameMode, player2Score, player2Lives, difficulty, endless
+  };
+}
+
+/**
+ * Advances the intermission cutscene.
+ * Moves on to the next level (see nextLevel) once the cutscene has finished.
+ * @param {object} state - Current game state
+ * @param {number} deltaTime - Time since last frame in milliseconds
+ * @returns {object} - Updated game state
+ */
+export function updateIntermission(state, deltaTime) {
+  if (state.status !== GameStatus.INTERMISSION) {
+    return state;
+  }
+
+  const elapsed = (state.intermission?.elapsed ?? 0) + deltaTime;
+  if (isCutsceneFinished(getCutscene(state.intermission?.cutscene), elapsed)) {
+    return nextLevel(state);
+  }
+
+  return {
+    ...state,
+    intermission: { ...state.intermission, elapsed },
+    events: [],
   };
 }
 
@@ -693,11 +1126,26 @@ export function areGhostsFrightened(state) {
 
 /**
  * Checks if ghosts are in the flashing warning state.
+ * The warning lasts one FRIGHTENED_FLASH_INTERVAL per flash in the level's table entry.
  * @param {object} state - Current game state
- * @returns {boolean} True if ghosts are flashing (last 2 seconds of vulnerability)
+ * @returns {boolean} True if ghosts are flashing (end of vulnerability)
  */
 export function areGhostsFlashing(state) {
-  return state.ghostsVulnerable && state.vulnerabilityTimer <= FRIGHTENED_FLASH_TIME;
+  const flashTime = getFrightenedFlashes(state.difficulty, state.level) * FRIGHTENED_FLASH_INTERVAL;
+  return state.ghostsVulnerable && state.vulnerabilityTimer <= flashTime;
+}
+
+/**
+ * Checks if flashing ghosts should be drawn white this frame.
+ * Each flash is white for the first half of its interval, then blue.
+ * @param {object} state - Current game state
+ * @returns {boolean} True if frightened ghosts should be drawn white
+ */
+export function isFrightenedFlashWhite(state) {
+  if (!areGhostsFlashing(state)) {
+    return false;
+  }
+  return Math.ceil(state.vulnerabilityTimer / (FRIGHTENED_FLASH_INTERVAL / 2)) % 2 === 0;
 }
 
 /**
@@ -710,8 +1158,7 @@ export function eatGhost(state) {
     return state;
   }
 
-  const ghostIndex = Math.min(state.ghostsEatenDuringFrightened, GHOST_EAT_POINTS.length - 1);
-  const points = GHOST_EAT_POINTS[ghostIndex];
+  const points = getGhostEatPoints(state.ghostsEatenDuringFrightened, Object.keys(state.ghosts).length);
 
   return {
     ...state,
@@ -722,3 +1169,4 @@ export function eatGhost(state) {
 
 // Re-export TILE_SIZE, Direction, GhostMode, Difficulty, and DeathHandler functions for components
 export { TILE_SIZE, Direction, GhostMode, Difficulty, isPlayerInvincible, INVINCIBILITY_DURATION };
+export { GameEventType };
@@ -7,11 +7,14 @@ import { describe, it, expect, beforeEach, vi } from 'vitest';
 import {
   createInitialState,
   updateDeathAnimation,
+  updateIntermission,
   updateGameState,
   updatePlayerPosition,
   updatePlayer2Position,
   setGameMode,
   startGame,
+  getReady,
+  updateReady,
   pauseGame,
   resumeGame,
   resetGame,
@@ -20,19 +23,42 @@ import {
   areGhostsFrightened,
   areGhostsFlashing,
   eatGhost,
+  getModePhase,
+  setEndless,
+  getFinalLevel,
+  KILL_SCREEN_LEVEL,
   GameStatus,
   GameMode,
   MAX_LEVEL,
   DEATH_ANIMATION_DURATION,
+  READY_DURATION,
+  FIRST_LEVEL_READY_DURATION,
   FRIGHTENED_FLASH_TIME,
+  FRIGHTENED_FLASH_INTERVAL,
+  isFrightenedFlashWhite,
   FRIGHTENED_SPEED_MULTIPLIER,
   GHOST_EAT_POINTS,
+  getGhostEatPoints,
+  GameEventType,
 } from './GameState.js';
-import { Direction } from './GhostAI.js';
+import { Direction, GhostMode, createAllGhosts, getGhostStartPosition } from './GhostAI.js';
+import { GHOST_ROSTERS } from '../data/ghosts/index.js';
+import { Difficulty, getModeSchedule, getGhostEatFreeze, getTunnelSpeed } from './DifficultyConfig.js';
 import { TILE_SIZE } from './Dots.js';
+import { getNoUpTiles } from './Collision.js';
+import { getGlobalReleaseDots, updateGhostHouse } from './GhostHouse.js';
 
 describe('GameState', () => {
   describe('createInitialState', () => {
+    it('plays on a maze with no-up intersections', () => {
+      expect(getNoUpTiles(createInitialState().maze)).toEqual([
+        { tileX: 8, tileY: 4 },
+        { tileX: 11, tileY: 4 },
+        { tileX: 8, tileY: 13 },
+        { tileX: 11, tileY: 13 },
+      ]);
+    });
+
     it('creates state with MODE_SELECT status', () => {
       const state = createInitialState();
       expect(state.status).toBe(GameStatus.MODE_SELECT);
@@ -171,6 +197,45 @@ describe('GameState', () => {
     });
   });
 
+  describe('READY countdown', () => {
+    it('gives the first level of a game the longer intro', () => {
+      const state = getReady({ ...createInitialState(), status: GameStatus.IDLE });
+      expect(state.status).toBe(GameStatus.READY);
+      expect(state.readyTimer).toBe(FIRST_LEVEL_READY_DURATION);
+    });
+
+    it('gives later levels the short countdown', () => {
+      const state = getReady({ ...createInitialState(), level: 3, status: GameStatus.IDLE });
+      expect(state.readyTimer).toBe(READY_DURATION);
+    });
+
+    it('counts down without moving anything', () => {
+      const ready = getReady({ ...createInitialState(), status: GameStatus.IDLE });
+      const newState = updateReady(ready, 1000);
+
+      expect(newState.status).toBe(GameStatus.READY);
+      expect(newState.readyTimer).toBe(FIRST_LEVEL_READY_DURATION - 1000);
+      expect(newState.elapsedTime).toBe(0);
+      expect(newState.frameCount).toBe(0);
+      expect(newState.rngState).toBe(ready.rngState);
+      expect(newState.ghosts).toBe(ready.ghosts);
+      expect(newState.player).toBe(ready.player);
+    });
+
+    it('starts play when the countdown runs out', () => {
+      const ready = getReady({ ...createInitialState(), level: 2, status: GameStatus.IDLE });
+      const newState = updateReady(ready, READY_DURATION);
+
+      expect(newState.status).toBe(GameStatus.RUNNING);
+      expect(newState.readyTimer).toBe(0);
+    });
+
+    it('ignores other statuses', () => {
+      const state = { ...createInitialState(), status: GameStatus.PAUSED };
+      expect(updateReady(state, 100)).toBe(state);
+    });
+  });
+
   describe('pauseGame', () => {
     it('pauses a running game', () => {
       const state = { ...createInitialState(), status: GameStatus.RUNNING };
@@ -357,7 +422,8 @@ describe('GameState', () => {
         ghostsVulnerable: true,
       };
       const newState = updateDeathAnimation(state, 100);
-      expect(newState.status).toBe(GameStatus.RUNNING);
+      expect(newState.status).toBe(GameStatus.READY);
+      expect(newState.readyTimer).toBe(READY_DURATION);
       expect(newState.player.x).toBe(TILE_SIZE * 2.5);
       expect(newState.player.y).toBe(TILE_SIZE * 4.5);
       expect(newState.player.direction).toBe(Direction.RIGHT);
@@ -421,6 +487,472 @@ describe('GameState', () => {
       const newState = updateGameState(runningState, 16);
       expect(newState.modeTimer).toBeGreaterThan(runningState.modeTimer);
     });
+
+    it('respawns repeated ghosts at the start position of their type', () => {
+      const ghosts = createAllGhosts(Difficulty.MEDIUM, 1, GHOST_ROSTERS.nightmare);
+      const state = {
+        ...runningState,
+        ghosts: {
+          ...ghosts,
+          blinky2: { ...ghosts.blinky2, mode: GhostMode.EATEN, x: TILE_SIZE * 1.5, y: TILE_SIZE * 1.5 },
+        },
+        ghostRespawnTimers: { blinky2: 10 },
+      };
+
+      const newState = updateGameState(state, 16);
+      const start = getGhostStartPosition('blinky');
+      expect(newState.ghosts.blinky2.mode).toBe(GhostMode.CHASE);
+      expect(Math.abs(newState.ghosts.blinky2.x - start.x)).toBeLessThan(TILE_SIZE / 2);
+      expect(Math.abs(newState.ghosts.blinky2.y - start.y)).toBeLessThan(TILE_SIZE / 2);
+      expect(newState.ghostRespawnTimers).toEqual({});
+    });
+
+    it('counts eaten dots towards releasing the next ghost', () => {
+      // Player 1 starts on a dot
+      const newState = updateGameState(runningState, 16);
+      expect(newState.dots.collectedDots).toBe(1);
+      expect(newState.ghosts.inky.dotCounter).toBe(1);
+      expect(newState.ghostHouse.inactivityTimer).toBe(0);
+    });
+  });
+
+  describe('scatter/chase schedule', () => {
+    const schedule = getModeSchedule(Difficulty.MEDIUM, 1);
+    let runningState;
+
+    beforeEach(() => {
+      runningState = {
+        ...createInitialState(0, Difficulty.MEDIUM, 1),
+        status: GameStatus.RUNNING,
+        gameMode: GameMode.SINGLE_PLAYER,
+      };
+    });
+
+    it('starts in the first scatter phase', () => {
+      expect(getModePhase(runningState)).toMatchObject({
+        index: 0,
+        mode: GhostMode.SCATTER,
+        duration: schedule[0],
+        elapsed: 0,
+        isFinal: false,
+      });
+    });
+
+    it('moves to the next phase when the current one runs out', () => {
+      const state = updateGameState({ ...runningState, modeTimer: schedule[0] - 10 }, 16);
+      expect(state.modePhase).toBe(1);
+      expect(state.globalMode).toBe(GhostMode.CHASE);
+      expect(state.modeTimer).toBe(6);
+    });
+
+    it('alternates phases and then chases permanently', () => {
+      let state = { ...runningState, modePhase: schedule.length - 1, globalMode: GhostMode.SCATTER };
+      state = updateGameState({ ...state, modeTimer: schedule[schedule.length - 1] }, 16);
+      expect(getModePhase(state)).toMatchObject({ index: schedule.length, mode: GhostMode.CHASE, isFinal: true });
+
+      state = updateGameState({ ...state, modeTimer: 10 * 60 * 1000 }, 16);
+      expect(state.modePhase).toBe(schedule.length);
+      expect(state.globalMode).toBe(GhostMode.CHASE);
+    });
+
+    it('pauses while ghosts are frightened', () => {
+      const frightened = { ...runningState, modeTimer: 500, ghostsVulnerable: true, vulnerabilityTimer: 5000 };
+      const state = updateGameState(frightened, 16);
+      expect(state.modeTimer).toBe(500);
+      expect(state.modePhase).toBe(0);
+    });
+
+    it('resets to the first phase on a new level', () => {
+      const state = nextLevel({ ...runningState, modePhase: 3, modeTimer: 1234 });
+      expect(state.modePhase).toBe(0);
+      expect(state.modeTimer).toBe(0);
+    });
+  });
+
+  describe('seeded randomness', () => {
+    const runGame = (seed, ticks) => {
+      let state = {
+        ...createInitialState(0, undefined, seed),
+        status: GameStatus.RUNNING,
+        gameMode: GameMode.TWO_PLAYER,
+      };
+      for (let i = 0; i < ticks; i++) {
+        if (i === 200) {
+          // Frighten every released ghost so their random choices matter
+          state = {
+            ...state,
+            ghostsVulnerable: true,
+            vulnerabilityTimer: 60000,
+            ghosts: Object.fromEntries(Object.entries(state.ghosts).map(([type, ghost]) => [
+              type,
+              ghost.mode === GhostMode.IN_HOUSE ? ghost : { ...ghost, mode: GhostMode.FRIGHTENED },
+            ])),
+          };
+        }
+        state = updateGameState(state, 16);
+      }
+      return state;
+    };
+
+    it('stores the seed and generator state', () => {
+      const state = createInitialState(0, undefined, 1234);
+      expect(state.seed).toBe(1234);
+      expect(typeof state.rngState).toBe('number');
+    });
+
+    it('creates identical initial states for the same seed', () => {
+      expect(createInitialState(0, undefined, 42)).toEqual(createInitialState(0, undefined, 42));
+    });
+
+    it('produces identical state for the same seed and inputs', () => {
+      expect(runGame(2024, 1200)).toEqual(runGame(2024, 1200));
+    });
+
+    it('diverges for different seeds', () => {
+      expect(runGame(1, 1200)).not.toEqual(runGame(2, 1200));
+    });
+
+    it('advances the generator state as randomness is consumed', () => {
+      const state = runGame(5, 1200);
+      expect(state.rngState).not.toBe(createInitialState(0, undefined, 5).rngState);
+    });
+
+    it('resetGame accepts a seed', () => {
+      expect(resetGame(0, undefined, 77).seed).toBe(77);
+    });
+  });
+
+  describe('game events', () => {
+    let runningState;
+
+    beforeEach(() => {
+      runningState = {
+        ...createInitialState(),
+        status: GameStatus.RUNNING,
+        gameMode: GameMode.SINGLE_PLAYER,
+      };
+    });
+
+    const eventTypes = (state) => state.events.map((event) => event.type);
+
+    it('initial state has no events', () => {
+      expect(createInitialState().events).toEqual([]);
+    });
+
+    it('emits DOT_EATEN with player and points when a dot is collected', () => {
+      const newState = updateGameState(runningState, 16);
+      const dotEvent = newState.events.find((event) => event.type === GameEventType.DOT_EATEN);
+      expect(dotEvent).toMatchObject({ player: 1, points: 10, tileX: 2, tileY: 4 });
+    });
+
+    it('emits no dot events on a tile that was already collected', () => {
+      let state = updateGameState(runningState, 16);
+      state = updateGameState(state, 16);
+      expect(eventTypes(state)).not.toContain(GameEventType.DOT_EATEN);
+    });
+
+    it('emits POWER_PELLET for the collecting player', () => {
+      const state = {
+        ...runningState,
+        gameMode: GameMode.TWO_PLAYER,
+        player2: { x: TILE_SIZE * 1.5, y: TILE_SIZE * 1.5, direction: Direction.LEFT },
+      };
+      const newState = updateGameState(state, 16);
+      const pellet = newState.events.find((event) => event.type === GameEventType.POWER_PELLET);
+      expect(pellet).toMatchObject({ player: 2, points: 50 });
+    });
+
+    it('emits GHOST_EATEN with ghost type, player and points', () => {
+      const state = {
+        ...runningState,
+        ghostsVulnerable: true,
+        vulnerabilityTimer: 5000,
+        ghostsEatenDuringFrightened: 1,
+        ghosts: {
+          ...runningState.ghosts,
+          pinky: {
+            ...runningState.ghosts.pinky,
+            x: runningState.player.x,
+            y: runningState.player.y,
+            mode: GhostMode.FRIGHTENED,
+            direction: Direction.NONE,
+          },
+        },
+      };
+      const newState = updateGameState(state, 1);
+      const ghostEvent = newState.events.find((event) => event.type === GameEventType.GHOST_EATEN);
+      expect(ghostEvent).toMatchObject({ player: 1, ghostType: 'pinky', points: GHOST_EAT_POINTS[1] });
+    });
+
+    it('emits separate events when dots and ghosts score in the same tick', () => {
+      const state = {
+        ...runningState,
+        ghostsVulnerable: true,
+        vulnerabilityTimer: 5000,
+        ghosts: {
+          ...runningState.ghosts,
+          blinky: {
+            ...runningState.ghosts.blinky,
+            x: runningState.player.x,
+            y: runningState.player.y,
+            mode: GhostMode.FRIGHTENED,
+            direction: Direction.NONE,
+          },
+        },
+      };
+      const newState = updateGameState(state, 1);
+      expect(eventTypes(newState)).toEqual(
+        expect.arrayContaining([GameEventType.DOT_EATEN, GameEventType.GHOST_EATEN])
+      );
+    });
+
+    it('emits PLAYER_DIED when a ghost catches a player', () => {
+      const state = {
+        ...runningState,
+        ghosts: {
+          ...runningState.ghosts,
+          blinky: {
+            ...runningState.ghosts.blinky,
+            x: runningState.player.x,
+            y: runningState.player.y,
+            mode: GhostMode.CHASE,
+            direction: Direction.NONE,
+          },
+        },
+      };
+      const newState = updateGameState(state, 1);
+      const died = newState.events.find((event) => event.type === GameEventType.PLAYER_DIED);
+      expect(died).toMatchObject({ player: 1, ghostType: 'blinky', livesRemaining: 2 });
+    });
+
+    it('emits FRIGHTENED_ENDED when vulnerability runs out', () => {
+      const state = { ...runningState, ghostsVulnerable: true, vulnerabilityTimer: 10 };
+      const newState = updateGameState(state, 16);
+      expect(eventTypes(newState)).toContain(GameEventType.FRIGHTENED_ENDED);
+    });
+
+    it('emits FRUIT_COLLECTED with fruit type and points', () => {
+      const state = {
+        ...runningState,
+        player: { x: TILE_SIZE * 9.5, y: TILE_SIZE * 7.5, direction: Direction.RIGHT },
+        fruit: { ...runningState.fruit, active: true, type: 'cherry', timer: 5000, spawnCount: 1 },
+      };
+      const newState = updateGameState(state, 16);
+      const fruitEvent = newState.events.find((event) => event.type === GameEventType.FRUIT_COLLECTED);
+      expect(fruitEvent).toMatchObject({ player: 1, fruitType: 'cherry', points: 100 });
+    });
+
+    it('emits LEVEL_CLEARED when the last dot is eaten', () => {
+      const state = {
+        ...runningState,
+        level: 3,
+        dots: { ...runningState.dots, collectedDots: runningState.dots.totalDots - 1 },
+      };
+      const newState = updateGameState(state, 16);
+      const cleared = newState.events.find((event) => event.type === GameEventType.LEVEL_CLEARED);
+      expect(cleared).toMatchObject({ level: 3 });
+    });
+
+    it('replaces events on every update', () => {
+      let state = updateGameState(runningState, 16);
+      expect(state.events.length).toBeGreaterThan(0);
+      state = updateGameState(state, 16);
+      expect(eventTypes(state)).not.toContain(GameEventType.DOT_EATEN);
+    });
+
+    it('emits PLAYER_RESPAWNED when the death animation completes', () => {
+      const state = {
+        ...createInitialState(),
+        status: GameStatus.DYING,
+        deathAnimationTimer: 10,
+        lives: 2,
+        dyingPlayer: 1,
+      };
+      const newState = updateDeathAnimation(state, 16);
+      expect(newState.events).toEqual([{ type: GameEventType.PLAYER_RESPAWNED, player: 1 }]);
+    });
+
+    it('emits GAME_OVER when the last life is lost', () => {
+      const state = {
+        ...createInitialState(),
+        status: GameStatus.DYING,
+        deathAnimationTimer: 10,
+        lives: 0,
+        level: 2,
+      };
+      const newState = updateDeathAnimation(state, 16);
+      expect(newState.events).toEqual([{ type: GameEventType.GAME_OVER, level: 2 }]);
+    });
+
+    it('awards an extra life and emits EXTRA_LIFE when the score reaches the threshold', () => {
+      const newState = updateGameState({ ...runningState, score: 9995 }, 16);
+      expect(newState.lives).toBe(4);
+      expect(newState.extraLivesAwarded).toBe(1);
+      expect(newState.events).toContainEqual({ type: GameEventType.EXTRA_LIFE, player: 1, lives: 4, score: 10005 });
+    });
+
+    it('awards P2 extra lives on P2 score only', () => {
+      const state = {
+        ...runningState,
+        gameMode: GameMode.TWO_PLAYER,
+        score: 20000,
+        extraLivesAwarded: 1,
+        player2Score: 9990,
+        player2: { x: TILE_SIZE * 1.5, y: TILE_SIZE * 1.5, direction: Direction.LEFT },
+      };
+      const newState = updateGameState(state, 16);
+      expect(newState.lives).toBe(3);
+      expect(newState.player2Lives).toBe(4);
+      expect(newState.player2ExtraLivesAwarded).toBe(1);
+    });
+
+    it('lets ghosts cross the side tunnel of the game maze at tunnel speed', () => {
+      const mazeWidth = runningState.maze[0].length * TILE_SIZE;
+      const x = 4;
+      const state = {
+        ...runningState,
+        ghosts: {
+          ...runningState.ghosts,
+          blinky: { ...runningState.ghosts.blinky, mode: GhostMode.CHASE, x, y: TILE_SIZE * 8.5, direction: Direction.LEFT },
+        },
+      };
+      const newState = updateGameState(state, 100);
+
+      // Out through the left edge and back in on the right
+      expect(newState.ghosts.blinky.x).toBeCloseTo(x - getTunnelSpeed(Difficulty.MEDIUM) * 100 + mazeWidth);
+      expect(newState.ghosts.blinky.y).toBe(TILE_SIZE * 8.5);
+    });
+
+    it('pauses Cruise Elroy when a player dies', () => {
+      const state = {
+        ...runningState,
+        ghosts: {
+          ...runningState.ghosts,
+          blinky: { ...runningState.ghosts.blinky, mode: GhostMode.CHASE, x: runningState.player.x, y: runningState.player.y, elroyStage: 1 },
+        },
+      };
+      const newState = updateGameState(state, 16);
+      expect(eventTypes(newState)).toContain(GameEventType.PLAYER_DIED);
+      expect(newState.ghosts.blinky.elroySuspended).toBe(true);
+      expect(newState.ghosts.blinky.elroyStage).toBe(0);
+    });
+
+    it('keeps chasing ghosts from turning up at no-up intersections of the game maze', () => {
+      const state = {
+        ...runningState,
+        // Straight above the junction at (8,4)
+        player: { ...runningState.player, x: TILE_SIZE * 8.5, y: TILE_SIZE * 2.5 },
+        ghosts: {
+          ...runningState.ghosts,
+          blinky: {
+            ...runningState.ghosts.blinky,
+            mode: GhostMode.CHASE,
+            x: TILE_SIZE * 8.5,
+            y: TILE_SIZE * 4.5,
+            direction: Direction.RIGHT,
+          },
+        },
+      };
+      expect(updateGameState(state, 1).ghosts.blinky.direction).toBe(Direction.RIGHT);
+
+      // The same junction without the marking lets Blinky turn up
+      const maze = state.maze.map((row) => row.map((tile) => (tile === 6 ? 0 : tile)));
+      expect(updateGameState({ ...state, maze }, 1).ghosts.blinky.direction).toBe(Direction.UP);
+    });
+
+    it('switches the ghost house to the global dot counter when a player dies', () => {
+      const state = {
+        ...runningState,
+        ghosts: {
+          ...runningState.ghosts,
+          blinky: { ...runningState.ghosts.blinky, mode: GhostMode.CHASE, x: runningState.player.x, y: runningState.player.y },
+        },
+      };
+      expect(state.ghostHouse.globalDotCounter).toBeNull();
+      const newState = updateGameState(state, 16);
+      expect(newState.ghostHouse.globalDotCounter).toBe(0);
+    });
+
+    it('sends every ghost after the survivor when a player dies in 2P', () => {
+      const twoPlayer = setGameMode({ ...runningState, player2Score: 500 }, GameMode.TWO_PLAYER);
+      expect(twoPlayer.ghosts.blinky.assignedPlayer).toBe(2);
+      expect(twoPlayer.ghosts.clyde.assignedPlayer).toBe(1);
+
+      const state = {
+        ...twoPlayer,
+        status: GameStatus.RUNNING,
+        player2: { x: TILE_SIZE * 17.5, y: TILE_SIZE * 13.5, direction: Direction.LEFT },
+        ghosts: {
+          ...twoPlayer.ghosts,
+          blinky: { ...twoPlayer.ghosts.blinky, mode: GhostMode.CHASE, x: runningState.player.x, y: runningState.player.y },
+        },
+      };
+      const newState = updateGameState(state, 16);
+      expect(newState.dyingPlayer).toBe(1);
+      expect(Object.values(newState.ghosts).map((ghost) => ghost.assignedPlayer)).toEqual([2, 2, 2, 2]);
+
+      // Both players are chased again once the dead player respawns
+      const respawned = updateDeathAnimation({ ...newState, deathAnimationTimer: 1 }, 16);
+      expect(respawned.status).toBe(GameStatus.READY);
+      expect(Object.values(respawned.ghosts).map((ghost) => ghost.assignedPlayer)).toEqual([2, 2, 1, 1]);
+    });
+
+    it('keeps Cruise Elroy paused through the 2P death animation when Clyde is already out', () => {
+      const ghosts = {};
+      for (const [id, ghost] of Object.entries(runningState.ghosts)) {
+        ghosts[id] = { ...ghost, mode: GhostMode.CHASE, released: true, x: TILE_SIZE * 13.5, y: TILE_SIZE * 10.5 };
+      }
+      ghosts.blinky = { ...ghosts.blinky, x: runningState.player.x, y: runningState.player.y, elroyStage: 1 };
+      const state = {
+        ...runningState,
+        gameMode: GameMode.TWO_PLAYER,
+        player2: { x: TILE_SIZE * 17.5, y: TILE_SIZE * 1.5, direction: Direction.LEFT },
+        ghosts,
+        // Few enough dots left for Elroy
+        dots: { ...runningState.dots, collectedDots: runningState.dots.totalDots - 1 },
+      };
+
+      let dying = updateGameState(state, 16);
+      expect(dying.status).toBe(GameStatus.DYING);
+      for (let tick = 0; tick < 10; tick++) {
+        dying = updateDeathAnimation(dying, 16);
+      }
+      expect(dying.ghosts.clyde.mode).not.toBe(GhostMode.IN_HOUSE);
+      expect(dying.ghosts.blinky).toMatchObject({ elroySuspended: true, elroyStage: 0 });
+    });
+
+    it('sends every ghost home after a death and releases them on the global counter', () => {
+      // Mid-level: every ghost is out, Blinky on the player
+      const outside = {};
+      for (const [id, ghost] of Object.entries(runningState.ghosts)) {
+        outside[id] = { ...ghost, mode: GhostMode.CHASE, released: true, x: TILE_SIZE * 13.5, y: TILE_SIZE * 10.5 };
+      }
+      outside.blinky = { ...outside.blinky, x: runningState.player.x, y: runningState.player.y };
+
+      const dying = updateGameState({ ...runningState, ghosts: outside }, 16);
+      expect(dying.status).toBe(GameStatus.DYING);
+      const respawned = updateDeathAnimation(dying, DEATH_ANIMATION_DURATION);
+      expect(Object.values(respawned.ghosts).every((ghost) => ghost.mode === GhostMode.IN_HOUSE)).toBe(true);
+      expect(respawned.ghosts.clyde).toMatchObject(getGhostStartPosition('clyde'));
+
+      const running = updateGameState(updateReady(respawned, READY_DURATION), 16);
+      expect(running.ghosts.blinky.released).toBe(true);
+      expect(running.ghosts.pinky.released).toBe(false);
+
+      const { ghosts } = updateGhostHouse(running.ghostHouse, running.ghosts, getGlobalReleaseDots('pinky'), 16, Difficulty.MEDIUM);
+      expect(ghosts.pinky.released).toBe(true);
+      expect(ghosts.inky.released).toBe(false);
+    });
+
+    it('emits LEVEL_STARTED from nextLevel', () => {
+      const newState = nextLevel({ ...createInitialState(), level: 1 });
+      expect(newState.events).toEqual([{ type: GameEventType.LEVEL_STARTED, level: 2 }]);
+    });
+
+    it('emits GAME_COMPLETE from nextLevel after the final level', () => {
+      const newState = nextLevel({ ...createInitialState(), level: MAX_LEVEL });
+      expect(newState.events).toEqual([{ type: GameEventType.GAME_COMPLETE, level: MAX_LEVEL }]);
+    });
   });
 
   describe('getGhostSpeedMultiplier', () => {
@@ -485,6 +1017,137 @@ describe('GameState', () => {
     });
   });
 
+  describe('frightened flashes', () => {
+    it('flashes for the number of flashes in the level table', () => {
+      // Level 9 has 3 flashes
+      const state = { ...createInitialState(), level: 9, ghostsVulnerable: true };
+      expect(areGhostsFlashing({ ...state, vulnerabilityTimer: 3 * FRIGHTENED_FLASH_INTERVAL + 1 })).toBe(false);
+      expect(areGhostsFlashing({ ...state, vulnerabilityTimer: 3 * FRIGHTENED_FLASH_INTERVAL })).toBe(true);
+    });
+
+    it('alternates white and blue within each flash', () => {
+      const state = { ...createInitialState(), ghostsVulnerable: true };
+      expect(isFrightenedFlashWhite({ ...state, vulnerabilityTimer: FRIGHTENED_FLASH_INTERVAL })).toBe(true);
+      expect(isFrightenedFlashWhite({ ...state, vulnerabilityTimer: FRIGHTENED_FLASH_INTERVAL / 2 })).toBe(false);
+      expect(isFrightenedFlashWhite({ ...state, vulnerabilityTimer: FRIGHTENED_FLASH_TIME + 100 })).toBe(false);
+    });
+
+    it('only reverses ghosts when a late-level power pellet is eaten', () => {
+      const state = {
+        ...createInitialState(),
+        level: 30,
+        status: GameStatus.RUNNING,
+        gameMode: GameMode.SINGLE_PLAYER,
+        player: { x: TILE_SIZE * 1.5, y: TILE_SIZE * 1.5, direction: Direction.LEFT },
+      };
+      // Blinky mid-corridor on the top row, heading left
+      const blinky = {
+        ...state.ghosts.blinky,
+        x: TILE_SIZE * 5.5 + 10,
+        y: TILE_SIZE * 1.5,
+        direction: Direction.LEFT,
+        mode: GhostMode.SCATTER,
+      };
+      state.ghosts = { ...state.ghosts, blinky };
+
+      const newState = updateGameState(state, 16);
+
+      expect(newState.events.map((event) => event.type)).toContain(GameEventType.POWER_PELLET);
+      expect(newState.ghostsVulnerable).toBe(false);
+      expect(newState.ghosts.blinky.mode).toBe(blinky.mode);
+      expect(newState.ghosts.blinky.direction).toBe(Direction.RIGHT);
+    });
+  });
+
+  describe('ghost eat freeze', () => {
+    function withFrightenedGhostOn(state, ghostType, position) {
+      return {
+        ...state,
+        ghostsVulnerable: true,
+        vulnerabilityTimer: 5000,
+        ghosts: {
+          ...state.ghosts,
+          [ghostType]: {
+            ...state.ghosts[ghostType],
+            x: position.x,
+            y: position.y,
+            mode: GhostMode.FRIGHTENED,
+            direction: Direction.NONE,
+          },
+        },
+      };
+    }
+
+    let runningState;
+
+    beforeEach(() => {
+      runningState = {
+        ...createInitialState(0, Difficulty.MEDIUM, 1),
+        status: GameStatus.RUNNING,
+        gameMode: GameMode.SINGLE_PLAYER,
+      };
+    });
+
+    it('freezes on the points where the ghost was eaten', () => {
+      const state = withFrightenedGhostOn(runningState, 'pinky', runningState.player);
+      const newState = updateGameState(state, 1);
+      const ghostEvent = newState.events.find((event) => event.type === GameEventType.GHOST_EATEN);
+
+      expect(newState.ghostEatFreeze).toEqual({
+        timer: getGhostEatFreeze(Difficulty.MEDIUM),
+        popups: [{
+          player: 1,
+          ghostType: 'pinky',
+          points: GHOST_EAT_POINTS[0],
+          x: ghostEvent.x,
+          y: ghostEvent.y,
+        }],
+      });
+    });
+
+    it('holds everything still until the freeze runs out', () => {
+      const frozen = updateGameState(withFrightenedGhostOn(runningState, 'pinky', runningState.player), 1);
+      const duration = frozen.ghostEatFreeze.timer;
+
+      const stillFrozen = updateGameState(frozen, duration - 1);
+      expect(stillFrozen.ghostEatFreeze.timer).toBe(1);
+      expect(stillFrozen.ghosts).toBe(frozen.ghosts);
+      expect(stillFrozen.vulnerabilityTimer).toBe(frozen.vulnerabilityTimer);
+      expect(stillFrozen.elapsedTime).toBe(frozen.elapsedTime);
+      expect(stillFrozen.rngState).toBe(frozen.rngState);
+      expect(stillFrozen.events).toEqual([]);
+
+      const resumed = updateGameState(stillFrozen, 1);
+      expect(resumed.ghostEatFreeze).toBeNull();
+      expect(updateGameState(resumed, 16).elapsedTime).toBe(frozen.elapsedTime + 16);
+    });
+
+    it('credits each popup to the player who ate the ghost in 2P', () => {
+      const twoPlayer = {
+        ...runningState,
+        gameMode: GameMode.TWO_PLAYER,
+        player2: { x: TILE_SIZE * 17.5, y: TILE_SIZE * 13.5, direction: Direction.LEFT },
+      };
+      const state = withFrightenedGhostOn(twoPlayer, 'clyde', twoPlayer.player2);
+      const newState = updateGameState(state, 1);
+
+      expect(newState.ghostEatFreeze.popups).toEqual([
+        expect.objectContaining({ player: 2, ghostType: 'clyde', points: GHOST_EAT_POINTS[0] }),
+      ]);
+    });
+
+    it('does not freeze when the level is cleared in the same update', () => {
+      const state = withFrightenedGhostOn({
+        ...runningState,
+        dots: { ...runningState.dots, collectedDots: runningState.dots.totalDots },
+      }, 'pinky', runningState.player);
+      const newState = updateGameState(state, 1);
+
+      expect(newState.status).toBe(GameStatus.LEVEL_COMPLETE);
+      expect(newState.ghostEatFreeze).toBeNull();
+    });
+  });
+
   describe('eatGhost', () => {
     it('does nothing when ghosts are not vulnerable', () => {
       const state = {
@@ -551,6 +1214,31 @@ describe('GameState', () => {
     });
   });
 
+  describe('getGhostEatPoints', () => {
+    it('follows GHOST_EAT_POINTS and caps at 1600 with four ghosts or fewer', () => {
+      expect([0, 1, 2, 3].map((index) => getGhostEatPoints(index))).toEqual(GHOST_EAT_POINTS);
+      expect(getGhostEatPoints(6, 4)).toBe(1600);
+      expect(getGhostEatPoints(6, 2)).toBe(1600);
+    });
+
+    it('keeps doubling for each ghost past the fourth', () => {
+      expect(getGhostEatPoints(4, 6)).toBe(3200);
+      expect(getGhostEatPoints(5, 6)).toBe(6400);
+      expect(getGhostEatPoints(9, 6)).toBe(6400);
+    });
+
+    it('scores the chain for the ghosts on the board', () => {
+      const state = {
+        ...createInitialState(),
+        ghosts: createAllGhosts(Difficulty.MEDIUM, 1, GHOST_ROSTERS.nightmare),
+        ghostsVulnerable: true,
+        score: 0,
+        ghostsEatenDuringFrightened: 5,
+      };
+      expect(eatGhost(state).score).toBe(6400);
+    });
+  });
+
   describe('GameStatus constants', () => {
     it('has MODE_SELECT status', () => {
       expect(GameStatus.MODE_SELECT).toBe('mode_select');
@@ -560,6 +1248,10 @@ describe('GameState', () => {
       expect(GameStatus.IDLE).toBe('idle');
     });
 
+    it('has READY status', () => {
+      expect(GameStatus.READY).toBe('ready');
+    });
+
     it('has RUNNING status', () => {
       expect(GameStatus.RUNNING).toBe('running');
     });
@@ -617,7 +1309,103 @@ describe('GameState', () => {
     });
   });
 
+  describe('endless mode', () => {
+    it('starts games in campaign mode', () => {
+      const state = createInitialState();
+      expect(state.endless).toBe(false);
+      expect(getFinalLevel(state)).toBe(MAX_LEVEL);
+    });
+
+    it('continues past MAX_LEVEL', () => {
+      const state = { ...setEndless(createInitialState(), true), level: MAX_LEVEL, status: GameStatus.INTERMISSION };
+      const newState = nextLevel(state);
+      expect(newState.status).toBe(GameStatus.IDLE);
+      expect(newState.level).toBe(MAX_LEVEL + 1);
+      expect(newState.endless).toBe(true);
+      expect(newState.garbageTiles).toBeNull();
+    });
+
+    it('keeps the difficulty curve at its last step', () => {
+      const state = setEndless(createInitialState(), true);
+      const level20 = nextLevel({ ...state, level: 19 });
+      const level100 = nextLevel({ ...state, level: 99 });
+      expect(level100.ghosts.blinky.speed).toBe(level20.ghosts.blinky.speed);
+    });
+
+    it('corrupts the kill screen', () => {
+      const state = { ...setEndless(createInitialState(), true), level: KILL_SCREEN_LEVEL - 1 };
+      const killScreen = nextLevel(state);
+      expect(killScreen.level).toBe(KILL_SCREEN_LEVEL);
+      expect(killScreen.garbageTiles.length).toBeGreaterThan(0);
+      expect(Object.keys(killScreen.dots.dots).length).toBeLessThan(killScreen.dots.totalDots);
+    });
+
+    it('never goes past the kill screen', () => {
+      const state = { ...setEndless(createInitialState(), true), level: KILL_SCREEN_LEVEL };
+      expect(nextLevel(state).status).toBe(GameStatus.GAME_COMPLETE);
+    });
+  });
+
+  describe('intermissions', () => {
+    it('plays the scheduled cutscene before the next level', () => {
+      const state = { ...createInitialState(), level: 2, status: GameStatus.LEVEL_COMPLETE };
+      const intermission = nextLevel(state);
+
+      expect(intermission.status).toBe(GameStatus.INTERMISSION);
+      expect(intermission.level).toBe(2);
+      expect(intermission.intermission).toEqual({ cutscene: 'bigPacMan', elapsed: 0 });
+      expect(intermission.events).toEqual([
+        { type: GameEventType.INTERMISSION_STARTED, level: 2, cutscene: 'bigPacMan' },
+      ]);
+    });
+
+    it('skips to the next level when nextLevel is called again', () => {
+      const intermission = nextLevel({ ...createInitialState(), level: 2, status: GameStatus.LEVEL_COMPLETE });
+      const newState = nextLevel(intermission);
+
+      expect(newState.status).toBe(GameStatus.IDLE);
+      expect(newState.level).toBe(3);
+      expect(newState.intermission).toBeNull();
+    });
+
+    it('advances the cutscene and starts the next level when it ends', () => {
+      let state = nextLevel({ ...createInitialState(), level: 2, status: GameStatus.LEVEL_COMPLETE });
+      state = updateIntermission(state, 1000);
+      expect(state.intermission.elapsed).toBe(1000);
+
+      state = updateIntermission(state, 60000);
+      expect(state.status).toBe(GameStatus.IDLE);
+      expect(state.level).toBe(3);
+    });
+
+    it('does nothing outside an intermission', () => {
+      const state = createInitialState();
+      expect(updateIntermission(state, 16)).toBe(state);
+    });
+  });
+
   describe('nextLevel', () => {
+    it('creates ghosts scaled for the new level', () => {
+      const state = { ...createInitialState(), level: 3, status: GameStatus.LEVEL_COMPLETE };
+      const newState = nextLevel(state);
+      expect(newState.ghosts.blinky.level).toBe(4);
+      expect(newState.ghosts.blinky.speed).toBeGreaterThan(state.ghosts.blinky.speed);
+    });
+
+    it('shortens power pellets on later levels', () => {
+      const pelletState = (level) => ({
+        ...createInitialState(),
+        level,
+        status: GameStatus.RUNNING,
+        gameMode: GameMode.SINGLE_PLAYER,
+        player: { x: TILE_SIZE * 1.5, y: TILE_SIZE * 1.5, direction: Direction.LEFT },
+      });
+      const level1 = updateGameState(pelletState(1), 16);
+      const level5 = updateGameState(pelletState(5), 16);
+      expect(level1.vulnerabilityTimer).toBe(7000);
+      expect(level5.vulnerabilityTimer).toBeLessThan(level1.vulnerabilityTimer);
+    });
+
     it('increments level by 1', () => {
       const state = { ...createInitialState(), level: 1, status: GameStatus.LEVEL_COMPLETE };
       const newState = nextLevel(state);
@@ -779,6 +1567,10 @@ describe('GameState', () => {
       for (let i = 1; i < MAX_LEVEL; i++) {
         state = { ...state, level: i };
         state = nextLevel(state);
+        // Skip any intermission
+        if (state.status === GameStatus.INTERMISSION) {
+          state = nextLevel(state);
+        }
         expect(state.level).toBe(i + 1);
         expect(state.status).toBe(GameStatus.IDLE);
       }
@@ -1,25 +1,51 @@
 /**
  * Ghost AI system for Pacman 2D.
  * Implements classic Pac-Man ghost behaviors:
- * - Blinky (Red): Direct chase - targets Pac-Man's current position
+ * - Blinky (Red): Direct chase - targets Pac-Man's current position,
+ *   speeding up ("Cruise Elroy") as the dots run low
  * - Pinky (Pink): Ambush - targets 4 tiles ahead of Pac-Man
  * - Inky (Cyan): Flanking - uses Blinky's position for complex targeting
  * - Clyde (Orange): Shy - chases when far, scatters when close
+ *
+ * Each ghost's targeting, scatter corner, colour, house release and speed are
+ * defined by its personality (see src/data/ghosts). Which ghosts are on the
+ * board, possibly several with the same personality, is set by the roster
+ * for the difficulty and level. Ghost states are keyed by id: the ghost's
+ * type, followed by a number for repeats (e.g. blinky, blinky2).
+ *
+ * Ghosts wrap through side tunnels (tiles marked TUNNEL in the maze) and
+ * slow down while inside them. At NO_UP intersections, scattering and
+ * chasing ghosts may not turn up.
  */
 
 import { TILE_SIZE } from './Dots.js';
-import { isWalkableTile, pixelToTile } from './Collision.js';
+import {
+  isWalkableTile,
+  isTunnelTile,
+  isNoUpTile,
+  getTunnelExit,
+  getNeighbourTile,
+  pixelToTile,
+} from './Collision.js';
 import {
   Difficulty,
   getGhostSpeed,
   getFrightenedSpeed,
+  getFrightenedPolicy,
   getEatenSpeed,
+  getTunnelSpeed,
   getReleaseDelayMultiplier,
   getClydeShyDistance,
+  getElroyStages,
+  getGhostNavigator,
+  getGhostRosterName,
 } from './DifficultyConfig.js';
+import { randomChoice } from './Random.js';
+import { findPath } from './Pathfinding.js';
+import { GHOSTS, GHOST_ROSTERS } from '../data/ghosts/index.js';
 
 /**
- * Ghost names and their properties.
+ * Types of the classic ghosts (see src/data/ghosts).
  */
 export const GhostType = {
   BLINKY: 'blinky',
@@ -51,34 +77,80 @@ export const Direction = {
 };
 
 /**
- * Scatter corner targets for each ghost (tile coordinates).
- * These are the corners ghosts retreat to in scatter mode.
- * For the 20x15 maze: corners are at row 1 and row 13.
+ * How ghosts steer towards their target tile (see ghostNavigator in DifficultyConfig.js).
+ * - GREEDY: The arcade's choice of the neighbour closest to the target in a straight line
+ * - SHORTEST_PATH: Follow the shortest route through the maze (see Pathfinding.js)
  */
-const SCATTER_TARGETS = {
-  [GhostType.BLINKY]: { tileX: 18, tileY: 1 },   // Top-right
-  [GhostType.PINKY]: { tileX: 1, tileY: 1 },     // Top-left
-  [GhostType.INKY]: { tileX: 18, tileY: 13 },    // Bottom-right
-  [GhostType.CLYDE]: { tileX: 1, tileY: 13 },    // Bottom-left
+export const GhostNavigator = {
+  GREEDY: 'greedy',
+  SHORTEST_PATH: 'shortestPath',
 };
 
 /**
- * Starting positions for ghosts (pixel coordinates).
- * Ghost house is near the center of the 20x15 maze.
- * Ghosts spawn inside the ghost pen and bounce around before release.
+ * How frightened ghosts pick their turns (see frightenedPolicy in DifficultyConfig.js).
+ * - RANDOM: A random valid direction, as in the arcade
+ * - FLEE: The direction leading furthest from the nearest player, with a
+ *   random turn now and then (see FLEE_RANDOM_CHANCE)
  */
-export const GHOST_START_POSITIONS = {
-  [GhostType.BLINKY]: { x: TILE_SIZE * 10, y: TILE_SIZE * 7.5 },    // Center-ish of ghost house
-  [GhostType.PINKY]: { x: TILE_SIZE * 10, y: TILE_SIZE * 7.5 },     // Same position (Blinky exits first)
-  [GhostType.INKY]: { x: TILE_SIZE * 9, y: TILE_SIZE * 7.5 },       // Left side
-  [GhostType.CLYDE]: { x: TILE_SIZE * 11, y: TILE_SIZE * 7.5 },     // Right side
+export const FrightenedPolicy = {
+  RANDOM: 'random',
+  FLEE: 'flee',
 };
 
+/**
+ * Chance that a fleeing ghost takes a random turn instead, so it can still be cornered.
+ */
+export const FLEE_RANDOM_CHANCE = 0.25;
+
+/**
+ * Gets a ghost's personality.
+ * @param {string} type - Ghost type
+ * @returns {object} Personality (see src/data/ghosts), Blinky's for unknown types
+ */
+export function getGhostPersonality(type) {
+  return GHOSTS[type] || GHOSTS[GhostType.BLINKY];
+}
+
+/**
+ * Gets the ghosts on the board for a difficulty and level.
+ * @param {string} difficulty - Difficulty level
+ * @param {number} level - Level number (1-based)
+ * @returns {string[]} Ghost types, in the order they leave the house
+ */
+export function getGhostRoster(difficulty = Difficulty.MEDIUM, level = 1) {
+  return GHOST_ROSTERS[getGhostRosterName(difficulty, level)] || GHOST_ROSTERS.classic;
+}
+
+/**
+ * Gets the ids ghost states are keyed by for a roster. The first ghost of
+ * each type is keyed by the type, later ones get a number (blinky2, blinky3).
+ * @param {string[]} roster - Ghost types
+ * @returns {string[]} Ghost ids, in roster order
+ */
+export function getGhostIds(roster) {
+  const counts = {};
+  return roster.map((type) => {
+    counts[type] = (counts[type] || 0) + 1;
+    return counts[type] === 1 ? type : `${type}${counts[type]}`;
+  });
+}
+
+/**
+ * Gets a ghost's starting position in the ghost pen, from its personality.
+ * Ghosts spawn inside the ghost pen and bounce around before release.
+ * @param {string} type - Ghost type
+ * @returns {{ x: number, y: number }} Position in pixels
+ */
+export function getGhostStartPosition(type) {
+  const { startPosition } = getGhostPersonality(type);
+  return { x: TILE_SIZE * startPosition.tileX, y: TILE_SIZE * startPosition.tileY };
+}
+
 /**
  * Ghost house boundaries for bouncing behavior.
  * Expanded ghost pen (pixel bounds) so ghosts have more room before release.
  */
-const GHOST_HOUSE_BOUNDS = {
+export const GHOST_HOUSE_BOUNDS = {
   minX: TILE_SIZE * 6.5,
   maxX: TILE_SIZE * 13.5,
   minY: TILE_SIZE * 6.5,
@@ -127,65 +199,83 @@ const DEFAULT_EATEN_SPEED = 0.28;
 const IN_HOUSE_SPEED = 0.06;
 
 /**
- * Base release delays (will be multiplied by difficulty multiplier).
+ * Gets how many dots a ghost waits for in the house before it is released,
+ * after the arcade's per-ghost dot counters (see GhostHouse.js). The limits
+ * come from the ghost's personality, one per level with the last repeating,
+ * multiplied by the difficulty's release multiplier.
+ * @param {string} type - Ghost type
+ * @param {string} difficulty - Difficulty level
+ * @param {number} level - Level number (1-based)
+ * @returns {number} Dot limit (0 = released immediately)
  */
-const BASE_RELEASE_DELAYS = {
-  [GhostType.BLINKY]: 0,
-  [GhostType.PINKY]: 1500,
-  [GhostType.INKY]: 3000,
-  [GhostType.CLYDE]: 4500,
-};
+export function getReleaseDotLimit(type, difficulty = Difficulty.MEDIUM, level = 1) {
+  const limits = getGhostPersonality(type).release?.dotLimits ?? [];
+  if (limits.length === 0) {
+    return 0;
+  }
+  const index = Number.isFinite(level) ? Math.floor(level) - 1 : 0;
+  const limit = limits[Math.min(Math.max(index, 0), limits.length - 1)];
+  return Math.round(limit * getReleaseDelayMultiplier(difficulty, level));
+}
 
 /**
  * Creates a ghost with initial state.
- * @param {string} type - Ghost type (blinky, pinky, inky, clyde)
+ * @param {string} type - Ghost type (see src/data/ghosts)
  * @param {string} difficulty - Difficulty level (defaults to medium)
+ * @param {number} level - Level number, for the level progression (defaults to 1)
  * @returns {object} Ghost state object
  */
-export function createGhost(type, difficulty = Difficulty.MEDIUM) {
-  const startPos = GHOST_START_POSITIONS[type] || GHOST_START_POSITIONS[GhostType.BLINKY];
-  const baseDelay = BASE_RELEASE_DELAYS[type] || 0;
-  const releaseMultiplier = getReleaseDelayMultiplier(difficulty);
-  const releaseDelay = Math.round(baseDelay * releaseMultiplier);
-  const ghostSpeed = getGhostSpeed(difficulty);
-
-  // Each ghost starts bouncing in a different direction for visual variety
-  const bounceDirections = {
-    [GhostType.BLINKY]: { dx: 1, dy: -1 },
-    [GhostType.PINKY]: { dx: -1, dy: 1 },
-    [GhostType.INKY]: { dx: -1, dy: -1 },
-    [GhostType.CLYDE]: { dx: 1, dy: 1 },
-  };
+export function createGhost(type, difficulty = Difficulty.MEDIUM, level = 1) {
+  const personality = getGhostPersonality(type);
+  const startPos = getGhostStartPosition(type);
+  const dotLimit = getReleaseDotLimit(type, difficulty, level);
+  const ghostSpeed = getGhostSpeed(difficulty, level);
 
   return {
     type,
     x: startPos.x,
     y: startPos.y,
     direction: Direction.UP, // Initial direction when released
-    bounceDirection: bounceDirections[type] || { dx: 0, dy: -1 }, // Direction for bouncing in house
+    // Each ghost starts bouncing in a different direction for visual variety
+    bounceDirection: { ...(personality.bounceDirection || { dx: 0, dy: -1 }) },
     mode: GhostMode.IN_HOUSE,
     previousMode: GhostMode.SCATTER,
     targetTile: { tileX: 0, tileY: 0 },
     speed: ghostSpeed,
-    difficulty, // Store difficulty for speed calculations
+    difficulty, // Store difficulty and level for speed calculations
+    level,
     timeInHouse: 0,
-    releaseDelay,
+    // House release (see GhostHouse.js): dots counted towards dotLimit, and
+    // once released, how long to keep waiting in the house (ms)
+    dotCounter: 0,
+    dotLimit,
+    released: dotLimit === 0,
+    releaseDelay: 0,
     isExiting: false, // True when ghost is moving toward exit
+    // Cruise Elroy (Blinky only): current stage (0 = off), whether it is paused after a
+    // death, and whether Clyde has been back in the house since (see updateElroy)
+    elroyStage: 0,
+    elroySuspended: false,
+    elroyClydeSeenHome: false,
+    // Shortest path being followed, cached until the target tile changes (see chooseShortestPathDirection)
+    path: null,
+    // Player this ghost chases in 2P, or null for whichever is nearer (see GhostAssignment.js)
+    assignedPlayer: null,
   };
 }
 
 /**
- * Creates all four ghosts.
+ * Creates every ghost in the roster.
  * @param {string} difficulty - Difficulty level (defaults to medium)
- * @returns {object} Object with all ghost states keyed by type
+ * @param {number} level - Level number (defaults to 1)
+ * @param {string[]} roster - Ghost types (defaults to the roster for the difficulty and level)
+ * @returns {object} Object with all ghost states keyed by id, in roster order
  */
-export function createAllGhosts(difficulty = Difficulty.MEDIUM) {
-  return {
-    [GhostType.BLINKY]: createGhost(GhostType.BLINKY, difficulty),
-    [GhostType.PINKY]: createGhost(GhostType.PINKY, difficulty),
-    [GhostType.INKY]: createGhost(GhostType.INKY, difficulty),
-    [GhostType.CLYDE]: createGhost(GhostType.CLYDE, difficulty),
-  };
+export function createAllGhosts(difficulty = Difficulty.MEDIUM, level = 1, roster = getGhostRoster(difficulty, level)) {
+  const ids = getGhostIds(roster);
+  return Object.fromEntries(
+    roster.map((type, index) => [ids[index], createGhost(type, difficulty, level)])
+  );
 }
 
 /**
@@ -213,29 +303,62 @@ function getOppositeDirection(dir) {
   return Direction.NONE;
 }
 
+/**
+ * Wraps a pixel position that has left the maze through a tunnel to the opposite edge.
+ * Positions off the maze anywhere else are returned unchanged.
+ * @param {number[][]} maze - The maze grid
+ * @param {number} x - X position in pixels
+ * @param {number} y - Y position in pixels
+ * @returns {{ x: number, y: number }} Position inside the maze where possible
+ */
+function wrapThroughTunnel(maze, x, y) {
+  const { tileX, tileY } = pixelToTile(x, y);
+  const exit = getTunnelExit(maze, tileX, tileY);
+  if (!exit) {
+    return { x, y };
+  }
+
+  return {
+    x: x + (exit.tileX - tileX) * TILE_SIZE,
+    y: y + (exit.tileY - tileY) * TILE_SIZE,
+  };
+}
+
+/**
+ * Ghost modes that obey no-up intersections.
+ */
+const NO_UP_MODES = new Set([GhostMode.SCATTER, GhostMode.CHASE]);
+
 /**
  * Gets all possible directions from current tile.
+ * At a no-up intersection, ghosts in SCATTER or CHASE may not turn up unless
+ * there is no other way on.
  * @param {number[][]} maze - The maze grid
  * @param {number} tileX - Current tile X
  * @param {number} tileY - Current tile Y
  * @param {object} currentDir - Current direction (to exclude reverse)
+ * @param {string} mode - Ghost mode, for no-up intersections
  * @returns {object[]} Array of valid directions
  */
-function getValidDirections(maze, tileX, tileY, currentDir) {
+function getValidDirections(maze, tileX, tileY, currentDir, mode = null) {
   const directions = [Direction.UP, Direction.DOWN, Direction.LEFT, Direction.RIGHT];
   const opposite = getOppositeDirection(currentDir);
 
-  return directions.filter(dir => {
+  const validDirs = directions.filter(dir => {
     // Ghosts cannot reverse direction
     if (dir.dx === opposite.dx && dir.dy === opposite.dy) {
       return false;
     }
 
-    const nextTileX = tileX + dir.dx;
-    const nextTileY = tileY + dir.dy;
-
-    return isWalkableTile(maze, nextTileX, nextTileY);
+    const next = getNeighbourTile(maze, tileX, tileY, dir);
+    return isWalkableTile(maze, next.tileX, next.tileY);
   });
+
+  if (NO_UP_MODES.has(mode) && isNoUpTile(maze, tileX, tileY)) {
+    const withoutUp = validDirs.filter(dir => dir !== Direction.UP);
+    return withoutUp.length > 0 ? withoutUp : validDirs;
+  }
+  return validDirs;
 }
 
 /**
@@ -250,9 +373,8 @@ function getAllValidDirections(maze, tileX, tileY) {
   const directions = [Direction.UP, Direction.DOWN, Direction.LEFT, Direction.RIGHT];
 
   return directions.filter(dir => {
-    const nextTileX = tileX + dir.dx;
-    const nextTileY = tileY + dir.dy;
-    return isWalkableTile(maze, nextTileX, nextTileY);
+    const next = getNeighbourTile(maze, tileX, tileY, dir);
+    return isWalkableTile(maze, next.tileX, next.tileY);
   });
 }
 
@@ -317,9 +439,10 @@ export function calculateInkyTarget(playerPos, playerDir, blinkyPos) {
  * @param {object} playerPos - Player position {x, y}
  * @param {object} clydePos - Clyde's position {x, y}
  * @param {string} difficulty - Difficulty level (affects shy distance)
+ * @param {object} scatterTarget - Corner to retreat to (defaults to Clyde's)
  * @returns {object} Target tile {tileX, tileY}
  */
-export function calculateClydeTarget(playerPos, clydePos, difficulty = Difficulty.MEDIUM) {
+export function calculateClydeTarget(playerPos, clydePos, difficulty = Difficulty.MEDIUM, scatterTarget = getGhostPersonality(GhostType.CLYDE).scatterTarget) {
   const playerTile = pixelToTile(playerPos.x, playerPos.y);
   const clydeTile = pixelToTile(clydePos.x, clydePos.y);
   const shyDistance = getClydeShyDistance(difficulty);
@@ -335,15 +458,36 @@ export function calculateClydeTarget(playerPos, clydePos, difficulty = Difficult
   }
 
   // Otherwise, retreat to scatter corner
-  return SCATTER_TARGETS[GhostType.CLYDE];
+  return scatterTarget;
 }
 
 /**
- * Chooses the nearest player to target.
+ * Built-in chase targeting, by the name a personality's target refers to.
+ * Each takes { ghost, player, playerDirection, ghosts, personality }, where
+ * player is the position of the player being chased, and returns a tile.
+ */
+export const TARGETING_STRATEGIES = {
+  // Blinky: the player's own tile
+  direct: ({ player }) => calculateBlinkyTarget(player),
+  // Pinky: 4 tiles ahead of the player
+  ambush: ({ player, playerDirection }) => calculatePinkyTarget(player, playerDirection),
+  // Inky: past the player from Blinky (direct chase while Blinky is missing)
+  flank: ({ player, playerDirection, ghosts }) => {
+    const blinky = ghosts?.[GhostType.BLINKY];
+    return blinky ? calculateInkyTarget(player, playerDirection, blinky) : calculateBlinkyTarget(player);
+  },
+  // Clyde: the player from afar, the ghost's scatter corner up close
+  shy: ({ ghost, player, personality }) => (
+    calculateClydeTarget(player, ghost, ghost.difficulty, personality.scatterTarget)
+  ),
+};
+
+/**
+ * Gets the player nearest a ghost.
  * @param {object} ghost - Ghost state object
  * @param {object} player1Pos - Player 1 position {x, y}
  * @param {object} player2Pos - Player 2 position {x, y} (can be null)
- * @returns {object} The nearest player position
+ * @returns {object} The nearest player's position
  */
 function getNearestPlayer(ghost, player1Pos, player2Pos) {
   if (!player2Pos) {
@@ -357,8 +501,26 @@ function getNearestPlayer(ghost, player1Pos, player2Pos) {
 }
 
 /**
- * Gets the target tile for a ghost based on its type and current mode.
- * Ghosts will target the nearest player in 2-player mode.
+ * Chooses the player a ghost targets: its assigned player in 2P, otherwise
+ * the nearest one.
+ * @param {object} ghost - Ghost state object
+ * @param {object} player1Pos - Player 1 position {x, y}
+ * @param {object} player2Pos - Player 2 position {x, y} (can be null)
+ * @returns {object} The targeted player's position
+ */
+function getTargetPlayer(ghost, player1Pos, player2Pos) {
+  if (player2Pos && ghost.assignedPlayer === 1) {
+    return player1Pos;
+  }
+  if (player2Pos && ghost.assignedPlayer === 2) {
+    return player2Pos;
+  }
+  return getNearestPlayer(ghost, player1Pos, player2Pos);
+}
+
+/**
+ * Gets the target tile for a ghost based on its personality and current mode.
+ * In 2-player mode ghosts target their assigned player, or the nearest one.
  * @param {object} ghost - Ghost state object
  * @param {object} player1Pos - Player 1 position {x, y}
  * @param {object} player1Dir - Player 1 direction {dx, dy}
@@ -368,13 +530,20 @@ function getNearestPlayer(ghost, player1Pos, player2Pos) {
  * @returns {object} Target tile {tileX, tileY}
  */
 export function getGhostTarget(ghost, player1Pos, player1Dir, player2Pos, player2Dir, ghosts) {
-  // In scatter mode, return scatter corner
-  if (ghost.mode === GhostMode.SCATTER) {
-    return SCATTER_TARGETS[ghost.type];
+  const personality = getGhostPersonality(ghost.type);
+
+  // In scatter mode, return scatter corner (Cruise Elroy keeps chasing instead)
+  if (ghost.mode === GhostMode.SCATTER && !(ghost.elroyStage > 0)) {
+    return personality.scatterTarget;
   }
 
-  // In frightened mode, target is random (handled by movement logic)
+  // In frightened mode, target is random (handled by movement logic); fleeing
+  // ghosts get the nearest player's tile to run from instead
   if (ghost.mode === GhostMode.FRIGHTENED) {
+    if (getFrightenedPolicy(ghost.difficulty) === FrightenedPolicy.FLEE) {
+      const nearest = getNearestPlayer(ghost, player1Pos, player2Pos);
+      return pixelToTile(nearest.x, nearest.y);
+    }
     return { tileX: 0, tileY: 0 }; // Ignored in frightened mode
   }
 
@@ -383,42 +552,32 @@ export function getGhostTarget(ghost, player1Pos, player1Dir, player2Pos, player
     return GHOST_HOUSE_CENTER;
   }
 
-  // Determine which player to target (nearest in 2P mode)
-  const targetPlayer = getNearestPlayer(ghost, player1Pos, player2Pos);
+  // Determine which player to target (assigned or nearest in 2P mode)
+  const targetPlayer = getTargetPlayer(ghost, player1Pos, player2Pos);
   const targetDir = (targetPlayer === player2Pos && player2Dir) ? player2Dir : player1Dir;
 
-  // Chase mode - use unique targeting for each ghost
-  switch (ghost.type) {
-    case GhostType.BLINKY:
-      return calculateBlinkyTarget(targetPlayer);
-
-    case GhostType.PINKY:
-      return calculatePinkyTarget(targetPlayer, targetDir);
-
-    case GhostType.INKY: {
-      const blinky = ghosts[GhostType.BLINKY];
-      return calculateInkyTarget(targetPlayer, targetDir, blinky);
-    }
-
-    case GhostType.CLYDE:
-      return calculateClydeTarget(targetPlayer, ghost, ghost.difficulty);
-
-    default:
-      return calculateBlinkyTarget(targetPlayer);
-  }
+  // Chase mode - use the personality's targeting
+  const target = typeof personality.target === 'function'
+    ? personality.target
+    : TARGETING_STRATEGIES[personality.target] || TARGETING_STRATEGIES.direct;
+  return target({ ghost, player: targetPlayer, playerDirection: targetDir, ghosts, personality });
 }
 
 /**
  * Chooses the best direction for a ghost to move toward its target.
- * Ghosts choose the direction that minimizes distance to target.
+ * Ghosts choose the direction that minimizes distance to target. A neighbour
+ * through a tunnel is measured from the opposite edge it leads to.
+ * Frightened ghosts turn at random, or, with the flee policy, maximize the
+ * distance from the target instead.
  * @param {object} ghost - Ghost state
  * @param {number[][]} maze - The maze grid
- * @param {object} targetTile - Target tile {tileX, tileY}
+ * @param {object} targetTile - Target tile {tileX, tileY} (the player to flee from when fleeing)
+ * @param {function} random - Random function returning [0, 1), used in frightened mode
  * @returns {object} Best direction to move
  */
-export function chooseBestDirection(ghost, maze, targetTile) {
+export function chooseBestDirection(ghost, maze, targetTile, random = Math.random) {
   const currentTile = pixelToTile(ghost.x, ghost.y);
-  const validDirs = getValidDirections(maze, currentTile.tileX, currentTile.tileY, ghost.direction);
+  const validDirs = getValidDirections(maze, currentTile.tileX, currentTile.tileY, ghost.direction, ghost.mode);
 
   // If no valid directions, ghost is stuck
   if (validDirs.length === 0) {
@@ -430,19 +589,21 @@ export function chooseBestDirection(ghost, maze, targetTile) {
     return validDirs[0];
   }
 
-  // In frightened mode, choose randomly
-  if (ghost.mode === GhostMode.FRIGHTENED) {
-    return validDirs[Math.floor(Math.random() * validDirs.length)];
+  // In frightened mode, choose randomly (fleeing ghosts only some of the time)
+  const fleeing = ghost.mode === GhostMode.FRIGHTENED &&
+    getFrightenedPolicy(ghost.difficulty) === FrightenedPolicy.FLEE;
+  if (ghost.mode === GhostMode.FRIGHTENED && (!fleeing || random() < FLEE_RANDOM_CHANCE)) {
+    return randomChoice(validDirs, random);
   }
 
-  // Find direction that minimizes distance to target
+  // Find direction that minimizes distance to target (maximizes it when fleeing)
+  const sign = fleeing ? -1 : 1;
   let bestDir = validDirs[0];
   let bestDist = Infinity;
 
   for (const dir of validDirs) {
-    const nextTileX = currentTile.tileX + dir.dx;
-    const nextTileY = currentTile.tileY + dir.dy;
-    const dist = distanceSquared(nextTileX, nextTileY, targetTile.tileX, targetTile.tileY);
+    const next = getNeighbourTile(maze, currentTile.tileX, currentTile.tileY, dir);
+    const dist = sign * distanceSquared(next.tileX, next.tileY, targetTile.tileX, targetTile.tileY);
 
     if (dist < bestDist) {
       bestDist = dist;
@@ -453,6 +614,75 @@ export function chooseBestDirection(ghost, maze, targetTile) {
   return bestDir;
 }
 
+/**
+ * Gets the direction that steps from one tile to another, out of the allowed directions.
+ * @returns {object|null} Direction, or null if none of them leads there
+ */
+function getStepDirection(maze, from, to, directions) {
+  if (!to) {
+    return null;
+  }
+  return directions.find((dir) => {
+    const next = getNeighbourTile(maze, from.tileX, from.tileY, dir);
+    return next.tileX === to.tileX && next.tileY === to.tileY;
+  }) ?? null;
+}
+
+/**
+ * Chooses a ghost's direction along the shortest path to its target.
+ * The path is cached on the ghost and followed tile by tile until the target
+ * tile changes. Where no route gets any closer to the target, the greedy
+ * choice of chooseBestDirection is used instead.
+ * @param {object} ghost - Ghost state
+ * @param {number[][]} maze - The maze grid
+ * @param {object} targetTile - Target tile {tileX, tileY}
+ * @param {function} random - Random function returning [0, 1), passed on to the greedy choice
+ * @returns {{ direction: object, path: object }} Direction to move, and the path to cache on the ghost
+ */
+export function chooseShortestPathDirection(ghost, maze, targetTile, random = Math.random) {
+  const currentTile = pixelToTile(ghost.x, ghost.y);
+  const target = { tileX: Math.floor(targetTile.tileX), tileY: Math.floor(targetTile.tileY) };
+  const cached = ghost.path;
+  const sameTarget = cached?.target.tileX === target.tileX && cached?.target.tileY === target.tileY;
+  const isCurrentTile = (tile) => tile?.tileX === currentTile.tileX && tile?.tileY === currentTile.tileY;
+
+  // Already decided on this tile
+  if (sameTarget && isCurrentTile(cached.tiles[0])) {
+    return { direction: ghost.direction, path: cached };
+  }
+
+  const validDirs = getValidDirections(maze, currentTile.tileX, currentTile.tileY, ghost.direction, ghost.mode);
+  // Arrived at the next tile of the cached path
+  let tiles = sameTarget && isCurrentTile(cached.tiles[1]) ? cached.tiles.slice(1) : null;
+  let direction = tiles && getStepDirection(maze, tiles[0], tiles[1], validDirs);
+
+  if (!direction) {
+    tiles = [currentTile, ...findPath(maze, currentTile, target, {
+      firstSteps: validDirs,
+      noUp: NO_UP_MODES.has(ghost.mode),
+    })];
+    direction = getStepDirection(maze, tiles[0], tiles[1], validDirs)
+      ?? chooseBestDirection(ghost, maze, targetTile, random);
+  }
+
+  return { direction, path: { target, tiles } };
+}
+
+/**
+ * Checks whether a ghost steers by shortest path rather than greedily.
+ * Eaten ghosts always do, so they reliably find their way home; frightened
+ * ghosts never do.
+ * @param {object} ghost - Ghost state
+ * @returns {boolean} True if the ghost should use chooseShortestPathDirection
+ */
+function usesShortestPath(ghost) {
+  if (ghost.mode === GhostMode.EATEN) {
+    return true;
+  }
+  return ghost.mode !== GhostMode.FRIGHTENED &&
+    getGhostNavigator(ghost.difficulty) === GhostNavigator.SHORTEST_PATH;
+}
+
 /**
  * Checks if a ghost is at the center of a tile (intersection decision point).
  * @param {number} x - Ghost X position in pixels
@@ -480,16 +710,17 @@ function isAtTileCenter(x, y, threshold = 2) {
  * @param {object} ghosts - All ghost states
  * @param {number} deltaTime - Time since last update in ms
  * @param {string} globalMode - Current global mode (SCATTER or CHASE)
+ * @param {function} random - Random function returning [0, 1), used in frightened mode
  * @returns {object} Updated ghost state
  */
-export function updateGhost(ghost, maze, player1Pos, player1Dir, player2Pos, player2Dir, ghosts, deltaTime, globalMode) {
+export function updateGhost(ghost, maze, player1Pos, player1Dir, player2Pos, player2Dir, ghosts, deltaTime, globalMode, random = Math.random) {
   let updatedGhost = { ...ghost };
 
   // Handle ghost house behavior
   if (updatedGhost.mode === GhostMode.IN_HOUSE) {
     updatedGhost.timeInHouse += deltaTime;
 
-    if (updatedGhost.timeInHouse >= updatedGhost.releaseDelay) {
+    if (updatedGhost.released && updatedGhost.timeInHouse >= updatedGhost.releaseDelay) {
       // Time to exit - start moving toward the exit
       if (!updatedGhost.isExiting) {
         updatedGhost.isExiting = true;
@@ -592,32 +823,53 @@ export function updateGhost(ghost, maze, player1Pos, player1Dir, player2Pos, pla
       updatedGhost.timeInHouse = updatedGhost.releaseDelay - 1000; // Quick respawn
       updatedGhost.bounceDirection = { dx: 1, dy: -1 };
       updatedGhost.isExiting = false;
+      updatedGhost.path = null;
       return updatedGhost;
     }
   }
 
-  // Determine speed based on mode and difficulty
+  // Determine speed based on mode, difficulty and the ghost's personality
+  const { normal = 1, frightened = 1, tunnel = 1 } = getGhostPersonality(updatedGhost.type).speedMultipliers || {};
   let speed = updatedGhost.speed;
   if (updatedGhost.mode === GhostMode.FRIGHTENED) {
-    speed = getFrightenedSpeed(updatedGhost.difficulty);
+    speed = getFrightenedSpeed(updatedGhost.difficulty, updatedGhost.level) * frightened;
   } else if (updatedGhost.mode === GhostMode.EATEN) {
     speed = getEatenSpeed(updatedGhost.difficulty);
+  } else {
+    speed *= normal;
+    if (updatedGhost.elroyStage > 0) {
+      speed *= 1 + getElroyStages(updatedGhost.difficulty, updatedGhost.level)[updatedGhost.elroyStage - 1].speedBonus;
+    }
+  }
+
+  // Tunnels slow every ghost except eaten ones heading home
+  const ghostTile = pixelToTile(updatedGhost.x, updatedGhost.y);
+  if (updatedGhost.mode !== GhostMode.EATEN && isTunnelTile(maze, ghostTile.tileX, ghostTile.tileY)) {
+    speed = Math.min(speed, getTunnelSpeed(updatedGhost.difficulty, updatedGhost.level) * tunnel);
   }
 
   // Check if at tile center (decision point)
   if (isAtTileCenter(updatedGhost.x, updatedGhost.y)) {
     // Calculate target and choose direction
     const targetTile = getGhostTarget(updatedGhost, player1Pos, player1Dir, player2Pos, player2Dir, ghosts);
-    const newDirection = chooseBestDirection(updatedGhost, maze, targetTile);
 
-    updatedGhost.direction = newDirection;
+    if (usesShortestPath(updatedGhost)) {
+      const { direction, path } = chooseShortestPathDirection(updatedGhost, maze, targetTile, random);
+      updatedGhost.direction = direction;
+      updatedGhost.path = path;
+    } else {
+      updatedGhost.direction = chooseBestDirection(updatedGhost, maze, targetTile, random);
+    }
     updatedGhost.targetTile = targetTile;
   }
 
   // Move in current direction
   const moveAmount = speed * deltaTime;
-  let newX = updatedGhost.x + updatedGhost.direction.dx * moveAmount;
-  let newY = updatedGhost.y + updatedGhost.direction.dy * moveAmount;
+  const { x: newX, y: newY } = wrapThroughTunnel(
+    maze,
+    updatedGhost.x + updatedGhost.direction.dx * moveAmount,
+    updatedGhost.y + updatedGhost.direction.dy * moveAmount
+  );
 
   // Check if new position would hit a wall
   const newTile = pixelToTile(newX, newY);
@@ -633,16 +885,15 @@ export function updateGhost(ghost, maze, player1Pos, player1Dir, player2Pos, pla
     if (validDirs.length > 0) {
       // Pick direction closest to target (or random for frightened mode)
       if (updatedGhost.mode === GhostMode.FRIGHTENED) {
-        updatedGhost.direction = validDirs[Math.floor(Math.random() * validDirs.length)];
+        updatedGhost.direction = randomChoice(validDirs, random);
       } else {
         const targetTile = getGhostTarget(updatedGhost, player1Pos, player1Dir, player2Pos, player2Dir, ghosts);
         let bestDir = validDirs[0];
         let bestDist = Infinity;
 
         for (const dir of validDirs) {
-          const nextTileX = currentTile.tileX + dir.dx;
-          const nextTileY = currentTile.tileY + dir.dy;
-          const dist = (nextTileX - targetTile.tileX) ** 2 + (nextTileY - targetTile.tileY) ** 2;
+          const next = getNeighbourTile(maze, currentTile.tileX, currentTile.tileY, dir);
+          const dist = distanceSquared(next.tileX, next.tileY, targetTile.tileX, targetTile.tileY);
 
           if (dist < bestDist) {
             bestDist = dist;
@@ -653,8 +904,11 @@ export function updateGhost(ghost, maze, player1Pos, player1Dir, player2Pos, pla
       }
 
       // Try to move in the new direction
-      const newMoveX = updatedGhost.x + updatedGhost.direction.dx * moveAmount;
-      const newMoveY = updatedGhost.y + updatedGhost.direction.dy * moveAmount;
+      const { x: newMoveX, y: newMoveY } = wrapThroughTunnel(
+        maze,
+        updatedGhost.x + updatedGhost.direction.dx * moveAmount,
+        updatedGhost.y + updatedGhost.direction.dy * moveAmount
+      );
       const newMoveTile = pixelToTile(newMoveX, newMoveY);
 
       if (isWalkableTile(maze, newMoveTile.tileX, newMoveTile.tileY)) {
@@ -667,6 +921,88 @@ export function updateGhost(ghost, maze, player1Pos, player1Dir, player2Pos, pla
   return updatedGhost;
 }
 
+/**
+ * Gets the Cruise Elroy stage Blinky should be in for the dots remaining.
+ * Every ghost of Blinky's type turns Elroy, including repeats in larger
+ * rosters (e.g. blinky2).
+ * @param {object} ghost - Ghost state
+ * @param {number|null} dotsRemaining - Dots left in the maze (null when unknown)
+ * @returns {number} 0 when Elroy is off, otherwise 1 or 2
+ */
+export function getElroyStage(ghost, dotsRemaining) {
+  if (ghost.type !== GhostType.BLINKY || ghost.elroySuspended || dotsRemaining == null) {
+    return 0;
+  }
+
+  const stages = getElroyStages(ghost.difficulty, ghost.level);
+  let stage = 0;
+  stages.forEach((elroy, index) => {
+    if (dotsRemaining <= elroy.dotsLeft) {
+      stage = index + 1;
+    }
+  });
+  return stage;
+}
+
+/**
+ * Pauses Cruise Elroy after a player death.
+ * Every Blinky stays normal until Clyde has gone back into the ghost house and
+ * left it again (see updateElroy).
+ * @param {object} ghosts - All ghost states
+ * @returns {object} Updated ghost states
+ */
+export function suspendElroy(ghosts) {
+  const updatedGhosts = { ...ghosts };
+  for (const [id, ghost] of Object.entries(ghosts)) {
+    if (ghost.type === GhostType.BLINKY) {
+      updatedGhosts[id] = { ...ghost, elroySuspended: true, elroyClydeSeenHome: false, elroyStage: 0 };
+    }
+  }
+  return updatedGhosts;
+}
+
+/**
+ * Gets the ghost whose release lifts a post-death Elroy pause: Clyde, or the
+ * last ghost in rosters without him.
+ * @param {object} ghosts - All ghost states
+ * @returns {string|undefined} Ghost id
+ */
+function getElroyReleaseGhost(ghosts) {
+  const ids = Object.keys(ghosts);
+  return ids.find((id) => ghosts[id].type === GhostType.CLYDE) ?? ids[ids.length - 1];
+}
+
+/**
+ * Updates the Cruise Elroy stage of every Blinky. A post-death pause lifts once
+ * Clyde has been seen in the ghost house and then out of it again, so a Clyde
+ * who was already out when the player died does not end it early.
+ */
+function updateElroy(ghosts, dotsRemaining) {
+  const clyde = ghosts[getElroyReleaseGhost(ghosts)];
+  const clydeHome = clyde?.mode === GhostMode.IN_HOUSE;
+  let updatedGhosts = ghosts;
+
+  for (const [id, blinky] of Object.entries(ghosts)) {
+    if (blinky.type !== GhostType.BLINKY) {
+      continue;
+    }
+
+    const seenHome = Boolean(blinky.elroyClydeSeenHome);
+    const elroySuspended = Boolean(blinky.elroySuspended) && !(seenHome && !clydeHome);
+    const elroyClydeSeenHome = elroySuspended && (seenHome || clydeHome);
+    const updated = { ...blinky, elroySuspended, elroyClydeSeenHome };
+    updated.elroyStage = getElroyStage(updated, dotsRemaining);
+
+    if (elroySuspended !== Boolean(blinky.elroySuspended) ||
+        elroyClydeSeenHome !== seenHome ||
+        updated.elroyStage !== blinky.elroyStage) {
+      updatedGhosts = { ...updatedGhosts, [id]: updated };
+    }
+  }
+
+  return updatedGhosts;
+}
+
 /**
  * Updates all ghosts.
  * @param {object} ghosts - All ghost states
@@ -677,22 +1013,26 @@ export function updateGhost(ghost, maze, player1Pos, player1Dir, player2Pos, pla
  * @param {object} player2Dir - Player 2 direction (can be null)
  * @param {number} deltaTime - Time since last update in ms
  * @param {string} globalMode - Current global mode (SCATTER or CHASE)
+ * @param {function} random - Random function returning [0, 1), used in frightened mode
+ * @param {number|null} dotsRemaining - Dots left in the maze, for Cruise Elroy (null disables it)
  * @returns {object} Updated ghost states
  */
-export function updateAllGhosts(ghosts, maze, player1Pos, player1Dir, player2Pos, player2Dir, deltaTime, globalMode = GhostMode.SCATTER) {
+export function updateAllGhosts(ghosts, maze, player1Pos, player1Dir, player2Pos, player2Dir, deltaTime, globalMode = GhostMode.SCATTER, random = Math.random, dotsRemaining = null) {
   const updatedGhosts = {};
+  const currentGhosts = updateElroy(ghosts, dotsRemaining);
 
-  for (const type of Object.keys(ghosts)) {
+  for (const type of Object.keys(currentGhosts)) {
     updatedGhosts[type] = updateGhost(
-      ghosts[type],
+      currentGhosts[type],
       maze,
       player1Pos,
       player1Dir,
       player2Pos,
       player2Dir,
-      ghosts,
+      currentGhosts,
       deltaTime,
-      globalMode
+      globalMode,
+      random
     );
   }
 
@@ -724,8 +1064,8 @@ export function setGhostMode(ghosts, mode, reverse = false) {
       previousMode: ghost.mode,
       mode,
       speed: mode === GhostMode.FRIGHTENED
-        ? getFrightenedSpeed(ghost.difficulty)
-        : getGhostSpeed(ghost.difficulty),
+        ? getFrightenedSpeed(ghost.difficulty, ghost.level)
+        : getGhostSpeed(ghost.difficulty, ghost.level),
       direction: reverse ? getOppositeDirection(ghost.direction) : ghost.direction,
     };
   }
@@ -769,7 +1109,7 @@ export function endFrightenedMode(ghosts) {
       updatedGhosts[type] = {
         ...ghost,
         mode: ghost.previousMode || GhostMode.CHASE,
-        speed: getGhostSpeed(ghost.difficulty),
+        speed: getGhostSpeed(ghost.difficulty, ghost.level),
       };
     } else {
       updatedGhosts[type] = ghost;
@@ -3,13 +3,13 @@
  * @vitest-environment jsdom
  */
 
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import {
   GhostType,
   GhostMode,
   Direction,
   MODE_TIMINGS,
-  GHOST_START_POSITIONS,
+  getGhostStartPosition,
   createGhost,
   createAllGhosts,
   calculateBlinkyTarget,
@@ -18,15 +18,27 @@ import {
   calculateClydeTarget,
   getGhostTarget,
   chooseBestDirection,
+  chooseShortestPathDirection,
+  GhostNavigator,
+  FrightenedPolicy,
+  FLEE_RANDOM_CHANCE,
   updateGhost,
   updateAllGhosts,
   setGhostMode,
   markGhostEaten,
   endFrightenedMode,
   resetGhosts,
+  getReleaseDotLimit,
   checkGhostCollision,
+  getElroyStage,
+  suspendElroy,
+  getGhostPersonality,
+  getGhostRoster,
 } from './GhostAI.js';
+import { GHOSTS } from '../data/ghosts/index.js';
+import { Difficulty, getFrightenedPolicy, getElroyStages, getEatenSpeed, getTunnelSpeed, getReleaseDelayMultiplier } from './DifficultyConfig.js';
 import { TILE_SIZE } from './Dots.js';
+import { createRng } from './Random.js';
 
 // Helper to create a simple maze for testing
 function createTestMaze() {
@@ -114,23 +126,23 @@ describe('GhostAI', () => {
     });
   });
 
-  describe('GHOST_START_POSITIONS', () => {
+  describe('getGhostStartPosition', () => {
     it('has start position for Blinky', () => {
-      expect(GHOST_START_POSITIONS[GhostType.BLINKY]).toBeDefined();
-      expect(GHOST_START_POSITIONS[GhostType.BLINKY].x).toBeDefined();
-      expect(GHOST_START_POSITIONS[GhostType.BLINKY].y).toBeDefined();
+      expect(getGhostStartPosition(GhostType.BLINKY)).toBeDefined();
+      expect(getGhostStartPosition(GhostType.BLINKY).x).toBeDefined();
+      expect(getGhostStartPosition(GhostType.BLINKY).y).toBeDefined();
     });
 
     it('has start position for Pinky', () => {
-      expect(GHOST_START_POSITIONS[GhostType.PINKY]).toBeDefined();
+      expect(getGhostStartPosition(GhostType.PINKY)).toBeDefined();
     });
 
     it('has start position for Inky', () => {
-      expect(GHOST_START_POSITIONS[GhostType.INKY]).toBeDefined();
+      expect(getGhostStartPosition(GhostType.INKY)).toBeDefined();
     });
 
     it('has start position for Clyde', () => {
-      expect(GHOST_START_POSITIONS[GhostType.CLYDE]).toBeDefined();
+      expect(getGhostStartPosition(GhostType.CLYDE)).toBeDefined();
     });
   });
 
@@ -142,8 +154,8 @@ describe('GhostAI', () => {
 
     it('creates ghost at start position', () => {
       const ghost = createGhost(GhostType.BLINKY);
-      expect(ghost.x).toBe(GHOST_START_POSITIONS[GhostType.BLINKY].x);
-      expect(ghost.y).toBe(GHOST_START_POSITIONS[GhostType.BLINKY].y);
+      expect(ghost.x).toBe(getGhostStartPosition(GhostType.BLINKY).x);
+      expect(ghost.y).toBe(getGhostStartPosition(GhostType.BLINKY).y);
     });
 
     it('creates ghost in IN_HOUSE mode', () => {
@@ -171,19 +183,25 @@ describe('GhostAI', () => {
       expect(ghost.releaseDelay).toBe(0);
     });
 
-    it('sets correct release delay for Pinky (1500)', () => {
-      const ghost = createGhost(GhostType.PINKY);
-      expect(ghost.releaseDelay).toBe(1500);
+    it('releases Blinky and Pinky without waiting for dots', () => {
+      expect(createGhost(GhostType.BLINKY)).toMatchObject({ dotLimit: 0, released: true });
+      expect(createGhost(GhostType.PINKY)).toMatchObject({ dotLimit: 0, released: true });
     });
 
-    it('sets correct release delay for Inky (3000)', () => {
+    it('sets correct dot limit for Inky (20)', () => {
       const ghost = createGhost(GhostType.INKY);
-      expect(ghost.releaseDelay).toBe(3000);
+      expect(ghost).toMatchObject({ dotLimit: 20, dotCounter: 0, released: false });
     });
 
-    it('sets correct release delay for Clyde (4500)', () => {
+    it('sets correct dot limit for Clyde (40)', () => {
       const ghost = createGhost(GhostType.CLYDE);
-      expect(ghost.releaseDelay).toBe(4500);
+      expect(ghost).toMatchObject({ dotLimit: 40, dotCounter: 0, released: false });
+    });
+
+    it('scales dot limits with difficulty', () => {
+      expect(getReleaseDotLimit(GhostType.CLYDE, 'easy')).toBe(60);
+      expect(getReleaseDotLimit(GhostType.CLYDE, 'hard')).toBe(28);
+      expect(getReleaseDotLimit(GhostType.BLINKY, 'easy')).toBe(0);
     });
 
     it('initializes isExiting to false', () => {
@@ -197,6 +215,26 @@ describe('GhostAI', () => {
       expect(ghost.bounceDirection.dx).toBeDefined();
       expect(ghost.bounceDirection.dy).toBeDefined();
     });
+
+    it('is faster and released sooner on later levels', () => {
+      const level1 = createGhost(GhostType.CLYDE, 'medium', 1);
+      const level4 = createGhost(GhostType.CLYDE, 'medium', 4);
+      expect(level1.level).toBe(1);
+      expect(level4.level).toBe(4);
+      expect(level4.speed).toBeGreaterThan(level1.speed);
+      expect(level4.dotLimit).toBeLessThan(level1.dotLimit);
+    });
+
+    it('uses level-scaled speeds when switching modes', () => {
+      const ghosts = { clyde: { ...createGhost(GhostType.CLYDE, 'medium', 5), mode: GhostMode.CHASE } };
+      const frightened = setGhostMode(ghosts, GhostMode.FRIGHTENED);
+      const level1Frightened = setGhostMode(
+        { clyde: { ...createGhost(GhostType.CLYDE, 'medium', 1), mode: GhostMode.CHASE } },
+        GhostMode.FRIGHTENED
+      );
+      expect(frightened.clyde.speed).toBeGreaterThan(level1Frightened.clyde.speed);
+      expect(endFrightenedMode(frightened).clyde.speed).toBe(ghosts.clyde.speed);
+    });
   });
 
   describe('createAllGhosts', () => {
@@ -230,6 +268,76 @@ describe('GhostAI', () => {
     });
   });
 
+  describe('ghost personalities', () => {
+    // A fifth ghost that always heads for the top-left tile, slowly
+    const sue = {
+      type: 'sue',
+      name: 'Sue',
+      color: '#8000ff',
+      target: () => ({ tileX: 1, tileY: 1 }),
+      scatterTarget: { tileX: 3, tileY: 3 },
+      startPosition: { tileX: 10, tileY: 7.5 },
+      bounceDirection: { dx: 1, dy: 1 },
+      release: { dotLimits: [50, 10], globalDots: 40 },
+      speedMultipliers: { normal: 0.5 },
+    };
+
+    beforeEach(() => {
+      GHOSTS.sue = sue;
+    });
+
+    afterEach(() => {
+      delete GHOSTS.sue;
+    });
+
+    it('builds ghosts from a roster, numbering repeated types', () => {
+      const ghosts = createAllGhosts(Difficulty.MEDIUM, 1, ['blinky', 'sue', 'blinky', 'blinky']);
+      expect(Object.keys(ghosts)).toEqual(['blinky', 'sue', 'blinky2', 'blinky3']);
+      expect(ghosts.blinky3.type).toBe('blinky');
+      expect(ghosts.sue.type).toBe('sue');
+    });
+
+    it('uses the roster for the difficulty and level by default', () => {
+      expect(getGhostRoster(Difficulty.MEDIUM, 1)).toEqual(['blinky', 'pinky', 'inky', 'clyde']);
+      expect(Object.keys(createAllGhosts())).toEqual(getGhostRoster());
+    });
+
+    it('falls back to Blinky for unknown types', () => {
+      expect(getGhostPersonality('funky')).toBe(GHOSTS.blinky);
+      expect(getGhostPersonality(GhostType.PINKY).color).toBe('#ffb8ff');
+    });
+
+    it('takes house release rules from the personality', () => {
+      expect(createGhost('sue')).toMatchObject({ dotLimit: 50, released: false });
+      expect(getReleaseDotLimit('sue', 'medium', 2)).toBe(Math.round(10 * getReleaseDelayMultiplier(Difficulty.MEDIUM, 2)));
+      expect(getReleaseDotLimit(GhostType.CLYDE, 'medium', 9)).toBe(0);
+    });
+
+    it('targets with a personality function in chase mode and its corner in scatter mode', () => {
+      const ghost = { ...createGhost('sue'), mode: GhostMode.CHASE };
+      const playerPos = { x: TILE_SIZE * 10.5, y: TILE_SIZE * 10.5 };
+      expect(getGhostTarget(ghost, playerPos, Direction.LEFT, null, null, {})).toEqual({ tileX: 1, tileY: 1 });
+      expect(getGhostTarget({ ...ghost, mode: GhostMode.SCATTER }, playerPos, Direction.LEFT, null, null, {}))
+        .toEqual({ tileX: 3, tileY: 3 });
+    });
+
+    it('scales speed by the personality multipliers', () => {
+      const maze = createTestMaze();
+      const place = (type) => ({
+        ...createGhost(type),
+        mode: GhostMode.CHASE,
+        x: TILE_SIZE * 1.5 + 5,
+        y: TILE_SIZE * 2.5,
+        direction: Direction.RIGHT,
+      });
+      const playerPos = { x: TILE_SIZE * 3.5, y: TILE_SIZE * 2.5 };
+      const blinky = updateGhost(place(GhostType.BLINKY), maze, playerPos, Direction.LEFT, null, null, {}, 10, GhostMode.CHASE);
+      const slowSue = updateGhost(place('sue'), maze, playerPos, Direction.LEFT, null, null, {}, 10, GhostMode.CHASE);
+      const start = TILE_SIZE * 1.5 + 5;
+      expect(slowSue.x - start).toBeCloseTo((blinky.x - start) * 0.5);
+    });
+  });
+
   describe('calculateBlinkyTarget', () => {
     it('targets player current tile position', () => {
       const playerPos = { x: TILE_SIZE * 5 + TILE_SIZE / 2, y: TILE_SIZE * 3 + TILE_SIZE / 2 };
@@ -384,6 +492,21 @@ describe('GhostAI', () => {
       expect(target).toEqual({ tileX: 0, tileY: 0 });
     });
 
+    it('targets the nearest player to flee from in FRIGHTENED mode with the flee policy', () => {
+      const ghost = {
+        ...ghosts[GhostType.BLINKY],
+        mode: GhostMode.FRIGHTENED,
+        difficulty: Difficulty.HARD,
+        assignedPlayer: 1,
+        x: TILE_SIZE * 15 + TILE_SIZE / 2,
+        y: TILE_SIZE * 10 + TILE_SIZE / 2,
+      };
+      const player1Pos = { x: TILE_SIZE * 5 + TILE_SIZE / 2, y: TILE_SIZE * 10 + TILE_SIZE / 2 };
+      const player2Pos = { x: TILE_SIZE * 18 + TILE_SIZE / 2, y: TILE_SIZE * 10 + TILE_SIZE / 2 };
+
+      expect(getGhostTarget(ghost, player1Pos, playerDir, player2Pos, Direction.LEFT, ghosts)).toEqual({ tileX: 18, tileY: 10 });
+    });
+
     it('targets nearest player in 2-player mode', () => {
       // Ghost closer to player 2
       const ghost = {
@@ -400,6 +523,23 @@ describe('GhostAI', () => {
       expect(target.tileX).toBe(18);
       expect(target.tileY).toBe(10);
     });
+
+    it('targets its assigned player in 2-player mode, however far away', () => {
+      const ghost = {
+        ...ghosts[GhostType.BLINKY],
+        mode: GhostMode.CHASE,
+        assignedPlayer: 1,
+        x: TILE_SIZE * 15 + TILE_SIZE / 2,
+        y: TILE_SIZE * 10 + TILE_SIZE / 2,
+      };
+      const player1Pos = { x: TILE_SIZE * 5 + TILE_SIZE / 2, y: TILE_SIZE * 10 + TILE_SIZE / 2 };
+      const player2Pos = { x: TILE_SIZE * 18 + TILE_SIZE / 2, y: TILE_SIZE * 10 + TILE_SIZE / 2 };
+
+      expect(getGhostTarget(ghost, player1Pos, playerDir, player2Pos, Direction.LEFT, ghosts).tileX).toBe(5);
+      // Assignments only matter while there is a second player
+      const assignedToP2 = { ...ghost, assignedPlayer: 2 };
+      expect(getGhostTarget(assignedToP2, player1Pos, playerDir, null, null, ghosts).tileX).toBe(5);
+    });
   });
 
   describe('chooseBestDirection', () => {
@@ -455,6 +595,53 @@ describe('GhostAI', () => {
       // In frightened mode, random selection should occur
       expect(directions.size).toBeGreaterThanOrEqual(1);
     });
+
+    it('uses the provided random function in FRIGHTENED mode', () => {
+      const ghost = {
+        x: TILE_SIZE * 2 + TILE_SIZE / 2,
+        y: TILE_SIZE * 2 + TILE_SIZE / 2,
+        direction: Direction.UP,
+        mode: GhostMode.FRIGHTENED,
+      };
+      const target = { tileX: 3, tileY: 2 };
+
+      // Valid directions (no reverse) are UP, LEFT, RIGHT in that order
+      expect(chooseBestDirection(ghost, maze, target, () => 0)).toBe(Direction.UP);
+      expect(chooseBestDirection(ghost, maze, target, () => 0.99)).toBe(Direction.RIGHT);
+    });
+
+    it('flees the target in FRIGHTENED mode with the flee policy, turning at random now and then', () => {
+      expect(getFrightenedPolicy(Difficulty.HARD)).toBe(FrightenedPolicy.FLEE);
+      const ghost = {
+        x: TILE_SIZE * 2 + TILE_SIZE / 2,
+        y: TILE_SIZE * 2 + TILE_SIZE / 2,
+        direction: Direction.UP,
+        mode: GhostMode.FRIGHTENED,
+        difficulty: Difficulty.HARD,
+      };
+      // Player to the right: LEFT leads furthest away
+      const player = { tileX: 3, tileY: 2 };
+
+      expect(chooseBestDirection(ghost, maze, player, () => FLEE_RANDOM_CHANCE)).toBe(Direction.LEFT);
+      expect(chooseBestDirection(ghost, maze, player, () => 0)).toBe(Direction.UP);
+    });
+
+    it('is reproducible with a seeded random function', () => {
+      const ghost = {
+        x: TILE_SIZE * 2 + TILE_SIZE / 2,
+        y: TILE_SIZE * 2 + TILE_SIZE / 2,
+        direction: Direction.UP,
+        mode: GhostMode.FRIGHTENED,
+      };
+      const target = { tileX: 3, tileY: 2 };
+      const randomA = createRng(123);
+      const randomB = createRng(123);
+
+      for (let i = 0; i < 10; i++) {
+        expect(chooseBestDirection(ghost, maze, target, randomA))
+          .toBe(chooseBestDirection(ghost, maze, target, randomB));
+      }
+    });
   });
 
   describe('updateGhost', () => {
@@ -490,6 +677,15 @@ describe('GhostAI', () => {
       expect(updated.mode).toBe(GhostMode.IN_HOUSE);
     });
 
+    it('waits in the house until released', () => {
+      const ghost = createGhost(GhostType.CLYDE);
+      const waiting = updateGhost(ghost, maze, playerPos, playerDir, null, null, ghosts, 10000, GhostMode.SCATTER);
+      expect(waiting.isExiting).toBe(false);
+
+      const released = updateGhost({ ...ghost, released: true }, maze, playerPos, playerDir, null, null, ghosts, 16, GhostMode.SCATTER);
+      expect(released.isExiting).toBe(true);
+    });
+
     it('sets isExiting when release delay reached', () => {
       const ghost = { ...createGhost(GhostType.BLINKY), timeInHouse: 0 }; // Blinky has 0 delay
       const updated = updateGhost(ghost, maze, playerPos, playerDir, null, null, ghosts, 100, GhostMode.SCATTER);
@@ -497,6 +693,164 @@ describe('GhostAI', () => {
     });
   });
 
+  describe('no-up intersections', () => {
+    // Open room with a no-up tile in the middle
+    const NO_UP_MAZE = [
+      [1, 1, 1, 1, 1],
+      [1, 0, 0, 0, 1],
+      [1, 0, 6, 0, 1],
+      [1, 0, 0, 0, 1],
+      [1, 1, 1, 1, 1],
+    ];
+    const target = { tileX: 2, tileY: 0 };
+
+    function createGhostOnNoUp(mode) {
+      return { x: TILE_SIZE * 2.5, y: TILE_SIZE * 2.5, direction: Direction.LEFT, mode };
+    }
+
+    it('keeps scattering and chasing ghosts from turning up', () => {
+      expect(chooseBestDirection(createGhostOnNoUp(GhostMode.CHASE), NO_UP_MAZE, target)).toBe(Direction.LEFT);
+      expect(chooseBestDirection(createGhostOnNoUp(GhostMode.SCATTER), NO_UP_MAZE, target)).toBe(Direction.LEFT);
+    });
+
+    it('lets frightened and eaten ghosts turn up', () => {
+      expect(chooseBestDirection(createGhostOnNoUp(GhostMode.EATEN), NO_UP_MAZE, target)).toBe(Direction.UP);
+      // Valid directions (no reverse) are UP, DOWN, LEFT in that order
+      expect(chooseBestDirection(createGhostOnNoUp(GhostMode.FRIGHTENED), NO_UP_MAZE, target, () => 0)).toBe(Direction.UP);
+    });
+
+    it('allows up when there is no other way on', () => {
+      const corridor = [
+        [1, 1, 1],
+        [1, 0, 1],
+        [1, 6, 1],
+        [1, 0, 1],
+        [1, 1, 1],
+      ];
+      const ghost = { x: TILE_SIZE * 1.5, y: TILE_SIZE * 2.5, direction: Direction.UP, mode: GhostMode.CHASE };
+      expect(chooseBestDirection(ghost, corridor, { tileX: 1, tileY: 3 })).toBe(Direction.UP);
+    });
+  });
+
+  describe('shortest path navigation', () => {
+    // Loop around a wall block with a dead end at (1,3)
+    const LOOP_MAZE = [
+      [1, 1, 1, 1, 1, 1, 1],
+      [1, 0, 0, 0, 0, 0, 1],
+      [1, 0, 1, 1, 1, 0, 1],
+      [1, 0, 1, 0, 0, 0, 1],
+      [1, 1, 1, 1, 1, 1, 1],
+    ];
+    const target = { tileX: 3, tileY: 3 };
+
+    function createGhostAt(tileX, tileY, direction, changes = {}) {
+      return {
+        ...createGhost(GhostType.BLINKY),
+        x: TILE_SIZE * (tileX + 0.5),
+        y: TILE_SIZE * (tileY + 0.5),
+        mode: GhostMode.CHASE,
+        direction,
+        ...changes,
+      };
+    }
+
+    it('takes the way round that reaches the target where greedy turns into the dead end', () => {
+      const ghost = createGhostAt(3, 1, Direction.DOWN);
+      expect(chooseBestDirection(ghost, LOOP_MAZE, target)).toBe(Direction.LEFT);
+      expect(chooseShortestPathDirection(ghost, LOOP_MAZE, target).direction).toBe(Direction.RIGHT);
+    });
+
+    it('follows the cached path until the target changes', () => {
+      const start = chooseShortestPathDirection(createGhostAt(3, 1, Direction.DOWN), LOOP_MAZE, target);
+      expect(start.path.tiles).toHaveLength(7);
+
+      // Deciding again on the same tile keeps the cached path
+      const again = chooseShortestPathDirection(createGhostAt(3, 1, Direction.RIGHT, { path: start.path }), LOOP_MAZE, target);
+      expect(again.path).toBe(start.path);
+
+      // One tile on, the path advances
+      const next = chooseShortestPathDirection(createGhostAt(4, 1, Direction.RIGHT, { path: start.path }), LOOP_MAZE, target);
+      expect(next.direction).toBe(Direction.RIGHT);
+      expect(next.path.tiles).toEqual(start.path.tiles.slice(1));
+
+      // A new target replaces it
+      const moved = chooseShortestPathDirection(createGhostAt(4, 1, Direction.RIGHT, { path: start.path }), LOOP_MAZE, { tileX: 5, tileY: 1 });
+      expect(moved.path.target).toEqual({ tileX: 5, tileY: 1 });
+      expect(moved.path.tiles).toEqual([{ tileX: 4, tileY: 1 }, { tileX: 5, tileY: 1 }]);
+    });
+
+    it('falls back to the greedy choice when no route gets closer', () => {
+      const ghost = createGhostAt(3, 1, Direction.DOWN);
+      // Wall right above the ghost: nothing reachable is closer than where it stands
+      const { direction, path } = chooseShortestPathDirection(ghost, LOOP_MAZE, { tileX: 3, tileY: 0 });
+      expect(direction).toBe(chooseBestDirection(ghost, LOOP_MAZE, { tileX: 3, tileY: 0 }));
+      expect(path.tiles).toEqual([{ tileX: 3, tileY: 1 }]);
+    });
+
+    it('is used on Hard, and by eaten ghosts on every difficulty', () => {
+      const playerPos = { x: TILE_SIZE * 3.5, y: TILE_SIZE * 3.5 };
+      const hard = updateGhost(createGhostAt(3, 1, Direction.DOWN, { difficulty: Difficulty.HARD }), LOOP_MAZE, playerPos, Direction.LEFT, null, null, {}, 1, GhostMode.CHASE);
+      expect(hard.direction).toBe(Direction.RIGHT);
+      expect(hard.path).not.toBeNull();
+
+      const medium = updateGhost(createGhostAt(3, 1, Direction.DOWN), LOOP_MAZE, playerPos, Direction.LEFT, null, null, {}, 1, GhostMode.CHASE);
+      expect(medium.direction).toBe(Direction.LEFT);
+      expect(medium.path).toBeNull();
+
+      const eaten = updateGhost(createGhostAt(3, 1, Direction.DOWN, { mode: GhostMode.EATEN }), LOOP_MAZE, playerPos, Direction.LEFT, null, null, {}, 1, GhostMode.CHASE);
+      expect(eaten.path).not.toBeNull();
+      expect(GhostNavigator.SHORTEST_PATH).toBe('shortestPath');
+    });
+  });
+
+  describe('tunnels', () => {
+    // Corridor with a tunnel cell at each end of row 1
+    const TUNNEL_MAZE = [
+      [1, 1, 1, 1, 1],
+      [5, 0, 0, 0, 5],
+      [1, 1, 1, 1, 1],
+    ];
+    const playerPos = { x: TILE_SIZE * 2.5, y: TILE_SIZE * 1.5 };
+
+    function createGhostAt(tileX, mode, direction = Direction.LEFT) {
+      return {
+        ...createGhost(GhostType.BLINKY),
+        x: TILE_SIZE * (tileX + 0.5),
+        y: TILE_SIZE * 1.5,
+        mode,
+        direction,
+      };
+    }
+
+    it('treats the tile across a tunnel as a neighbour', () => {
+      // Heading down into a wall: only left (through the tunnel) or right
+      const ghost = createGhostAt(0, GhostMode.CHASE, Direction.DOWN);
+      expect(chooseBestDirection(ghost, TUNNEL_MAZE, { tileX: 4, tileY: 1 })).toBe(Direction.LEFT);
+      expect(chooseBestDirection(ghost, TUNNEL_MAZE, { tileX: 1, tileY: 1 })).toBe(Direction.RIGHT);
+    });
+
+    it('wraps ghosts to the opposite edge', () => {
+      const ghost = createGhostAt(0, GhostMode.CHASE);
+      const updated = updateGhost(ghost, TUNNEL_MAZE, playerPos, Direction.RIGHT, null, null, {}, 400, GhostMode.CHASE);
+
+      expect(updated.direction).toBe(Direction.LEFT);
+      expect(updated.x).toBeCloseTo(TILE_SIZE * 5 + TILE_SIZE / 2 - getTunnelSpeed(Difficulty.MEDIUM) * 400);
+      expect(updated.y).toBe(ghost.y);
+    });
+
+    it('slows ghosts inside a tunnel', () => {
+      const ghost = createGhostAt(0, GhostMode.CHASE);
+      const updated = updateGhost(ghost, TUNNEL_MAZE, playerPos, Direction.RIGHT, null, null, {}, 50, GhostMode.CHASE);
+      expect(ghost.x - updated.x).toBeCloseTo(getTunnelSpeed(Difficulty.MEDIUM) * 50);
+    });
+
+    it('does not slow eaten ghosts', () => {
+      const ghost = createGhostAt(0, GhostMode.EATEN);
+      const updated = updateGhost(ghost, TUNNEL_MAZE, playerPos, Direction.RIGHT, null, null, {}, 50, GhostMode.CHASE);
+      expect(ghost.x - updated.x).toBeCloseTo(getEatenSpeed(Difficulty.MEDIUM) * 50);
+    });
+  });
+
   describe('updateAllGhosts', () => {
     it('updates all four ghosts', () => {
       const maze = createTestMaze();
@@ -524,6 +878,144 @@ describe('GhostAI', () => {
     });
   });
 
+  describe('Cruise Elroy', () => {
+    const [stage1, stage2] = getElroyStages('medium', 1);
+
+    function createOpenMaze() {
+      return Array.from({ length: 7 }, (_, y) =>
+        Array.from({ length: 7 }, (_, x) => (x === 0 || y === 0 || x === 6 || y === 6 ? 1 : 0))
+      );
+    }
+
+    function createActiveBlinky(changes = {}) {
+      return {
+        ...createGhost(GhostType.BLINKY, 'medium', 1),
+        mode: GhostMode.CHASE,
+        x: TILE_SIZE * 3.5,
+        y: TILE_SIZE * 3.5,
+        direction: Direction.RIGHT,
+        ...changes,
+      };
+    }
+
+    it('enters stage 1 and then stage 2 as dots run low', () => {
+      const blinky = createActiveBlinky();
+      expect(getElroyStage(blinky, stage1.dotsLeft + 1)).toBe(0);
+      expect(getElroyStage(blinky, stage1.dotsLeft)).toBe(1);
+      expect(getElroyStage(blinky, stage2.dotsLeft)).toBe(2);
+    });
+
+    it('only applies to Blinky and needs a dot count', () => {
+      const pinky = { ...createGhost(GhostType.PINKY), mode: GhostMode.CHASE };
+      expect(getElroyStage(pinky, 0)).toBe(0);
+      expect(getElroyStage(createActiveBlinky(), null)).toBe(0);
+    });
+
+    it('uses earlier thresholds and bigger bonuses on harder settings', () => {
+      const [easy] = getElroyStages('easy', 1);
+      const [hard] = getElroyStages('hard', 1);
+      const [hardLater] = getElroyStages('hard', 5);
+      expect(hard.dotsLeft).toBeGreaterThan(easy.dotsLeft);
+      expect(hard.speedBonus).toBeGreaterThan(easy.speedBonus);
+      expect(hardLater.dotsLeft).toBeGreaterThan(hard.dotsLeft);
+      expect(hardLater.speedBonus).toBeGreaterThan(hard.speedBonus);
+    });
+
+    it('speeds Blinky up in each stage', () => {
+      const maze = createOpenMaze();
+      const player = { x: TILE_SIZE * 5.5, y: TILE_SIZE * 3.5 };
+      const distanceMoved = (dotsRemaining) => {
+        const updated = updateAllGhosts(
+          { [GhostType.BLINKY]: createActiveBlinky() },
+          maze, player, Direction.LEFT, null, null, 16, GhostMode.CHASE, Math.random, dotsRemaining
+        )[GhostType.BLINKY];
+        return Math.abs(updated.x - TILE_SIZE * 3.5) + Math.abs(updated.y - TILE_SIZE * 3.5);
+      };
+
+      const normal = distanceMoved(100);
+      expect(distanceMoved(stage1.dotsLeft)).toBeCloseTo(normal * (1 + stage1.speedBonus));
+      expect(distanceMoved(stage2.dotsLeft)).toBeCloseTo(normal * (1 + stage2.speedBonus));
+    });
+
+    it('keeps chasing during scatter', () => {
+      const player = { x: TILE_SIZE * 5, y: TILE_SIZE * 9 };
+      const blinky = createActiveBlinky({ mode: GhostMode.SCATTER });
+      expect(getGhostTarget(blinky, player, Direction.LEFT, null, null, {})).toEqual({ tileX: 18, tileY: 1 });
+      expect(getGhostTarget({ ...blinky, elroyStage: 1 }, player, Direction.LEFT, null, null, {}))
+        .toEqual({ tileX: 5, tileY: 9 });
+    });
+
+    it('pauses after a death until Clyde leaves the house', () => {
+      const maze = createTestMaze();
+      const player = { x: TILE_SIZE * 2, y: TILE_SIZE * 2 };
+      const ghosts = suspendElroy({
+        [GhostType.BLINKY]: createActiveBlinky({ elroyStage: 2 }),
+        [GhostType.CLYDE]: createGhost(GhostType.CLYDE),
+      });
+      expect(ghosts[GhostType.BLINKY].elroyStage).toBe(0);
+
+      const whileClydeHome = updateAllGhosts(ghosts, maze, player, Direction.LEFT, null, null, 16, GhostMode.CHASE, Math.random, 0);
+      expect(whileClydeHome[GhostType.BLINKY].elroyStage).toBe(0);
+      expect(whileClydeHome[GhostType.BLINKY].elroySuspended).toBe(true);
+
+      const clydeOut = {
+        ...whileClydeHome,
+        [GhostType.CLYDE]: { ...whileClydeHome[GhostType.CLYDE], mode: GhostMode.CHASE },
+      };
+      const afterRelease = updateAllGhosts(clydeOut, maze, player, Direction.LEFT, null, null, 16, GhostMode.CHASE, Math.random, 0);
+      expect(afterRelease[GhostType.BLINKY].elroySuspended).toBe(false);
+      expect(afterRelease[GhostType.BLINKY].elroyStage).toBe(2);
+    });
+
+    it('stays paused when Clyde was already out at the death, until he is back home and leaves again', () => {
+      const maze = createTestMaze();
+      const player = { x: TILE_SIZE * 2, y: TILE_SIZE * 2 };
+      const update = (ghosts) => updateAllGhosts(ghosts, maze, player, Direction.LEFT, null, null, 16, GhostMode.CHASE, Math.random, 0);
+      const clydeOut = { ...createGhost(GhostType.CLYDE), mode: GhostMode.CHASE };
+
+      let ghosts = suspendElroy({
+        [GhostType.BLINKY]: createActiveBlinky({ elroyStage: 2 }),
+        [GhostType.CLYDE]: clydeOut,
+      });
+      ghosts = update(update(ghosts));
+      expect(ghosts[GhostType.BLINKY]).toMatchObject({ elroySuspended: true, elroyStage: 0 });
+
+      ghosts = update({ ...ghosts, [GhostType.CLYDE]: createGhost(GhostType.CLYDE) });
+      expect(ghosts[GhostType.BLINKY].elroySuspended).toBe(true);
+
+      ghosts = update({ ...ghosts, [GhostType.CLYDE]: clydeOut });
+      expect(ghosts[GhostType.BLINKY]).toMatchObject({ elroySuspended: false, elroyStage: 2 });
+    });
+
+    it('turns every Blinky Elroy, including repeats in larger rosters', () => {
+      const maze = createOpenMaze();
+      const player = { x: TILE_SIZE * 5.5, y: TILE_SIZE * 3.5 };
+      const ghosts = { blinky: createActiveBlinky(), blinky2: createActiveBlinky() };
+
+      const updated = updateAllGhosts(ghosts, maze, player, Direction.LEFT, null, null, 16, GhostMode.CHASE, Math.random, 0);
+      expect(updated.blinky.elroyStage).toBe(2);
+      expect(updated.blinky2.elroyStage).toBe(2);
+
+      const suspended = suspendElroy(updated);
+      expect(suspended.blinky2).toMatchObject({ elroySuspended: true, elroyStage: 0 });
+    });
+
+    it('lifts the pause on the last ghost out in rosters without Clyde', () => {
+      const maze = createTestMaze();
+      const player = { x: TILE_SIZE * 2, y: TILE_SIZE * 2 };
+      const update = (ghosts) => updateAllGhosts(ghosts, maze, player, Direction.LEFT, null, null, 16, GhostMode.CHASE, Math.random, 0);
+
+      let ghosts = update(suspendElroy({
+        [GhostType.BLINKY]: createActiveBlinky(),
+        [GhostType.PINKY]: createGhost(GhostType.PINKY),
+      }));
+      expect(ghosts[GhostType.BLINKY].elroySuspended).toBe(true);
+
+      ghosts = update({ ...ghosts, [GhostType.PINKY]: { ...ghosts[GhostType.PINKY], mode: GhostMode.CHASE } });
+      expect(ghosts[GhostType.BLINKY].elroySuspended).toBe(false);
+    });
+  });
+
   describe('setGhostMode', () => {
     it('sets mode for all active ghosts', () => {
       let ghosts = createAllGhosts();
@@ -653,8 +1145,8 @@ describe('GhostAI', () => {
     it('resets positions to start', () => {
       const ghosts = resetGhosts();
 
-      expect(ghosts[GhostType.BLINKY].x).toBe(GHOST_START_POSITIONS[GhostType.BLINKY].x);
-      expect(ghosts[GhostType.BLINKY].y).toBe(GHOST_START_POSITIONS[GhostType.BLINKY].y);
+      expect(ghosts[GhostType.BLINKY].x).toBe(getGhostStartPosition(GhostType.BLINKY).x);
+      expect(ghosts[GhostType.BLINKY].y).toBe(getGhostStartPosition(GhostType.BLINKY).y);
     });
   });
 
@@ -715,8 +1207,8 @@ describe('GhostAI', () => {
 
       const result = checkGhostCollision(
         ghosts,
-        GHOST_START_POSITIONS[GhostType.BLINKY].x,
-        GHOST_START_POSITIONS[GhostType.BLINKY].y
+        getGhostStartPosition(GhostType.BLINKY).x,
+        getGhostStartPosition(GhostType.BLINKY).y
       );
 
       expect(result.collision).toBe(false);
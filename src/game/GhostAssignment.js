@@ -0,0 +1,64 @@
+/**
+ * Ghost targeting in two-player mode for Pacman 2D.
+ * Decides which player each ghost chases, using the difficulty's strategy
+ * (see ghostAssignment in DifficultyConfig.js):
+ * - NEAREST: Every ghost chases whichever player is closer
+ * - SPLIT: The first half of the roster (Blinky and Pinky) chases the score
+ *   leader, the rest (Inky and Clyde) the other player
+ * - LEADER_FOCUS: Every ghost chases the score leader
+ * The chosen player is stored on each ghost as assignedPlayer. GameState
+ * rebalances the assignments when a level starts and when a player dies or
+ * respawns; while a player is dying, every ghost chases the other one.
+ */
+
+/**
+ * Ghost assignment strategies.
+ */
+export const GhostAssignment = {
+  NEAREST: 'nearest',
+  SPLIT: 'split',
+  LEADER_FOCUS: 'leaderFocus',
+};
+
+/**
+ * Gets the player with the higher score.
+ * @param {number} score - Player 1 score
+ * @param {number} player2Score - Player 2 score
+ * @returns {number} 1 or 2 (ties go to player 1)
+ */
+export function getScoreLeader(score, player2Score) {
+  return player2Score > score ? 2 : 1;
+}
+
+/**
+ * Assigns each ghost the player it chases.
+ * @param {object} ghosts - All ghost states, in roster order
+ * @param {string} strategy - One of GhostAssignment
+ * @param {number} leader - Player with the higher score (1 or 2)
+ * @param {number[]} players - Players that can be chased; a dying player is left out
+ * @returns {object} Updated ghost states, with assignedPlayer 1, 2 or null (nearest player)
+ */
+export function assignGhosts(ghosts, strategy, leader, players = [1, 2]) {
+  const ids = Object.keys(ghosts);
+  const other = leader === 1 ? 2 : 1;
+  const leaderCount = Math.ceil(ids.length / 2);
+
+  const getAssignedPlayer = (index) => {
+    if (players.length === 1) {
+      return players[0];
+    }
+    if (strategy !== GhostAssignment.SPLIT && strategy !== GhostAssignment.LEADER_FOCUS) {
+      return null;
+    }
+    if (strategy === GhostAssignment.LEADER_FOCUS) {
+      return leader;
+    }
+    return index < leaderCount ? leader : other;
+  };
+
+  const updatedGhosts = {};
+  ids.forEach((id, index) => {
+    updatedGhosts[id] = { ...ghosts[id], assignedPlayer: getAssignedPlayer(index) };
+  });
+  return updatedGhosts;
+}
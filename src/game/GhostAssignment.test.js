@@ -0,0 +1,59 @@
+/**
+ * Tests for ghost targeting in two-player mode.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { GhostAssignment, getScoreLeader, assignGhosts } from './GhostAssignment.js';
+import { createAllGhosts } from './GhostAI.js';
+
+const assigned = (ghosts) => Object.fromEntries(
+  Object.entries(ghosts).map(([id, ghost]) => [id, ghost.assignedPlayer])
+);
+
+describe('GhostAssignment', () => {
+  const ghosts = createAllGhosts();
+
+  it('gives ties to player 1 when picking the score leader', () => {
+    expect(getScoreLeader(100, 200)).toBe(2);
+    expect(getScoreLeader(200, 100)).toBe(1);
+    expect(getScoreLeader(100, 100)).toBe(1);
+  });
+
+  it('leaves ghosts to chase the nearest player', () => {
+    expect(assigned(assignGhosts(ghosts, GhostAssignment.NEAREST, 2))).toEqual({
+      blinky: null, pinky: null, inky: null, clyde: null,
+    });
+  });
+
+  it('splits the roster between the leader and the other player', () => {
+    expect(assigned(assignGhosts(ghosts, GhostAssignment.SPLIT, 2))).toEqual({
+      blinky: 2, pinky: 2, inky: 1, clyde: 1,
+    });
+  });
+
+  it('gives the leader the extra ghost in odd rosters', () => {
+    const { clyde: _clyde, ...three } = ghosts;
+    expect(assigned(assignGhosts(three, GhostAssignment.SPLIT, 1))).toEqual({
+      blinky: 1, pinky: 1, inky: 2,
+    });
+  });
+
+  it('sends every ghost after the leader', () => {
+    expect(assigned(assignGhosts(ghosts, GhostAssignment.LEADER_FOCUS, 2))).toEqual({
+      blinky: 2, pinky: 2, inky: 2, clyde: 2,
+    });
+  });
+
+  it('sends every ghost after the only player left, whatever the strategy', () => {
+    for (const strategy of Object.values(GhostAssignment)) {
+      expect(assigned(assignGhosts(ghosts, strategy, 2, [1]))).toEqual({
+        blinky: 1, pinky: 1, inky: 1, clyde: 1,
+      });
+    }
+  });
+
+  it('does not change the ghosts passed in', () => {
+    assignGhosts(ghosts, GhostAssignment.SPLIT, 1);
+    expect(ghosts.blinky.assignedPlayer).toBeNull();
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Ghost house release rules for Pacman 2D, after the arcade's dot counters.
+ * Ghosts waiting in the house leave one at a time, in roster order. Only the
+ * first ghost still waiting counts the dots players eat, and it is released
+ * once its count reaches its dot limit (see getReleaseDotLimit in GhostAI.js).
+ * After a player dies every ghost is sent back to the house (see
+ * returnGhostsToHouse in DeathHandler.js) and a single global counter takes
+ * over instead, releasing each ghost at the total set by its personality. If nobody eats a dot for a
+ * while, the next waiting ghost is forced out.
+ */
+
+import { GhostMode, getGhostPersonality } from './GhostAI.js';
+import { getReleaseDelayMultiplier } from './DifficultyConfig.js';
+
+/**
+ * Gets the dots eaten since the last death at which the global counter
+ * releases a ghost. Ghosts without one are released as soon as the counter starts.
+ * @param {string} type - Ghost type
+ * @returns {number} Global counter total
+ */
+export function getGlobalReleaseDots(type) {
+  return getGhostPersonality(type).release?.globalDots ?? 0;
+}
+
+/**
+ * Time without any dot eaten before the next waiting ghost is forced out
+ * (ms on Medium, scaled by the release multiplier).
+ */
+export const INACTIVITY_RELEASE_TIME = 4000;
+
+/**
+ * Creates the ghost house state for the start of a level.
+ * - globalDotCounter: Dots eaten since the last death, or null while per-ghost counters apply
+ * - inactivityTimer: Time since a dot was last eaten (ms)
+ * @returns {object} Ghost house state
+ */
+export function createGhostHouseState() {
+  return {
+    globalDotCounter: null,
+    inactivityTimer: 0,
+  };
+}
+
+/**
+ * Switches to the global dot counter after a player death.
+ * @param {object} ghostHouse - Ghost house state
+ * @returns {object} Updated ghost house state
+ */
+export function activateGlobalDotCounter(ghostHouse) {
+  return {
+    ...ghostHouse,
+    globalDotCounter: 0,
+    inactivityTimer: 0,
+  };
+}
+
+/**
+ * Gets how long players can go without eating before a ghost is forced out.
+ * @param {string} difficulty - Difficulty level
+ * @param {number} level - Level number (1-based)
+ * @returns {number} Inactivity limit in ms
+ */
+export function getInactivityReleaseTime(difficulty, level = 1) {
+  return Math.round(INACTIVITY_RELEASE_TIME * getReleaseDelayMultiplier(difficulty, level));
+}
+
+/**
+ * Gets the ghost next in line to leave the house.
+ * @param {object} ghosts - All ghost states
+ * @returns {string|null} Ghost id, or null if no ghost is waiting
+ */
+export function getNextWaitingGhost(ghosts) {
+  return Object.keys(ghosts).find((type) => (
+    ghosts[type].mode === GhostMode.IN_HOUSE && !ghosts[type].released
+  )) ?? null;
+}
+
+function releaseGhost(ghosts, type) {
+  return {
+    ...ghosts,
+    [type]: { ...ghosts[type], released: true },
+  };
+}
+
+/**
+ * Counts the dots eaten this update and releases the ghosts that have waited
+ * long enough.
+ * @param {object} ghostHouse - Ghost house state
+ * @param {object} ghosts - All ghost states
+ * @param {number} dotsEaten - Dots and power pellets eaten this update
+ * @param {number} deltaTime - Time since last update in ms
+ * @param {string} difficulty - Difficulty level
+ * @param {number} level - Level number (1-based)
+ * @returns {{ ghostHouse: object, ghosts: object }} Updated ghost house and ghost states
+ */
+export function updateGhostHouse(ghostHouse, ghosts, dotsEaten, deltaTime, difficulty, level = 1) {
+  let { globalDotCounter, inactivityTimer } = ghostHouse;
+  let updatedGhosts = ghosts;
+
+  if (dotsEaten > 0) {
+    inactivityTimer = 0;
+    if (globalDotCounter !== null) {
+      globalDotCounter += dotsEaten;
+    } else {
+      // Dots go to the first waiting ghost; any left over after it leaves go to the next
+      for (let dot = 0; dot < dotsEaten; dot++) {
+        const next = getNextWaitingGhost(updatedGhosts);
+        if (!next) {
+          break;
+        }
+        const ghost = updatedGhosts[next];
+        const dotCounter = ghost.dotCounter + 1;
+        updatedGhosts = {
+          ...updatedGhosts,
+          [next]: { ...ghost, dotCounter, released: dotCounter >= ghost.dotLimit },
+        };
+      }
+    }
+  } else {
+    inactivityTimer += deltaTime;
+  }
+
+  if (globalDotCounter !== null) {
+    for (const id of Object.keys(updatedGhosts)) {
+      const ghost = updatedGhosts[id];
+      if (ghost.mode === GhostMode.IN_HOUSE && !ghost.released && globalDotCounter >= getGlobalReleaseDots(ghost.type)) {
+        updatedGhosts = releaseGhost(updatedGhosts, id);
+      }
+    }
+    // The counter switches off again once it reaches the highest total
+    const totals = Object.values(updatedGhosts).map((ghost) => getGlobalReleaseDots(ghost.type));
+    if (globalDotCounter >= Math.max(0, ...totals)) {
+      globalDotCounter = null;
+    }
+  } else {
+    // Ghosts whose limit is already met (e.g. 0) follow straight away
+    let next = getNextWaitingGhost(updatedGhosts);
+    while (next && updatedGhosts[next].dotCounter >= updatedGhosts[next].dotLimit) {
+      updatedGhosts = releaseGhost(updatedGhosts, next);
+      next = getNextWaitingGhost(updatedGhosts);
+    }
+  }
+
+  if (inactivityTimer >= getInactivityReleaseTime(difficulty, level)) {
+    inactivityTimer = 0;
+    const next = getNextWaitingGhost(updatedGhosts);
+    if (next) {
+      updatedGhosts = releaseGhost(updatedGhosts, next);
+    }
+  }
+
+  return {
+    ghostHouse: { globalDotCounter, inactivityTimer },
+    ghosts: updatedGhosts,
+  };
+}
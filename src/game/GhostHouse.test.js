@@ -0,0 +1,99 @@
+/**
+ * Tests for ghost house release rules.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getGlobalReleaseDots,
+  createGhostHouseState,
+  activateGlobalDotCounter,
+  getInactivityReleaseTime,
+  getNextWaitingGhost,
+  updateGhostHouse,
+} from './GhostHouse.js';
+import { createAllGhosts, GhostType, GhostMode } from './GhostAI.js';
+import { Difficulty } from './DifficultyConfig.js';
+
+function update(ghostHouse, ghosts, dotsEaten, deltaTime = 16) {
+  return updateGhostHouse(ghostHouse, ghosts, dotsEaten, deltaTime, Difficulty.MEDIUM, 1);
+}
+
+describe('GhostHouse', () => {
+  it('picks the first ghost still waiting in the house', () => {
+    const ghosts = createAllGhosts();
+    expect(getNextWaitingGhost(ghosts)).toBe(GhostType.INKY);
+
+    const inkyOut = { ...ghosts, [GhostType.INKY]: { ...ghosts[GhostType.INKY], mode: GhostMode.CHASE } };
+    expect(getNextWaitingGhost(inkyOut)).toBe(GhostType.CLYDE);
+  });
+
+  it('counts dots for the next ghost only and releases it at its limit', () => {
+    const ghosts = createAllGhosts();
+    const limit = ghosts[GhostType.INKY].dotLimit;
+
+    const almost = update(createGhostHouseState(), ghosts, limit - 1);
+    expect(almost.ghosts[GhostType.INKY]).toMatchObject({ dotCounter: limit - 1, released: false });
+    expect(almost.ghosts[GhostType.CLYDE].dotCounter).toBe(0);
+
+    const released = update(almost.ghostHouse, almost.ghosts, 1);
+    expect(released.ghosts[GhostType.INKY].released).toBe(true);
+    expect(released.ghosts[GhostType.CLYDE].dotCounter).toBe(0);
+
+    const next = update(released.ghostHouse, released.ghosts, 1);
+    expect(next.ghosts[GhostType.CLYDE].dotCounter).toBe(1);
+  });
+
+  it('passes dots left over after a release on to the next ghost', () => {
+    const ghosts = createAllGhosts();
+    const limit = ghosts[GhostType.INKY].dotLimit;
+
+    const { ghosts: updated } = update(createGhostHouseState(), ghosts, limit + 3);
+    expect(updated[GhostType.INKY].released).toBe(true);
+    expect(updated[GhostType.CLYDE].dotCounter).toBe(3);
+  });
+
+  it('releases ghosts on the global counter after a death', () => {
+    const ghosts = createAllGhosts();
+    const ghostHouse = activateGlobalDotCounter(createGhostHouseState());
+
+    const before = update(ghostHouse, ghosts, getGlobalReleaseDots(GhostType.INKY) - 1);
+    expect(before.ghosts[GhostType.INKY]).toMatchObject({ dotCounter: 0, released: false });
+
+    const inky = update(before.ghostHouse, before.ghosts, 1);
+    expect(inky.ghosts[GhostType.INKY].released).toBe(true);
+    expect(inky.ghosts[GhostType.CLYDE].released).toBe(false);
+
+    const remaining = getGlobalReleaseDots(GhostType.CLYDE) - getGlobalReleaseDots(GhostType.INKY);
+    const clyde = update(inky.ghostHouse, inky.ghosts, remaining);
+    expect(clyde.ghosts[GhostType.CLYDE].released).toBe(true);
+    // Per-ghost counters take over again once the last ghost is out
+    expect(clyde.ghostHouse.globalDotCounter).toBeNull();
+  });
+
+  it('reads global counter totals from ghost personalities', () => {
+    expect(getGlobalReleaseDots(GhostType.PINKY)).toBe(7);
+    expect(getGlobalReleaseDots(GhostType.CLYDE)).toBe(32);
+    expect(getGlobalReleaseDots(GhostType.BLINKY)).toBe(0);
+  });
+
+  it('forces the next ghost out when nobody eats for too long', () => {
+    const ghosts = createAllGhosts();
+    const limit = getInactivityReleaseTime(Difficulty.MEDIUM, 1);
+
+    const idle = update(createGhostHouseState(), ghosts, 0, limit - 1);
+    expect(idle.ghosts[GhostType.INKY].released).toBe(false);
+
+    // Eating a dot restarts the timer
+    const ate = update(idle.ghostHouse, idle.ghosts, 1);
+    expect(ate.ghostHouse.inactivityTimer).toBe(0);
+
+    const forced = update(idle.ghostHouse, idle.ghosts, 0, 1);
+    expect(forced.ghosts[GhostType.INKY].released).toBe(true);
+    expect(forced.ghosts[GhostType.CLYDE].released).toBe(false);
+    expect(forced.ghostHouse.inactivityTimer).toBe(0);
+  });
+
+  it('waits longer without eating on easier difficulties', () => {
+    expect(getInactivityReleaseTime(Difficulty.EASY)).toBeGreaterThan(getInactivityReleaseTime(Difficulty.HARD));
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Render interpolation for Pacman 2D.
+ * The simulation advances in fixed steps, which rarely line up with display
+ * refreshes. Rendering blends entity positions between the last two simulation
+ * states so movement looks smooth at any refresh rate without changing gameplay.
+ */
+
+import { TILE_SIZE } from './Dots.js';
+
+// Moves longer than this within one step are teleports (respawn, tunnel wrap, level reset)
+const MAX_INTERPOLATION_DISTANCE = TILE_SIZE;
+
+/**
+ * Captures the positions rendering interpolates between.
+ * Call with the state as it was before a simulation step.
+ * @param {object} state - Game state
+ * @returns {object} { player, player2, ghosts } with { x, y } each
+ */
+export function capturePositions(state) {
+  const ghosts = {};
+  for (const [type, ghost] of Object.entries(state.ghosts)) {
+    ghosts[type] = { x: ghost.x, y: ghost.y };
+  }
+
+  return {
+    player: { x: state.player.x, y: state.player.y },
+    player2: { x: state.player2.x, y: state.player2.y },
+    ghosts,
+  };
+}
+
+function interpolatePosition(entity, previous, alpha) {
+  if (!previous) {
+    return entity;
+  }
+
+  const dx = entity.x - previous.x;
+  const dy = entity.y - previous.y;
+  if (Math.abs(dx) > MAX_INTERPOLATION_DISTANCE || Math.abs(dy) > MAX_INTERPOLATION_DISTANCE) {
+    return entity;
+  }
+
+  return {
+    ...entity,
+    x: previous.x + dx * alpha,
+    y: previous.y + dy * alpha,
+  };
+}
+
+/**
+ * Returns a copy of state with players and ghosts placed between their
+ * previous and current positions. Only for drawing; never feed it back into
+ * the simulation.
+ * @param {object} state - Current game state
+ * @param {object|null} previous - Positions from capturePositions before the last step
+ * @param {number} alpha - Blend factor, 0 = previous positions, 1 = current positions
+ * @returns {object} State to render
+ */
+export function interpolateState(state, previous, alpha) {
+  if (!previous || alpha >= 1) {
+    return state;
+  }
+
+  const ghosts = {};
+  for (const [type, ghost] of Object.entries(state.ghosts)) {
+    ghosts[type] = interpolatePosition(ghost, previous.ghosts[type], alpha);
+  }
+
+  return {
+    ...state,
+    player: interpolatePosition(state.player, previous.player, alpha),
+    player2: interpolatePosition(state.player2, previous.player2, alpha),
+    ghosts,
+  };
+}
@@ -0,0 +1,77 @@
+/**
+ * Tests for render interpolation between simulation steps.
+ * @vitest-environment jsdom
+ */
+
+import { describe, it, expect } from 'vitest';
+import { capturePositions, interpolateState } from './Interpolation.js';
+import { createInitialState, TILE_SIZE } from './GameState.js';
+
+function moveEverything(state, dx, dy) {
+  const ghosts = {};
+  for (const [type, ghost] of Object.entries(state.ghosts)) {
+    ghosts[type] = { ...ghost, x: ghost.x + dx, y: ghost.y + dy };
+  }
+  return {
+    ...state,
+    player: { ...state.player, x: state.player.x + dx, y: state.player.y + dy },
+    player2: { ...state.player2, x: state.player2.x + dx, y: state.player2.y + dy },
+    ghosts,
+  };
+}
+
+describe('Interpolation', () => {
+  describe('capturePositions', () => {
+    it('captures players and every ghost', () => {
+      const state = createInitialState();
+      const positions = capturePositions(state);
+
+      expect(positions.player).toEqual({ x: state.player.x, y: state.player.y });
+      expect(positions.player2).toEqual({ x: state.player2.x, y: state.player2.y });
+      expect(Object.keys(positions.ghosts)).toEqual(Object.keys(state.ghosts));
+    });
+  });
+
+  describe('interpolateState', () => {
+    it('blends positions between the previous and current step', () => {
+      const before = createInitialState();
+      const after = moveEverything(before, 4, -2);
+
+      const view = interpolateState(after, capturePositions(before), 0.25);
+
+      expect(view.player.x).toBe(before.player.x + 1);
+      expect(view.player.y).toBe(before.player.y - 0.5);
+      expect(view.player2.x).toBe(before.player2.x + 1);
+      expect(view.ghosts.blinky.x).toBe(before.ghosts.blinky.x + 1);
+    });
+
+    it('keeps non-position fields from the current state', () => {
+      const before = createInitialState();
+      const after = { ...moveEverything(before, 4, 0), score: 990 };
+
+      const view = interpolateState(after, capturePositions(before), 0.5);
+
+      expect(view.score).toBe(990);
+      expect(view.player.direction).toBe(after.player.direction);
+      expect(view.ghosts.pinky.mode).toBe(after.ghosts.pinky.mode);
+    });
+
+    it('returns the current state unchanged at alpha 1 or without history', () => {
+      const before = createInitialState();
+      const after = moveEverything(before, 4, 0);
+
+      expect(interpolateState(after, capturePositions(before), 1)).toBe(after);
+      expect(interpolateState(after, null, 0.5)).toBe(after);
+    });
+
+    it('does not blend across teleports such as respawns or tunnel wraps', () => {
+      const before = createInitialState();
+      const after = moveEverything(before, TILE_SIZE * 10, 0);
+
+      const view = interpolateState(after, capturePositions(before), 0.5);
+
+      expect(view.player.x).toBe(after.player.x);
+      expect(view.ghosts.clyde.x).toBe(after.ghosts.clyde.x);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Kill screen for Pacman 2D's endless mode.
+ * A homage to the arcade's level 256, where the level counter overflows and
+ * the right half of the maze is drawn as garbage. The dots under the garbage
+ * can never be eaten, so the level can never be cleared.
+ */
+
+import { createRng, randomChoice } from './Random.js';
+
+/**
+ * Level that plays as the kill screen in endless mode.
+ */
+export const KILL_SCREEN_LEVEL = 256;
+
+// Characters and colours the garbage tiles are drawn with
+export const GARBAGE_GLYPHS = ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9', 'A', 'B', 'C', 'D', 'E', 'F', 'N', 'R', '=', '/', '!', '"'];
+export const GARBAGE_COLORS = ['#ff0000', '#ffb8ff', '#00ffff', '#ffb852', '#ffff00', '#2121de', '#dedeff', '#ffffff'];
+
+/**
+ * Checks whether a level is the kill screen.
+ * @param {number} level - Level number
+ * @returns {boolean} True on KILL_SCREEN_LEVEL
+ */
+export function isKillScreen(level) {
+  return level === KILL_SCREEN_LEVEL;
+}
+
+/**
+ * Gets the first maze column covered by garbage.
+ * @param {number[][]} maze - Maze layout
+ * @returns {number} Column index; every column from here to the right edge is garbage
+ */
+export function getGarbageStartColumn(maze) {
+  return Math.floor((maze[0]?.length ?? 0) / 2);
+}
+
+/**
+ * Removes the dots under the garbage half of the maze.
+ * totalDots is left unchanged, so allDotsCollected can never be reached.
+ * @param {object} dotsState - Dots state from createDotsFromMaze
+ * @param {number[][]} maze - Maze layout
+ * @returns {object} Corrupted dots state
+ */
+export function corruptDots(dotsState, maze) {
+  const startColumn = getGarbageStartColumn(maze);
+  const dots = {};
+  for (const [id, dot] of Object.entries(dotsState.dots)) {
+    if (dot.tileX < startColumn) {
+      dots[id] = dot;
+    }
+  }
+
+  return {
+    ...dotsState,
+    dots,
+  };
+}
+
+/**
+ * Creates the garbage drawn over the right half of the maze.
+ * The same seed always produces the same garbage.
+ * @param {number[][]} maze - Maze layout
+ * @param {number} seed - Game seed
+ * @returns {object[]} Tiles of { tileX, tileY, glyph, color }
+ */
+export function createGarbageTiles(maze, seed) {
+  const random = createRng(seed ^ KILL_SCREEN_LEVEL);
+  const startColumn = getGarbageStartColumn(maze);
+  const tiles = [];
+
+  for (let tileY = 0; tileY < maze.length; tileY++) {
+    for (let tileX = startColumn; tileX < maze[tileY].length; tileX++) {
+      tiles.push({
+        tileX,
+        tileY,
+        glyph: randomChoice(GARBAGE_GLYPHS, random),
+        color: randomChoice(GARBAGE_COLORS, random),
+      });
+    }
+  }
+
+  return tiles;
+}
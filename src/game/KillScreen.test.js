@@ -0,0 +1,68 @@
+/**
+ * Tests for the endless mode kill screen.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  KILL_SCREEN_LEVEL,
+  GARBAGE_GLYPHS,
+  GARBAGE_COLORS,
+  isKillScreen,
+  getGarbageStartColumn,
+  corruptDots,
+  createGarbageTiles,
+} from './KillScreen.js';
+import { createDefaultMaze, createDotsFromMaze, allDotsCollected } from './Dots.js';
+
+describe('KillScreen', () => {
+  const maze = createDefaultMaze();
+
+  it('only treats level 256 as the kill screen', () => {
+    expect(KILL_SCREEN_LEVEL).toBe(256);
+    expect(isKillScreen(256)).toBe(true);
+    expect(isKillScreen(255)).toBe(false);
+    expect(isKillScreen(1)).toBe(false);
+  });
+
+  it('corrupts the right half of the maze', () => {
+    expect(getGarbageStartColumn(maze)).toBe(maze[0].length / 2);
+  });
+
+  describe('corruptDots', () => {
+    it('removes the dots under the garbage but keeps the total', () => {
+      const dotsState = createDotsFromMaze(maze);
+      const corrupted = corruptDots(dotsState, maze);
+      const startColumn = getGarbageStartColumn(maze);
+
+      expect(corrupted.totalDots).toBe(dotsState.totalDots);
+      expect(Object.keys(corrupted.dots).length).toBeLessThan(dotsState.totalDots);
+      expect(Object.values(corrupted.dots).every((dot) => dot.tileX < startColumn)).toBe(true);
+    });
+
+    it('can never be cleared', () => {
+      const corrupted = corruptDots(createDotsFromMaze(maze), maze);
+      const remaining = Object.keys(corrupted.dots).length;
+
+      expect(allDotsCollected({ ...corrupted, collectedDots: remaining })).toBe(false);
+    });
+  });
+
+  describe('createGarbageTiles', () => {
+    it('covers every tile of the corrupted half', () => {
+      const tiles = createGarbageTiles(maze, 42);
+      const startColumn = getGarbageStartColumn(maze);
+
+      expect(tiles).toHaveLength(maze.length * (maze[0].length - startColumn));
+      for (const tile of tiles) {
+        expect(tile.tileX).toBeGreaterThanOrEqual(startColumn);
+        expect(GARBAGE_GLYPHS).toContain(tile.glyph);
+        expect(GARBAGE_COLORS).toContain(tile.color);
+      }
+    });
+
+    it('is the same for the same seed', () => {
+      expect(createGarbageTiles(maze, 42)).toEqual(createGarbageTiles(maze, 42));
+      expect(createGarbageTiles(maze, 42)).not.toEqual(createGarbageTiles(maze, 43));
+    });
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Shortest-path search over the maze grid for Pacman 2D.
+ * A breadth-first search from a tile that follows tunnels and, optionally,
+ * no-up intersections. Used by ghosts that navigate by shortest path instead
+ * of the arcade's greedy straight-line choice (see GhostNavigator in GhostAI.js).
+ */
+
+import { isWalkableTile, isNoUpTile, getNeighbourTile } from './Collision.js';
+
+/**
+ * Steps tried from every tile, in tie-break order.
+ */
+const STEPS = [
+  { dx: 0, dy: -1 },
+  { dx: 0, dy: 1 },
+  { dx: -1, dy: 0 },
+  { dx: 1, dy: 0 },
+];
+
+function tileKey(tileX, tileY) {
+  return `${tileX},${tileY}`;
+}
+
+/**
+ * Finds the shortest route from a tile towards a target tile.
+ * Targets that cannot be reached, such as walls or the scatter corners
+ * outside the maze, are approached as closely as possible instead: the route
+ * leads to the reachable tile nearest the target, preferring shorter routes
+ * on ties.
+ * @param {number[][]} maze - 2D array of tile types
+ * @param {{ tileX: number, tileY: number }} start - Tile to search from
+ * @param {{ tileX: number, tileY: number }} target - Tile to reach
+ * @param {object} options
+ * @param {object[]} options.firstSteps - Directions ({ dx, dy }) allowed out of the start tile
+ * @param {boolean} options.noUp - Never step up out of a no-up intersection after the start tile
+ * @returns {{ tileX: number, tileY: number }[]} Tiles to move through in order, excluding
+ *   the start tile; empty if no tile is closer to the target than the start
+ */
+export function findPath(maze, start, target, { firstSteps = STEPS, noUp = false } = {}) {
+  const distanceTo = (tile) => (tile.tileX - target.tileX) ** 2 + (tile.tileY - target.tileY) ** 2;
+  const parents = new Map([[tileKey(start.tileX, start.tileY), null]]);
+  const queue = [start];
+  let best = start;
+  let bestDistance = distanceTo(start);
+
+  for (let index = 0; index < queue.length; index++) {
+    const tile = queue[index];
+    const steps = tile === start ? firstSteps : STEPS;
+
+    for (const step of steps) {
+      if (noUp && tile !== start && step.dy < 0 && isNoUpTile(maze, tile.tileX, tile.tileY)) {
+        continue;
+      }
+      const next = getNeighbourTile(maze, tile.tileX, tile.tileY, step);
+      const key = tileKey(next.tileX, next.tileY);
+      if (parents.has(key) || !isWalkableTile(maze, next.tileX, next.tileY)) {
+        continue;
+      }
+
+      parents.set(key, tile);
+      queue.push(next);
+      const distance = distanceTo(next);
+      if (distance < bestDistance) {
+        best = next;
+        bestDistance = distance;
+      }
+    }
+  }
+
+  const path = [];
+  for (let tile = best; tile !== start; tile = parents.get(tileKey(tile.tileX, tile.tileY))) {
+    path.unshift(tile);
+  }
+  return path;
+}
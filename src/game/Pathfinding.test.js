@@ -0,0 +1,68 @@
+/**
+ * Tests for shortest-path search over the maze grid.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { findPath } from './Pathfinding.js';
+
+// Loop around a wall block with a dead end at (1,3)
+const MAZE = [
+  [1, 1, 1, 1, 1, 1, 1],
+  [1, 0, 0, 0, 0, 0, 1],
+  [1, 0, 1, 1, 1, 0, 1],
+  [1, 0, 1, 0, 0, 0, 1],
+  [1, 1, 1, 1, 1, 1, 1],
+];
+
+const tile = (tileX, tileY) => ({ tileX, tileY });
+
+describe('Pathfinding', () => {
+  it('finds the shortest route around walls', () => {
+    expect(findPath(MAZE, tile(3, 1), tile(3, 3))).toEqual([
+      tile(4, 1), tile(5, 1), tile(5, 2), tile(5, 3), tile(4, 3), tile(3, 3),
+    ]);
+  });
+
+  it('returns an empty path at the target', () => {
+    expect(findPath(MAZE, tile(3, 3), tile(3, 3))).toEqual([]);
+  });
+
+  it('heads for the reachable tile nearest an unreachable target', () => {
+    // Scatter-style target outside the maze, above the top-right corner
+    expect(findPath(MAZE, tile(3, 1), tile(6, -2))).toEqual([tile(4, 1), tile(5, 1)]);
+  });
+
+  it('only leaves the start tile through the allowed first steps', () => {
+    expect(findPath(MAZE, tile(2, 1), tile(1, 3))).toEqual([tile(1, 1), tile(1, 2), tile(1, 3)]);
+
+    // Going right first never reaches the dead end, so the route stops at the nearest tile that way
+    const path = findPath(MAZE, tile(2, 1), tile(1, 3), { firstSteps: [{ dx: 1, dy: 0 }] });
+    expect(path[0]).toEqual(tile(3, 1));
+    expect(path[path.length - 1]).toEqual(tile(3, 3));
+  });
+
+  it('follows tunnels to the opposite edge', () => {
+    const tunnelMaze = [
+      [1, 1, 1, 1, 1],
+      [5, 0, 1, 0, 5],
+      [1, 1, 1, 1, 1],
+    ];
+    expect(findPath(tunnelMaze, tile(1, 1), tile(3, 1))).toEqual([tile(0, 1), tile(4, 1), tile(3, 1)]);
+  });
+
+  it('avoids turning up at no-up intersections when asked to', () => {
+    const noUpMaze = [
+      [1, 1, 1, 1, 1],
+      [1, 0, 0, 0, 1],
+      [1, 0, 6, 0, 1],
+      [1, 0, 0, 0, 1],
+      [1, 1, 1, 1, 1],
+    ];
+    const up = [{ dx: 0, dy: -1 }];
+    expect(findPath(noUpMaze, tile(2, 3), tile(2, 1), { firstSteps: up })).toEqual([tile(2, 2), tile(2, 1)]);
+
+    const restricted = findPath(noUpMaze, tile(2, 3), tile(2, 1), { firstSteps: up, noUp: true });
+    expect(restricted).toHaveLength(4);
+    expect(restricted[restricted.length - 1]).toEqual(tile(2, 1));
+  });
+});
@@ -0,0 +1,492 @@
+/**
+ * Grid-based Pac-Man movement for Pacman 2D.
+ * Handles smooth tile-to-tile movement with wall collision, pre-turn input
+ * queuing and tunnel wrapping. Pure functions so the same movement runs in
+ * the browser (usePlayerMovement) and in headless simulations.
+ *
+ * Two movement models are available (see MovementModel). The classic model
+ * moves at a constant speed and snaps turns to the tile grid. The arcade
+ * model follows the arcade: speeds are percentages of a base speed per level,
+ * eating dots costs movement frames, and turns may cut the corner.
+ */
+
+import { TILE_SIZE } from './Dots.js';
+import { isWalkableTile } from './Collision.js';
+import { Direction } from './GhostAI.js';
+import { getMovementModel } from './DifficultyConfig.js';
+import { GameEventType } from './GameEvents.js';
+
+/**
+ * Pac-Man movement speed in tiles per second.
+ */
+export const PLAYER_SPEED = 4;
+
+/**
+ * Available movement models, selected per difficulty (see DIFFICULTY_PRESETS).
+ */
+export const MovementModel = {
+  CLASSIC: 'classic',
+  ARCADE: 'arcade',
+};
+
+/**
+ * Arcade model speed at 100%, in tiles per second. Level 1 (80%) runs a
+ * little faster than PLAYER_SPEED to make up for the time lost to dots.
+ */
+export const ARCADE_BASE_SPEED = 5.5;
+
+/**
+ * Arcade model Pac-Man speeds as percentages of ARCADE_BASE_SPEED, after the
+ * arcade's tables. Each entry applies from its level until the next entry.
+ *
+ * - normal: Speed while the ghosts are not frightened
+ * - frightened: Speed while the ghosts are frightened
+ */
+export const ARCADE_SPEED_TABLE = [
+  { fromLevel: 1, normal: 80, frightened: 90 },
+  { fromLevel: 2, normal: 90, frightened: 95 },
+  { fromLevel: 5, normal: 100, frightened: 100 },
+  { fromLevel: 21, normal: 90, frightened: 90 },
+];
+
+// Movement frames the arcade model loses for each dot eaten
+export const DOT_STALL_FRAMES = 1;
+export const POWER_PELLET_STALL_FRAMES = 3;
+const STALL_FRAME_TIME = 1000 / 60;
+
+/**
+ * How far before a tile center the arcade model may start a turn, cutting
+ * the corner (3 of the arcade's 8 pixels per tile).
+ */
+export const CORNERING_DISTANCE = TILE_SIZE * 3 / 8;
+
+// Movement directions as tile offsets
+const DIRECTIONS = {
+  up: { dx: 0, dy: -1 },
+  down: { dx: 0, dy: 1 },
+  left: { dx: -1, dy: 0 },
+  right: { dx: 1, dy: 0 },
+};
+
+/**
+ * Converts pixel coordinates to tile coordinates.
+ */
+function pixelToTile(x, y) {
+  return {
+    tileX: Math.floor(x / TILE_SIZE),
+    tileY: Math.floor(y / TILE_SIZE),
+  };
+}
+
+/**
+ * Converts tile coordinates to pixel coordinates (center of tile).
+ */
+function tileToPixel(tileX, tileY) {
+  return {
+    x: tileX * TILE_SIZE + TILE_SIZE / 2,
+    y: tileY * TILE_SIZE + TILE_SIZE / 2,
+  };
+}
+
+/**
+ * Checks whether a movement direction name is valid.
+ * @param {string} direction - Direction name
+ * @returns {boolean} True for 'up', 'down', 'left' or 'right'
+ */
+export function isMovementDirection(direction) {
+  return Boolean(DIRECTIONS[direction]);
+}
+
+/**
+ * Converts a movement direction name to the shared Direction object used by ghost AI.
+ * @param {string} direction - 'up' | 'down' | 'left' | 'right'
+ * @param {object} fallback - Returned for anything else
+ * @returns {object} Direction object
+ */
+export function toDirectionObject(direction, fallback = null) {
+  switch (direction) {
+    case 'up': return Direction.UP;
+    case 'down': return Direction.DOWN;
+    case 'left': return Direction.LEFT;
+    case 'right': return Direction.RIGHT;
+    default: return fallback;
+  }
+}
+
+/**
+ * Gets the arcade model's Pac-Man speed for a level.
+ * @param {number} level - Level number (1-based)
+ * @param {boolean} frightened - Whether the ghosts are frightened
+ * @returns {number} Speed in tiles per second
+ */
+export function getArcadeSpeed(level, frightened = false) {
+  let entry = ARCADE_SPEED_TABLE[0];
+  for (const candidate of ARCADE_SPEED_TABLE) {
+    if (level >= candidate.fromLevel) {
+      entry = candidate;
+    }
+  }
+  const percent = frightened ? entry.frightened : entry.normal;
+  return ARCADE_BASE_SPEED * percent / 100;
+}
+
+/**
+ * Gets the movement model and speed players use in a game.
+ * @param {object} state - Game state (difficulty, level and ghostsVulnerable are used)
+ * @returns {object} { model, speed } with speed in tiles per second
+ */
+export function getMovementOptions(state) {
+  const model = getMovementModel(state.difficulty);
+  if (model === MovementModel.ARCADE) {
+    return { model, speed: getArcadeSpeed(state.level, state.ghostsVulnerable) };
+  }
+  return { model: MovementModel.CLASSIC, speed: PLAYER_SPEED };
+}
+
+/**
+ * Counts the movement frames a player loses to the dots they ate in an update.
+ * @param {object[]} events - Events from the game update
+ * @param {number} player - Player number (1 or 2)
+ * @returns {number} Frames to stall (see stallMovement)
+ */
+export function getDotStallFrames(events, player) {
+  let frames = 0;
+  for (const event of events) {
+    if (event.player !== player) {
+      continue;
+    }
+    if (event.type === GameEventType.DOT_EATEN) {
+      frames += DOT_STALL_FRAMES;
+    } else if (event.type === GameEventType.POWER_PELLET) {
+      frames += POWER_PELLET_STALL_FRAMES;
+    }
+  }
+  return frames;
+}
+
+/**
+ * Holds a player still for some movement frames (arcade model only).
+ * @param {object} movement - Movement state
+ * @param {number} frames - 60 Hz frames to lose
+ * @returns {object} New movement state
+ */
+export function stallMovement(movement, frames) {
+  if (frames <= 0) {
+    return movement;
+  }
+  return {
+    ...movement,
+    stallTime: (movement.stallTime || 0) + frames * STALL_FRAME_TIME,
+  };
+}
+
+/**
+ * Creates movement state for a player standing at a pixel position.
+ * @param {number} x - Pixel X position
+ * @param {number} y - Pixel Y position
+ * @param {string} direction - Initial direction name
+ * @returns {object} Movement state
+ */
+export function createMovementState(x = TILE_SIZE * 1.5, y = TILE_SIZE * 1.5, direction = 'right') {
+  const tile = pixelToTile(x, y);
+  return {
+    // Current pixel position
+    x,
+    y,
+    // Current tile (where we're moving from or currently on)
+    currentTileX: tile.tileX,
+    currentTileY: tile.tileY,
+    // Target tile (where we're moving to)
+    targetTileX: tile.tileX,
+    targetTileY: tile.tileY,
+    // Current movement direction
+    direction,
+    // Queued direction (for pre-turn input)
+    queuedDirection: null,
+    // Whether we're currently moving between tiles
+    isMoving: false,
+    // Progress through current move (0 to 1)
+    moveProgress: 0,
+    // Time the player stays put before moving again (arcade dot-eating stall)
+    stallTime: 0,
+    // Pixel offset still to close from a turn that cut the corner
+    cornerX: 0,
+    cornerY: 0,
+  };
+}
+
+/**
+ * Moves a value towards zero by at most amount.
+ */
+function approachZero(value, amount) {
+  return value > 0 ? Math.max(0, value - amount) : Math.min(0, value + amount);
+}
+
+/**
+ * Gets the tile on the opposite edge for tunnel wrapping.
+ */
+function getOppositeEdge(maze, tileX, tileY, direction) {
+  const mazeWidth = maze[0].length;
+  const mazeHeight = maze.length;
+
+  // Check for tunnel wrapping
+  if (direction === 'left' && tileX < 0) {
+    // Wrap to right edge
+    const newTileX = mazeWidth - 1;
+    if (isWalkableTile(maze, newTileX, tileY)) {
+      return { tileX: newTileX, tileY, wrapped: true };
+    }
+  } else if (direction === 'right' && tileX >= mazeWidth) {
+    // Wrap to left edge
+    const newTileX = 0;
+    if (isWalkableTile(maze, newTileX, tileY)) {
+      return { tileX: newTileX, tileY, wrapped: true };
+    }
+  } else if (direction === 'up' && tileY < 0) {
+    // Wrap to bottom edge
+    const newTileY = mazeHeight - 1;
+    if (isWalkableTile(maze, tileX, newTileY)) {
+      return { tileX, tileY: newTileY, wrapped: true };
+    }
+  } else if (direction === 'down' && tileY >= mazeHeight) {
+    // Wrap to top edge
+    const newTileY = 0;
+    if (isWalkableTile(maze, tileX, newTileY)) {
+      return { tileX, tileY: newTileY, wrapped: true };
+    }
+  }
+
+  return { tileX, tileY, wrapped: false };
+}
+
+/**
+ * Attempts to start moving in a direction, mutating the working state.
+ * Returns true if movement was initiated.
+ */
+function tryMove(state, maze, direction) {
+  const dir = DIRECTIONS[direction];
+  if (!dir) return false;
+
+  const newTileX = state.currentTileX + dir.dx;
+  const newTileY = state.currentTileY + dir.dy;
+
+  // Check for tunnel wrapping first
+  const wrapped = getOppositeEdge(maze, newTileX, newTileY, direction);
+
+  if (wrapped.wrapped) {
+    // Tunnel wrap - teleport to opposite edge
+    state.targetTileX = wrapped.tileX;
+    state.targetTileY = wrapped.tileY;
+    state.direction = direction;
+    state.isMoving = true;
+    state.moveProgress = 0;
+    return true;
+  }
+
+  // Normal movement - check if target tile is walkable
+  if (isWalkableTile(maze, newTileX, newTileY)) {
+    state.targetTileX = newTileX;
+    state.targetTileY = newTileY;
+    state.direction = direction;
+    state.isMoving = true;
+    state.moveProgress = 0;
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Advances movement by deltaTime.
+ * @param {object} movement - Movement state from createMovementState
+ * @param {number[][]} maze - Maze layout
+ * @param {number} deltaTime - Time since last update in milliseconds
+ * @param {string|null} inputDirection - Direction currently pressed, if any
+ * @param {number} speed - Movement speed in tiles per second
+ * @param {string} model - One of MovementModel
+ * @returns {object} New movement state
+ */
+export function updateMovement(movement, maze, deltaTime, inputDirection, speed, model = MovementModel.CLASSIC) {
+  const state = { ...movement };
+  const isArcade = model === MovementModel.ARCADE;
+
+  // Arcade model: time owed to eaten dots is spent standing still
+  let moveTime = deltaTime;
+  if (isArcade && state.stallTime > 0) {
+    const stalled = Math.min(state.stallTime, moveTime);
+    state.stallTime -= stalled;
+    moveTime -= stalled;
+  }
+
+  const moveSpeed = speed * TILE_SIZE; // Convert to pixels per second
+  const moveAmount = (moveSpeed * moveTime) / 1000; // Convert ms to seconds
+
+  // Queue direction if provided
+  if (inputDirection && DIRECTIONS[inputDirection]) {
+    state.queuedDirection = inputDirection;
+  }
+
+  // If not moving, try to start moving
+  if (!state.isMoving) {
+    // First try queued direction
+    if (state.queuedDirection) {
+      if (tryMove(state, maze, state.queuedDirection)) {
+        state.queuedDirection = null;
+      }
+    }
+    // If no queued direction worked, try to continue in current direction
+    if (!state.isMoving) {
+      tryMove(state, maze, state.direction);
+    }
+  }
+
+  // If moving, update position
+  if (state.isMoving) {
+    // Calculate movement progress
+    state.moveProgress += moveAmount / TILE_SIZE;
+    // A cut corner closes at full speed alongside the new direction
+    state.cornerX = approachZero(state.cornerX || 0, moveAmount);
+    state.cornerY = approachZero(state.cornerY || 0, moveAmount);
+
+    // Check if we can turn mid-movement (for responsive controls)
+    if (state.queuedDirection && state.queuedDirection !== state.direction) {
+      const dir = DIRECTIONS[state.queuedDirection];
+      // Only allow perpendicular turns when close enough to tile center
+      const isPerpendicularTurn =
+        (state.direction === 'left' || state.direction === 'right') !==
+        (state.queuedDirection === 'left' || state.queuedDirection === 'right');
+
+      // Classic turns past the midpoint; arcade turns within CORNERING_DISTANCE of the center
+      const remaining = (1 - state.moveProgress) * TILE_SIZE;
+      const canTurn = isArcade ? remaining <= CORNERING_DISTANCE : state.moveProgress >= 0.5;
+
+      if (isPerpendicularTurn && canTurn) {
+        // Close enough to the center, check if we can turn
+        const nextTileX = state.targetTileX + dir.dx;
+        const nextTileY = state.targetTileY + dir.dy;
+
+        // Check for tunnel wrapping on turn
+        const wrapped = getOppositeEdge(maze, nextTileX, nextTileY, state.queuedDirection);
+
+        if (wrapped.wrapped || isWalkableTile(maze, nextTileX, nextTileY)) {
+          if (isArcade && remaining > 0) {
+            // Cut the corner: keep the distance left to the center and close it while turning
+            const current = DIRECTIONS[state.direction];
+            state.cornerX = -current.dx * remaining;
+            state.cornerY = -current.dy * remaining;
+          }
+          // Complete current move instantly and start turn
+          state.currentTileX = state.targetTileX;
+          state.currentTileY = state.targetTileY;
+          state.moveProgress = 0;
+
+          if (wrapped.wrapped) {
+            state.targetTileX = wrapped.tileX;
+            state.targetTileY = wrapped.tileY;
+          } else {
+            state.targetTileX = nextTileX;
+            state.targetTileY = nextTileY;
+          }
+          state.direction = state.queuedDirection;
+          state.queuedDirection = null;
+        }
+      }
+    }
+
+    // If movement is complete
+    if (state.moveProgress >= 1) {
+      state.currentTileX = state.targetTileX;
+      state.currentTileY = state.targetTileY;
+      state.moveProgress = 0;
+      state.isMoving = false;
+      state.cornerX = 0;
+      state.cornerY = 0;
+
+      // Update pixel position to exact tile center
+      const center = tileToPixel(state.currentTileX, state.currentTileY);
+      state.x = center.x;
+      state.y = center.y;
+
+      // Immediately try to continue moving or turn
+      if (state.queuedDirection) {
+        if (tryMove(state, maze, state.queuedDirection)) {
+          state.queuedDirection = null;
+        } else {
+          // Try current direction if queued direction failed
+          tryMove(state, maze, state.direction);
+        }
+      } else {
+        // Continue in current direction
+        tryMove(state, maze, state.direction);
+      }
+    } else {
+      // Interpolate position between tiles
+      const startPos = tileToPixel(state.currentTileX, state.currentTileY);
+      const endPos = tileToPixel(state.targetTileX, state.targetTileY);
+
+      // Handle tunnel wrapping interpolation
+      const mazeWidth = maze[0].length;
+      const mazeHeight = maze.length;
+      let dx = endPos.x - startPos.x;
+      let dy = endPos.y - startPos.y;
+
+      // If wrapped horizontally, adjust interpolation
+      if (Math.abs(state.targetTileX - state.currentTileX) > 1) {
+        if (state.direction === 'left') {
+          dx = -(TILE_SIZE + startPos.x + (mazeWidth * TILE_SIZE - endPos.x));
+        } else if (state.direction === 'right') {
+          dx = TILE_SIZE + (mazeWidth * TILE_SIZE - startPos.x) + endPos.x;
+        }
+      }
+
+      // If wrapped vertically, adjust interpolation
+      if (Math.abs(state.targetTileY - state.currentTileY) > 1) {
+        if (state.direction === 'up') {
+          dy = -(TILE_SIZE + startPos.y + (mazeHeight * TILE_SIZE - endPos.y));
+        } else if (state.direction === 'down') {
+          dy = TILE_SIZE + (mazeHeight * TILE_SIZE - startPos.y) + endPos.y;
+        }
+      }
+
+      state.x = startPos.x + dx * state.moveProgress + state.cornerX;
+      state.y = startPos.y + dy * state.moveProgress + state.cornerY;
+
+      // Wrap position for rendering
+      const pixelWidth = mazeWidth * TILE_SIZE;
+      const pixelHeight = mazeHeight * TILE_SIZE;
+
+      if (state.x < 0) state.x += pixelWidth;
+      if (state.x >= pixelWidth) state.x -= pixelWidth;
+      if (state.y < 0) state.y += pixelHeight;
+      if (state.y >= pixelHeight) state.y -= pixelHeight;
+    }
+  }
+
+  return state;
+}
+
+/**
+ * Moves a player to a pixel position, stopping any move in progress.
+ * The direction and any queued turn are kept; any stall or cut corner is dropped.
+ * @param {object} movement - Movement state
+ * @param {number} x - Pixel X position
+ * @param {number} y - Pixel Y position
+ * @returns {object} New movement state
+ */
+export function setMovementPosition(movement, x, y) {
+  const tile = pixelToTile(x, y);
+  return {
+    ...movement,
+    x,
+    y,
+    currentTileX: tile.tileX,
+    currentTileY: tile.tileY,
+    targetTileX: tile.tileX,
+    targetTileY: tile.tileY,
+    isMoving: false,
+    moveProgress: 0,
+    stallTime: 0,
+    cornerX: 0,
+    cornerY: 0,
+  };
+}
@@ -0,0 +1,150 @@
+/**
+ * Tests for pure grid-based player movement.
+ * The detailed movement rules are covered through usePlayerMovement.test.js.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  createMovementState,
+  updateMovement,
+  setMovementPosition,
+  toDirectionObject,
+  isMovementDirection,
+  stallMovement,
+  getArcadeSpeed,
+  getMovementOptions,
+  getDotStallFrames,
+  MovementModel,
+  PLAYER_SPEED,
+  ARCADE_BASE_SPEED,
+  CORNERING_DISTANCE,
+  DOT_STALL_FRAMES,
+  POWER_PELLET_STALL_FRAMES,
+} from './PlayerMovement.js';
+import { Direction } from './GhostAI.js';
+import { TILE_SIZE, createDefaultMaze } from './Dots.js';
+import { Difficulty } from './DifficultyConfig.js';
+import { GameEventType } from './GameEvents.js';
+
+// Open 3x3 room surrounded by walls
+const MAZE = [
+  [1, 1, 1, 1, 1],
+  [1, 0, 0, 0, 1],
+  [1, 0, 0, 0, 1],
+  [1, 0, 0, 0, 1],
+  [1, 1, 1, 1, 1],
+];
+
+describe('PlayerMovement', () => {
+  it('creates stationary state on the tile under the position', () => {
+    const movement = createMovementState(TILE_SIZE * 2.5, TILE_SIZE * 1.5, 'left');
+    expect(movement).toMatchObject({ currentTileX: 2, currentTileY: 1, direction: 'left', isMoving: false });
+  });
+
+  it('returns new state without mutating the input', () => {
+    const movement = createMovementState(TILE_SIZE * 1.5, TILE_SIZE * 1.5, 'right');
+    const snapshot = { ...movement };
+    const next = updateMovement(movement, MAZE, 100, null, 5);
+
+    expect(movement).toEqual(snapshot);
+    expect(next.isMoving).toBe(true);
+    expect(next.x).toBeGreaterThan(movement.x);
+  });
+
+  it('stops a move in progress when repositioned', () => {
+    const moving = updateMovement(createMovementState(TILE_SIZE * 1.5, TILE_SIZE * 1.5), MAZE, 50, 'down', 5);
+    const moved = setMovementPosition(moving, TILE_SIZE * 3.5, TILE_SIZE * 3.5);
+
+    expect(moved).toMatchObject({ currentTileX: 3, currentTileY: 3, isMoving: false, moveProgress: 0 });
+    expect(moved.direction).toBe(moving.direction);
+  });
+
+  it('wraps through the side tunnel of the game maze', () => {
+    const maze = createDefaultMaze();
+    const moving = updateMovement(createMovementState(TILE_SIZE * 0.5, TILE_SIZE * 8.5, 'left'), maze, 1, 'left', 5);
+    expect(moving).toMatchObject({ targetTileX: maze[0].length - 1, targetTileY: 8 });
+  });
+
+  it('converts direction names to shared Direction objects', () => {
+    expect(toDirectionObject('up')).toBe(Direction.UP);
+    expect(toDirectionObject('right')).toBe(Direction.RIGHT);
+    expect(toDirectionObject('sideways', Direction.LEFT)).toBe(Direction.LEFT);
+    expect(isMovementDirection('down')).toBe(true);
+    expect(isMovementDirection('none')).toBe(false);
+  });
+
+  describe('arcade model', () => {
+    it('reads speeds as percentages of the base speed per level', () => {
+      expect(getArcadeSpeed(1)).toBeCloseTo(ARCADE_BASE_SPEED * 0.8);
+      expect(getArcadeSpeed(1, true)).toBeCloseTo(ARCADE_BASE_SPEED * 0.9);
+      expect(getArcadeSpeed(3)).toBeCloseTo(ARCADE_BASE_SPEED * 0.9);
+      expect(getArcadeSpeed(12)).toBeCloseTo(ARCADE_BASE_SPEED);
+      expect(getArcadeSpeed(40)).toBeCloseTo(ARCADE_BASE_SPEED * 0.9);
+    });
+
+    it('picks the model and speed from the game state', () => {
+      expect(getMovementOptions({ difficulty: Difficulty.MEDIUM, level: 1, ghostsVulnerable: false }))
+        .toEqual({ model: MovementModel.CLASSIC, speed: PLAYER_SPEED });
+      expect(getMovementOptions({ difficulty: Difficulty.HARD, level: 1, ghostsVulnerable: true }))
+        .toEqual({ model: MovementModel.ARCADE, speed: getArcadeSpeed(1, true) });
+    });
+
+    it('counts stall frames for the dots each player ate', () => {
+      const events = [
+        { type: GameEventType.DOT_EATEN, player: 1 },
+        { type: GameEventType.POWER_PELLET, player: 1 },
+        { type: GameEventType.DOT_EATEN, player: 2 },
+        { type: GameEventType.GHOST_EATEN, player: 1 },
+      ];
+      expect(getDotStallFrames(events, 1)).toBe(DOT_STALL_FRAMES + POWER_PELLET_STALL_FRAMES);
+      expect(getDotStallFrames(events, 2)).toBe(DOT_STALL_FRAMES);
+    });
+
+    it('stands still while stalled, then moves with the time left over', () => {
+      const start = createMovementState(TILE_SIZE * 1.5, TILE_SIZE * 1.5, 'right');
+      const stalled = stallMovement(start, 3);
+
+      const held = updateMovement(stalled, MAZE, 1000 / 60, null, 5, MovementModel.ARCADE);
+      expect(held.x).toBe(start.x);
+      expect(held.stallTime).toBeCloseTo(2000 / 60);
+
+      const classic = updateMovement(stalled, MAZE, 1000 / 60, null, 5, MovementModel.CLASSIC);
+      expect(classic.x).toBeGreaterThan(start.x);
+
+      const free = updateMovement(start, MAZE, 100, null, 5, MovementModel.ARCADE);
+      const afterStall = updateMovement(stalled, MAZE, 100 + 3000 / 60, null, 5, MovementModel.ARCADE);
+      expect(afterStall.x).toBeCloseTo(free.x);
+      expect(afterStall.stallTime).toBe(0);
+    });
+
+    it('cuts the corner when turning just before the center', () => {
+      // Heading right from (1,1) to (2,1), then turning down to (2,2)
+      const moving = updateMovement(createMovementState(TILE_SIZE * 1.5, TILE_SIZE * 1.5, 'right'), MAZE, 1, null, 5);
+      const almostThere = { ...moving, moveProgress: 1 - CORNERING_DISTANCE / TILE_SIZE };
+
+      const turned = updateMovement(almostThere, MAZE, 1, 'down', 5, MovementModel.ARCADE);
+      expect(turned.direction).toBe('down');
+      expect(turned.targetTileY).toBe(2);
+      // Still short of the column center, and closing it while heading down
+      expect(turned.x).toBeLessThan(TILE_SIZE * 2.5);
+      expect(turned.cornerX).toBeLessThan(0);
+
+      const closed = updateMovement(turned, MAZE, 200, null, 5, MovementModel.ARCADE);
+      expect(closed.cornerX).toBe(0);
+      expect(closed.x).toBe(TILE_SIZE * 2.5);
+      expect(closed.y).toBeGreaterThan(TILE_SIZE * 1.5);
+    });
+
+    it('does not turn before the cornering distance', () => {
+      const moving = updateMovement(createMovementState(TILE_SIZE * 1.5, TILE_SIZE * 1.5, 'right'), MAZE, 1, null, 5);
+      const midway = { ...moving, moveProgress: 0.5 };
+
+      const arcade = updateMovement(midway, MAZE, 1, 'down', 5, MovementModel.ARCADE);
+      expect(arcade.direction).toBe('right');
+      expect(arcade.queuedDirection).toBe('down');
+
+      const classic = updateMovement(midway, MAZE, 1, 'down', 5, MovementModel.CLASSIC);
+      expect(classic.direction).toBe('down');
+    });
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Seedable pseudo-random number generator for Pacman 2D.
+ * All gameplay randomness (frightened ghosts, random fruit) is drawn from a
+ * mulberry32 generator whose 32-bit state lives in game state, so the same
+ * seed and the same inputs always produce the same game.
+ */
+
+/**
+ * Creates a new random 32-bit seed.
+ * This is the only place gameplay code should touch Math.random.
+ * @returns {number} Unsigned 32-bit seed
+ */
+export function createSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Normalizes any numeric seed to an unsigned 32-bit integer.
+ * @param {number} seed - Seed value
+ * @returns {number} Unsigned 32-bit seed
+ */
+export function normalizeSeed(seed) {
+  const value = Number(seed);
+  return Number.isFinite(value) ? Math.trunc(value) >>> 0 : 0;
+}
+
+/**
+ * Creates a random function backed by mulberry32.
+ * The returned function behaves like Math.random (values in [0, 1)) and
+ * exposes getState() so the advanced state can be stored back in game state.
+ * @param {number} state - Generator state (usually state.rngState)
+ * @returns {function} random() with a getState() method
+ */
+export function createRng(state) {
+  let current = normalizeSeed(state);
+
+  const random = () => {
+    current = (current + 0x6d2b79f5) >>> 0;
+    let t = current;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  };
+
+  random.getState = () => current;
+
+  return random;
+}
+
+/**
+ * Picks a random element from an array.
+ * @param {Array} items - Items to choose from (must be non-empty)
+ * @param {function} random - Random function returning [0, 1)
+ * @returns {*} Selected item
+ */
+export function randomChoice(items, random = Math.random) {
+  return items[Math.floor(random() * items.length)];
+}
@@ -0,0 +1,88 @@
+/**
+ * Tests for the seedable random number generator.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createSeed, normalizeSeed, createRng, randomChoice } from './Random.js';
+
+describe('Random', () => {
+  describe('createSeed', () => {
+    it('returns an unsigned 32-bit integer', () => {
+      for (let i = 0; i < 20; i++) {
+        const seed = createSeed();
+        expect(Number.isInteger(seed)).toBe(true);
+        expect(seed).toBeGreaterThanOrEqual(0);
+        expect(seed).toBeLessThan(0x100000000);
+      }
+    });
+  });
+
+  describe('normalizeSeed', () => {
+    it('keeps valid 32-bit seeds unchanged', () => {
+      expect(normalizeSeed(12345)).toBe(12345);
+    });
+
+    it('wraps negative and oversized values into 32 bits', () => {
+      expect(normalizeSeed(-1)).toBe(0xffffffff);
+      expect(normalizeSeed(0x100000001)).toBe(1);
+    });
+
+    it('truncates fractional seeds', () => {
+      expect(normalizeSeed(42.9)).toBe(42);
+    });
+
+    it('falls back to 0 for non-numeric seeds', () => {
+      expect(normalizeSeed(undefined)).toBe(0);
+      expect(normalizeSeed('abc')).toBe(0);
+    });
+  });
+
+  describe('createRng', () => {
+    it('returns values in [0, 1)', () => {
+      const random = createRng(7);
+      for (let i = 0; i < 1000; i++) {
+        const value = random();
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(1);
+      }
+    });
+
+    it('produces the same sequence for the same seed', () => {
+      const a = createRng(2024);
+      const b = createRng(2024);
+      const seqA = Array.from({ length: 20 }, () => a());
+      const seqB = Array.from({ length: 20 }, () => b());
+      expect(seqA).toEqual(seqB);
+    });
+
+    it('produces different sequences for different seeds', () => {
+      const a = createRng(1);
+      const b = createRng(2);
+      expect(a()).not.toBe(b());
+    });
+
+    it('resumes the sequence from a saved state', () => {
+      const original = createRng(99);
+      original();
+      original();
+      const resumed = createRng(original.getState());
+      expect(resumed()).toBe(original());
+    });
+
+    it('advances its state on every draw', () => {
+      const random = createRng(5);
+      const before = random.getState();
+      random();
+      expect(random.getState()).not.toBe(before);
+    });
+  });
+
+  describe('randomChoice', () => {
+    it('picks items using the provided random function', () => {
+      const items = ['a', 'b', 'c', 'd'];
+      expect(randomChoice(items, () => 0)).toBe('a');
+      expect(randomChoice(items, () => 0.5)).toBe('c');
+      expect(randomChoice(items, () => 0.99)).toBe('d');
+    });
+  });
+});
@@ -1,11 +1,14 @@
 /**
  * Random fruit spawning system for Pacman 2D.
  * Spawns bonus fruits at random valid locations that appear and disappear over time.
+ * Every function that rolls dice takes a `random` function so game state can thread
+ * its seeded generator (see Random.js); Math.random is only the fallback.
  */
 
 import { TILE_SIZE } from './Dots.js';
 import { isWalkableTile } from './Collision.js';
 import { FruitType, FRUIT_DATA } from './Fruit.js';
+import { randomChoice } from './Random.js';
 
 // Configuration for random fruit spawning
 export const RANDOM_FRUIT_CONFIG = {
@@ -39,33 +42,37 @@ export const RANDOM_FRUIT_TYPES = [
 
 /**
  * Creates the initial random fruit state.
+ * @param {function} random - Random function returning [0, 1)
  * @returns {object} Initial random fruit state
  */
-export function createInitialRandomFruitState() {
+export function createInitialRandomFruitState(random = Math.random) {
   return {
     activeFruits: [],
-    nextSpawnTimer: getRandomSpawnInterval(),
+    nextSpawnTimer: getRandomSpawnInterval(random),
     pointsPopups: [],
     nextFruitId: 1,
+    elapsedTime: 0, // Game time tracked by this system, used for spawn timestamps
     lastSpawnTime: 0,
   };
 }
 
 /**
  * Gets a random spawn interval within the configured range.
+ * @param {function} random - Random function returning [0, 1)
  * @returns {number} Random interval in milliseconds
  */
-export function getRandomSpawnInterval() {
+export function getRandomSpawnInterval(random = Math.random) {
   const { MIN_SPAWN_INTERVAL, MAX_SPAWN_INTERVAL } = RANDOM_FRUIT_CONFIG;
-  return MIN_SPAWN_INTERVAL + Math.random() * (MAX_SPAWN_INTERVAL - MIN_SPAWN_INTERVAL);
+  return MIN_SPAWN_INTERVAL + random() * (MAX_SPAWN_INTERVAL - MIN_SPAWN_INTERVAL);
 }
 
 /**
  * Selects a random fruit type based on weighted probabilities.
  * @param {number} level - Current game level (affects fruit selection)
+ * @param {function} random - Random function returning [0, 1)
  * @returns {string} Selected fruit type
  */
-export function selectRandomFruitType(level) {
+export function selectRandomFruitType(level, random = Math.random) {
   const levelBonus = Math.min(level - 1, 5);
   let totalWeight = 0;
   const weightedTypes = RANDOM_FRUIT_TYPES.map(({ type, weight }) => {
@@ -74,7 +81,7 @@ export function selectRandomFruitType(level) {
     return { type, weight: adjustedWeight, cumulative: totalWeight };
   });
 
-  const roll = Math.random() * totalWeight;
+  const roll = random() * totalWeight;
   for (const { type, cumulative } of weightedTypes) {
     if (roll <= cumulative) {
       return type;
@@ -136,8 +143,9 @@ export function getValidSpawnPositions(maze, dotsState, activeFruits, playerPos,
 
 /**
  * Creates a new random fruit at the specified tile position.
+ * `spawnTime` is game time in ms (not wall-clock) so state stays reproducible.
  */
-export function createRandomFruit(id, tileX, tileY, type) {
+export function createRandomFruit(id, tileX, tileY, type, spawnTime = 0) {
   return {
     id,
     tileX,
@@ -146,7 +154,7 @@ export function createRandomFruit(id, tileX, tileY, type) {
     y: tileY * TILE_SIZE + TILE_SIZE / 2,
     type,
     lifetime: RANDOM_FRUIT_CONFIG.FRUIT_LIFETIME,
-    spawnTime: Date.now(),
+    spawnTime,
     fadeIn: 500,
   };
 }
@@ -154,7 +162,7 @@ export function createRandomFruit(id, tileX, tileY, type) {
 /**
  * Attempts to spawn a new random fruit.
  */
-export function trySpawnRandomFruit(state, maze, dotsState, playerPos, player2Pos, level) {
+export function trySpawnRandomFruit(state, maze, dotsState, playerPos, player2Pos, level, random = Math.random) {
   if (state.activeFruits.length >= RANDOM_FRUIT_CONFIG.MAX_ACTIVE_FRUITS) {
     return state;
   }
@@ -162,29 +170,30 @@ export function trySpawnRandomFruit(state, maze, dotsState, playerPos, player2Po
   const validPositions = getValidSpawnPositions(maze, dotsState, state.activeFruits, playerPos, player2Pos);
   if (validPositions.length === 0) return state;
 
-  const randomIndex = Math.floor(Math.random() * validPositions.length);
-  const { tileX, tileY } = validPositions[randomIndex];
-  const fruitType = selectRandomFruitType(level);
-  const newFruit = createRandomFruit(state.nextFruitId, tileX, tileY, fruitType);
+  const { tileX, tileY } = randomChoice(validPositions, random);
+  const fruitType = selectRandomFruitType(level, random);
+  const spawnTime = state.elapsedTime ?? 0;
+  const newFruit = createRandomFruit(state.nextFruitId, tileX, tileY, fruitType, spawnTime);
 
   return {
     ...state,
     activeFruits: [...state.activeFruits, newFruit],
     nextFruitId: state.nextFruitId + 1,
-    lastSpawnTime: Date.now(),
+    lastSpawnTime: spawnTime,
   };
 }
 
 /**
  * Updates all random fruit timers and handles expiration.
  */
-export function updateRandomFruitTimers(state, deltaTime) {
+export function updateRandomFruitTimers(state, deltaTime, random = Math.random) {
   let nextSpawnTimer = state.nextSpawnTimer - deltaTime;
   let shouldTrySpawn = false;
+  const elapsedTime = (state.elapsedTime ?? 0) + deltaTime;
 
   if (nextSpawnTimer <= 0) {
     shouldTrySpawn = true;
-    nextSpawnTimer = getRandomSpawnInterval();
+    nextSpawnTimer = getRandomSpawnInterval(random);
   }
 
   const activeFruits = state.activeFruits
@@ -199,7 +208,7 @@ export function updateRandomFruitTimers(state, deltaTime) {
     .map(popup => ({ ...popup, timer: popup.timer - deltaTime }))
     .filter(popup => popup.timer > 0);
 
-  return { ...state, nextSpawnTimer, activeFruits, pointsPopups, shouldTrySpawn };
+  return { ...state, elapsedTime, nextSpawnTimer, activeFruits, pointsPopups, shouldTrySpawn };
 }
 
 /**
@@ -241,16 +250,20 @@ export function collectRandomFruit(state, fruit) {
 
 /**
  * Main update function for the random fruit system.
+ * Returns the updated state, the total points collected this update, and
+ * a `collected` list of { player, fruit, points } for each fruit eaten.
  */
-export function updateRandomFruits(state, deltaTime, maze, dotsState, playerPos, player2Pos, level) {
-  let updatedState = updateRandomFruitTimers(state, deltaTime);
+export function updateRandomFruits(state, deltaTime, maze, dotsState, playerPos, player2Pos, level, random = Math.random) {
+  let updatedState = updateRandomFruitTimers(state, deltaTime, random);
   let collectedPoints = 0;
+  const collected = [];
 
   const fruit1 = checkRandomFruitCollision(playerPos.x, playerPos.y, updatedState.activeFruits);
   if (fruit1) {
     const { newState, points } = collectRandomFruit(updatedState, fruit1);
     updatedState = newState;
     collectedPoints += points;
+    collected.push({ player: 1, fruit: fruit1, points });
   }
 
   if (player2Pos) {
@@ -259,22 +272,23 @@ export function updateRandomFruits(state, deltaTime, maze, dotsState, playerPos,
       const { newState, points } = collectRandomFruit(updatedState, fruit2);
       updatedState = newState;
       collectedPoints += points;
+      collected.push({ player: 2, fruit: fruit2, points });
     }
   }
 
   if (updatedState.shouldTrySpawn) {
-    updatedState = trySpawnRandomFruit(updatedState, maze, dotsState, playerPos, player2Pos, level);
+    updatedState = trySpawnRandomFruit(updatedState, maze, dotsState, playerPos, player2Pos, level, random);
     delete updatedState.shouldTrySpawn;
   }
 
-  return { newState: updatedState, collectedPoints };
+  return { newState: updatedState, collectedPoints, collected };
 }
 
 /**
  * Resets random fruit state for a new level.
  */
-export function resetRandomFruits() {
-  return createInitialRandomFruitState();
+export function resetRandomFruits(random = Math.random) {
+  return createInitialRandomFruitState(random);
 }
 
 /**
@@ -22,6 +22,7 @@ import {
 } from './RandomFruit.js';
 import { FruitType, FRUIT_DATA } from './Fruit.js';
 import { TILE_SIZE } from './Dots.js';
+import { createRng } from './Random.js';
 
 describe('RandomFruit', () => {
   describe('Constants', () => {
@@ -79,6 +80,70 @@ describe('RandomFruit', () => {
         expect(interval).toBeLessThanOrEqual(RANDOM_FRUIT_CONFIG.MAX_SPAWN_INTERVAL);
       }
     });
+
+    it('uses the provided random function', () => {
+      expect(getRandomSpawnInterval(() => 0)).toBe(RANDOM_FRUIT_CONFIG.MIN_SPAWN_INTERVAL);
+      expect(getRandomSpawnInterval(() => 0.5)).toBe(
+        (RANDOM_FRUIT_CONFIG.MIN_SPAWN_INTERVAL + RANDOM_FRUIT_CONFIG.MAX_SPAWN_INTERVAL) / 2
+      );
+    });
+  });
+
+  describe('seeded randomness', () => {
+    const createOpenMaze = () => [
+      [1, 1, 1, 1, 1, 1],
+      [1, 0, 0, 0, 0, 1],
+      [1, 0, 0, 0, 0, 1],
+      [1, 0, 0, 0, 0, 1],
+      [1, 0, 0, 0, 0, 1],
+      [1, 1, 1, 1, 1, 1],
+    ];
+
+    it('selects the same fruit type for the same seed', () => {
+      const randomA = createRng(77);
+      const randomB = createRng(77);
+      for (let i = 0; i < 20; i++) {
+        expect(selectRandomFruitType(3, randomA)).toBe(selectRandomFruitType(3, randomB));
+      }
+    });
+
+    it('spawns identical fruit for the same seed', () => {
+      const maze = createOpenMaze();
+      const playerPos = { x: TILE_SIZE * 4.5, y: TILE_SIZE * 4.5 };
+      const spawn = (seed) => trySpawnRandomFruit(
+        createInitialRandomFruitState(createRng(seed)),
+        maze,
+        { dots: {} },
+        playerPos,
+        null,
+        1,
+        createRng(seed)
+      );
+
+      expect(spawn(9)).toEqual(spawn(9));
+    });
+
+    it('stamps spawned fruit with game time instead of wall-clock time', () => {
+      const state = { ...createInitialRandomFruitState(() => 0), elapsedTime: 4200 };
+      const newState = trySpawnRandomFruit(
+        state,
+        createOpenMaze(),
+        { dots: {} },
+        { x: TILE_SIZE * 4.5, y: TILE_SIZE * 4.5 },
+        null,
+        1,
+        () => 0
+      );
+
+      expect(newState.activeFruits[0].spawnTime).toBe(4200);
+      expect(newState.lastSpawnTime).toBe(4200);
+    });
+
+    it('tracks elapsed game time in the timers update', () => {
+      const state = createInitialRandomFruitState(() => 0);
+      const newState = updateRandomFruitTimers(state, 250, () => 0);
+      expect(newState.elapsedTime).toBe(250);
+    });
   });
 
   describe('selectRandomFruitType', () => {
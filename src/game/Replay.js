@@ -0,0 +1,223 @@
+/**
+ * Input recording and deterministic replay for Pacman 2D.
+ * A replay is the game's seed and settings plus the deltaTime and player
+ * inputs fed to every update. Because all gameplay randomness comes from the
+ * seeded PRNG, feeding the same frames back through the same update path
+ * reproduces the original game exactly.
+ */
+
+import {
+  createInitialState,
+  setGameMode,
+  setEndless,
+  getReady,
+  GameMode,
+  Difficulty,
+} from './GameState.js';
+import { normalizeSeed } from './Random.js';
+
+/**
+ * Current replay format version. Bump when the frame encoding or the
+ * simulation changes in a way that makes older recordings play differently.
+ */
+export const REPLAY_FORMAT_VERSION = 1;
+
+// Input directions by code; index 0 means "no input"
+const INPUT_CODES = [null, 'up', 'down', 'left', 'right'];
+
+/**
+ * Packs both players' input directions into a single integer.
+ * @param {string|null} player1Input - 'up' | 'down' | 'left' | 'right' | null
+ * @param {string|null} player2Input - 'up' | 'down' | 'left' | 'right' | null
+ * @returns {number} Input code
+ */
+export function encodeInputs(player1Input, player2Input) {
+  const p1 = Math.max(0, INPUT_CODES.indexOf(player1Input ?? null));
+  const p2 = Math.max(0, INPUT_CODES.indexOf(player2Input ?? null));
+  return p1 + p2 * INPUT_CODES.length;
+}
+
+/**
+ * Unpacks an input code produced by encodeInputs.
+ * @param {number} code - Input code
+ * @returns {object} { player1Input, player2Input }
+ */
+export function decodeInputs(code) {
+  return {
+    player1Input: INPUT_CODES[code % INPUT_CODES.length] ?? null,
+    player2Input: INPUT_CODES[Math.floor(code / INPUT_CODES.length)] ?? null,
+  };
+}
+
+/**
+ * Creates a recorder for a game about to start.
+ * Frames are stored run-length encoded as [deltaTime, inputCode, count] so
+ * stretches of identical frames (held keys at a steady frame rate) stay small.
+ * @param {object} options - Game settings
+ * @param {number} options.seed - Seed the game state was created with
+ * @param {string} options.gameMode - GameMode.SINGLE_PLAYER or TWO_PLAYER
+ * @param {string} options.difficulty - Difficulty level
+ * @param {boolean} options.endless - True for an endless mode game
+ * @returns {object} { record, finish }
+ */
+export function createReplayRecorder({ seed, gameMode, difficulty, endless = false }) {
+  const frames = [];
+  let frameCount = 0;
+
+  return {
+    /**
+     * Records one update.
+     * @param {number} deltaTime - Time passed to the update in milliseconds
+     * @param {string|null} player1Input - Player 1 input direction
+     * @param {string|null} player2Input - Player 2 input direction
+     */
+    record(deltaTime, player1Input, player2Input = null) {
+      const code = encodeInputs(player1Input, player2Input);
+      const last = frames[frames.length - 1];
+      if (last && last[0] === deltaTime && last[1] === code) {
+        last[2] += 1;
+      } else {
+        frames.push([deltaTime, code, 1]);
+      }
+      frameCount += 1;
+    },
+
+    /**
+     * Builds the replay object for everything recorded so far.
+     * @param {object} result - Final result to show alongside the replay
+     * @returns {object} Replay (plain JSON-serializable object)
+     */
+    finish(result = {}) {
+      return {
+        version: REPLAY_FORMAT_VERSION,
+        seed: normalizeSeed(seed),
+        gameMode,
+        difficulty,
+        endless,
+        frameCount,
+        frames: frames.map((frame) => [...frame]),
+        result: {
+          score: result.score ?? 0,
+          player2Score: result.player2Score ?? 0,
+          level: result.level ?? 1,
+        },
+      };
+    },
+  };
+}
+
+/**
+ * Serializes a replay to a JSON string.
+ * @param {object} replay - Replay from createReplayRecorder().finish()
+ * @returns {string} JSON string
+ */
+export function serializeReplay(replay) {
+  return JSON.stringify(replay);
+}
+
+function isValidFrame(frame) {
+  return (
+    Array.isArray(frame) &&
+    frame.length === 3 &&
+    Number.isFinite(frame[0]) &&
+    frame[0] >= 0 &&
+    Number.isInteger(frame[1]) &&
+    frame[1] >= 0 &&
+    frame[1] < INPUT_CODES.length * INPUT_CODES.length &&
+    Number.isInteger(frame[2]) &&
+    frame[2] > 0
+  );
+}
+
+/**
+ * Parses and validates a replay.
+ * Replays from a newer format version, or with malformed data, are rejected.
+ * @param {string|object} data - JSON string or already-parsed object
+ * @returns {object|null} Replay, or null if invalid or unsupported
+ */
+export function parseReplay(data) {
+  let replay = data;
+  if (typeof data === 'string') {
+    try {
+      replay = JSON.parse(data);
+    } catch {
+      return null;
+    }
+  }
+
+  if (!replay || typeof replay !== 'object') return null;
+  if (!Number.isInteger(replay.version) || replay.version < 1) return null;
+  if (replay.version > REPLAY_FORMAT_VERSION) return null;
+  if (!Number.isFinite(replay.seed)) return null;
+  if (!Object.values(GameMode).includes(replay.gameMode)) return null;
+  if (!Object.values(Difficulty).includes(replay.difficulty)) return null;
+  if (!Array.isArray(replay.frames) || !replay.frames.every(isValidFrame)) return null;
+
+  const frameCount = replay.frames.reduce((total, frame) => total + frame[2], 0);
+  const result = replay.result && typeof replay.result === 'object' ? replay.result : {};
+
+  return {
+    version: replay.version,
+    seed: normalizeSeed(replay.seed),
+    gameMode: replay.gameMode,
+    difficulty: replay.difficulty,
+    endless: replay.endless === true,
+    frameCount,
+    frames: replay.frames.map((frame) => [...frame]),
+    result: {
+      score: Number.isFinite(result.score) ? result.score : 0,
+      player2Score: Number.isFinite(result.player2Score) ? result.player2Score : 0,
+      level: Number.isFinite(result.level) ? result.level : 1,
+    },
+  };
+}
+
+/**
+ * Creates a cursor that feeds recorded frames back one update at a time.
+ * @param {object} replay - Parsed replay
+ * @returns {object} { replay, next }
+ */
+export function createReplayPlayer(replay) {
+  let runIndex = 0;
+  let runOffset = 0;
+
+  return {
+    replay,
+
+    /**
+     * Returns the next recorded update, or null once the replay is exhausted.
+     * @returns {object|null} { deltaTime, player1Input, player2Input }
+     */
+    next() {
+      const run = replay.frames[runIndex];
+      if (!run) {
+        return null;
+      }
+      const [deltaTime, code, count] = run;
+      runOffset += 1;
+      if (runOffset >= count) {
+        runIndex += 1;
+        runOffset = 0;
+      }
+      return { deltaTime, ...decodeInputs(code) };
+    },
+  };
+}
+
+/**
+ * Creates the game state a replay starts from: same seed, modes and difficulty
+ * as the recorded game, counting down READY like a new game.
+ * Neither the READY countdown nor intermissions advance the clock or the random
+ * generator, so they play on wall-clock time and are never recorded.
+ * The high score does not affect the simulation, so the caller's is kept.
+ * @param {object} replay - Parsed replay
+ * @param {number} highScore - High score to display during playback
+ * @returns {object} Game state with `replay` set
+ */
+export function createReplayStartState(replay, highScore = 0) {
+  const initialState = setEndless(createInitialState(highScore, replay.difficulty, replay.seed), replay.endless);
+  return {
+    ...getReady(setGameMode(initialState, replay.gameMode)),
+    replay,
+  };
+}
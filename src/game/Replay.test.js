@@ -0,0 +1,215 @@
+/**
+ * Tests for input recording and deterministic replay.
+ * @vitest-environment jsdom
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  REPLAY_FORMAT_VERSION,
+  encodeInputs,
+  decodeInputs,
+  createReplayRecorder,
+  serializeReplay,
+  parseReplay,
+  createReplayPlayer,
+  createReplayStartState,
+} from './Replay.js';
+import {
+  createInitialState,
+  setGameMode,
+  startGame,
+  updateReady,
+  updateGameState,
+  updatePlayerPosition,
+  GameStatus,
+  GameMode,
+  Difficulty,
+  Direction,
+  FIRST_LEVEL_READY_DURATION,
+} from './GameState.js';
+
+const INPUT_DIRECTIONS = {
+  up: Direction.UP,
+  down: Direction.DOWN,
+  left: Direction.LEFT,
+  right: Direction.RIGHT,
+};
+
+/**
+ * Applies one frame the way the game loop does: input first, then the update.
+ * Player input only changes facing here, which steers Pinky and Inky's targeting.
+ */
+function applyFrame(state, { deltaTime, player1Input }) {
+  const direction = INPUT_DIRECTIONS[player1Input] ?? null;
+  const moved = updatePlayerPosition(state, state.player.x, state.player.y, direction);
+  return updateGameState(moved, deltaTime);
+}
+
+function recordGame(seed, frameCount) {
+  let state = startGame(setGameMode(createInitialState(0, Difficulty.HARD, seed), GameMode.SINGLE_PLAYER));
+  const recorder = createReplayRecorder({
+    seed: state.seed,
+    gameMode: state.gameMode,
+    difficulty: state.difficulty,
+  });
+  const inputs = [null, 'up', 'left', 'down', 'right'];
+
+  for (let i = 0; i < frameCount && state.status === GameStatus.RUNNING; i++) {
+    const deltaTime = i % 3 === 0 ? 17 : 16;
+    const player1Input = inputs[Math.floor(i / 40) % inputs.length];
+    recorder.record(deltaTime, player1Input, null);
+    state = applyFrame(state, { deltaTime, player1Input });
+  }
+
+  return { state, replay: recorder.finish({ score: state.score, level: state.level }) };
+}
+
+describe('Replay', () => {
+  describe('input encoding', () => {
+    it('round-trips every combination of player inputs', () => {
+      const inputs = [null, 'up', 'down', 'left', 'right'];
+      for (const p1 of inputs) {
+        for (const p2 of inputs) {
+          expect(decodeInputs(encodeInputs(p1, p2))).toEqual({ player1Input: p1, player2Input: p2 });
+        }
+      }
+    });
+
+    it('treats unknown or missing input as no input', () => {
+      expect(encodeInputs(undefined, 'sideways')).toBe(0);
+    });
+  });
+
+  describe('createReplayRecorder', () => {
+    it('captures the version, seed and settings', () => {
+      const recorder = createReplayRecorder({ seed: 42, gameMode: GameMode.TWO_PLAYER, difficulty: Difficulty.EASY });
+      const replay = recorder.finish({ score: 1200, player2Score: 300, level: 2 });
+
+      expect(replay.version).toBe(REPLAY_FORMAT_VERSION);
+      expect(replay.seed).toBe(42);
+      expect(replay.gameMode).toBe(GameMode.TWO_PLAYER);
+      expect(replay.difficulty).toBe(Difficulty.EASY);
+      expect(replay.result).toEqual({ score: 1200, player2Score: 300, level: 2 });
+      expect(replay.endless).toBe(false);
+    });
+
+    it('records and restores endless mode', () => {
+      const recorder = createReplayRecorder({ seed: 42, gameMode: GameMode.SINGLE_PLAYER, difficulty: Difficulty.EASY, endless: true });
+      const replay = parseReplay(serializeReplay(recorder.finish()));
+
+      expect(replay.endless).toBe(true);
+      expect(createReplayStartState(replay).endless).toBe(true);
+    });
+
+    it('run-length encodes identical consecutive frames', () => {
+      const recorder = createReplayRecorder({ seed: 1, gameMode: GameMode.SINGLE_PLAYER, difficulty: Difficulty.MEDIUM });
+      recorder.record(16, 'left');
+      recorder.record(16, 'left');
+      recorder.record(16, 'left');
+      recorder.record(17, 'left');
+      recorder.record(17, 'up');
+
+      const replay = recorder.finish();
+      expect(replay.frameCount).toBe(5);
+      expect(replay.frames).toEqual([
+        [16, encodeInputs('left', null), 3],
+        [17, encodeInputs('left', null), 1],
+        [17, encodeInputs('up', null), 1],
+      ]);
+    });
+
+    it('returns a snapshot unaffected by later recording', () => {
+      const recorder = createReplayRecorder({ seed: 1, gameMode: GameMode.SINGLE_PLAYER, difficulty: Difficulty.MEDIUM });
+      recorder.record(16, null);
+      const replay = recorder.finish();
+      recorder.record(16, null);
+
+      expect(replay.frames).toEqual([[16, 0, 1]]);
+    });
+  });
+
+  describe('parseReplay', () => {
+    const { replay } = recordGame(7, 30);
+
+    it('round-trips through JSON', () => {
+      expect(parseReplay(serializeReplay(replay))).toEqual(replay);
+    });
+
+    it('rejects invalid JSON', () => {
+      expect(parseReplay('not json')).toBeNull();
+    });
+
+    it('rejects replays from a newer format version', () => {
+      expect(parseReplay({ ...replay, version: REPLAY_FORMAT_VERSION + 1 })).toBeNull();
+    });
+
+    it('rejects missing or malformed fields', () => {
+      expect(parseReplay(null)).toBeNull();
+      expect(parseReplay({ ...replay, version: undefined })).toBeNull();
+      expect(parseReplay({ ...replay, seed: 'abc' })).toBeNull();
+      expect(parseReplay({ ...replay, gameMode: '3P' })).toBeNull();
+      expect(parseReplay({ ...replay, difficulty: 'nightmare' })).toBeNull();
+      expect(parseReplay({ ...replay, frames: [[16, 0]] })).toBeNull();
+      expect(parseReplay({ ...replay, frames: [[16, 999, 1]] })).toBeNull();
+      expect(parseReplay({ ...replay, frames: [[-1, 0, 1]] })).toBeNull();
+    });
+
+    it('recomputes the frame count from the frames', () => {
+      expect(parseReplay({ ...replay, frameCount: 1 }).frameCount).toBe(replay.frameCount);
+    });
+
+    it('fills in a missing result', () => {
+      const { result: _result, ...withoutResult } = replay;
+      expect(parseReplay(withoutResult).result).toEqual({ score: 0, player2Score: 0, level: 1 });
+    });
+  });
+
+  describe('createReplayPlayer', () => {
+    it('feeds frames back in recorded order', () => {
+      const recorder = createReplayRecorder({ seed: 1, gameMode: GameMode.TWO_PLAYER, difficulty: Difficulty.MEDIUM });
+      recorder.record(16, 'left', 'up');
+      recorder.record(16, 'left', 'up');
+      recorder.record(20, null, 'down');
+
+      const player = createReplayPlayer(recorder.finish());
+      expect(player.next()).toEqual({ deltaTime: 16, player1Input: 'left', player2Input: 'up' });
+      expect(player.next()).toEqual({ deltaTime: 16, player1Input: 'left', player2Input: 'up' });
+      expect(player.next()).toEqual({ deltaTime: 20, player1Input: null, player2Input: 'down' });
+      expect(player.next()).toBeNull();
+    });
+  });
+
+  describe('createReplayStartState', () => {
+    it('counts down READY like a new game with the recorded seed and settings', () => {
+      const { replay } = recordGame(99, 10);
+      const state = createReplayStartState(replay, 5000);
+
+      expect(state.status).toBe(GameStatus.READY);
+      expect(state.readyTimer).toBe(FIRST_LEVEL_READY_DURATION);
+      expect(state.seed).toBe(99);
+      expect(state.gameMode).toBe(GameMode.SINGLE_PLAYER);
+      expect(state.difficulty).toBe(Difficulty.HARD);
+      expect(state.highScore).toBe(5000);
+      expect(state.replay).toBe(replay);
+    });
+  });
+
+  describe('deterministic playback', () => {
+    it('reproduces the recorded game exactly after a JSON round trip', () => {
+      const { state: recordedState, replay } = recordGame(12345, 1500);
+      const parsed = parseReplay(serializeReplay(replay));
+      const player = createReplayPlayer(parsed);
+
+      // The READY countdown runs on wall-clock time and is not part of the recording
+      let state = updateReady(createReplayStartState(parsed, 0), FIRST_LEVEL_READY_DURATION);
+      expect(state.status).toBe(GameStatus.RUNNING);
+      for (let frame = player.next(); frame; frame = player.next()) {
+        state = applyFrame(state, frame);
+      }
+
+      const { replay: _replay, ...replayed } = state;
+      const { replay: _recorded, ...recorded } = recordedState;
+      expect(replayed).toEqual(recorded);
+    });
+  });
+});
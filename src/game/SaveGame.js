@@ -0,0 +1,208 @@
+/**
+ * Save/resume serialization for Pacman 2D.
+ * Converts an in-progress game to a versioned JSON document and back.
+ * Loading validates the document, migrates older versions where a migration
+ * exists and rejects anything it cannot trust, so a bad save can never
+ * crash the game.
+ */
+
+import {
+  createInitialState,
+  GameStatus,
+  GameMode,
+  GhostMode,
+  Difficulty,
+  Direction,
+  getFinalLevel,
+  READY_DURATION,
+} from './GameState.js';
+
+/**
+ * Current save format version. Bump when the saved state shape changes and
+ * add a migration from the previous version to SAVE_MIGRATIONS.
+ */
+export const SAVE_FORMAT_VERSION = 2;
+
+/**
+ * Migrations keyed by the version they upgrade from.
+ * Each takes a save document at that version and returns it at version + 1.
+ */
+const SAVE_MIGRATIONS = {
+  // Version 2 releases ghosts on dot counters (see GhostHouse.js). Ghosts from
+  // older saves keep leaving on their saved release delay.
+  1: (save) => {
+    const ghosts = {};
+    for (const [type, ghost] of Object.entries(save.state?.ghosts ?? {})) {
+      ghosts[type] = { ...ghost, dotCounter: 0, dotLimit: 0, released: true };
+    }
+    return {
+      ...save,
+      version: 2,
+      state: { ...save.state, ghosts },
+    };
+  },
+};
+
+// Only games in progress are saved; finished games and menus are not
+const SAVEABLE_STATUSES = [GameStatus.READY, GameStatus.RUNNING, GameStatus.PAUSED];
+
+// Rebuilt on load instead of saved
+const TRANSIENT_FIELDS = ['events', 'replay'];
+
+/**
+ * Checks whether the current game can be saved.
+ * @param {object} state - Game state
+ * @returns {boolean} True for a ready, running or paused game that is not a replay
+ */
+export function canSaveGame(state) {
+  return SAVEABLE_STATUSES.includes(state?.status) && !state.replay;
+}
+
+/**
+ * Serializes an in-progress game.
+ * Store actions and transient fields are left out.
+ * @param {object} state - Game state (store state is fine)
+ * @returns {string} JSON save document
+ */
+export function serializeGame(state) {
+  const saved = {};
+  for (const [key, value] of Object.entries(state)) {
+    if (typeof value !== 'function' && !TRANSIENT_FIELDS.includes(key)) {
+      saved[key] = value;
+    }
+  }
+
+  return JSON.stringify({
+    version: SAVE_FORMAT_VERSION,
+    savedAt: new Date().toISOString(),
+    state: saved,
+  });
+}
+
+/**
+ * Maps a deserialized { dx, dy } back to the shared Direction object.
+ * @param {object} direction - Direction-like object
+ * @returns {object|null} Matching Direction entry, or null if none matches
+ */
+function restoreDirection(direction) {
+  if (!direction) {
+    return null;
+  }
+  return Object.values(Direction).find(
+    (entry) => entry.dx === direction.dx && entry.dy === direction.dy
+  ) ?? null;
+}
+
+function isNonNegativeNumber(value) {
+  return Number.isFinite(value) && value >= 0;
+}
+
+function isValidEntity(entity) {
+  return (
+    entity &&
+    Number.isFinite(entity.x) &&
+    Number.isFinite(entity.y) &&
+    restoreDirection(entity.direction) !== null
+  );
+}
+
+function isValidMaze(maze) {
+  return (
+    Array.isArray(maze) &&
+    maze.length > 0 &&
+    maze.every((row) => (
+      Array.isArray(row) &&
+      row.length === maze[0].length &&
+      row.every(Number.isInteger)
+    ))
+  );
+}
+
+function isValidSavedState(state) {
+  if (!state || typeof state !== 'object') return false;
+  if (!SAVEABLE_STATUSES.includes(state.status)) return false;
+  if (!Object.values(GameMode).includes(state.gameMode)) return false;
+  if (!Object.values(Difficulty).includes(state.difficulty)) return false;
+  if (!Number.isInteger(state.level) || state.level < 1 || state.level > getFinalLevel(state)) return false;
+
+  const counters = ['score', 'highScore', 'lives', 'player2Score', 'player2Lives', 'elapsedTime', 'rngState'];
+  if (!counters.every((key) => isNonNegativeNumber(state[key]))) return false;
+
+  const isTwoPlayer = state.gameMode === GameMode.TWO_PLAYER;
+  if (state.lives <= 0 && !(isTwoPlayer && state.player2Lives > 0)) return false;
+
+  if (!isValidMaze(state.maze)) return false;
+  if (!state.dots || typeof state.dots.dots !== 'object' || !isNonNegativeNumber(state.dots.totalDots)) return false;
+  if (!isValidEntity(state.player) || !isValidEntity(state.player2)) return false;
+
+  const ghosts = state.ghosts && typeof state.ghosts === 'object' ? Object.values(state.ghosts) : [];
+  if (ghosts.length === 0) return false;
+  const ghostModes = Object.values(GhostMode);
+  return ghosts.every((ghost) => isValidEntity(ghost) && ghostModes.includes(ghost.mode));
+}
+
+/**
+ * Brings a save document up to SAVE_FORMAT_VERSION.
+ * @param {object} save - Parsed save document
+ * @returns {object|null} Current-version document, or null if no migration path exists
+ */
+function migrateSave(save) {
+  let current = save;
+  while (current.version < SAVE_FORMAT_VERSION) {
+    const migrate = SAVE_MIGRATIONS[current.version];
+    if (!migrate) {
+      return null;
+    }
+    current = migrate(current);
+  }
+  return current;
+}
+
+/**
+ * Restores a game from a save document.
+ * The game comes back PAUSED so the player resumes when ready, except that a
+ * save made during the READY countdown resumes the countdown where it left off.
+ * Fields a save does not contain fall back to the defaults of a fresh game.
+ * @param {string|object} data - JSON save document or already-parsed object
+ * @returns {object|null} Game state, or null if the save is corrupt or unsupported
+ */
+export function deserializeGame(data) {
+  let save = data;
+  if (typeof data === 'string') {
+    try {
+      save = JSON.parse(data);
+    } catch {
+      return null;
+    }
+  }
+
+  if (!save || typeof save !== 'object') return null;
+  if (!Number.isInteger(save.version) || save.version < 1) return null;
+  if (save.version > SAVE_FORMAT_VERSION) return null;
+
+  const migrated = migrateSave(save);
+  if (!migrated || !isValidSavedState(migrated.state)) {
+    return null;
+  }
+
+  const saved = migrated.state;
+  const ghosts = {};
+  for (const [type, ghost] of Object.entries(saved.ghosts)) {
+    ghosts[type] = { ...ghost, direction: restoreDirection(ghost.direction) };
+  }
+
+  const resumesReady = saved.status === GameStatus.READY;
+  const defaultReadyTimer = resumesReady ? READY_DURATION : 0;
+
+  return {
+    ...createInitialState(saved.highScore, saved.difficulty, saved.seed),
+    ...saved,
+    status: resumesReady ? GameStatus.READY : GameStatus.PAUSED,
+    readyTimer: isNonNegativeNumber(saved.readyTimer) ? saved.readyTimer : defaultReadyTimer,
+    player: { ...saved.player, direction: restoreDirection(saved.player.direction) },
+    player2: { ...saved.player2, direction: restoreDirection(saved.player2.direction) },
+    ghosts,
+    events: [],
+    replay: null,
+  };
+}
@@ -0,0 +1,189 @@
+/**
+ * Tests for save/resume serialization.
+ * @vitest-environment jsdom
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  SAVE_FORMAT_VERSION,
+  canSaveGame,
+  serializeGame,
+  deserializeGame,
+} from './SaveGame.js';
+import {
+  createInitialState,
+  setGameMode,
+  startGame,
+  getReady,
+  pauseGame,
+  updateReady,
+  updateGameState,
+  GameStatus,
+  GameMode,
+  Difficulty,
+  Direction,
+  READY_DURATION,
+} from './GameState.js';
+
+function createRunningGame(mode = GameMode.TWO_PLAYER, ticks = 60) {
+  let state = startGame(setGameMode(createInitialState(1500, Difficulty.HARD, 2024), mode));
+  for (let i = 0; i < ticks; i++) {
+    state = updateGameState(state, 16);
+  }
+  return state;
+}
+
+function withSavedState(changes) {
+  const save = JSON.parse(serializeGame(createRunningGame()));
+  return { ...save, state: { ...save.state, ...changes } };
+}
+
+describe('SaveGame', () => {
+  describe('canSaveGame', () => {
+    it('allows ready, running and paused games', () => {
+      const running = createRunningGame();
+      expect(canSaveGame(running)).toBe(true);
+      expect(canSaveGame(pauseGame(running))).toBe(true);
+      expect(canSaveGame(getReady(running))).toBe(true);
+    });
+
+    it('rejects menus, finished games and replays', () => {
+      const running = createRunningGame();
+      expect(canSaveGame(createInitialState())).toBe(false);
+      expect(canSaveGame({ ...running, status: GameStatus.GAME_OVER })).toBe(false);
+      expect(canSaveGame({ ...running, replay: { frames: [] } })).toBe(false);
+    });
+  });
+
+  describe('serializeGame', () => {
+    it('writes a versioned document without actions or transient fields', () => {
+      const state = { ...createRunningGame(), tick: () => {}, events: [{ type: 'dot_eaten' }] };
+      const save = JSON.parse(serializeGame(state));
+
+      expect(save.version).toBe(SAVE_FORMAT_VERSION);
+      expect(typeof save.savedAt).toBe('string');
+      expect(save.state.tick).toBeUndefined();
+      expect(save.state.events).toBeUndefined();
+      expect(save.state.replay).toBeUndefined();
+    });
+  });
+
+  describe('deserializeGame', () => {
+    it('restores the full game state as paused', () => {
+      const state = createRunningGame();
+      const restored = deserializeGame(serializeGame(state));
+
+      const { status: _status, ...expected } = state;
+      const { status, ...actual } = restored;
+      expect(status).toBe(GameStatus.PAUSED);
+      expect(actual).toEqual(expected);
+    });
+
+    it('resumes a READY countdown where it left off', () => {
+      const ready = updateReady(getReady(createRunningGame()), 500);
+      const restored = deserializeGame(serializeGame(ready));
+
+      expect(restored.status).toBe(GameStatus.READY);
+      expect(restored.readyTimer).toBe(READY_DURATION - 500);
+
+      const resumed = updateReady(restored, READY_DURATION - 500);
+      expect(resumed.status).toBe(GameStatus.RUNNING);
+    });
+
+    it('gives a READY save without a timer the full countdown', () => {
+      const restored = deserializeGame(withSavedState({ status: GameStatus.READY, readyTimer: undefined }));
+
+      expect(restored.status).toBe(GameStatus.READY);
+      expect(restored.readyTimer).toBe(READY_DURATION);
+    });
+
+    it('restores shared Direction objects by identity', () => {
+      const restored = deserializeGame(serializeGame(createRunningGame()));
+
+      expect(Object.values(Direction)).toContain(restored.player.direction);
+      expect(Object.values(Direction)).toContain(restored.player2.direction);
+      for (const ghost of Object.values(restored.ghosts)) {
+        expect(Object.values(Direction)).toContain(ghost.direction);
+      }
+    });
+
+    it('continues identically to the original game', () => {
+      const state = createRunningGame();
+      let original = state;
+      let restored = startGame(deserializeGame(serializeGame(state)));
+
+      for (let i = 0; i < 500; i++) {
+        original = updateGameState(original, 16);
+        restored = updateGameState(restored, 16);
+      }
+
+      expect(restored).toEqual(original);
+    });
+
+    it('fills fields missing from the save with fresh-game defaults', () => {
+      const save = JSON.parse(serializeGame(createRunningGame()));
+      delete save.state.fruit;
+
+      const restored = deserializeGame(save);
+      expect(restored.fruit).toEqual(createInitialState().fruit);
+    });
+
+    it('rejects corrupt JSON', () => {
+      expect(deserializeGame('{"version": 1, "state":')).toBeNull();
+      expect(deserializeGame(null)).toBeNull();
+    });
+
+    it('rejects saves from a newer version', () => {
+      expect(deserializeGame({ ...withSavedState({}), version: SAVE_FORMAT_VERSION + 1 })).toBeNull();
+    });
+
+    it('migrates version 1 saves, keeping their ghosts on release delays', () => {
+      const current = withSavedState({});
+      const ghosts = {};
+      for (const [type, ghost] of Object.entries(current.state.ghosts)) {
+        const { dotCounter: _dotCounter, dotLimit: _dotLimit, released: _released, ...oldGhost } = ghost;
+        ghosts[type] = oldGhost;
+      }
+      const restored = deserializeGame({ ...current, version: 1, state: { ...current.state, ghosts } });
+
+      expect(restored).not.toBeNull();
+      for (const ghost of Object.values(restored.ghosts)) {
+        expect(ghost).toMatchObject({ dotCounter: 0, dotLimit: 0, released: true });
+      }
+    });
+
+    it('rejects outdated saves with no migration path', () => {
+      expect(deserializeGame({ ...withSavedState({}), version: 0 })).toBeNull();
+    });
+
+    it('rejects saves of games that are not in progress', () => {
+      expect(deserializeGame(withSavedState({ status: GameStatus.GAME_OVER }))).toBeNull();
+      expect(deserializeGame(withSavedState({ lives: 0, player2Lives: 0 }))).toBeNull();
+    });
+
+    it('rejects saves with malformed fields', () => {
+      expect(deserializeGame(withSavedState({ gameMode: '4P' }))).toBeNull();
+      expect(deserializeGame(withSavedState({ difficulty: 'impossible' }))).toBeNull();
+      expect(deserializeGame(withSavedState({ level: 99 }))).toBeNull();
+      expect(deserializeGame(withSavedState({ score: -10 }))).toBeNull();
+      expect(deserializeGame(withSavedState({ maze: [[1, 0], [1]] }))).toBeNull();
+      expect(deserializeGame(withSavedState({ dots: null }))).toBeNull();
+      expect(deserializeGame(withSavedState({ player: { x: 'a', y: 0, direction: Direction.UP } }))).toBeNull();
+      expect(deserializeGame(withSavedState({ ghosts: {} }))).toBeNull();
+    });
+
+    it('allows endless games past the campaign levels', () => {
+      expect(deserializeGame(withSavedState({ endless: true, level: 99 }))).toMatchObject({ endless: true, level: 99 });
+      expect(deserializeGame(withSavedState({ endless: true, level: 300 }))).toBeNull();
+    });
+
+    it('rejects ghosts with unknown modes or directions', () => {
+      const save = withSavedState({});
+      const ghosts = { ...save.state.ghosts, blinky: { ...save.state.ghosts.blinky, mode: 'dancing' } };
+      expect(deserializeGame({ ...save, state: { ...save.state, ghosts } })).toBeNull();
+
+      const badDirection = { ...save.state.ghosts, inky: { ...save.state.ghosts.inky, direction: { dx: 2, dy: 2 } } };
+      expect(deserializeGame({ ...save, state: { ...save.state, ghosts: badDirection } })).toBeNull();
+    });
+  });
+});
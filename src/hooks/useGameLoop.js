@@ -1,21 +1,71 @@
 import { useEffect, useRef } from 'react';
 
+/**
+ * Simulation step for fixed-timestep loops (60 updates per second).
+ */
+export const FIXED_TIMESTEP = 1000 / 60;
+
+/**
+ * Maximum simulation steps run for a single animation frame.
+ * Time beyond this (a backgrounded tab, a long GC pause) is dropped rather
+ * than simulated, so the game slows down instead of spiralling.
+ */
+export const MAX_CATCH_UP_STEPS = 5;
+
+/**
+ * Feeds one frame's elapsed time into a fixed-timestep accumulator.
+ * @param {number} accumulator - Unsimulated time carried over from earlier frames
+ * @param {number} frameDelta - Time since the previous frame in milliseconds
+ * @param {number} step - Fixed simulation step in milliseconds
+ * @param {number} maxSteps - Clamp on steps run for this frame
+ * @returns {object} { steps, accumulator, alpha } where alpha (0-1) is how far
+ *   rendering should interpolate from the previous simulation state to the current one
+ */
+export function advanceAccumulator(accumulator, frameDelta, step, maxSteps = MAX_CATCH_UP_STEPS) {
+  let remaining = accumulator + Math.max(0, frameDelta);
+  const steps = Math.min(Math.floor(remaining / step), maxSteps);
+  remaining -= steps * step;
+
+  // Drop whatever backlog the clamp could not absorb
+  if (remaining >= step) {
+    remaining %= step;
+  }
+
+  return { steps, accumulator: remaining, alpha: remaining / step };
+}
+
 /**
  * Custom hook for running a game loop with requestAnimationFrame.
- * Provides smooth 60fps updates with delta time for frame-independent logic.
  *
- * @param {function} onUpdate - Callback called each frame with (deltaTime, timestamp)
+ * By default onUpdate receives the raw frame delta. With `fixedTimestep` set,
+ * elapsed time is accumulated and onUpdate is called zero or more times per
+ * frame with exactly `fixedTimestep` ms, so the simulation behaves the same at
+ * any refresh rate; `onRender` is then called once per frame with the
+ * interpolation factor between the last two simulation states.
+ *
+ * @param {function} onUpdate - Callback called per update with (deltaTime, timestamp)
  * @param {boolean} isRunning - Whether the game loop should be active
+ * @param {object} options
+ * @param {number} options.fixedTimestep - Simulation step in ms (null for variable deltas)
+ * @param {number} options.maxCatchUpSteps - Clamp on simulation steps per frame
+ * @param {function} options.onRender - Called once per frame with (alpha, timestamp)
  */
-export function useGameLoop(onUpdate, isRunning = true) {
+export function useGameLoop(onUpdate, isRunning = true, {
+  fixedTimestep = null,
+  maxCatchUpSteps = MAX_CATCH_UP_STEPS,
+  onRender = null,
+} = {}) {
   const requestRef = useRef(null);
   const previousTimeRef = useRef(null);
+  const accumulatorRef = useRef(0);
   const onUpdateRef = useRef(onUpdate);
+  const onRenderRef = useRef(onRender);
 
-  // Keep callback ref updated to avoid stale closures
+  // Keep callback refs updated to avoid stale closures
   useEffect(() => {
     onUpdateRef.current = onUpdate;
-  }, [onUpdate]);
+    onRenderRef.current = onRender;
+  }, [onUpdate, onRender]);
 
   useEffect(() => {
     if (!isRunning) {
@@ -23,6 +73,7 @@ export function useGameLoop(onUpdate, isRunning = true) {
     }
 
     previousTimeRef.current = null;
+    accumulatorRef.current = 0;
 
     const animate = (timestamp) => {
       if (previousTimeRef.current === null) {
@@ -32,8 +83,18 @@ export function useGameLoop(onUpdate, isRunning = true) {
       const deltaTime = timestamp - previousTimeRef.current;
       previousTimeRef.current = timestamp;
 
-      // Call update with delta time (in ms) and raw timestamp
-      onUpdateRef.current(deltaTime, timestamp);
+      if (fixedTimestep) {
+        const frame = advanceAccumulator(accumulatorRef.current, deltaTime, fixedTimestep, maxCatchUpSteps);
+        accumulatorRef.current = frame.accumulator;
+
+        for (let i = 0; i < frame.steps; i++) {
+          onUpdateRef.current(fixedTimestep, timestamp);
+        }
+        onRenderRef.current?.(frame.alpha, timestamp);
+      } else {
+        // Call update with delta time (in ms) and raw timestamp
+        onUpdateRef.current(deltaTime, timestamp);
+      }
 
       requestRef.current = requestAnimationFrame(animate);
     };
@@ -46,7 +107,7 @@ export function useGameLoop(onUpdate, isRunning = true) {
         requestRef.current = null;
       }
     };
-  }, [isRunning]);
+  }, [isRunning, fixedTimestep, maxCatchUpSteps]);
 }
 
 export default useGameLoop;
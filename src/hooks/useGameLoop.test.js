@@ -5,7 +5,7 @@
 
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { renderHook, act, cleanup } from '@testing-library/react';
-import { useGameLoop } from './useGameLoop.js';
+import { useGameLoop, advanceAccumulator, FIXED_TIMESTEP, MAX_CATCH_UP_STEPS } from './useGameLoop.js';
 
 describe('useGameLoop', () => {
   let rafCallbacks;
@@ -495,6 +495,140 @@ describe('useGameLoop', () => {
     });
   });
 
+  // ============================================
+  // Fixed Timestep
+  // ============================================
+  describe('advanceAccumulator', () => {
+    it('runs whole steps and carries the remainder', () => {
+      const frame = advanceAccumulator(0, 25, 10, 5);
+      expect(frame.steps).toBe(2);
+      expect(frame.accumulator).toBe(5);
+      expect(frame.alpha).toBe(0.5);
+    });
+
+    it('adds carried time to the next frame', () => {
+      const frame = advanceAccumulator(5, 6, 10, 5);
+      expect(frame.steps).toBe(1);
+      expect(frame.accumulator).toBe(1);
+    });
+
+    it('clamps catch-up steps and drops the backlog', () => {
+      const frame = advanceAccumulator(0, 1005, 10, 5);
+      expect(frame.steps).toBe(5);
+      expect(frame.accumulator).toBe(5);
+      expect(frame.alpha).toBe(0.5);
+    });
+
+    it('ignores negative frame deltas', () => {
+      expect(advanceAccumulator(3, -50, 10, 5)).toEqual({ steps: 0, accumulator: 3, alpha: 0.3 });
+    });
+  });
+
+  describe('Fixed Timestep', () => {
+    it('calls onUpdate with the fixed step regardless of frame delta', () => {
+      const onUpdate = vi.fn();
+
+      renderHook(() => useGameLoop(onUpdate, true, { fixedTimestep: 10 }));
+
+      advanceFrame(0);
+      expect(onUpdate).not.toHaveBeenCalled();
+
+      advanceFrame(35);
+      expect(onUpdate).toHaveBeenCalledTimes(3);
+      onUpdate.mock.calls.forEach(([dt]) => expect(dt).toBe(10));
+
+      // Carried 5ms plus 5ms completes one more step
+      advanceFrame(5);
+      expect(onUpdate).toHaveBeenCalledTimes(4);
+    });
+
+    it('simulates the same number of steps at different refresh rates', () => {
+      const at30Hz = vi.fn();
+      const at144Hz = vi.fn();
+
+      const first = renderHook(() => useGameLoop(at30Hz, true, { fixedTimestep: FIXED_TIMESTEP }));
+      advanceFrame(0);
+      for (let i = 0; i < 30; i++) advanceFrame(1000 / 30);
+      first.unmount();
+
+      renderHook(() => useGameLoop(at144Hz, true, { fixedTimestep: FIXED_TIMESTEP }));
+      advanceFrame(0);
+      for (let i = 0; i < 144; i++) advanceFrame(1000 / 144);
+
+      expect(Math.abs(at30Hz.mock.calls.length - 60)).toBeLessThanOrEqual(1);
+      expect(Math.abs(at144Hz.mock.calls.length - 60)).toBeLessThanOrEqual(1);
+    });
+
+    it('clamps catch-up after a long frame', () => {
+      const onUpdate = vi.fn();
+
+      renderHook(() => useGameLoop(onUpdate, true, { fixedTimestep: 10 }));
+
+      advanceFrame(0);
+      advanceFrame(10000);
+
+      expect(onUpdate).toHaveBeenCalledTimes(MAX_CATCH_UP_STEPS);
+    });
+
+    it('respects a custom catch-up clamp', () => {
+      const onUpdate = vi.fn();
+
+      renderHook(() => useGameLoop(onUpdate, true, { fixedTimestep: 10, maxCatchUpSteps: 2 }));
+
+      advanceFrame(0);
+      advanceFrame(100);
+
+      expect(onUpdate).toHaveBeenCalledTimes(2);
+    });
+
+    it('calls onRender once per frame with the interpolation factor', () => {
+      const onUpdate = vi.fn();
+      const onRender = vi.fn();
+
+      renderHook(() => useGameLoop(onUpdate, true, { fixedTimestep: 10, onRender }));
+
+      advanceFrame(0);
+      advanceFrame(15);
+
+      expect(onRender).toHaveBeenCalledTimes(2);
+      expect(onRender).toHaveBeenLastCalledWith(0.5, 15);
+    });
+
+    it('runs updates before rendering the frame', () => {
+      const order = [];
+
+      renderHook(() => useGameLoop(
+        () => order.push('update'),
+        true,
+        { fixedTimestep: 10, onRender: () => order.push('render') }
+      ));
+
+      advanceFrame(0);
+      advanceFrame(20);
+
+      expect(order).toEqual(['render', 'update', 'update', 'render']);
+    });
+
+    it('resets the accumulator when the loop restarts', () => {
+      const onUpdate = vi.fn();
+
+      const { rerender } = renderHook(
+        ({ isRunning }) => useGameLoop(onUpdate, isRunning, { fixedTimestep: 10 }),
+        { initialProps: { isRunning: true } }
+      );
+
+      advanceFrame(0);
+      advanceFrame(9);
+      rerender({ isRunning: false });
+      rerender({ isRunning: true });
+
+      advanceFrame(16);
+      advanceFrame(2);
+
+      expect(onUpdate).not.toHaveBeenCalled();
+    });
+  });
+
   // ============================================
   // Integration with RAF Mock
   // ============================================
@@ -8,6 +8,7 @@ import { describe, it, expect, beforeEach } from 'vitest';
 import { renderHook, act } from '@testing-library/react';
 import { usePlayerMovement } from './usePlayerMovement.js';
 import { TILE_SIZE } from '../game/Dots.js';
+import { MovementModel } from '../game/PlayerMovement.js';
 
 /**
  * Creates a simple test maze.
@@ -153,6 +154,39 @@ describe('usePlayerMovement', () => {
     });
   });
 
+  describe('reset', () => {
+    it('sets position and direction', () => {
+      const { result } = renderHook(() => usePlayerMovement());
+      act(() => {
+        result.current.reset(TILE_SIZE * 3.5, TILE_SIZE * 1.5, 'left');
+      });
+
+      const position = result.current.getPosition();
+      expect(position.tileX).toBe(3);
+      expect(position.tileY).toBe(1);
+      expect(position.direction).toBe('left');
+    });
+
+    it('clears a queued turn', () => {
+      const { result } = renderHook(() => usePlayerMovement());
+      const maze = createTestMaze();
+
+      // Queue 'up' against a wall so it stays pending
+      act(() => {
+        result.current.setPosition(TILE_SIZE * 1.5, TILE_SIZE * 1.5);
+        result.current.update(maze, 10, 'up');
+      });
+
+      // From (1,3) a stale 'up' would be taken immediately
+      act(() => {
+        result.current.reset(TILE_SIZE * 1.5, TILE_SIZE * 3.5, 'right');
+        result.current.update(maze, 10, null);
+      });
+
+      expect(result.current.getPosition().direction).toBe('right');
+    });
+  });
+
   describe('getPosition', () => {
     it('returns x, y, direction, tileX, and tileY', () => {
       const { result } = renderHook(() => usePlayerMovement());
@@ -634,6 +668,33 @@ describe('usePlayerMovement', () => {
     });
   });
 
+  describe('update - arcade model', () => {
+    it('lets each update override the speed', () => {
+      const { result } = renderHook(() => usePlayerMovement({ speed: 5 }));
+      const { result: fastResult } = renderHook(() => usePlayerMovement({ speed: 5 }));
+      const maze = createTestMaze();
+
+      act(() => {
+        result.current.update(maze, 100, 'right');
+        fastResult.current.update(maze, 100, 'right', { speed: 10 });
+      });
+
+      expect(fastResult.current.getPosition().x).toBeGreaterThan(result.current.getPosition().x);
+    });
+
+    it('stands still for stalled frames', () => {
+      const { result } = renderHook(() => usePlayerMovement({ speed: 5, model: MovementModel.ARCADE }));
+      const maze = createTestMaze();
+
+      act(() => {
+        result.current.stall(3);
+        result.current.update(maze, 1000 / 60, 'right');
+      });
+
+      expect(result.current.getPosition().x).toBe(TILE_SIZE * 1.5);
+    });
+  });
+
   describe('update - perpendicular turns', () => {
     it('allows perpendicular turn past midpoint', () => {
       const { result } = renderHook(() => usePlayerMovement({ speed: 5 }));
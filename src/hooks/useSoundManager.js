@@ -171,6 +171,41 @@ export function useSoundManager() {
     });
   }, [playTone]);
 
+  // Sound: New game intro (plays through the first level's READY countdown)
+  const playIntro = useCallback(() => {
+    if (!enabledRef.current) return;
+    const phrase = (root, octave, fifth, third) => [
+      { freq: root, dur: 0.13 },
+      { freq: octave, dur: 0.13 },
+      { freq: fifth, dur: 0.13 },
+      { freq: third, dur: 0.13 },
+      { freq: octave, dur: 0.07 },
+      { freq: fifth, dur: 0.2 },
+      { freq: third, dur: 0.27 },
+    ];
+    const melody = [
+      ...phrase(493.88, 987.77, 739.99, 622.25), // B4 B5 F#5 D#5
+      ...phrase(523.25, 1046.5, 783.99, 659.25), // C5 C6 G5 E5
+      ...phrase(493.88, 987.77, 739.99, 622.25), // B4 B5 F#5 D#5
+      // Rising run to the top
+      { freq: 622.25, dur: 0.07 }, // D#5
+      { freq: 659.25, dur: 0.07 }, // E5
+      { freq: 698.46, dur: 0.13 }, // F5
+      { freq: 698.46, dur: 0.07 }, // F5
+      { freq: 739.99, dur: 0.07 }, // F#5
+      { freq: 783.99, dur: 0.13 }, // G5
+      { freq: 783.99, dur: 0.07 }, // G5
+      { freq: 830.61, dur: 0.07 }, // G#5
+      { freq: 880, dur: 0.13 },    // A5
+      { freq: 987.77, dur: 0.2 },  // B5
+    ];
+    let time = 0;
+    melody.forEach(note => {
+      playTone(note.freq, note.dur, 'square', time);
+      time += note.dur;
+    });
+  }, [playTone]);
+
   // Sound: Frightened mode siren (looping wobble)
   const frightenedIntervalRef = useRef(null);
   const playFrightenedStart = useCallback(() => {
@@ -233,6 +268,7 @@ export function useSoundManager() {
     playGameOver,
     playFruitEat,
     playGameStart,
+    playIntro,
     playFrightenedStart,
     stopFrightenedSound,
     playExtraLife,
@@ -79,6 +79,7 @@ describe('useSoundManager', () => {
     expect(typeof result.current.playGameOver).toBe('function');
     expect(typeof result.current.playFruitEat).toBe('function');
     expect(typeof result.current.playGameStart).toBe('function');
+    expect(typeof result.current.playIntro).toBe('function');
     expect(typeof result.current.playFrightenedStart).toBe('function');
     expect(typeof result.current.stopFrightenedSound).toBe('function');
     expect(typeof result.current.playExtraLife).toBe('function');
@@ -175,6 +176,17 @@ describe('useSoundManager', () => {
     expect(true).toBe(true);
   });
 
+  it('should play the new game intro', () => {
+    const { result } = renderHook(() => useSoundManager());
+
+    act(() => {
+      result.current.initAudio();
+      result.current.playIntro();
+    });
+
+    expect(true).toBe(true);
+  });
+
   it('should start and stop frightened sound', () => {
     const { result } = renderHook(() => useSoundManager());
 
@@ -0,0 +1,196 @@
+/**
+ * Player policies for headless simulations.
+ * A policy decides what a simulated player presses each step. Policies are
+ * created per run by a factory so stateful ones (scripts, random walks)
+ * never leak between runs.
+ *
+ * Policy signature: (state, playerNumber, movement) => direction name or null
+ * where movement is the player's PlayerMovement state.
+ */
+
+import { TILE_SIZE } from '../game/Dots.js';
+import { isWalkableTile } from '../game/Collision.js';
+import { GhostMode } from '../game/GhostAI.js';
+import { createRng, randomChoice } from '../game/Random.js';
+
+const MOVES = [
+  { name: 'up', dx: 0, dy: -1 },
+  { name: 'down', dx: 0, dy: 1 },
+  { name: 'left', dx: -1, dy: 0 },
+  { name: 'right', dx: 1, dy: 0 },
+];
+
+const MOVE_NAMES = MOVES.map((move) => move.name);
+
+// Ghost modes that can kill a player on contact
+const DANGEROUS_MODES = [GhostMode.SCATTER, GhostMode.CHASE];
+
+function getDecisionTile(movement) {
+  return movement.isMoving
+    ? { x: movement.targetTileX, y: movement.targetTileY }
+    : { x: movement.currentTileX, y: movement.currentTileY };
+}
+
+function toTile(entity) {
+  return { x: Math.floor(entity.x / TILE_SIZE), y: Math.floor(entity.y / TILE_SIZE) };
+}
+
+function distance(a, b) {
+  return Math.abs(a.x - b.x) + Math.abs(a.y - b.y);
+}
+
+/**
+ * Finds the first move of the shortest path to any goal tile.
+ * @returns {string|null} Direction name, or null if no goal is reachable
+ */
+function findFirstMove(maze, start, isGoal, isBlocked) {
+  const key = (x, y) => `${x},${y}`;
+  const visited = new Set([key(start.x, start.y)]);
+  const queue = [];
+
+  for (const move of MOVES) {
+    const x = start.x + move.dx;
+    const y = start.y + move.dy;
+    if (isWalkableTile(maze, x, y) && !isBlocked(x, y)) {
+      visited.add(key(x, y));
+      queue.push({ x, y, firstMove: move.name });
+    }
+  }
+
+  for (let i = 0; i < queue.length; i++) {
+    const tile = queue[i];
+    if (isGoal(tile.x, tile.y)) {
+      return tile.firstMove;
+    }
+    for (const move of MOVES) {
+      const x = tile.x + move.dx;
+      const y = tile.y + move.dy;
+      if (!visited.has(key(x, y)) && isWalkableTile(maze, x, y) && !isBlocked(x, y)) {
+        visited.add(key(x, y));
+        queue.push({ x, y, firstMove: tile.firstMove });
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Never presses anything; the player keeps running in its current direction.
+ * @returns {function} Policy factory
+ */
+export function createIdlePolicy() {
+  return () => () => null;
+}
+
+/**
+ * Presses a random direction now and then.
+ * @param {object} options
+ * @param {number} options.turnChance - Chance per step of pressing a new direction
+ * @returns {function} Policy factory, seeded per run
+ */
+export function createRandomPolicy({ turnChance = 0.05 } = {}) {
+  return ({ seed = 0, playerNumber = 1 } = {}) => {
+    // Separate stream from the game's PRNG so policies never change the game's randomness
+    const random = createRng((seed ^ 0x9e3779b9) + playerNumber);
+    return () => (random() < turnChance ? randomChoice(MOVE_NAMES, random) : null);
+  };
+}
+
+/**
+ * Plays back a fixed script of inputs, looping when it ends.
+ * @param {Array<{direction: string|null, duration: number}>} steps - Inputs and how long to hold them (ms)
+ * @param {number} stepTime - Simulation step in milliseconds
+ * @returns {function} Policy factory
+ */
+export function createScriptedPolicy(steps, stepTime = 1000 / 60) {
+  const totalDuration = steps.reduce((total, step) => total + step.duration, 0);
+
+  return () => {
+    let time = 0;
+    return () => {
+      if (totalDuration <= 0) {
+        return null;
+      }
+      let offset = time % totalDuration;
+      time += stepTime;
+      for (const step of steps) {
+        if (offset < step.duration) {
+          return step.direction;
+        }
+        offset -= step.duration;
+      }
+      return null;
+    };
+  };
+}
+
+/**
+ * Heads for the nearest dot while steering clear of dangerous ghosts, and
+ * hunts frightened ghosts that are close by. A rough stand-in for a decent
+ * human player.
+ * @param {object} options
+ * @param {number} options.dangerRadius - Tiles around a dangerous ghost treated as walls
+ * @param {number} options.huntRadius - Frightened ghosts within this many tiles are chased
+ * @returns {function} Policy factory
+ */
+export function createGreedyPolicy({ dangerRadius = 2, huntRadius = 6 } = {}) {
+  return () => (state, playerNumber, movement) => {
+    const maze = state.maze;
+    const start = getDecisionTile(movement);
+    const ghosts = Object.values(state.ghosts);
+
+    const threats = ghosts
+      .filter((ghost) => DANGEROUS_MODES.includes(ghost.mode))
+      .map(toTile);
+    const prey = ghosts
+      .filter((ghost) => ghost.mode === GhostMode.FRIGHTENED)
+      .map(toTile)
+      .filter((tile) => distance(tile, start) <= huntRadius);
+
+    const isBlocked = (x, y) => threats.some((threat) => distance(threat, { x, y }) < dangerRadius);
+
+    let isGoal;
+    if (prey.length > 0) {
+      isGoal = (x, y) => prey.some((tile) => tile.x === x && tile.y === y);
+    } else {
+      const dotTiles = new Set();
+      for (const dot of Object.values(state.dots.dots)) {
+        if (!dot.collected) {
+          dotTiles.add(`${dot.tileX},${dot.tileY}`);
+        }
+      }
+      isGoal = (x, y) => dotTiles.has(`${x},${y}`);
+    }
+
+    const move = findFirstMove(maze, start, isGoal, isBlocked);
+    if (move) {
+      return move;
+    }
+
+    // Boxed in: step to the open neighbour furthest from the nearest threat
+    let bestMove = null;
+    let bestDistance = -1;
+    for (const candidate of MOVES) {
+      const tile = { x: start.x + candidate.dx, y: start.y + candidate.dy };
+      if (!isWalkableTile(maze, tile.x, tile.y)) continue;
+      const nearest = threats.length > 0
+        ? Math.min(...threats.map((threat) => distance(threat, tile)))
+        : 0;
+      if (nearest > bestDistance) {
+        bestDistance = nearest;
+        bestMove = candidate.name;
+      }
+    }
+    return bestMove;
+  };
+}
+
+/**
+ * Built-in policies by name, for the simulation CLI.
+ */
+export const SIMULATION_POLICIES = {
+  idle: createIdlePolicy(),
+  random: createRandomPolicy(),
+  greedy: createGreedyPolicy(),
+};
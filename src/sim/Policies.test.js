@@ -0,0 +1,70 @@
+/**
+ * Tests for simulation player policies.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  createIdlePolicy,
+  createRandomPolicy,
+  createScriptedPolicy,
+  createGreedyPolicy,
+  SIMULATION_POLICIES,
+} from './Policies.js';
+import { createInitialState, startGame, GhostMode } from '../game/GameState.js';
+import { createMovementState } from '../game/PlayerMovement.js';
+
+function createContext() {
+  const state = startGame(createInitialState(0, undefined, 1));
+  const movement = createMovementState(state.player.x, state.player.y, 'right');
+  return { state, movement };
+}
+
+describe('Policies', () => {
+  it('idle never presses anything', () => {
+    const { state, movement } = createContext();
+    const policy = createIdlePolicy()({ seed: 1, playerNumber: 1 });
+    expect(policy(state, 1, movement)).toBeNull();
+  });
+
+  it('random is reproducible per seed and player', () => {
+    const { state, movement } = createContext();
+    const sample = (seed, playerNumber) => {
+      const policy = createRandomPolicy({ turnChance: 0.5 })({ seed, playerNumber });
+      return Array.from({ length: 50 }, () => policy(state, playerNumber, movement));
+    };
+
+    expect(sample(4, 1)).toEqual(sample(4, 1));
+    expect(sample(4, 1)).not.toEqual(sample(4, 2));
+  });
+
+  it('scripted holds each input for its duration and loops', () => {
+    const policy = createScriptedPolicy([
+      { direction: 'up', duration: 100 },
+      { direction: null, duration: 50 },
+    ], 50)();
+
+    expect(Array.from({ length: 7 }, () => policy())).toEqual(['up', 'up', null, 'up', 'up', null, 'up']);
+  });
+
+  it('greedy heads for a reachable dot', () => {
+    const { state, movement } = createContext();
+    const policy = createGreedyPolicy()();
+    expect(['up', 'down', 'left', 'right']).toContain(policy(state, 1, movement));
+  });
+
+  it('greedy chases a nearby frightened ghost', () => {
+    const { state, movement } = createContext();
+    // Frightened ghost two tiles to the right of the player
+    const ghosts = {
+      ...state.ghosts,
+      blinky: { ...state.ghosts.blinky, x: state.player.x + 40, y: state.player.y, mode: GhostMode.FRIGHTENED },
+    };
+    const policy = createGreedyPolicy()();
+
+    expect(policy({ ...state, ghosts }, 1, movement)).toBe('right');
+  });
+
+  it('exposes the built-in policies by name', () => {
+    expect(Object.keys(SIMULATION_POLICIES)).toEqual(['idle', 'random', 'greedy']);
+  });
+});
@@ -0,0 +1,307 @@
+/**
+ * Headless game simulation for Pacman 2D.
+ * Drives the pure game logic the same way App's game loop does, with players
+ * controlled by policies (see Policies.js) instead of the keyboard, and
+ * collects per-run metrics for balance testing.
+ */
+
+import {
+  createInitialState,
+  setGameMode,
+  setEndless,
+  startGame,
+  nextLevel,
+  updateGameState,
+  updateDeathAnimation,
+  updatePlayerPosition,
+  updatePlayer2Position,
+  GameStatus,
+  GameMode,
+  Difficulty,
+  GameEventType,
+} from '../game/GameState.js';
+import {
+  MovementModel,
+  createMovementState,
+  updateMovement,
+  stallMovement,
+  getMovementOptions,
+  getDotStallFrames,
+  toDirectionObject,
+} from '../game/PlayerMovement.js';
+import { SIMULATION_POLICIES } from './Policies.js';
+
+/**
+ * Default simulation step (one 60 Hz frame), matching the browser's fixed timestep.
+ */
+export const SIMULATION_TIMESTEP = 1000 / 60;
+
+/**
+ * Default cap on simulated time per run (30 minutes).
+ */
+export const DEFAULT_MAX_TIME = 30 * 60 * 1000;
+
+/**
+ * Possible run outcomes.
+ */
+export const SimulationOutcome = {
+  GAME_OVER: 'game_over',
+  GAME_COMPLETE: 'game_complete',
+  TIMEOUT: 'timeout',
+};
+
+/**
+ * Resolves a policy name or factory into a policy for one player of one run.
+ */
+function resolvePolicy(policy, seed, playerNumber) {
+  const factory = typeof policy === 'function' ? policy : SIMULATION_POLICIES[policy];
+  if (!factory) {
+    throw new Error(`Unknown simulation policy: ${policy}`);
+  }
+  return factory({ seed, playerNumber });
+}
+
+/**
+ * Advances one player's movement with its policy's input and writes the
+ * resulting position into the game state.
+ */
+function movePlayer(state, movements, policies, playerNumber, deltaTime) {
+  const movement = movements[playerNumber];
+  const input = policies[playerNumber](state, playerNumber, movement);
+  const { speed, model } = getMovementOptions(state);
+  const next = updateMovement(movement, state.maze, deltaTime, input, speed, model);
+  movements[playerNumber] = next;
+
+  if (playerNumber === 1) {
+    return updatePlayerPosition(state, next.x, next.y, toDirectionObject(next.direction, state.player.direction));
+  }
+  return updatePlayer2Position(state, next.x, next.y, toDirectionObject(next.direction, state.player2.direction));
+}
+
+/**
+ * Folds the events of one update into the run's metrics.
+ */
+function recordEvents(metrics, events, level) {
+  for (const event of events) {
+    switch (event.type) {
+      case GameEventType.DOT_EATEN:
+      case GameEventType.POWER_PELLET:
+        metrics.dotsEaten += 1;
+        if (event.type === GameEventType.POWER_PELLET) {
+          metrics.powerPelletsEaten += 1;
+        }
+        break;
+      case GameEventType.GHOST_EATEN:
+        metrics.ghostsEaten += 1;
+        break;
+      case GameEventType.FRUIT_COLLECTED:
+        metrics.fruitsCollected += 1;
+        break;
+      case GameEventType.EXTRA_LIFE:
+        metrics.extraLives += 1;
+        break;
+      case GameEventType.PLAYER_DIED:
+        metrics.deaths += 1;
+        metrics.deathsPerLevel[level] = (metrics.deathsPerLevel[level] || 0) + 1;
+        break;
+      case GameEventType.LEVEL_CLEARED:
+        metrics.levelsCleared += 1;
+        break;
+      default:
+        break;
+    }
+  }
+}
+
+/**
+ * Runs a single game to completion (or until maxTime) without a browser.
+ * The same options always produce the same result.
+ *
+ * @param {object} options
+ * @param {number} options.seed - Game seed
+ * @param {string} options.difficulty - One of Difficulty
+ * @param {string} options.gameMode - One of GameMode
+ * @param {boolean} options.endless - Play endless mode instead of the 5-level campaign
+ * @param {string|function} options.policy - Player 1 policy name or factory
+ * @param {string|function} options.player2Policy - Player 2 policy (defaults to options.policy)
+ * @param {number} options.dt - Simulation step in milliseconds
+ * @param {number} options.maxTime - Simulated time limit in milliseconds
+ * @returns {object} Run metrics
+ */
+export function runSimulation({
+  seed = 1,
+  difficulty = Difficulty.MEDIUM,
+  gameMode = GameMode.SINGLE_PLAYER,
+  endless = false,
+  policy = 'greedy',
+  player2Policy = policy,
+  dt = SIMULATION_TIMESTEP,
+  maxTime = DEFAULT_MAX_TIME,
+} = {}) {
+  const policies = {
+    1: resolvePolicy(policy, seed, 1),
+    2: resolvePolicy(player2Policy, seed, 2),
+  };
+  const movements = {};
+  const metrics = {
+    dotsEaten: 0,
+    powerPelletsEaten: 0,
+    ghostsEaten: 0,
+    fruitsCollected: 0,
+    extraLives: 0,
+    deaths: 0,
+    deathsPerLevel: {},
+    levelsCleared: 0,
+  };
+
+  let state = startGame(setGameMode(setEndless(createInitialState(0, difficulty, seed), endless), gameMode));
+  let time = 0;
+  let outcome = SimulationOutcome.TIMEOUT;
+  const isTwoPlayer = state.gameMode === GameMode.TWO_PLAYER;
+
+  while (time < maxTime) {
+    if (state.status === GameStatus.LEVEL_COMPLETE) {
+      state = nextLevel(state);
+      // Intermissions are skipped; they do not affect play
+      if (state.status === GameStatus.INTERMISSION) {
+        state = nextLevel(state);
+      }
+      if (state.status === GameStatus.GAME_COMPLETE) {
+        outcome = SimulationOutcome.GAME_COMPLETE;
+        break;
+      }
+      state = startGame(state);
+      continue;
+    }
+    if (state.status === GameStatus.GAME_OVER) {
+      outcome = SimulationOutcome.GAME_OVER;
+      break;
+    }
+    // The READY countdown after a respawn is skipped; nothing moves during it
+    if (state.status === GameStatus.READY) {
+      state = startGame(state);
+      continue;
+    }
+
+    // Every level starts from identical movement state, as in the browser
+    if (state.status === GameStatus.RUNNING && state.frameCount === 0) {
+      movements[1] = createMovementState(state.player.x, state.player.y, 'right');
+      movements[2] = createMovementState(state.player2.x, state.player2.y, 'left');
+    }
+
+    const level = state.level;
+    if (state.status === GameStatus.DYING) {
+      const dyingPlayer = state.dyingPlayer;
+      // In 2P mode the surviving player keeps moving during the death animation
+      if (isTwoPlayer && dyingPlayer) {
+        state = movePlayer(state, movements, policies, dyingPlayer === 1 ? 2 : 1, dt);
+      }
+      state = updateDeathAnimation(state, dt);
+      if (state.status === GameStatus.READY) {
+        if (dyingPlayer === 2) {
+          movements[2] = createMovementState(state.player2.x, state.player2.y, 'left');
+        } else {
+          movements[1] = createMovementState(state.player.x, state.player.y, 'right');
+        }
+      }
+    } else {
+      // Nobody moves during the freeze after a ghost is eaten
+      if (!state.ghostEatFreeze) {
+        state = movePlayer(state, movements, policies, 1, dt);
+        if (isTwoPlayer) {
+          state = movePlayer(state, movements, policies, 2, dt);
+        }
+      }
+      state = updateGameState(state, dt);
+
+      // Arcade movement loses frames for every dot eaten
+      if (getMovementOptions(state).model === MovementModel.ARCADE) {
+        movements[1] = stallMovement(movements[1], getDotStallFrames(state.events, 1));
+        movements[2] = stallMovement(movements[2], getDotStallFrames(state.events, 2));
+      }
+    }
+
+    recordEvents(metrics, state.events, level);
+    time += dt;
+  }
+
+  const minutes = time / 60000;
+  return {
+    seed,
+    difficulty,
+    gameMode,
+    outcome,
+    survivalTime: time,
+    levelReached: state.level,
+    score: state.score,
+    player2Score: state.player2Score,
+    ...metrics,
+    dotsPerMinute: minutes > 0 ? metrics.dotsEaten / minutes : 0,
+  };
+}
+
+/**
+ * Runs every combination of seed and difficulty.
+ * @param {object} options - runSimulation options, plus:
+ * @param {number[]} options.seeds - Seeds to run
+ * @param {string[]} options.difficulties - Difficulties to run
+ * @param {function} options.onRun - Called with each run's metrics as it finishes
+ * @returns {object[]} Run metrics, grouped by difficulty then seed
+ */
+export function runBatch({
+  seeds = [1],
+  difficulties = [Difficulty.MEDIUM],
+  onRun = null,
+  ...options
+} = {}) {
+  const runs = [];
+  for (const difficulty of difficulties) {
+    for (const seed of seeds) {
+      const run = runSimulation({ ...options, seed, difficulty });
+      runs.push(run);
+      onRun?.(run);
+    }
+  }
+  return runs;
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+/**
+ * Averages run metrics per difficulty.
+ * @param {object[]} runs - Metrics from runSimulation
+ * @returns {object[]} One summary per difficulty, in first-seen order
+ */
+export function summarizeRuns(runs) {
+  const groups = new Map();
+  for (const run of runs) {
+    if (!groups.has(run.difficulty)) {
+      groups.set(run.difficulty, []);
+    }
+    groups.get(run.difficulty).push(run);
+  }
+
+  return [...groups.entries()].map(([difficulty, group]) => {
+    // Average deaths on each level across all runs, counting runs that never died there
+    const levels = new Set(group.flatMap((run) => Object.keys(run.deathsPerLevel)));
+    const deathsPerLevel = {};
+    for (const level of [...levels].sort((a, b) => a - b)) {
+      deathsPerLevel[level] = average(group.map((run) => run.deathsPerLevel[level] || 0));
+    }
+
+    return {
+      difficulty,
+      runs: group.length,
+      completionRate: group.filter((run) => run.outcome === SimulationOutcome.GAME_COMPLETE).length / group.length,
+      survivalTime: average(group.map((run) => run.survivalTime)),
+      levelReached: average(group.map((run) => run.levelReached)),
+      score: average(group.map((run) => run.score + run.player2Score)),
+      deaths: average(group.map((run) => run.deaths)),
+      deathsPerLevel,
+      ghostsEaten: average(group.map((run) => run.ghostsEaten)),
+      dotsPerMinute: average(group.map((run) => run.dotsPerMinute)),
+    };
+  });
+}
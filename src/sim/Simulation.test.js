@@ -0,0 +1,124 @@
+/**
+ * Tests for the headless simulation runner.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  SimulationOutcome,
+  runSimulation,
+  runBatch,
+  summarizeRuns,
+} from './Simulation.js';
+import { createScriptedPolicy } from './Policies.js';
+import { Difficulty, GameMode } from '../game/GameState.js';
+
+const SHORT_RUN = 20000;
+
+describe('Simulation', () => {
+  describe('runSimulation', () => {
+    it('produces identical metrics for the same options', () => {
+      const options = { seed: 7, difficulty: Difficulty.HARD, maxTime: SHORT_RUN };
+      expect(runSimulation(options)).toEqual(runSimulation(options));
+    });
+
+    it('reports the run setup and metrics', () => {
+      const run = runSimulation({ seed: 3, maxTime: SHORT_RUN });
+
+      expect(run).toMatchObject({ seed: 3, difficulty: Difficulty.MEDIUM, gameMode: GameMode.SINGLE_PLAYER });
+      expect(Object.values(SimulationOutcome)).toContain(run.outcome);
+      expect(run.survivalTime).toBeGreaterThan(0);
+      expect(run.survivalTime).toBeLessThanOrEqual(SHORT_RUN + 20);
+      expect(run.levelReached).toBeGreaterThanOrEqual(1);
+      expect(typeof run.deathsPerLevel).toBe('object');
+      expect(run.deaths).toBe(Object.values(run.deathsPerLevel).reduce((a, b) => a + b, 0));
+    });
+
+    it('lets the greedy policy eat dots and score', () => {
+      const run = runSimulation({ seed: 1, policy: 'greedy', maxTime: SHORT_RUN });
+
+      expect(run.dotsEaten).toBeGreaterThan(20);
+      expect(run.score).toBeGreaterThan(0);
+      expect(run.dotsPerMinute).toBeCloseTo(run.dotsEaten / (run.survivalTime / 60000));
+    });
+
+    it('accepts policy factories', () => {
+      const policy = createScriptedPolicy([{ direction: 'down', duration: 500 }, { direction: 'right', duration: 500 }]);
+      const run = runSimulation({ seed: 1, policy, maxTime: SHORT_RUN });
+
+      expect(run.survivalTime).toBeGreaterThan(0);
+    });
+
+    it('throws for unknown policy names', () => {
+      expect(() => runSimulation({ policy: 'psychic' })).toThrow('Unknown simulation policy');
+    });
+
+    it('plays two-player games with both policies', () => {
+      const run = runSimulation({ seed: 2, gameMode: GameMode.TWO_PLAYER, maxTime: SHORT_RUN });
+
+      expect(run.gameMode).toBe(GameMode.TWO_PLAYER);
+      expect(run.score + run.player2Score).toBeGreaterThan(0);
+    });
+
+    it('stops at the time limit', () => {
+      const run = runSimulation({ seed: 1, policy: 'idle', difficulty: Difficulty.EASY, maxTime: 1000 });
+
+      expect(run.outcome).toBe(SimulationOutcome.TIMEOUT);
+      expect(run.survivalTime).toBeGreaterThanOrEqual(1000);
+    });
+  });
+
+  describe('runBatch', () => {
+    it('runs every seed for every difficulty', () => {
+      const seen = [];
+      const runs = runBatch({
+        seeds: [1, 2],
+        difficulties: [Difficulty.EASY, Difficulty.HARD],
+        maxTime: 2000,
+        onRun: (run) => seen.push(run),
+      });
+
+      expect(runs.map((run) => [run.difficulty, run.seed])).toEqual([
+        [Difficulty.EASY, 1],
+        [Difficulty.EASY, 2],
+        [Difficulty.HARD, 1],
+        [Difficulty.HARD, 2],
+      ]);
+      expect(seen).toEqual(runs);
+    });
+  });
+
+  describe('summarizeRuns', () => {
+    const baseRun = {
+      score: 0,
+      player2Score: 0,
+      levelReached: 1,
+      ghostsEaten: 0,
+      dotsPerMinute: 0,
+      deathsPerLevel: {},
+    };
+
+    it('averages metrics per difficulty', () => {
+      const summaries = summarizeRuns([
+        { ...baseRun, difficulty: 'easy', outcome: 'game_complete', survivalTime: 1000, score: 100, deaths: 1, deathsPerLevel: { 2: 1 } },
+        { ...baseRun, difficulty: 'easy', outcome: 'game_over', survivalTime: 3000, score: 300, deaths: 3, deathsPerLevel: { 1: 3 } },
+        { ...baseRun, difficulty: 'hard', outcome: 'game_over', survivalTime: 500, player2Score: 50, deaths: 3 },
+      ]);
+
+      expect(summaries).toHaveLength(2);
+      expect(summaries[0]).toMatchObject({
+        difficulty: 'easy',
+        runs: 2,
+        completionRate: 0.5,
+        survivalTime: 2000,
+        score: 200,
+        deaths: 2,
+        deathsPerLevel: { 1: 1.5, 2: 0.5 },
+      });
+      expect(summaries[1]).toMatchObject({ difficulty: 'hard', runs: 1, score: 50, completionRate: 0 });
+    });
+
+    it('returns nothing for no runs', () => {
+      expect(summarizeRuns([])).toEqual([]);
+    });
+  });
+});
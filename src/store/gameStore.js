@@ -6,39 +6,72 @@
 import { create } from 'zustand';
 import {
   createInitialState,
-  startGame as startGamePure,
+  getReady,
   pauseGame as pauseGamePure,
   resumeGame as resumeGamePure,
   resetGame as resetGamePure,
   setGameMode as setGameModePure,
   setDifficulty as setDifficultyPure,
+  setEndless as setEndlessPure,
   updatePlayerPosition as updatePlayerPositionPure,
   updatePlayer2Position as updatePlayer2PositionPure,
   updateGameState,
   updateDeathAnimation,
+  updateIntermission,
+  updateReady,
   nextLevel as nextLevelPure,
   GameStatus,
   MAX_LEVEL,
   Difficulty,
 } from '../game/GameState.js';
+import { createEventBus } from '../game/GameEvents.js';
+import { createReplayStartState } from '../game/Replay.js';
 
-// localStorage key for high score persistence
+// localStorage keys for high score persistence; endless runs are kept separate
 const HIGH_SCORE_KEY = 'pacman-high-score';
+const ENDLESS_HIGH_SCORE_KEY = 'pacman-endless-high-score';
 
-function loadHighScore() {
+function loadHighScore(endless = false) {
   try {
-    const saved = localStorage.getItem(HIGH_SCORE_KEY);
+    const saved = localStorage.getItem(endless ? ENDLESS_HIGH_SCORE_KEY : HIGH_SCORE_KEY);
     return saved ? parseInt(saved, 10) : 0;
   } catch {
     return 0;
   }
 }
 
+// Broadcasts typed events produced by tick/nextLevel to subscribers
+const gameEvents = createEventBus();
+
+/**
+ * Subscribes to typed game events (see GameEventType).
+ * Listeners are called once per event, after the store has been updated.
+ * @param {function} listener - Called with (event)
+ * @returns {function} Unsubscribe function
+ */
+export function subscribeToGameEvents(listener) {
+  return gameEvents.subscribe(listener);
+}
+
+/**
+ * Applies a pure state transition and broadcasts the events it produced.
+ * Transitions that return the same state object are treated as no-ops.
+ */
+function applyWithEvents(set, get, transition) {
+  const state = get();
+  const nextState = transition(state);
+  if (nextState === state) {
+    return;
+  }
+  set(nextState);
+  gameEvents.emit(nextState.events);
+}
+
 /**
  * Creates the game store with initial state and actions.
  * Actions delegate to pure functions from GameState.js for testability.
  */
-export const useGameStore = create((set) => ({
+export const useGameStore = create((set, get) => ({
   // Initialize with default state and persisted high score
   ...createInitialState(loadHighScore()),
 
@@ -47,9 +80,10 @@ export const useGameStore = create((set) => ({
   // ============================================
 
   /**
-   * Starts or resumes the game from IDLE state.
+   * Starts the game from IDLE state.
+   * Play begins once the READY countdown runs out (see getReady).
    */
-  startGame: () => set((state) => startGamePure(state)),
+  startGame: () => set((state) => getReady(state)),
 
   /**
    * Pauses a running game.
@@ -62,16 +96,51 @@ export const useGameStore = create((set) => ({
   resumeGame: () => set((state) => resumeGamePure(state)),
 
   /**
-   * Resets the game to initial state, preserving high score and difficulty.
+   * Resets the game to initial state, preserving high score, difficulty and endless mode.
+   * Quitting a replay restores the saved high score instead of the replayed one.
    */
-  resetGame: () => set((state) => resetGamePure(state.highScore, state.difficulty)),
+  resetGame: () => set((state) => setEndlessPure(
+    resetGamePure(state.replay ? loadHighScore(state.endless) : state.highScore, state.difficulty),
+    state.endless
+  )),
 
   /**
    * Advances to the next level.
    * Resets maze/dots/ghosts/fruit while preserving score/lives/highScore.
-   * If at MAX_LEVEL, sets status to GAME_COMPLETE.
+   * If at the final level, sets status to GAME_COMPLETE. Plays any scheduled
+   * intermission first; calling this during the intermission skips it.
    */
-  nextLevel: () => set((state) => nextLevelPure(state)),
+  nextLevel: () => applyWithEvents(set, get, nextLevelPure),
+
+  /**
+   * Continues a saved game (see SaveGame.js). The game is restored PAUSED, or
+   * back in its READY countdown if it was saved during one.
+   * The better of the saved and current high scores for its mode is kept.
+   * @param {object} savedState - Game state from deserializeGame
+   */
+  continueGame: (savedState) => set((state) => ({
+    ...savedState,
+    highScore: Math.max(
+      savedState.highScore,
+      savedState.endless === state.endless ? state.highScore : loadHighScore(savedState.endless)
+    ),
+  })),
+
+  // ============================================
+  // Replay Actions
+  // ============================================
+
+  /**
+   * Starts playing back a recorded game from its seed and settings.
+   * The recorded inputs are fed in by the game loop while `replay` is set.
+   * @param {object} replay - Parsed replay (see Replay.js)
+   */
+  startReplay: (replay) => set((state) => createReplayStartState(replay, state.highScore)),
+
+  /**
+   * Ends playback and returns to mode select.
+   */
+  stopReplay: () => get().resetGame(),
 
   // ============================================
   // Game Mode Actions
@@ -89,6 +158,16 @@ export const useGameStore = create((set) => ({
    */
   setDifficulty: (difficulty) => set((state) => setDifficultyPure(state, difficulty)),
 
+  /**
+   * Switches between the 5-level campaign and endless mode.
+   * Each has its own persisted high score, which is shown once selected.
+   * @param {boolean} endless - True for endless mode
+   */
+  setEndless: (endless) => set((state) => ({
+    ...setEndlessPure(state, endless),
+    highScore: loadHighScore(endless),
+  })),
+
   // ============================================
   // Player Position Actions
   // ============================================
@@ -117,19 +196,27 @@ export const useGameStore = create((set) => ({
 
   /**
    * Main tick action called by the game loop.
-   * Updates all game state based on delta time.
+   * Updates all game state based on delta time and broadcasts the resulting events.
    * @param {number} deltaTime - Time since last frame in milliseconds
    */
   tick: (deltaTime) =>
-    set((state) => {
+    applyWithEvents(set, get, (state) => {
       // Handle death animation if dying
       if (state.status === GameStatus.DYING) {
         return updateDeathAnimation(state, deltaTime);
       }
+      // Count down the READY banner
+      if (state.status === GameStatus.READY) {
+        return updateReady(state, deltaTime);
+      }
+      // Play the cutscene between levels
+      if (state.status === GameStatus.INTERMISSION) {
+        return updateIntermission(state, deltaTime);
+      }
       // Normal game state update
       return updateGameState(state, deltaTime);
     }),
 }));
 
 // Re-export constants for convenience
-export { GameStatus, GameMode, MAX_LEVEL, Difficulty } from '../game/GameState.js';
+export { GameStatus, GameMode, MAX_LEVEL, Difficulty, GameEventType } from '../game/GameState.js';
@@ -4,10 +4,12 @@
  * game over/restart, and high score persistence.
  */
 
-import { describe, it, expect, beforeEach } from 'vitest';
-import { useGameStore, GameStatus, GameMode } from './gameStore.js';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { useGameStore, subscribeToGameEvents, GameStatus, GameMode, GameEventType } from './gameStore.js';
 import { resetGameStore, getGameStoreState, setGameStoreState } from '../test/test-utils.jsx';
-import { DEATH_ANIMATION_DURATION, Direction, TILE_SIZE } from '../game/GameState.js';
+import { DEATH_ANIMATION_DURATION, FIRST_LEVEL_READY_DURATION, READY_DURATION, Direction, TILE_SIZE } from '../game/GameState.js';
+import { createReplayRecorder } from '../game/Replay.js';
+import { serializeGame, deserializeGame } from '../game/SaveGame.js';
 
 describe('Zustand Game Store Migration Validation', () => {
   beforeEach(() => {
@@ -60,14 +62,32 @@ describe('Zustand Game Store Migration Validation', () => {
       expect(state.status).toBe(GameStatus.IDLE);
     });
 
-    it('transitions from IDLE to RUNNING when game starts', () => {
-      const { setGameMode, startGame } = useGameStore.getState();
+    it('transitions from IDLE through READY to RUNNING when game starts', () => {
+      const { setGameMode, startGame, tick } = useGameStore.getState();
 
       setGameMode(GameMode.SINGLE_PLAYER);
       startGame();
+      expect(getGameStoreState().status).toBe(GameStatus.READY);
+      expect(getGameStoreState().readyTimer).toBe(FIRST_LEVEL_READY_DURATION);
+
+      tick(FIRST_LEVEL_READY_DURATION);
+      expect(getGameStoreState().status).toBe(GameStatus.RUNNING);
+    });
+
+    it('freezes the game during the READY countdown', () => {
+      const { setGameMode, startGame, tick } = useGameStore.getState();
+
+      setGameMode(GameMode.SINGLE_PLAYER);
+      startGame();
+      const before = getGameStoreState();
+      tick(100);
 
       const state = getGameStoreState();
-      expect(state.status).toBe(GameStatus.RUNNING);
+      expect(state.status).toBe(GameStatus.READY);
+      expect(state.readyTimer).toBe(FIRST_LEVEL_READY_DURATION - 100);
+      expect(state.elapsedTime).toBe(before.elapsedTime);
+      expect(state.ghosts).toBe(before.ghosts);
+      expect(state.dots).toBe(before.dots);
     });
 
     it('maintains single-player mode throughout game lifecycle', () => {
@@ -187,9 +207,10 @@ describe('Zustand Game Store Migration Validation', () => {
   // ============================================
   describe('Pause/Resume Functionality', () => {
     beforeEach(() => {
-      const { setGameMode, startGame } = useGameStore.getState();
+      const { setGameMode, startGame, tick } = useGameStore.getState();
       setGameMode(GameMode.SINGLE_PLAYER);
       startGame();
+      tick(FIRST_LEVEL_READY_DURATION);
     });
 
     it('pauses a running game', () => {
@@ -261,9 +282,10 @@ describe('Zustand Game Store Migration Validation', () => {
   // ============================================
   describe('Game Over and Restart Flow', () => {
     beforeEach(() => {
-      const { setGameMode, startGame } = useGameStore.getState();
+      const { setGameMode, startGame, tick } = useGameStore.getState();
       setGameMode(GameMode.SINGLE_PLAYER);
       startGame();
+      tick(FIRST_LEVEL_READY_DURATION);
     });
 
     it('transitions to DYING when player loses a life', () => {
@@ -323,7 +345,7 @@ describe('Zustand Game Store Migration Validation', () => {
       setGameMode(GameMode.SINGLE_PLAYER);
       startGame();
 
-      expect(getGameStoreState().status).toBe(GameStatus.RUNNING);
+      expect(getGameStoreState().status).toBe(GameStatus.READY);
     });
 
     it('resets player positions on restart', () => {
@@ -423,9 +445,10 @@ describe('Zustand Game Store Migration Validation', () => {
   // ============================================
   describe('Game Tick Functionality', () => {
     beforeEach(() => {
-      const { setGameMode, startGame } = useGameStore.getState();
+      const { setGameMode, startGame, tick } = useGameStore.getState();
       setGameMode(GameMode.SINGLE_PLAYER);
       startGame();
+      tick(FIRST_LEVEL_READY_DURATION);
     });
 
     it('increments elapsed time on tick', () => {
@@ -472,7 +495,7 @@ describe('Zustand Game Store Migration Validation', () => {
       expect(state.deathAnimationTimer).toBeLessThan(DEATH_ANIMATION_DURATION);
     });
 
-    it('transitions from DYING to RUNNING when animation completes with lives remaining', () => {
+    it('transitions from DYING through READY to RUNNING when animation completes with lives remaining', () => {
       const { tick } = useGameStore.getState();
 
       setGameStoreState({
@@ -482,7 +505,10 @@ describe('Zustand Game Store Migration Validation', () => {
       });
 
       tick(100); // Complete the animation
+      expect(getGameStoreState().status).toBe(GameStatus.READY);
+      expect(getGameStoreState().readyTimer).toBe(READY_DURATION);
 
+      tick(READY_DURATION);
       expect(getGameStoreState().status).toBe(GameStatus.RUNNING);
     });
 
@@ -501,6 +527,208 @@ describe('Zustand Game Store Migration Validation', () => {
     });
   });
 
+  // ============================================
+  // Game Event Subscription
+  // ============================================
+  describe('Game Event Subscription', () => {
+    beforeEach(() => {
+      const { setGameMode, startGame, tick } = useGameStore.getState();
+      setGameMode(GameMode.SINGLE_PLAYER);
+      startGame();
+      tick(FIRST_LEVEL_READY_DURATION);
+    });
+
+    it('delivers events produced by tick to subscribers', () => {
+      const listener = vi.fn();
+      const unsubscribe = subscribeToGameEvents(listener);
+
+      useGameStore.getState().tick(16);
+      unsubscribe();
+
+      expect(listener).toHaveBeenCalledWith(
+        expect.objectContaining({ type: GameEventType.DOT_EATEN, player: 1 })
+      );
+    });
+
+    it('delivers events after the store has been updated', () => {
+      let scoreSeen = null;
+      const unsubscribe = subscribeToGameEvents(() => {
+        scoreSeen = useGameStore.getState().score;
+      });
+
+      useGameStore.getState().tick(16);
+      unsubscribe();
+
+      expect(scoreSeen).toBe(getGameStoreState().score);
+      expect(scoreSeen).toBeGreaterThan(0);
+    });
+
+    it('keeps ticking when a subscriber throws', () => {
+      const microtaskSpy = vi.spyOn(globalThis, 'queueMicrotask').mockImplementation(() => {});
+      const listener = vi.fn();
+      const unsubscribeFailing = subscribeToGameEvents(() => {
+        throw new Error('boom');
+      });
+      const unsubscribe = subscribeToGameEvents(listener);
+
+      expect(() => useGameStore.getState().tick(16)).not.toThrow();
+      unsubscribeFailing();
+      unsubscribe();
+      microtaskSpy.mockRestore();
+
+      expect(listener).toHaveBeenCalledWith(
+        expect.objectContaining({ type: GameEventType.DOT_EATEN, player: 1 })
+      );
+    });
+
+    it('does not re-deliver events when tick is a no-op', () => {
+      const { tick, pauseGame } = useGameStore.getState();
+      tick(16);
+      pauseGame();
+
+      const listener = vi.fn();
+      const unsubscribe = subscribeToGameEvents(listener);
+      tick(16);
+      unsubscribe();
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('delivers LEVEL_STARTED when advancing levels', () => {
+      setGameStoreState({ status: GameStatus.LEVEL_COMPLETE, level: 1 });
+      const listener = vi.fn();
+      const unsubscribe = subscribeToGameEvents(listener);
+
+      useGameStore.getState().nextLevel();
+      unsubscribe();
+
+      expect(listener).toHaveBeenCalledWith({ type: GameEventType.LEVEL_STARTED, level: 2 });
+    });
+
+    it('stops delivering after unsubscribe', () => {
+      const listener = vi.fn();
+      const unsubscribe = subscribeToGameEvents(listener);
+      unsubscribe();
+
+      useGameStore.getState().tick(16);
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+  });
+
+  // ============================================
+  // Replay Playback
+  // ============================================
+  describe('Replay Playback', () => {
+    function createTestReplay() {
+      const recorder = createReplayRecorder({ seed: 4242, gameMode: GameMode.TWO_PLAYER, difficulty: 'hard' });
+      recorder.record(16, 'left', 'right');
+      return recorder.finish();
+    }
+
+    it('startReplay counts down READY from the recorded seed and settings', () => {
+      const replay = createTestReplay();
+      setGameStoreState({ highScore: 8000 });
+
+      useGameStore.getState().startReplay(replay);
+
+      const state = getGameStoreState();
+      expect(state.status).toBe(GameStatus.READY);
+      expect(state.replay).toBe(replay);
+      expect(state.seed).toBe(4242);
+      expect(state.gameMode).toBe(GameMode.TWO_PLAYER);
+      expect(state.difficulty).toBe('hard');
+      expect(state.highScore).toBe(8000);
+    });
+
+    it('stopReplay returns to mode select with the saved high score', () => {
+      localStorage.setItem('pacman-high-score', '3000');
+      useGameStore.getState().startReplay(createTestReplay());
+      setGameStoreState({ highScore: 90000 });
+
+      useGameStore.getState().stopReplay();
+
+      const state = getGameStoreState();
+      expect(state.status).toBe(GameStatus.MODE_SELECT);
+      expect(state.replay).toBeNull();
+      expect(state.highScore).toBe(3000);
+      localStorage.removeItem('pacman-high-score');
+    });
+  });
+
+  // ============================================
+  // Endless Mode
+  // ============================================
+  describe('Endless Mode', () => {
+    afterEach(() => {
+      localStorage.clear();
+    });
+
+    it('setEndless switches to the endless high score', () => {
+      localStorage.setItem('pacman-high-score', '3000');
+      localStorage.setItem('pacman-endless-high-score', '70000');
+
+      useGameStore.getState().setEndless(true);
+      expect(getGameStoreState().endless).toBe(true);
+      expect(getGameStoreState().highScore).toBe(70000);
+
+      useGameStore.getState().setEndless(false);
+      expect(getGameStoreState().endless).toBe(false);
+      expect(getGameStoreState().highScore).toBe(3000);
+    });
+
+    it('resetGame stays in endless mode', () => {
+      useGameStore.getState().setEndless(true);
+      useGameStore.getState().resetGame();
+
+      expect(getGameStoreState().endless).toBe(true);
+    });
+  });
+
+  // ============================================
+  // Save and Continue
+  // ============================================
+  describe('Save and Continue', () => {
+    it('continueGame restores a saved game paused, keeping the better high score', () => {
+      const { setGameMode, startGame } = useGameStore.getState();
+      setGameMode(GameMode.TWO_PLAYER);
+      startGame();
+      setGameStoreState({ status: GameStatus.RUNNING, score: 2500, level: 3, highScore: 4000 });
+      const savedState = deserializeGame(serializeGame(getGameStoreState()));
+
+      resetGameStore();
+      setGameStoreState({ highScore: 9000 });
+      useGameStore.getState().continueGame(savedState);
+
+      const state = getGameStoreState();
+      expect(state.status).toBe(GameStatus.PAUSED);
+      expect(state.gameMode).toBe(GameMode.TWO_PLAYER);
+      expect(state.score).toBe(2500);
+      expect(state.level).toBe(3);
+      expect(state.highScore).toBe(9000);
+
+      useGameStore.getState().resumeGame();
+      expect(getGameStoreState().status).toBe(GameStatus.RUNNING);
+    });
+
+    it('continueGame resumes a game saved during READY with the rest of the countdown', () => {
+      const { setGameMode, startGame } = useGameStore.getState();
+      setGameMode(GameMode.SINGLE_PLAYER);
+      startGame();
+      setGameStoreState({ readyTimer: 1200 });
+      const savedState = deserializeGame(serializeGame(getGameStoreState()));
+
+      resetGameStore();
+      useGameStore.getState().continueGame(savedState);
+      expect(getGameStoreState()).toMatchObject({ status: GameStatus.READY, readyTimer: 1200 });
+
+      useGameStore.getState().tick(1000);
+      expect(getGameStoreState()).toMatchObject({ status: GameStatus.READY, readyTimer: 200 });
+      useGameStore.getState().tick(200);
+      expect(getGameStoreState().status).toBe(GameStatus.RUNNING);
+    });
+  });
+
   // ============================================
   // Store Actions Integration
   // ============================================
@@ -1,2 +1,10 @@
 // Game store barrel export
-export { useGameStore, GameStatus, GameMode, MAX_LEVEL, Difficulty } from './gameStore.js';
+export {
+  useGameStore,
+  subscribeToGameEvents,
+  GameStatus,
+  GameMode,
+  MAX_LEVEL,
+  Difficulty,
+  GameEventType,
+} from './gameStore.js';
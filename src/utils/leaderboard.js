@@ -1,18 +1,25 @@
 /**
  * Leaderboard management utilities for Pac-Man game.
- * Persists top 10 high scores to localStorage.
+ * Persists top 10 high scores to localStorage. Endless mode runs have their
+ * own leaderboard, separate from the 5-level campaign.
  */
 
 const LEADERBOARD_KEY = 'pacman-leaderboard';
+const ENDLESS_LEADERBOARD_KEY = 'pacman-endless-leaderboard';
 const MAX_ENTRIES = 10;
 
+function getLeaderboardKey(endless) {
+  return endless ? ENDLESS_LEADERBOARD_KEY : LEADERBOARD_KEY;
+}
+
 /**
  * Get the current leaderboard from localStorage.
+ * @param {boolean} endless - Read the endless mode leaderboard
  * @returns {Array<{initials: string, score: number, level: number, date: string}>}
  */
-export function getLeaderboard() {
+export function getLeaderboard(endless = false) {
   try {
-    const stored = localStorage.getItem(LEADERBOARD_KEY);
+    const stored = localStorage.getItem(getLeaderboardKey(endless));
     if (!stored) return [];
     const parsed = JSON.parse(stored);
     // Validate and sanitize data
@@ -35,9 +42,10 @@ export function getLeaderboard() {
  * @param {string} initials - 3-letter player initials
  * @param {number} score - Player's final score
  * @param {number} level - Level reached
+ * @param {boolean} endless - Save to the endless mode leaderboard
  * @returns {number} The rank achieved (1-10) or -1 if not in top 10
  */
-export function saveScore(initials, score, level) {
+export function saveScore(initials, score, level, endless = false) {
   // Sanitize initials to 3 uppercase letters
   const sanitizedInitials = initials
     .toUpperCase()
@@ -52,7 +60,7 @@ export function saveScore(initials, score, level) {
     date: new Date().toISOString(),
   };
 
-  const leaderboard = getLeaderboard();
+  const leaderboard = getLeaderboard(endless);
 
   // Find where this score ranks
   let insertIndex = leaderboard.findIndex(entry => score > entry.score);
@@ -72,7 +80,7 @@ export function saveScore(initials, score, level) {
   const trimmedLeaderboard = leaderboard.slice(0, MAX_ENTRIES);
 
   try {
-    localStorage.setItem(LEADERBOARD_KEY, JSON.stringify(trimmedLeaderboard));
+    localStorage.setItem(getLeaderboardKey(endless), JSON.stringify(trimmedLeaderboard));
   } catch {
     // localStorage might be full or unavailable
     return -1;
@@ -84,31 +92,34 @@ export function saveScore(initials, score, level) {
 /**
  * Check if a score qualifies for the leaderboard.
  * @param {number} score - The score to check
+ * @param {boolean} endless - Check the endless mode leaderboard
  * @returns {boolean} True if score would make it to top 10
  */
-export function isHighScore(score) {
+export function isHighScore(score, endless = false) {
   if (score <= 0) return false;
-  const leaderboard = getLeaderboard();
+  const leaderboard = getLeaderboard(endless);
   if (leaderboard.length < MAX_ENTRIES) return true;
   return score > leaderboard[leaderboard.length - 1].score;
 }
 
 /**
  * Get the minimum score needed to make the leaderboard.
+ * @param {boolean} endless - Check the endless mode leaderboard
  * @returns {number} Minimum score needed, or 0 if leaderboard not full
  */
-export function getMinimumHighScore() {
-  const leaderboard = getLeaderboard();
+export function getMinimumHighScore(endless = false) {
+  const leaderboard = getLeaderboard(endless);
   if (leaderboard.length < MAX_ENTRIES) return 0;
   return leaderboard[leaderboard.length - 1].score + 1;
 }
 
 /**
  * Clear the entire leaderboard.
+ * @param {boolean} endless - Clear the endless mode leaderboard instead
  */
-export function clearLeaderboard() {
+export function clearLeaderboard(endless = false) {
   try {
-    localStorage.removeItem(LEADERBOARD_KEY);
+    localStorage.removeItem(getLeaderboardKey(endless));
   } catch {
     // Ignore localStorage errors
   }
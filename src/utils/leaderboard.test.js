@@ -135,6 +135,28 @@ describe('leaderboard', () => {
     });
   });
 
+  describe('endless leaderboard', () => {
+    it('keeps endless scores separate from the campaign', () => {
+      saveScore('AAA', 5000, 3);
+      saveScore('BBB', 9000, 12, true);
+
+      expect(getLeaderboard().map((entry) => entry.initials)).toEqual(['AAA']);
+      expect(getLeaderboard(true).map((entry) => entry.initials)).toEqual(['BBB']);
+    });
+
+    it('checks and clears each leaderboard on its own', () => {
+      for (let i = 0; i < 10; i++) {
+        saveScore('AAA', 1000 + i * 100, 1);
+      }
+      expect(isHighScore(500)).toBe(false);
+      expect(isHighScore(500, true)).toBe(true);
+      expect(getMinimumHighScore(true)).toBe(0);
+
+      clearLeaderboard(true);
+      expect(getLeaderboard()).toHaveLength(10);
+    });
+  });
+
   describe('isHighScore', () => {
     it('should return true for any score on empty leaderboard', () => {
       expect(isHighScore(1)).toBe(true);
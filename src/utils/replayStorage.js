@@ -0,0 +1,64 @@
+/**
+ * Replay persistence utilities for Pac-Man game.
+ * Keeps the most recent finished game in localStorage and moves replays
+ * in and out of the browser as JSON files for sharing.
+ */
+
+import { parseReplay, serializeReplay } from '../game/Replay.js';
+
+const LAST_REPLAY_KEY = 'pacman-last-replay';
+
+/**
+ * Save a replay as the most recent game.
+ * @param {object} replay - Replay to save
+ * @returns {boolean} True if saved, false if localStorage is full or unavailable
+ */
+export function saveLastReplay(replay) {
+  try {
+    localStorage.setItem(LAST_REPLAY_KEY, serializeReplay(replay));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Load the most recent game's replay.
+ * @returns {object|null} Replay, or null if none is stored or it is invalid
+ */
+export function loadLastReplay() {
+  try {
+    const stored = localStorage.getItem(LAST_REPLAY_KEY);
+    return stored ? parseReplay(stored) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Offer a replay to the user as a downloadable JSON file.
+ * @param {object} replay - Replay to download
+ */
+export function downloadReplay(replay) {
+  const blob = new Blob([serializeReplay(replay)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `pacman-replay-${replay.seed}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Read a replay from a user-selected file.
+ * @param {File} file - JSON file
+ * @returns {Promise<object|null>} Replay, or null if the file is not a valid replay
+ */
+export function readReplayFile(file) {
+  return new Promise((resolve) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(parseReplay(reader.result));
+    reader.onerror = () => resolve(null);
+    reader.readAsText(file);
+  });
+}
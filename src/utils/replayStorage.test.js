@@ -0,0 +1,60 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  saveLastReplay,
+  loadLastReplay,
+  readReplayFile,
+} from './replayStorage';
+import { createReplayRecorder, serializeReplay } from '../game/Replay';
+
+function createTestReplay() {
+  const recorder = createReplayRecorder({ seed: 2024, gameMode: '1P', difficulty: 'medium' });
+  recorder.record(16, 'left');
+  recorder.record(16, 'up');
+  return recorder.finish({ score: 450, level: 1 });
+}
+
+describe('replayStorage', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe('loadLastReplay', () => {
+    it('should return null when no replay is stored', () => {
+      expect(loadLastReplay()).toBeNull();
+    });
+
+    it('should return null for invalid data', () => {
+      localStorage.setItem('pacman-last-replay', '{"version": 1}');
+      expect(loadLastReplay()).toBeNull();
+    });
+  });
+
+  describe('saveLastReplay', () => {
+    it('should store a replay that loads back unchanged', () => {
+      const replay = createTestReplay();
+      expect(saveLastReplay(replay)).toBe(true);
+      expect(loadLastReplay()).toEqual(replay);
+    });
+
+    it('should replace the previous replay', () => {
+      saveLastReplay(createTestReplay());
+      const recorder = createReplayRecorder({ seed: 7, gameMode: '2P', difficulty: 'hard' });
+      const newer = recorder.finish();
+      saveLastReplay(newer);
+      expect(loadLastReplay().seed).toBe(7);
+    });
+  });
+
+  describe('readReplayFile', () => {
+    it('should parse a replay file', async () => {
+      const replay = createTestReplay();
+      const file = new File([serializeReplay(replay)], 'replay.json', { type: 'application/json' });
+      expect(await readReplayFile(file)).toEqual(replay);
+    });
+
+    it('should return null for a file that is not a replay', async () => {
+      const file = new File(['hello'], 'notes.txt', { type: 'text/plain' });
+      expect(await readReplayFile(file)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Saved game persistence for Pac-Man game.
+ * Keeps a single in-progress game in localStorage so a run survives
+ * closing the tab.
+ */
+
+import { canSaveGame, serializeGame, deserializeGame } from '../game/SaveGame.js';
+
+const SAVED_GAME_KEY = 'pacman-saved-game';
+
+/**
+ * Save the current game if it is in progress.
+ * @param {object} state - Game state
+ * @returns {boolean} True if saved
+ */
+export function saveGame(state) {
+  if (!canSaveGame(state)) {
+    return false;
+  }
+  try {
+    localStorage.setItem(SAVED_GAME_KEY, serializeGame(state));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Load the saved game.
+ * A corrupt or unsupported save is removed so it is only rejected once.
+ * @returns {object|null} Restored (paused) game state, or null if there is none
+ */
+export function loadSavedGame() {
+  try {
+    const stored = localStorage.getItem(SAVED_GAME_KEY);
+    if (!stored) return null;
+    const state = deserializeGame(stored);
+    if (!state) {
+      localStorage.removeItem(SAVED_GAME_KEY);
+    }
+    return state;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Remove the saved game.
+ */
+export function clearSavedGame() {
+  try {
+    localStorage.removeItem(SAVED_GAME_KEY);
+  } catch {
+    // Ignore localStorage errors
+  }
+}
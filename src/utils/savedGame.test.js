@@ -0,0 +1,55 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { saveGame, loadSavedGame, clearSavedGame } from './savedGame';
+import { createInitialState, setGameMode, startGame, GameStatus } from '../game/GameState';
+
+function createRunningGame() {
+  return startGame(setGameMode(createInitialState(0, 'medium', 31337), '1P'));
+}
+
+describe('savedGame', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe('saveGame', () => {
+    it('should save a game in progress', () => {
+      expect(saveGame(createRunningGame())).toBe(true);
+      expect(localStorage.getItem('pacman-saved-game')).not.toBeNull();
+    });
+
+    it('should not save a game that is not in progress', () => {
+      expect(saveGame(createInitialState())).toBe(false);
+      expect(localStorage.getItem('pacman-saved-game')).toBeNull();
+    });
+  });
+
+  describe('loadSavedGame', () => {
+    it('should return null when nothing is saved', () => {
+      expect(loadSavedGame()).toBeNull();
+    });
+
+    it('should restore a saved game as paused', () => {
+      saveGame({ ...createRunningGame(), score: 720 });
+
+      const restored = loadSavedGame();
+      expect(restored.status).toBe(GameStatus.PAUSED);
+      expect(restored.score).toBe(720);
+      expect(restored.seed).toBe(31337);
+    });
+
+    it('should remove a corrupt save', () => {
+      localStorage.setItem('pacman-saved-game', 'garbage');
+
+      expect(loadSavedGame()).toBeNull();
+      expect(localStorage.getItem('pacman-saved-game')).toBeNull();
+    });
+  });
+
+  describe('clearSavedGame', () => {
+    it('should remove the saved game', () => {
+      saveGame(createRunningGame());
+      clearSavedGame();
+      expect(loadSavedGame()).toBeNull();
+    });
+  });
+});